@@ -1,31 +1,46 @@
 // src/components/Dashboard.jsx
 import React, { useMemo } from "react";
-import { PieChart, Pie, Cell, Tooltip, Legend } from "recharts";
+import { PieChart, Pie, Cell, Tooltip, Legend, AreaChart, Area, XAxis, YAxis } from "recharts";
+import { formatArea, formatLength, totalMeasurements } from "./map/utils/measure";
+import { formatTime, markersOverTime, pickTimeStep, timeExtent } from "./map/utils/time";
+import { categoryColor } from "./map/categories/categories";
 
-// colors that match your markers
-const CATEGORY_COLORS = {
-  General: "#3388ff",
-  Restaurant: "#e74c3c",
-  College: "#27ae60",
-  Event: "#f1c40f",
-  Shop: "#9b59b6",
-};
-
-const Dashboard = ({ markers, shapes }) => {
+// `markers` are the filtered markers; `totalMarkers` counts all of them
+const Dashboard = ({ markers, totalMarkers = markers.length, shapes, categories }) => {
   const data = useMemo(() => {
     const counts = {};
     markers.forEach((m) => {
       const cat = m.category || "General";
       counts[cat] = (counts[cat] || 0) + 1;
     });
-    return Object.entries(counts).map(([name, value]) => ({
-      name,
-      value,
-      color: CATEGORY_COLORS[name] || "#3388ff",
-    }));
+    // slices in the map's category order
+    return categories
+      .filter((c) => counts[c.key])
+      .map((c) => ({ name: c.key, value: counts[c.key], color: c.color }))
+      .concat(
+        Object.keys(counts)
+          .filter((name) => !categories.some((c) => c.key === name))
+          .map((name) => ({ name, value: counts[name], color: categoryColor(categories, name) }))
+      );
+  }, [markers, categories]);
+
+  const shapeCounts = useMemo(() => {
+    const counts = {};
+    shapes.forEach((s) => {
+      const cat = s.properties?.category || "General";
+      counts[cat] = (counts[cat] || 0) + 1;
+    });
+    return Object.entries(counts);
+  }, [shapes]);
+
+  const shapeTotals = useMemo(() => totalMeasurements(shapes), [shapes]);
+
+  // cumulative marker count by creation date
+  const overTime = useMemo(() => {
+    const extent = timeExtent(markers);
+    return extent ? markersOverTime(markers, pickTimeStep(extent)) : [];
   }, [markers]);
 
-  const totalMarkers = markers.length;
   const totalShapes = shapes.length;
 
   // helper: stop and prevent events in capture phase
@@ -64,11 +79,36 @@ const Dashboard = ({ markers, shapes }) => {
       <h4 style={{ margin: "0 0 8px", color: "#333" }}>📊 Dashboard</h4>
 
       <p style={{ margin: "4px 0" }}>
-        <strong>Total Markers:</strong> {totalMarkers}
+        <strong>Total Markers:</strong> {markers.length === totalMarkers ? totalMarkers : `${markers.length} of ${totalMarkers} (filtered)`}
       </p>
       <p style={{ margin: "4px 0" }}>
         <strong>Total Shapes:</strong> {totalShapes}
       </p>
+      {shapeCounts.map(([cat, count]) => (
+        <p key={cat} style={{ margin: "2px 0 2px 10px", fontSize: "13px", color: "#555" }}>
+          <span
+            style={{
+              display: "inline-block",
+              width: 8,
+              height: 8,
+              borderRadius: "50%",
+              background: categoryColor(categories, cat),
+              marginRight: 6,
+            }}
+          />
+          {cat}: {count}
+        </p>
+      ))}
+      {shapeTotals.area > 0 && (
+        <p style={{ margin: "4px 0", fontSize: "13px" }}>
+          <strong>Area:</strong> {formatArea(shapeTotals.area)}
+        </p>
+      )}
+      {shapeTotals.length > 0 && (
+        <p style={{ margin: "4px 0", fontSize: "13px" }}>
+          <strong>Line length:</strong> {formatLength(shapeTotals.length)}
+        </p>
+      )}
 
       <div style={{ pointerEvents: "auto" }}>
         <PieChart width={230} height={280}>
@@ -88,6 +128,19 @@ const Dashboard = ({ markers, shapes }) => {
           <Legend />
         </PieChart>
       </div>
+
+      {overTime.length > 1 && (
+        <div style={{ pointerEvents: "auto" }}>
+          <h5 style={{ margin: "4px 0", color: "#333" }}>Markers over time</h5>
+          <AreaChart width={230} height={120} data={overTime} margin={{ top: 4, right: 8, bottom: 0, left: -24 }}>
+            <XAxis dataKey="t" type="number" domain={["dataMin", "dataMax"]} scale="time" tickFormatter={(t) => formatTime(t, false)} tick={{ fontSize: 10 }} minTickGap={30} />
+            <YAxis allowDecimals={false} tick={{ fontSize: 10 }} />
+            <Tooltip labelFormatter={(t) => formatTime(t, false)} formatter={(value, name) => [value, name === "total" ? "Total" : "Added"]} />
+            <Area type="stepAfter" dataKey="total" stroke="#2980b9" fill="#aed6f1" />
+            <Area type="stepAfter" dataKey="added" stroke="#27ae60" fill="#abebc6" />
+          </AreaChart>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,13 +1,8 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import L from "leaflet";
 import {
   MapContainer,
-  TileLayer,
-  GeoJSON,
   LayersControl,
-  LayerGroup,
-  Marker,
-  Popup,
   useMapEvents,
   useMap,
 } from "react-leaflet";
@@ -17,60 +12,116 @@ import "leaflet-draw";
 import "../map/map.css";
 import SearchBar from "./searchplace/Searchbar";
 import Dashboard from "../Dashboard";
+import CsvImportWizard from "./importwizard/CsvImportWizard";
+import useUndoHistory from "./history/useUndoHistory";
+import ChoroplethLayer from "./choropleth/ChoroplethLayer";
+import ChoroplethLegend from "./choropleth/ChoroplethLegend";
+import HeatmapLayer from "./density/HeatmapLayer";
+import DensityGridLayer from "./density/DensityGridLayer";
+import DensityPanel from "./density/DensityPanel";
+import { binMarkers, heatPoints } from "./density/aggregate";
+import { classify, getAttribute } from "./choropleth/classify";
+import ShapeQueryPanel from "./spatial/ShapeQueryPanel";
+import ShapePopup from "./spatial/ShapePopup";
+import ProximityPanel from "./spatial/ProximityPanel";
+import NearestLayer from "./spatial/NearestLayer";
+import PointPicker from "./spatial/PointPicker";
+import MeasureTool from "./measure/MeasureTool";
+import RoutePanel from "./routing/RoutePanel";
+import TimeSlider from "./timeline/TimeSlider";
+import OfflinePanel from "./offline/OfflinePanel";
+import CachedTileLayer from "./offline/CachedTileLayer";
+import { BASE_LAYERS } from "./offline/baseLayers";
+import { formatBytes } from "./offline/tileMath";
+import { getMapStorage, isQuotaError } from "./storage/mapStorage";
+import { migrateLocalStorageMaps } from "./storage/migrate";
+import { inlineMarkerImages, storeMarkerImages } from "./storage/images";
+import MarkerPopup from "./markers/MarkerPopup";
+import ClusteredMarkers from "./markers/ClusteredMarkers";
+import { newMarkerId } from "./markers/ids";
+import CategoryManager from "./categories/CategoryManager";
+import {
+  addCategory,
+  categoryFields,
+  categoryUsage,
+  defaultCategoryKey,
+  deleteCategory,
+  ensureCategories,
+  mergeCategories,
+  normalizeCategories,
+  renameCategory,
+  updateCategory,
+} from "./categories/categories";
+import { coerceAttributes, formatFieldValue, markerMatchesSearch } from "./categories/schema";
+import FilterBuilder from "./filters/FilterBuilder";
+import { EMPTY_QUERY, compileQuery, describeQuery, newFilterId, normalizeSavedFilters } from "./filters/query";
+import useUrlState from "./url/useUrlState";
+import { DEFAULT_VIEW, parseUrlState } from "./url/urlState";
+import { getSyncApi } from "./sync/backend";
+import { applyPatch as applySyncPatch } from "./sync/engine";
+import useSync from "./sync/useSync";
+import SyncStatus from "./sync/SyncStatus";
+import ConflictDialog from "./sync/ConflictDialog";
+import { createShapeProperties, newShapeId, normalizeShapes, shapeStyle, shapeTypeLabel, withMeasurements } from "./utils/shapes";
+import { formatArea, formatLength, totalMeasurements } from "./utils/measure";
+import { mapToFeatureCollection, parseMapGeoJSON } from "./utils/geojson";
+import { parseKML, readKmzText, toKML } from "./utils/kml";
+import { parseGPX, toGPX } from "./utils/gpx";
+import { isValidLatLng } from "./utils/coords";
+import { createDuplicateChecker, createSpatialIndex } from "./utils/spatialIndex";
+import { nearestMarkers } from "./utils/proximity";
+import { TIME_FIELDS, markerActiveIn, stampMarker, timeExtent, touchMarker, withTimestamps } from "./utils/time";
+import {
+  ADMIN_FIELDS,
+  createAdminLookup,
+  listAdminAreas,
+  markerInShape,
+  shapeBounds,
+} from "./utils/geo";
 
 // external libs for reports
 import html2canvas from "html2canvas";
 import jsPDF from "jspdf";
 import "jspdf-autotable";
 
+// Leaflet resolves its default marker images relative to leaflet.css, which breaks once
+// bundled: point them at the bundled files (still used by Leaflet.draw's marker tool)
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: require("leaflet/dist/images/marker-icon-2x.png"),
+  iconUrl: require("leaflet/dist/images/marker-icon.png"),
+  shadowUrl: require("leaflet/dist/images/marker-shadow.png"),
+});
+
 /* ---------------- CONFIG ---------------- */
-const CATEGORIES = [
-  { key: "General", color: "#3388ff" },
-  { key: "Restaurant", color: "#e74c3c" },
-  { key: "College", color: "#27ae60" },
-  { key: "Event", color: "#f1c40f" },
-  { key: "Shop", color: "#9b59b6" },
+const SUBLOCATIONS_URL = `${process.env.PUBLIC_URL || ""}/data/nairobi_sublogs.geojson`;
+const SUBLOCATIONS_LAYER_NAME = "Nairobi Sublocations";
+const HEATMAP_LAYER_NAME = "Marker heatmap";
+const DENSITY_GRID_LAYER_NAME = "Marker density grid";
+const DEFAULT_MAP_ID = "default";
+const DEFAULT_MAP_NAME = "Default Map";
+// overlays by the key used in shared links (?layers=heatmap,density)
+const OVERLAYS = [
+  { key: "sublocations", name: SUBLOCATIONS_LAYER_NAME },
+  { key: "heatmap", name: HEATMAP_LAYER_NAME },
+  { key: "density", name: DENSITY_GRID_LAYER_NAME },
 ];
-
-const iconPath = (name) => `${process.env.PUBLIC_URL || ""}/icons/${name}`;
-
-const getCategoryIcon = (categoryKey) => {
-  let file = "marker-icon-blue.png";
-  switch (categoryKey) {
-    case "Restaurant":
-      file = "marker-icon-red.png";
-      break;
-    case "College":
-      file = "marker-icon-green.png";
-      break;
-    case "Event":
-      file = "marker-icon-yellow.png";
-      break;
-    case "Shop":
-      file = "marker-icon-violet.png";
-      break;
-    default:
-      file = "marker-icon-blue.png";
-  }
-  const iconUrl = iconPath(file);
-  return L.icon({
-    iconUrl,
-    shadowUrl:
-      "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png",
-    iconSize: [25, 41],
-    iconAnchor: [12, 41],
-    popupAnchor: [1, -34],
-    shadowSize: [41, 41],
-  });
-};
+const URL_OPTIONS = { baseLayers: BASE_LAYERS.map((l) => l.key), overlayKeys: OVERLAYS.map((o) => o.key), areaFields: ADMIN_FIELDS.map((f) => f.key) };
+const URL_DEFAULTS = { map: DEFAULT_MAP_ID, base: BASE_LAYERS[0].key };
+// edits are written this long after the last change (typing in a popup is one save)
+const SAVE_DEBOUNCE_MS = 800;
+const storage = getMapStorage();
+// null unless REACT_APP_SYNC_URL is set (sync/backend.js)
+const syncApi = getSyncApi();
 
 /* ---------------- AddMarker (map click) ----------------
    Stops creating markers when clicking inside search bar container
    Also prevents duplicates (approx within 5 meters)
+   `disabled` while another tool (PointPicker, MeasureTool) owns map clicks
 */
-function AddMarker({ onAdd, isDuplicate }) {
+function AddMarker({ onAdd, isDuplicate, disabled }) {
   useMapEvents({
     click(e) {
+      if (disabled) return;
       // Prevent clicks inside the SearchBar from creating markers
       if (e.originalEvent?.target?.closest(".search-bar-container")) {
         return;
@@ -87,14 +138,49 @@ function AddMarker({ onAdd, isDuplicate }) {
   return null;
 }
 
+/* ---------------- MapStateEvents ----------------
+   Reports view moves and base layer / overlay switches made in the layers control,
+   so they can be kept in the URL.
+*/
+function MapStateEvents({ onViewChange, onBaseLayerChange, onOverlaysChange }) {
+  const map = useMapEvents({
+    moveend() {
+      const c = map.getCenter();
+      onViewChange({ center: [c.lat, c.lng], zoom: map.getZoom() });
+    },
+    baselayerchange(e) {
+      const layer = BASE_LAYERS.find((l) => l.name === e.name);
+      if (layer) onBaseLayerChange(layer.key);
+    },
+    overlayadd(e) {
+      const overlay = OVERLAYS.find((o) => o.name === e.name);
+      if (overlay) onOverlaysChange((prev) => (prev.includes(overlay.key) ? prev : [...prev, overlay.key]));
+    },
+    overlayremove(e) {
+      const overlay = OVERLAYS.find((o) => o.name === e.name);
+      if (overlay) onOverlaysChange((prev) => prev.filter((k) => k !== overlay.key));
+    },
+  });
+  return null;
+}
+
 /* ---------------- ShapeDrawer ----------------
    - Integrates with Leaflet.draw
    - Option A: focus latest created shape only (fitBounds to newest)
    - Keeps shapes drawn (they persist)
    - Exposes lastFocusedBounds and reset functionality via callbacks
+   - Every layer carries its stored Feature (id, name, colours...) in `layer.feature`,
+     so toGeoJSON() in updateShapes keeps the metadata through edit/delete
+   - updateShapes recomputes geodesic measurements (area/perimeter/length) on create/edit
+   - Clicking a shape (outside edit/delete mode) selects it via onShapeSelected(id, latlng)
+   - New shapes get `defaultCategory`, so a deleted "General" isn't brought back
 */
-function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView }) {
+function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView, onShapeSelected, defaultCategory }) {
   const map = useMap();
+  const onShapeSelectedRef = useRef(onShapeSelected);
+  onShapeSelectedRef.current = onShapeSelected;
+  const defaultCategoryRef = useRef(defaultCategory);
+  defaultCategoryRef.current = defaultCategory;
 
   useEffect(() => {
     if (!map.__drawnItems) {
@@ -119,7 +205,7 @@ function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView
           if (l instanceof L.Circle) {
             gj.properties = { ...gj.properties, radius: l.getRadius() };
           }
-          return gj;
+          return withMeasurements(gj);
         });
         setShapesState(all);
       };
@@ -134,6 +220,7 @@ function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView
           // ignore
         }
 
+        e.layer.feature = { type: "Feature", properties: createShapeProperties({ category: defaultCategoryRef.current }) };
         map.__drawnItems.addLayer(e.layer);
         updateShapes();
 
@@ -166,6 +253,14 @@ function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView
       map.on(L.Draw.Event.DELETED, () => {
         updateShapes();
       });
+
+      // while editing/deleting, clicks on shapes belong to Leaflet.draw
+      map.on(`${L.Draw.Event.EDITSTART} ${L.Draw.Event.DELETESTART}`, () => {
+        map.__drawEditing = true;
+      });
+      map.on(`${L.Draw.Event.EDITSTOP} ${L.Draw.Event.DELETESTOP}`, () => {
+        map.__drawEditing = false;
+      });
     }
   }, [map, setShapesState, onShapeFocused, setPrevView]);
 
@@ -175,29 +270,33 @@ function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView
     const fg = map.__drawnItems;
     fg.clearLayers();
 
+    const selectOnClick = (layer, id) => {
+      layer.on("click", (ev) => {
+        // while editing or picking a point the click belongs to Leaflet.draw / PointPicker
+        if (map.__drawEditing || map.__pickingPoint) return;
+        // don't let the click fall through to AddMarker
+        L.DomEvent.stopPropagation(ev);
+        onShapeSelectedRef.current?.(id, ev.latlng);
+      });
+    };
+
     shapesState.forEach((g) => {
+      const id = g.properties?.id;
       if (g.geometry.type === "Point" && g.properties?.radius) {
         // stored circle representation
-        const circle = L.circle(
-          [g.geometry.coordinates[1], g.geometry.coordinates[0]],
-          {
-            radius: g.properties.radius,
-            color: "orange",
-            fillColor: "yellow",
-            fillOpacity: 0.4,
-          }
-        );
+        const circle = L.circle([g.geometry.coordinates[1], g.geometry.coordinates[0]], {
+          radius: g.properties.radius,
+          ...shapeStyle(g),
+        });
+        circle.feature = { type: "Feature", properties: { ...g.properties } };
+        selectOnClick(circle, id);
         fg.addLayer(circle);
       } else {
-        const layer = L.geoJSON(g, {
-          style: {
-            color: "orange",
-            weight: 2,
-            fillColor: "yellow",
-            fillOpacity: 0.4,
-          },
+        const layer = L.geoJSON(g, { style: () => shapeStyle(g) });
+        layer.eachLayer((l) => {
+          selectOnClick(l, id);
+          fg.addLayer(l);
         });
-        layer.eachLayer((l) => fg.addLayer(l));
       }
     });
   }, [map, shapesState]);
@@ -207,182 +306,671 @@ function ShapeDrawer({ shapesState, setShapesState, onShapeFocused, setPrevView
 
 /* ------------------ MAIN MAP COMPONENT ------------------ */
 const Map = () => {
-  const [geodata] = useState(null);
+  // a shared / reloaded link: view, map, layers and filters to start with (url/urlState.js)
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search, URL_OPTIONS));
+  const [geodata, setGeodata] = useState(null);
+  const [choropleth, setChoropleth] = useState({ attribute: "population", method: "quantile", classes: 5 });
+  const [density, setDensity] = useState({ radius: 25, blur: 15, shape: "hex", cellSize: 500, weights: {} });
+  // ---------------- MULTI-MAP ----------------
+  // savedMaps is only the list (id -> { name }); the open map's content lives in markers/shapes/categories
+  const [savedMaps, setSavedMaps] = useState({ [DEFAULT_MAP_ID]: { name: DEFAULT_MAP_NAME } });
+  const [currentMap, setCurrentMap] = useState(DEFAULT_MAP_ID);
+  const [loadedMap, setLoadedMap] = useState(null); // id of the map whose content is in state (null while loading)
+  const [storageUsage, setStorageUsage] = useState(null); // { usage, quota }
+  const [storageError, setStorageError] = useState(null);
   const [markers, setMarkers] = useState([]);
   const [shapes, setShapes] = useState([]);
-  const [searchTerm, setSearchTerm] = useState("");
+  const [categories, setCategories] = useState(() => normalizeCategories());
+  const undoHistory = useUndoHistory({ mapId: currentMap, markers, shapes, categories, setMarkers, setShapes, setCategories });
+  const { skipNext: skipUndo } = undoHistory;
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.q);
+  const [searchScope, setSearchScope] = useState("all"); // "all" | "text" | attribute key of the selected category
   const [selectedCategory, setSelectedCategory] = useState("All");
+  const [selectedArea, setSelectedArea] = useState(initialUrlState.area || "All");
   const [showFilter, setShowFilter] = useState(false);
   const [showReportPanel, setShowReportPanel] = useState(false);
   const [includeCSVinPDF, setIncludeCSVinPDF] = useState(false);
+  const [includeImagesInGeoJSON, setIncludeImagesInGeoJSON] = useState(false);
+  const [coordFormat, setCoordFormat] = useState("decimal"); // secondary coordinate display in marker popups
+  const [importMode, setImportMode] = useState("merge"); // "merge" | "replace" for map imports
+  const [showCsvWizard, setShowCsvWizard] = useState(false);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [showConflicts, setShowConflicts] = useState(false);
   const [focusedShapeBounds, setFocusedShapeBounds] = useState(null);
   const [isViewFocused, setIsViewFocused] = useState(false);
+  const [selectedShapeId, setSelectedShapeId] = useState(null);
+  const [shapeFilterId, setShapeFilterId] = useState(null);
+  const [filterQuery, setFilterQuery] = useState(EMPTY_QUERY); // filter builder conditions (filters/query.js)
+  const [savedFilters, setSavedFilters] = useState([]); // [{ id, name, query }], saved with the map
+  const [showFilterBuilder, setShowFilterBuilder] = useState(false);
+  const [baseLayer, setBaseLayer] = useState(initialUrlState.base || BASE_LAYERS[0].key);
+  const [overlays, setOverlays] = useState(initialUrlState.overlays || []); // OVERLAYS keys
+  const [editingShape, setEditingShape] = useState(null); // { id, latlng } of the open shape popup
+  const [openMarkerId, setOpenMarkerId] = useState(null); // marker whose popup editor is open
+  const [showProximity, setShowProximity] = useState(false);
+  const [nearestQuery, setNearestQuery] = useState({ origin: null, category: "All", count: 5 }); // origin: [lat, lng]
+  const [pickingPoint, setPickingPoint] = useState(false);
+  const [measuring, setMeasuring] = useState(false); // ad-hoc measure mode (nothing saved unless kept)
+  const [showRouting, setShowRouting] = useState(false);
+  const [showOffline, setShowOffline] = useState(false);
+  const [showTimeline, setShowTimeline] = useState(false);
+  const [timeWindow, setTimeWindow] = useState(null); // { from, to } in ms while the timeline is open
   const prevViewRef = useRef(null);
   const mapRef = useRef();
-  const fileInputRef = useRef();
-  const position = [-1.2921, 36.8219];
+  const geojsonInputRef = useRef();
+  const gpsInputRef = useRef();
+  const position = DEFAULT_VIEW.center;
 
-  // ---------------- MULTI-MAP ----------------
-  const [savedMaps, setSavedMaps] = useState(() => {
-    const stored = localStorage.getItem("maps");
-    return stored
-      ? JSON.parse(stored)
-      : { default: { name: "Default Map", markers: [], shapes: [] } };
-  });
-  const [currentMap, setCurrentMap] = useState("default");
+  // ---------------- Sublocations (choropleth) ----------------
+  useEffect(() => {
+    let cancelled = false;
+    fetch(SUBLOCATIONS_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => {
+        if (!cancelled) setGeodata(data);
+      })
+      .catch((err) => console.warn("Could not load sublocations", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const choroplethAttribute = getAttribute(choropleth.attribute);
+  const choroplethBreaks = useMemo(() => {
+    if (!geodata) return [];
+    const values = geodata.features.map((f) => choroplethAttribute.value(f.properties));
+    return classify(values, choropleth.method, choropleth.classes);
+  }, [geodata, choroplethAttribute, choropleth.method, choropleth.classes]);
+
+  // ---------------- Admin-area tagging (point-in-polygon) ----------------
+  const adminLookup = useMemo(() => (geodata ? createAdminLookup(geodata) : null), [geodata]);
+  const adminAreas = useMemo(() => listAdminAreas(geodata), [geodata]);
+
+  // stamps sublocation/location/division/constituency onto a marker;
+  // `taggedAt` records the position the tags were computed for
+  const tagMarker = useCallback(
+    (m) => {
+      if (!adminLookup) return m;
+      const at = m.position.join(",");
+      if (m.taggedAt === at) return m;
+      return { ...m, ...adminLookup(m.position[0], m.position[1]), taggedAt: at };
+    },
+    [adminLookup]
+  );
 
+  // (re)tag markers loaded before the sublocations arrived, or whose position changed
   useEffect(() => {
-    setSavedMaps((prev) => {
-      const updated = {
-        ...prev,
-        [currentMap]: {
-          ...prev[currentMap],
-          markers,
-          shapes,
-        },
-      };
-      localStorage.setItem("maps", JSON.stringify(updated));
-      return updated;
-    });
-  }, [markers, shapes, currentMap]);
+    if (!adminLookup) return;
+    if (markers.every((m) => m.taggedAt === m.position.join(","))) return;
+    // derived data, not a user edit: keep it out of undo history
+    skipUndo();
+    setMarkers((prev) => prev.map(tagMarker));
+  }, [adminLookup, markers, tagMarker, skipUndo]);
+
+  // categories used by markers/shapes but missing from the list (imports, undo, new shapes) are added
+  useEffect(() => {
+    const next = ensureCategories(categories, [...markers.map((m) => m.category), ...shapes.map((s) => s.properties?.category)]);
+    if (next === categories) return;
+    skipUndo();
+    setCategories(next);
+  }, [markers, shapes, categories, skipUndo]);
+
+  // ---------------- Persistence (map storage, see storage/mapStorage.js) ----------------
+  const pendingSaveRef = useRef(null); // { id, markers, shapes, categories, filters } not written yet
+  const storageErrorRef = useRef(null);
+
+  const refreshStorageUsage = useCallback(() => {
+    storage
+      .estimate()
+      .then(setStorageUsage)
+      .catch(() => {});
+  }, []);
+
+  const reportStorageError = useCallback((err) => {
+    console.error("Saving the map failed", err);
+    const message = isQuotaError(err) ? err.message : `Saving the map failed: ${err.message}`;
+    // alert once per failure streak; the banner stays until a save succeeds
+    if (!storageErrorRef.current) alert(message);
+    storageErrorRef.current = message;
+    setStorageError(message);
+  }, []);
+
+  const flushSave = useCallback(async () => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return;
+    pendingSaveRef.current = null;
+    try {
+      await storage.saveMap(pending.id, pending);
+      storageErrorRef.current = null;
+      setStorageError(null);
+      refreshStorageUsage();
+    } catch (err) {
+      reportStorageError(err);
+    }
+  }, [refreshStorageUsage, reportStorageError]);
+
+  // puts a stored map on screen without recording it as an undoable edit;
+  // `restore` = the category / shape / saved filter / filter shape a link or back / forward asks for
+  const showMap = useCallback(
+    (mapId, map, restore = {}) => {
+      skipUndo();
+      setCurrentMap(mapId);
+      const mapShapes = normalizeShapes(map?.shapes);
+      setMarkers((map?.markers || []).map(withTimestamps));
+      setShapes(mapShapes);
+      const mapCategories = normalizeCategories(map?.categories);
+      setCategories(mapCategories);
+      const mapFilters = normalizeSavedFilters(map?.filters);
+      setSavedFilters(mapFilters);
+      setFilterQuery(mapFilters.find((f) => f.id === restore.filter)?.query || EMPTY_QUERY);
+      setLoadedMap(mapId);
+      setSelectedCategory(mapCategories.some((c) => c.key === restore.category) ? restore.category : "All");
+      setSelectedShapeId(mapShapes.some((s) => s.properties.id === restore.shape) ? restore.shape : null);
+      setShapeFilterId(mapShapes.some((s) => s.properties.id === restore.within) ? restore.within : null);
+    },
+    [skipUndo]
+  );
+
+  // first start: move old localStorage maps over, then list maps and open the default one
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        await migrateLocalStorageMaps(storage);
+        const list = await storage.listMaps();
+        // the map named in the link, if it is (still) there
+        const mapId = list.some((m) => m.id === initialUrlState.map) ? initialUrlState.map : DEFAULT_MAP_ID;
+        const map = await storage.loadMap(mapId);
+        if (cancelled) return;
+        setSavedMaps({ [DEFAULT_MAP_ID]: { name: DEFAULT_MAP_NAME }, ...Object.fromEntries(list.map((m) => [m.id, { name: m.name }])) });
+        showMap(mapId, map, initialUrlState);
+        storage.pruneImages().catch((err) => console.warn("Image cleanup failed", err));
+      } catch (err) {
+        console.error("Failed to open saved maps", err);
+        alert(`Failed to open saved maps: ${err.message}`);
+        if (!cancelled) setLoadedMap(DEFAULT_MAP_ID);
+      }
+      refreshStorageUsage();
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [initialUrlState, showMap, refreshStorageUsage]);
+
+  // debounced save of the open map; nothing is written until it has been loaded
+  useEffect(() => {
+    if (loadedMap !== currentMap) return;
+    pendingSaveRef.current = { id: currentMap, markers, shapes, categories, filters: savedFilters };
+    const timer = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [markers, shapes, categories, savedFilters, currentMap, loadedMap, flushSave]);
+
+  // don't lose the last edits when the tab is hidden or closed
+  useEffect(() => {
+    const onHide = () => {
+      if (document.visibilityState === "hidden") flushSave();
+    };
+    document.addEventListener("visibilitychange", onHide);
+    window.addEventListener("pagehide", flushSave);
+    return () => {
+      document.removeEventListener("visibilitychange", onHide);
+      window.removeEventListener("pagehide", flushSave);
+      flushSave();
+    };
+  }, [flushSave]);
 
   // Select map
-  const handleSelectMap = (mapId) => {
-    setCurrentMap(mapId);
-    setMarkers(savedMaps[mapId]?.markers || []);
-    setShapes(savedMaps[mapId]?.shapes || []);
+  const handleSelectMap = async (mapId, restore) => {
+    await flushSave();
+    setLoadedMap(null);
+    try {
+      showMap(mapId, await storage.loadMap(mapId), restore);
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to open the map: ${err.message}`);
+      setLoadedMap(currentMap);
+    }
     // restore view (optional) - we won't change map center automatically to avoid jarring UX
   };
 
-  const handleCreateMap = () => {
+  const handleCreateMap = async () => {
     const newName = prompt("Enter a name for the new map:");
     if (!newName?.trim()) return;
     const newId = `map_${Date.now()}`;
-    const updated = {
-      ...savedMaps,
-      [newId]: { name: newName.trim(), markers: [], shapes: [] },
-    };
-    setSavedMaps(updated);
-    setCurrentMap(newId);
-    setMarkers([]);
-    setShapes([]);
-    localStorage.setItem("maps", JSON.stringify(updated));
+    const map = { name: newName.trim(), markers: [], shapes: [], categories: normalizeCategories() };
+    await flushSave();
+    try {
+      await storage.saveMap(newId, map);
+    } catch (err) {
+      return reportStorageError(err);
+    }
+    setSavedMaps((prev) => ({ ...prev, [newId]: { name: map.name } }));
+    showMap(newId, map);
+    // after the new map is in mapList: syncing right away would miss it
+    sync.scheduleSync();
   };
 
-  const handleRenameMap = () => {
+  const handleRenameMap = async () => {
     const newName = prompt("Enter a new name:", savedMaps[currentMap].name);
     if (!newName?.trim()) return;
-    setSavedMaps((prev) => {
-      const updated = { ...prev };
-      updated[currentMap].name = newName.trim();
-      localStorage.setItem("maps", JSON.stringify(updated));
-      return updated;
-    });
+    const mapId = currentMap;
+    await flushSave(); // the map record has to exist before it can be renamed
+    try {
+      await storage.renameMap(mapId, newName.trim());
+    } catch (err) {
+      return reportStorageError(err);
+    }
+    setSavedMaps((prev) => ({ ...prev, [mapId]: { ...prev[mapId], name: newName.trim() } }));
   };
 
-  const handleDeleteMap = () => {
-    if (currentMap === "default") return alert("⚠️ Can't delete default map");
+  const handleDeleteMap = async () => {
+    if (currentMap === DEFAULT_MAP_ID) return alert("⚠️ Can't delete default map");
     if (!window.confirm("Delete this map?")) return;
-    const updated = { ...savedMaps };
-    delete updated[currentMap];
-    const nextMap = Object.keys(updated)[0] || "default";
-    setSavedMaps(updated);
-    setCurrentMap(nextMap);
-    setMarkers(updated[nextMap]?.markers || []);
-    setShapes(updated[nextMap]?.shapes || []);
-    localStorage.setItem("maps", JSON.stringify(updated));
+    const deletedId = currentMap;
+    const deleted = { name: savedMaps[currentMap].name, markers, shapes, categories, filters: savedFilters };
+    const remaining = Object.keys(savedMaps).filter((id) => id !== deletedId);
+    const nextMap = remaining[0] || DEFAULT_MAP_ID;
+    try {
+      await flushSave(); // a pending save would bring the map back
+      await storage.deleteMap(deletedId);
+      sync.mapDeleted(deletedId);
+      setLoadedMap(null);
+      setSavedMaps((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== deletedId)));
+      showMap(nextMap, await storage.loadMap(nextMap));
+    } catch (err) {
+      console.error(err);
+      return alert(`Failed to delete the map: ${err.message}`);
+    }
+
+    // undoing on the map we land on brings the deleted map back (its images are kept until the next start)
+    undoHistory.pushAction(
+      {
+        undo: async () => {
+          await flushSave();
+          try {
+            await storage.saveMap(deletedId, deleted);
+          } catch (err) {
+            return reportStorageError(err);
+          }
+          sync.mapRestored(deletedId);
+          setSavedMaps((prev) => ({ ...prev, [deletedId]: { name: deleted.name } }));
+          showMap(deletedId, deleted);
+        },
+      },
+      nextMap
+    );
   };
 
-  // ---------------- Marker handlers ----------------
-  // duplicate detection (approx distance in meters)
-  const isDuplicate = (lat, lng, thresholdMeters = 5) => {
-    const R = 6371e3; // metres
-    const toRad = (d) => (d * Math.PI) / 180;
-    for (const m of markers) {
-      const lat2 = m.position[0];
-      const lon2 = m.position[1];
-      const φ1 = toRad(lat);
-      const φ2 = toRad(lat2);
-      const Δφ = toRad(lat2 - lat);
-      const Δλ = toRad(lon2 - lng);
-      const a =
-        Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-        Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      const d = R * c;
-      if (d <= thresholdMeters) return true;
+  // ---------------- Sync (sync/useSync.js; off unless a sync server is configured) ----------------
+  const currentMapName = savedMaps[currentMap]?.name;
+  const syncMap = useMemo(
+    () => (loadedMap === currentMap ? { id: currentMap, name: currentMapName, markers, shapes, categories, filters: savedFilters } : null),
+    [loadedMap, currentMap, currentMapName, markers, shapes, categories, savedFilters]
+  );
+  const mapList = useMemo(() => Object.entries(savedMaps).map(([id, m]) => ({ id, name: m.name })), [savedMaps]);
+
+  // someone else's changes to the open map: applied like a load, not as an undoable edit
+  const handleRemotePatch = (patch) => {
+    undoHistory.skipNext();
+    setMarkers((prev) => applySyncPatch({ markers: prev }, patch).markers);
+    setShapes((prev) => applySyncPatch({ shapes: prev }, patch).shapes);
+    if (!patch.meta) return;
+    setCategories(normalizeCategories(patch.meta.categories));
+    setSavedFilters(normalizeSavedFilters(patch.meta.filters));
+    if (patch.meta.name && patch.meta.name !== currentMapName) {
+      const mapId = currentMap;
+      setSavedMaps((prev) => ({ ...prev, [mapId]: { ...prev[mapId], name: patch.meta.name } }));
+      flushSave()
+        .then(() => storage.renameMap(mapId, patch.meta.name))
+        .catch(reportStorageError);
     }
-    return false;
   };
 
-  const handleAddMarker = (latlng) => {
+  // a map added, renamed (not open) or deleted on another device; its storage is already updated
+  const handleRemoteMapChange = (mapId, name) => {
+    if (name !== null) {
+      setSavedMaps((prev) => ({ ...prev, [mapId]: { ...prev[mapId], name } }));
+      return;
+    }
+    if (pendingSaveRef.current?.id === mapId) pendingSaveRef.current = null;
+    setSavedMaps((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== mapId)));
+    if (mapId === currentMap) handleSelectMap(DEFAULT_MAP_ID);
+  };
+
+  const sync = useSync({
+    api: syncApi,
+    storage,
+    map: syncMap,
+    mapList,
+    beforeSync: flushSave,
+    onPatch: handleRemotePatch,
+    onMapListChange: handleRemoteMapChange,
+  });
+
+  // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) — text fields keep their native undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target?.closest?.("input, textarea, select, [contenteditable='true']")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoHistory.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        undoHistory.redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undoHistory]);
+
+  // ---------------- Marker handlers ----------------
+  // duplicate detection (approx distance in meters) through a grid index over the current markers;
+  // `ignoreId` leaves out the marker being moved
+  const markerIndex = useMemo(() => createSpatialIndex(markers), [markers]);
+  const isDuplicate = (lat, lng, { thresholdMeters = 5, ignoreId = null } = {}) =>
+    markerIndex.hasWithin(lat, lng, thresholdMeters, ignoreId == null ? undefined : (m) => m.id !== ignoreId);
+
+  // `fields` pre-fills title/description (e.g. from a geocoded address); returns the new marker or null
+  const handleAddMarker = (latlng, fields = {}) => {
     const lat = Number(latlng.lat);
     const lng = Number(latlng.lng);
-    if (!isFinite(lat) || !isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    if (!isValidLatLng(lat, lng)) {
       alert("Invalid latitude/longitude.");
-      return;
+      return null;
     }
     if (isDuplicate(lat, lng)) {
       alert("Duplicate marker detected — marker not added.");
-      return;
+      return null;
     }
-    const newMarker = {
-      id: Date.now(),
+    const newMarker = stampMarker({
+      id: newMarkerId(),
       position: [lat, lng],
-      title: "New Marker",
-      description: "",
-      category: "General",
-      image: null,
-    };
-    setMarkers((prev) => [...prev, newMarker]);
+      title: fields.title || "New Marker",
+      description: fields.description || "",
+      category: defaultCategoryKey(categories),
+      imageId: null,
+    });
+    setMarkers((prev) => [...prev, tagMarker(newMarker)]);
+    return newMarker;
+  };
+
+  // search results / reverse-geocoded points: add the marker and open its editor
+  const handleSavePlace = (latlng, fields) => {
+    const added = handleAddMarker(latlng, fields);
+    if (added) setOpenMarkerId(added.id);
+  };
+
+  // moves a marker (drag or typed coordinates); returns an error message, or null when moved
+  const handleMoveMarker = (id, lat, lng) => {
+    if (!isValidLatLng(lat, lng)) return "Invalid latitude/longitude.";
+    if (isDuplicate(lat, lng, { ignoreId: id })) return "Another marker already exists near this location.";
+    setMarkers((prev) => prev.map((m) => (m.id === id ? tagMarker(touchMarker({ ...m, position: [lat, lng] })) : m)));
+    return null;
+  };
+
+  // ---------------- Category manager ----------------
+  const handleAddCategory = (name) => setCategories((prev) => addCategory(prev, name));
+
+  const handleUpdateCategory = (key, changes) => setCategories((prev) => updateCategory(prev, key, changes));
+
+  // renames/deletes touch categories, markers and shapes together (one undo step)
+  const applyCategoryChange = (next) => {
+    setCategories(next.categories);
+    setMarkers(next.markers);
+    setShapes(next.shapes);
+  };
+
+  const handleRenameCategory = (oldKey, newKey) => {
+    applyCategoryChange(renameCategory({ categories, markers, shapes }, oldKey, newKey));
+    if (selectedCategory === oldKey) setSelectedCategory(newKey);
+  };
+
+  const handleDeleteCategory = (key, reassignTo) => {
+    applyCategoryChange(deleteCategory({ categories, markers, shapes }, key, reassignTo));
+    if (selectedCategory === key) setSelectedCategory("All");
+  };
+
+  // drag & drop: a rejected drop puts the marker back where it was
+  const handleMarkerDragEnd = (m, e) => {
+    const { lat, lng } = e.target.getLatLng();
+    const error = handleMoveMarker(m.id, lat, lng);
+    if (error) {
+      alert(`${error} Marker moved back.`);
+      e.target.setLatLng(m.position);
+    }
   };
 
   const handleTextChange = (id, field, value) => {
-    setMarkers((prev) => prev.map((m) => (m.id === id ? { ...m, [field]: value } : m)));
+    setMarkers((prev) => prev.map((m) => (m.id === id ? touchMarker({ ...m, [field]: value }) : m)));
   };
 
-  const handleImageUpload = (e, id) => {
+  // schema fields from the popup form; null removes the attribute
+  const handleAttributeChange = (id, key, value) => {
+    setMarkers((prev) =>
+      prev.map((m) => {
+        if (m.id !== id) return m;
+        const { [key]: previous, ...rest } = m.attributes || {};
+        return touchMarker({ ...m, attributes: value === null ? rest : { ...rest, [key]: value } });
+      })
+    );
+  };
+
+  // the photo is stored as a blob; the marker only keeps its id
+  const handleImageUpload = async (e, id) => {
     const file = e.target.files[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setMarkers((prev) => prev.map((m) => (m.id === id ? { ...m, image: reader.result } : m)));
-    };
-    reader.readAsDataURL(file);
+    try {
+      const imageId = await storage.putImage(file);
+      setMarkers((prev) => prev.map((m) => (m.id === id ? touchMarker({ ...m, imageId }) : m)));
+      refreshStorageUsage();
+    } catch (err) {
+      reportStorageError(err);
+    }
   };
 
-  const filteredMarkers = markers.filter((m) => {
-    const textMatch =
-      m.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      m.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const categoryMatch = selectedCategory === "All" || m.category === selectedCategory;
-    return textMatch && categoryMatch;
-  });
+  // ---------------- Spatial query (markers inside a drawn shape) ----------------
+  const findShape = (id) => (id ? shapes.find((s) => s.properties?.id === id) || null : null);
+  const selectedShape = findShape(selectedShapeId);
+  const shapeFilter = findShape(shapeFilterId);
+  const editedShape = findShape(editingShape?.id);
+
+  const handleShapeSelected = (id, latlng) => {
+    setSelectedShapeId(id);
+    setEditingShape({ id, latlng });
+  };
+
+  const handleShapeChange = (id, field, value) => {
+    setShapes((prev) =>
+      prev.map((s) => (s.properties?.id === id ? { ...s, properties: { ...s.properties, [field]: value } } : s))
+    );
+  };
+
+  const handleDeleteShape = (id) => {
+    setShapes((prev) => prev.filter((s) => s.properties?.id !== id));
+    setEditingShape(null);
+  };
+
+  const markersInSelectedShape = useMemo(
+    () => (selectedShape ? markers.filter((m) => markerInShape(m.position, selectedShape)) : []),
+    [markers, selectedShape]
+  );
+
+  const zoomToShape = (shape) => {
+    const map = mapRef.current;
+    if (!map || !shape) return;
+    const bounds = L.latLngBounds(shapeBounds(shape));
+    setPrevView({ center: map.getCenter(), zoom: map.getZoom() });
+    map.fitBounds(bounds.pad(0.2));
+    onShapeFocused(bounds);
+  };
+
+  const searchFields = selectedCategory === "All" ? [] : categoryFields(categories, selectedCategory);
+  // a field of a previously selected category falls back to searching everything
+  const effectiveSearchScope = searchScope === "text" || searchFields.some((f) => f.key === searchScope) ? searchScope : "all";
+
+  const queryMatch = useMemo(() => compileQuery(filterQuery, { markers, shapes, categories }), [filterQuery, markers, shapes, categories]);
+
+  const filteredMarkers = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    // selectedArea is "<adminField>:<name>", e.g. "division:EMBAKASI"
+    const [areaField, areaName] = selectedArea.split(":");
+    return markers.filter((m) => {
+      const textMatch = markerMatchesSearch(m, term, effectiveSearchScope, categoryFields(categories, m.category));
+      const categoryMatch = selectedCategory === "All" || m.category === selectedCategory;
+      const areaMatch = selectedArea === "All" || m[areaField] === areaName;
+      const shapeMatch = !shapeFilter || markerInShape(m.position, shapeFilter);
+      const timeMatch = !timeWindow || markerActiveIn(m, timeWindow);
+      return textMatch && categoryMatch && areaMatch && shapeMatch && timeMatch && (!queryMatch || queryMatch(m));
+    });
+  }, [markers, categories, searchTerm, effectiveSearchScope, selectedCategory, selectedArea, shapeFilter, timeWindow, queryMatch]);
+
+  const isFiltered = filteredMarkers.length !== markers.length;
+
+  // saving under an existing name replaces that filter
+  const handleSaveFilter = (name) => {
+    setSavedFilters((prev) => {
+      const existing = prev.find((f) => f.name.toLowerCase() === name.toLowerCase());
+      const filter = { id: existing?.id || newFilterId(), name, query: filterQuery };
+      return existing ? prev.map((f) => (f.id === existing.id ? filter : f)) : [...prev, filter];
+    });
+  };
+
+  const handleLoadFilter = (id) => {
+    const filter = savedFilters.find((f) => f.id === id);
+    if (filter) setFilterQuery(filter.query);
+  };
+
+  const handleDeleteFilter = (id) => setSavedFilters((prev) => prev.filter((f) => f.id !== id));
+
+  const markerTimeExtent = useMemo(() => timeExtent(markers), [markers]);
+
+  // ---------------- Density (heatmap + hex/square bins) from the filtered markers ----------------
+  const densityHeatPoints = useMemo(
+    () => heatPoints(filteredMarkers, (m) => density.weights[m.category] ?? 1),
+    [filteredMarkers, density.weights]
+  );
+  const densityBins = useMemo(
+    () => binMarkers(filteredMarkers, { shape: density.shape, cellSize: density.cellSize, weightFor: (m) => density.weights[m.category] ?? 1 }),
+    [filteredMarkers, density.shape, density.cellSize, density.weights]
+  );
+
+  const openMarker = openMarkerId != null ? markers.find((m) => m.id === openMarkerId) || null : null;
+
+  // ---------------- Proximity (buffers + nearest markers) ----------------
+  const nearestResults = useMemo(() => {
+    const { origin, category, count } = nearestQuery;
+    if (!origin) return [];
+    const candidates = category === "All" ? markers : markers.filter((m) => m.category === category);
+    return nearestMarkers(candidates, origin[0], origin[1], count);
+  }, [markers, nearestQuery]);
+
+  // buffers are ordinary shapes; selecting one lists the markers inside it (ShapeQueryPanel)
+  const handleCreateBuffer = (shape) => {
+    setShapes((prev) => [...prev, shape]);
+    setSelectedShapeId(shape.properties.id);
+    zoomToShape(shape);
+  };
+
+  const flyToMarker = (m) => {
+    mapRef.current?.flyTo(m.position, Math.max(mapRef.current.getZoom(), 18));
+    setOpenMarkerId(m.id);
+  };
+
+  // a kept measurement becomes an ordinary saved shape
+  const handleKeepMeasurement = (shape) => {
+    setShapes((prev) => [...prev, shape]);
+    setSelectedShapeId(shape.properties.id);
+  };
+
+  // routes are saved as LineString shapes carrying properties.route
+  const handleSaveRoute = (shape) => {
+    setShapes((prev) => [...prev, shape]);
+    zoomToShape(shape);
+  };
+
+  // current view for the offline download panel
+  const getMapView = () => {
+    const map = mapRef.current;
+    const b = map.getBounds();
+    return { bounds: [[b.getSouth(), b.getWest()], [b.getNorth(), b.getEast()]], zoom: map.getZoom() };
+  };
+
+  const closeProximity = () => {
+    setShowProximity(false);
+    setPickingPoint(false);
+    setNearestQuery((prev) => ({ ...prev, origin: null }));
+  };
 
   // ---------------- Reporting Utilities ----------------
   const markersToCSVString = (markersArr) => {
-    const headers = ["Title", "Description", "Latitude", "Longitude", "Category"];
+    // schema fields of the exported categories come first (even when empty), then other custom attributes
+    const usedCategories = new Set(markersArr.map((m) => m.category));
+    const schemaFields = categories.filter((c) => usedCategories.has(c.key)).flatMap((c) => c.fields || []);
+    const fieldFor = (k) => schemaFields.find((f) => f.key === k);
+    const attrKeys = [...new Set([...schemaFields.map((f) => f.key), ...markersArr.flatMap((m) => Object.keys(m.attributes || {}))])];
+    const quote = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+    const headers = ["Title", "Description", "Latitude", "Longitude", "Category", ...TIME_FIELDS.map((f) => f.label), ...ADMIN_FIELDS.map((f) => f.label), ...attrKeys.map(quote)];
     const rows = markersArr.map((m) => [
-      `"${(m.title || "").replace(/"/g, '""')}"`,
-      `"${(m.description || "").replace(/"/g, '""')}"`,
+      quote(m.title),
+      quote(m.description),
       m.position[0],
       m.position[1],
       m.category || "",
+      ...TIME_FIELDS.map((f) => m[f.key] || ""),
+      ...ADMIN_FIELDS.map((f) => quote(m[f.key])),
+      ...attrKeys.map((k) => quote(formatFieldValue(fieldFor(k), m.attributes?.[k]))),
     ]);
     return [headers.join(","), ...rows.map((r) => r.join(","))].join("\n");
   };
 
-  const exportCSV = () => {
-    const csv = markersToCSVString(markers);
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+  const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `${savedMaps[currentMap]?.name || "map"}_markers.csv`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  const downloadCSV = (markersArr, suffix = "markers") => {
+    const csv = markersToCSVString(markersArr);
+    downloadFile(csv, `${savedMaps[currentMap]?.name || "map"}_${suffix}.csv`, "text/csv;charset=utf-8;");
+  };
+
+  // exports follow the filters, like the map and the Dashboard
+  const exportCSV = () => downloadCSV(filteredMarkers, isFiltered ? "filtered_markers" : "markers");
+
+  const exportDensityBins = () => {
+    const name = savedMaps[currentMap]?.name || "map";
+    const fc = { ...densityBins, name: `${name} – ${density.shape} bins (${density.cellSize} m)` };
+    downloadFile(JSON.stringify(fc, null, 2), `${name}_density.geojson`, "application/geo+json");
+  };
+
+  const exportGeoJSON = async () => {
+    const name = savedMaps[currentMap]?.name || "map";
+    const exported = includeImagesInGeoJSON ? await inlineMarkerImages(storage, markers) : markers;
+    const fc = mapToFeatureCollection({ name, markers: exported, shapes, categories }, { includeImages: includeImagesInGeoJSON });
+    downloadFile(JSON.stringify(fc, null, 2), `${name}.geojson`, "application/geo+json");
+  };
+
+  const exportKML = () => {
+    const name = savedMaps[currentMap]?.name || "map";
+    const kml = toKML({ name, markers, shapes }, { categories });
+    downloadFile(kml, `${name}.kml`, "application/vnd.google-earth.kml+xml");
+  };
+
+  const exportGPX = () => {
+    const name = savedMaps[currentMap]?.name || "map";
+    downloadFile(toGPX({ name, markers, shapes }), `${name}.gpx`, "application/gpx+xml");
+  };
+
   const exportMapSnapshot = async () => {
     try {
       const mapDom = document.querySelector(".leaflet-container");
@@ -414,7 +1002,18 @@ const Map = () => {
       pdf.text(`Map: ${mapName}`, margin, y);
       y += 14;
       pdf.text(`Exported: ${new Date().toLocaleString()}`, margin, y);
-      y += 18;
+      y += 14;
+      if (isFiltered) {
+        pdf.text(`Markers shown: ${filteredMarkers.length} of ${markers.length} (filtered)`, margin, y);
+        y += 14;
+        const conditions = describeQuery(filterQuery, { markers, shapes, categories });
+        if (conditions) {
+          const lines = pdf.splitTextToSize(`Filter: ${conditions}`, pageWidth - margin * 2);
+          pdf.text(lines, margin, y);
+          y += 12 * lines.length;
+        }
+      }
+      y += 4;
 
       const mapDom = document.querySelector(".leaflet-container");
       if (!mapDom) {
@@ -469,10 +1068,10 @@ const Map = () => {
       }
 
       // Summary
-      const totalMarkers = markers.length;
+      const totalMarkers = filteredMarkers.length;
       const totalShapes = shapes.length;
-      const catCounts = CATEGORIES.reduce((acc, c) => {
-        acc[c.key] = markers.filter((m) => m.category === c.key).length;
+      const catCounts = categories.reduce((acc, c) => {
+        acc[c.key] = filteredMarkers.filter((m) => m.category === c.key).length;
         return acc;
       }, {});
 
@@ -481,6 +1080,26 @@ const Map = () => {
       y += 14;
       pdf.text(`Total Shapes: ${totalShapes}`, margin, y);
       y += 14;
+      const shapeTotals = totalMeasurements(shapes);
+      if (shapeTotals.area) {
+        pdf.text(`Total Shape Area: ${formatArea(shapeTotals.area)}`, margin, y);
+        y += 14;
+        pdf.text(`Total Perimeter: ${formatLength(shapeTotals.perimeter)}`, margin, y);
+        y += 14;
+      }
+      if (shapeTotals.length) {
+        pdf.text(`Total Line Length: ${formatLength(shapeTotals.length)}`, margin, y);
+        y += 14;
+      }
+      const shapeCatCounts = shapes.reduce((acc, s) => {
+        const cat = s.properties?.category || defaultCategoryKey(categories);
+        acc[cat] = (acc[cat] || 0) + 1;
+        return acc;
+      }, {});
+      Object.keys(shapeCatCounts).forEach((cat) => {
+        pdf.text(`  Shapes – ${cat}: ${shapeCatCounts[cat]}`, margin, y);
+        y += 14;
+      });
       Object.keys(catCounts).forEach((cat) => {
         pdf.text(`${cat}: ${catCounts[cat]}`, margin, y);
         y += 14;
@@ -490,13 +1109,14 @@ const Map = () => {
 
       // Include CSV as table if requested
       if (includeCSVinPDF) {
-        const tableColumns = ["Title", "Description", "Latitude", "Longitude", "Category"];
-        const tableRows = markers.map((m) => [
+        const tableColumns = ["Title", "Description", "Latitude", "Longitude", "Category", ...ADMIN_FIELDS.map((f) => f.label)];
+        const tableRows = filteredMarkers.map((m) => [
           (m.title || "").toString().slice(0, 50),
           (m.description || "").toString().slice(0, 80),
           m.position?.[0] ?? "",
           m.position?.[1] ?? "",
           (m.category || "").toString(),
+          ...ADMIN_FIELDS.map((f) => (m[f.key] || "").toString()),
         ]);
         try {
           pdf.autoTable({
@@ -511,6 +1131,31 @@ const Map = () => {
           console.error("AutoTable failed", err);
           alert("CSV could not be included in the PDF. Try again.");
         }
+
+        if (shapes.length) {
+          try {
+            pdf.autoTable({
+              head: [["Shape", "Type", "Category", "Description", "Area", "Perimeter / Length"]],
+              body: shapes.map((s) => {
+                const m = s.properties?.measurements || {};
+                return [
+                  (s.properties?.name || "").toString().slice(0, 50),
+                  shapeTypeLabel(s),
+                  (s.properties?.category || "").toString(),
+                  (s.properties?.description || "").toString().slice(0, 80),
+                  formatArea(m.area),
+                  formatLength(m.perimeter ?? m.length),
+                ];
+              }),
+              startY: (pdf.lastAutoTable?.finalY || y) + 16,
+              margin: { left: margin, right: margin },
+              styles: { fontSize: 8, cellWidth: "wrap" },
+              headStyles: { fillColor: [230, 126, 34] },
+            });
+          } catch (err) {
+            console.error("AutoTable (shapes) failed", err);
+          }
+        }
       }
 
       pdf.save(`${mapName}_report.pdf`);
@@ -520,130 +1165,151 @@ const Map = () => {
     }
   };
 
-  // ---------------- CSV IMPORT with validation ----------------
-  const handleImportClick = () => {
-    if (fileInputRef.current) fileInputRef.current.click();
-  };
-
-  const parseCSV = (text) => {
-    // Basic CSV parse — split lines, handle quoted values simply
-    const lines = text.split(/\r?\n/).filter((l) => l.trim().length > 0);
-    if (lines.length === 0) return { headers: [], rows: [] };
-    const headers = lines[0].split(",").map((h) => h.trim().replace(/^"|"$/g, ""));
-    const rows = lines.slice(1).map((ln) => {
-      // naive CSV splitting that supports quoted commas
-      const values = [];
-      let cur = "";
-      let inQuotes = false;
-      for (let i = 0; i < ln.length; i++) {
-        const ch = ln[i];
-        if (ch === '"' && ln[i + 1] === '"') {
-          cur += '"';
-          i++;
-          continue;
-        } else if (ch === '"') {
-          inQuotes = !inQuotes;
-          continue;
-        } else if (ch === "," && !inQuotes) {
-          values.push(cur);
-          cur = "";
-        } else {
-          cur += ch;
-        }
-      }
-      values.push(cur);
-      return values.map((v) => v.trim());
+  // ---------------- CSV IMPORT (wizard) ----------------
+  // the wizard validates rows and checks duplicates against current + already accepted markers
+  // imported attribute values are strings (CSV) or loosely typed (GeoJSON): type them by the category schema
+  const typeAttributes = (m, list = categories) => (m.attributes ? { ...m, attributes: coerceAttributes(categoryFields(list, m.category), m.attributes) } : m);
+
+  const handleCsvImport = (newMarkers) => {
+    const now = new Date();
+    setMarkers((prev) => [...prev, ...newMarkers.map((m) => tagMarker(stampMarker(typeAttributes(m), now)))]);
+  };
+
+  // ---------------- Map import (merge into / replace the current map) ----------------
+  // markers/shapes are already validated; duplicates are checked by the parser via isDuplicate
+  const applyMapImport = (imported, mode) => {
+    const existingShapeIds = new Set(mode === "replace" ? [] : shapes.map((s) => s.properties?.id));
+    const newShapes = normalizeShapes(imported.shapes).map((s) =>
+      existingShapeIds.has(s.properties.id) ? { ...s, properties: { ...s.properties, id: newShapeId() } } : s
+    );
+    // category definitions exported with the file keep their colours, icons and fields
+    const nextCategories = mergeCategories(categories, imported.categories);
+    const now = new Date();
+    const newMarkers = imported.markers.map((m) => tagMarker(stampMarker(typeAttributes(m, nextCategories), now)));
+    setCategories(nextCategories);
+    if (mode === "replace") {
+      setMarkers(newMarkers);
+      setShapes(newShapes);
+    } else {
+      setMarkers((prev) => [...prev, ...newMarkers]);
+      setShapes((prev) => [...prev, ...newShapes]);
+    }
+  };
+
+  const handleGeoJSONImportClick = () => {
+    if (geojsonInputRef.current) geojsonInputRef.current.click();
+  };
+
+  // validate + dedupe a (GeoJSON-shaped) document, apply it and report like the CSV importer
+  const importFeatureCollection = async (json, mode) => {
+    const result = parseMapGeoJSON(json, {
+      defaultCategory: defaultCategoryKey(categories),
+      isDuplicate: createDuplicateChecker(mode === "replace" ? createSpatialIndex() : markerIndex),
     });
-    return { headers, rows };
+    // embedded photos go to storage as blobs
+    applyMapImport({ ...result, markers: await storeMarkerImages(storage, result.markers) }, mode);
+
+    let msg = `Import complete. ${result.markers.length} markers and ${result.shapes.length} shapes added.`;
+    if (result.errors.length) {
+      msg += `\nWarnings:\n${result.errors.slice(0, 20).join("\n")}`;
+    }
+    alert(msg);
   };
 
-  const onFileSelected = (e) => {
+  const confirmReplace = (mode) =>
+    mode !== "replace" || window.confirm("Replace all markers and shapes in this map with the imported file?");
+
+  const onGeoJSONSelected = (e) => {
     const f = e.target.files?.[0];
     if (!f) return;
+    const mode = importMode;
     const reader = new FileReader();
-    reader.onload = (ev) => {
+    reader.onload = async (ev) => {
       try {
-        const text = ev.target.result;
-        const { headers, rows } = parseCSV(text);
-
-        // map header indices
-        const idx = {
-          title: headers.findIndex((h) => /^title$/i.test(h)),
-          desc: headers.findIndex((h) => /^(description|desc)$/i.test(h)),
-          lat: headers.findIndex((h) => /^(latitude|lat)$/i.test(h)),
-          lng: headers.findIndex((h) => /^(longitude|lon|lng|long)$/i.test(h)),
-          cat: headers.findIndex((h) => /^(category|cat)$/i.test(h)),
-        };
-
-        // required: lat & lng
-        if (idx.lat === -1 || idx.lng === -1) {
-          alert("CSV must include 'Latitude' and 'Longitude' columns.");
-          return;
-        }
-
-        let imported = 0;
-        const errors = [];
-        const newMarkers = [];
-
-        rows.forEach((r, i) => {
-          try {
-            const title = idx.title !== -1 ? (r[idx.title] || "") : "";
-            const desc = idx.desc !== -1 ? (r[idx.desc] || "") : "";
-            const latRaw = r[idx.lat];
-            const lngRaw = r[idx.lng];
-            const cat = idx.cat !== -1 ? (r[idx.cat] || "General") : "General";
-
-            if (!latRaw || !lngRaw) {
-              errors.push(`Row ${i + 2}: missing coordinates`);
-              return;
-            }
-            const lat = Number(latRaw);
-            const lng = Number(lngRaw);
-            if (!isFinite(lat) || !isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-              errors.push(`Row ${i + 2}: invalid lat/lng (${latRaw}, ${lngRaw})`);
-              return;
-            }
-
-            if (isDuplicate(lat, lng)) {
-              errors.push(`Row ${i + 2}: duplicate marker skipped`);
-              return;
-            }
-
-            const nm = {
-              id: Date.now() + i,
-              position: [lat, lng],
-              title: title || "Imported Marker",
-              description: desc || "",
-              category: CATEGORIES.some((c) => c.key === cat) ? cat : "General",
-              image: null,
-            };
-            newMarkers.push(nm);
-            imported++;
-          } catch (errRow) {
-            errors.push(`Row ${i + 2}: parse error`);
-          }
-        });
-
-        if (newMarkers.length) {
-          setMarkers((prev) => [...prev, ...newMarkers]);
-        }
-
-        let msg = `Import complete. ${imported} markers added.`;
-        if (errors.length) {
-          msg += `\nWarnings:\n${errors.slice(0, 20).join("\n")}`;
-        }
-        alert(msg);
+        if (!confirmReplace(mode)) return;
+        await importFeatureCollection(JSON.parse(ev.target.result), mode);
       } catch (err) {
-        console.error("CSV parse error", err);
-        alert("Failed to parse CSV.");
+        console.error("GeoJSON import error", err);
+        alert(`Failed to import GeoJSON: ${err.message}`);
       } finally {
-        // reset file input
         e.target.value = "";
       }
     };
     reader.readAsText(f);
   };
 
+  // KML / KMZ / GPX, parsed entirely in the browser
+  const onGPSFileSelected = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    const mode = importMode;
+    try {
+      if (!confirmReplace(mode)) return;
+      const ext = f.name.split(".").pop().toLowerCase();
+      let fc;
+      if (ext === "kmz") {
+        fc = parseKML(await readKmzText(f), categories);
+      } else if (ext === "kml") {
+        fc = parseKML(await f.text(), categories);
+      } else if (ext === "gpx") {
+        fc = parseGPX(await f.text());
+      } else {
+        throw new Error("Unsupported file type (expected .kml, .kmz or .gpx).");
+      }
+      await importFeatureCollection(fc, mode);
+    } catch (err) {
+      console.error("KML/GPX import error", err);
+      alert(`Failed to import ${f.name}: ${err.message}`);
+    } finally {
+      e.target.value = "";
+    }
+  };
+
+  // ---------------- Shareable URL (view, map, layers, filters; url/urlState.js) ----------------
+  // back / forward: the map switch (if any) is async, so the map's own filters go along with it
+  const restoreUrlState = (restored) => {
+    const view = restored.view || DEFAULT_VIEW;
+    mapRef.current?.setView(view.center, view.zoom, { animate: false });
+    setBaseLayer(restored.base || BASE_LAYERS[0].key);
+    setOverlays(restored.overlays || []);
+    setSearchTerm(restored.q);
+    setSelectedArea(restored.area || "All");
+    const mapId = restored.map && savedMaps[restored.map] ? restored.map : DEFAULT_MAP_ID;
+    if (mapId !== currentMap) {
+      handleSelectMap(mapId, restored);
+    } else {
+      setSelectedCategory(restored.category && categories.some((c) => c.key === restored.category) ? restored.category : "All");
+      setSelectedShapeId(findShape(restored.shape) ? restored.shape : null);
+      setShapeFilterId(findShape(restored.within) ? restored.within : null);
+      setFilterQuery(savedFilters.find((f) => f.id === restored.filter)?.query || EMPTY_QUERY);
+    }
+  };
+
+  // the saved filter whose conditions are applied, if they weren't changed since
+  const appliedFilterId = useMemo(() => {
+    if (!filterQuery.clauses.length) return null;
+    return savedFilters.find((f) => JSON.stringify(f.query) === JSON.stringify(filterQuery))?.id || null;
+  }, [savedFilters, filterQuery]);
+
+  const urlState = useUrlState({
+    state: {
+      map: currentMap,
+      base: baseLayer,
+      overlays,
+      q: searchTerm,
+      category: selectedCategory,
+      shape: selectedShapeId,
+      area: selectedArea,
+      filter: appliedFilterId,
+      within: findShape(shapeFilterId) ? shapeFilterId : null,
+    },
+    initialView: initialUrlState.view || DEFAULT_VIEW,
+    defaults: URL_DEFAULTS,
+    options: URL_OPTIONS,
+    ready: loadedMap === currentMap,
+    onRestore: restoreUrlState,
+  });
+
   // ---------------- Shape focus / reset view ----------------
   const onShapeFocused = (bounds) => {
     setFocusedShapeBounds(bounds);
@@ -695,6 +1361,7 @@ const Map = () => {
         <select
           value={currentMap}
           onChange={(e) => handleSelectMap(e.target.value)}
+          disabled={loadedMap !== currentMap}
           style={{ width: "100%", padding: "6px", border: "1px solid #ccc", borderRadius: "4px", marginBottom: "6px" }}
         >
           {Object.keys(savedMaps).map((mapKey) => (
@@ -726,6 +1393,56 @@ const Map = () => {
             🗑️
           </button>
         </div>
+
+        <SyncStatus sync={sync} onShowConflicts={() => setShowConflicts(true)} />
+
+        <div style={{ display: "flex", gap: "6px", marginTop: "6px" }}>
+          <button
+            onClick={undoHistory.undo}
+            disabled={!undoHistory.canUndo}
+            title="Undo (Ctrl+Z)"
+            style={{ flex: 1, background: "#f0f0f0", border: "1px solid #ccc", padding: "4px", borderRadius: "4px", cursor: undoHistory.canUndo ? "pointer" : "default", opacity: undoHistory.canUndo ? 1 : 0.5 }}
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={undoHistory.redo}
+            disabled={!undoHistory.canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            style={{ flex: 1, background: "#f0f0f0", border: "1px solid #ccc", padding: "4px", borderRadius: "4px", cursor: undoHistory.canRedo ? "pointer" : "default", opacity: undoHistory.canRedo ? 1 : 0.5 }}
+          >
+            ↷ Redo
+          </button>
+        </div>
+
+        <button
+          onClick={() => setShowCategoryManager(true)}
+          style={{ width: "100%", marginTop: "6px", background: "#f0f0f0", border: "1px solid #ccc", padding: "4px", borderRadius: "4px", cursor: "pointer" }}
+        >
+          🏷️ Categories ({categories.length})
+        </button>
+
+        <div style={{ marginTop: "6px", fontSize: "11px", color: "#555" }} title="Space used by this site in the browser (maps, photos and offline tiles)">
+          {loadedMap !== currentMap ? (
+            "Loading map…"
+          ) : storageUsage?.quota ? (
+            <>
+              💽 {formatBytes(storageUsage.usage)} of {formatBytes(storageUsage.quota)} used
+              <div style={{ height: 4, background: "#eee", borderRadius: 2, marginTop: 2, overflow: "hidden" }}>
+                <div
+                  style={{
+                    width: `${Math.min(100, (100 * storageUsage.usage) / storageUsage.quota)}%`,
+                    height: "100%",
+                    background: storageUsage.usage / storageUsage.quota > 0.9 ? "#e74c3c" : "#27ae60",
+                  }}
+                />
+              </div>
+            </>
+          ) : (
+            "💽 Saved in this browser"
+          )}
+          {storageError && <div style={{ color: "#c0392b", marginTop: 2 }}>⚠️ {storageError}</div>}
+        </div>
       </div>
 
       {/* Report Panel (with import button & hidden file input) */}
@@ -773,16 +1490,61 @@ const Map = () => {
               Export CSV
             </button>
 
-            <button onClick={handleImportClick} style={{ padding: "8px", borderRadius: 6, border: "none", background: "#6c5ce7", color: "white", cursor: "pointer" }}>
+            <button onClick={() => setShowCsvWizard(true)} style={{ padding: "8px", borderRadius: 6, border: "none", background: "#6c5ce7", color: "white", cursor: "pointer" }}>
               Import CSV
             </button>
 
+            <button onClick={exportGeoJSON} style={{ padding: "8px", borderRadius: 6, border: "none", background: "#16a085", color: "white", cursor: "pointer" }}>
+              Export GeoJSON (markers + shapes)
+            </button>
+
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <input type="checkbox" checked={includeImagesInGeoJSON} onChange={(e) => setIncludeImagesInGeoJSON(e.target.checked)} />
+              <span style={{ fontSize: 13 }}>Include images in GeoJSON</span>
+            </label>
+
+            <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <button onClick={handleGeoJSONImportClick} style={{ flex: 1, padding: "8px", borderRadius: 6, border: "none", background: "#8e44ad", color: "white", cursor: "pointer" }}>
+                Import GeoJSON
+              </button>
+              <select value={importMode} onChange={(e) => setImportMode(e.target.value)} style={{ padding: "6px", border: "1px solid #ccc", borderRadius: "4px" }} title="Import mode">
+                <option value="merge">Merge</option>
+                <option value="replace">Replace</option>
+              </select>
+            </div>
+
+            <button onClick={() => gpsInputRef.current?.click()} style={{ padding: "8px", borderRadius: 6, border: "none", background: "#d35400", color: "white", cursor: "pointer" }}>
+              Import KML / KMZ / GPX
+            </button>
+
+            <div style={{ display: "flex", gap: 6 }}>
+              <button
+                onClick={exportKML}
+                title="Markers get a pin in their category colour; category icons are not included"
+                style={{ flex: 1, padding: "8px", borderRadius: 6, border: "none", background: "#2c3e50", color: "white", cursor: "pointer" }}
+              >
+                Export KML
+              </button>
+              <button onClick={exportGPX} style={{ flex: 1, padding: "8px", borderRadius: 6, border: "none", background: "#7f8c8d", color: "white", cursor: "pointer" }}>
+                Export GPX
+              </button>
+            </div>
+            <div style={{ fontSize: "11px", color: "#777", marginTop: "-4px" }}>KML pins are tinted with the category colour, without the category icon.</div>
+
             <input
-              ref={fileInputRef}
+              ref={gpsInputRef}
               type="file"
-              accept=".csv,text/csv"
+              accept=".kml,.kmz,.gpx,application/vnd.google-earth.kml+xml,application/vnd.google-earth.kmz,application/gpx+xml"
               style={{ display: "none" }}
-              onChange={onFileSelected}
+              onChange={onGPSFileSelected}
+            />
+
+            <input
+              ref={geojsonInputRef}
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              style={{ display: "none" }}
+              onChange={onGeoJSONSelected}
             />
 
             <button onClick={exportMapSnapshot} style={{ padding: "8px", borderRadius: 6, border: "none", background: "#2ecc71", color: "white", cursor: "pointer" }}>
@@ -830,7 +1592,9 @@ const Map = () => {
             padding: "10px 12px",
             borderRadius: "8px",
             boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
-            width: "220px",
+            width: showFilterBuilder ? "280px" : "220px",
+            maxHeight: "calc(100vh - 290px)",
+            overflowY: "auto",
           }}
         >
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
@@ -850,27 +1614,273 @@ const Map = () => {
 
           <select value={selectedCategory} onChange={(e) => setSelectedCategory(e.target.value)} style={{ width: "100%", padding: "6px", border: "1px solid #ccc", borderRadius: "4px", marginBottom: "6px" }}>
             <option value="All">All Categories</option>
-            {CATEGORIES.map((c) => (
+            {categories.map((c) => (
               <option key={c.key} value={c.key}>
                 {c.key}
               </option>
             ))}
           </select>
 
+          <select value={effectiveSearchScope} onChange={(e) => setSearchScope(e.target.value)} style={{ width: "100%", padding: "6px", border: "1px solid #ccc", borderRadius: "4px", marginBottom: "6px" }} title="What the search text is matched against">
+            <option value="all">Search in: everything</option>
+            <option value="text">Search in: title & description</option>
+            {searchFields.map((f) => (
+              <option key={f.key} value={f.key}>
+                Search in: {f.label}
+              </option>
+            ))}
+          </select>
+
+          <select value={selectedArea} onChange={(e) => setSelectedArea(e.target.value)} style={{ width: "100%", padding: "6px", border: "1px solid #ccc", borderRadius: "4px", marginBottom: "6px" }}>
+            <option value="All">All Areas</option>
+            {adminAreas.map((level) => (
+              <optgroup key={level.key} label={level.label}>
+                {level.values.map((name) => (
+                  <option key={name} value={`${level.key}:${name}`}>
+                    {name} {level.label.toLowerCase()}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+
+          <button
+            onClick={() => setShowFilterBuilder(!showFilterBuilder)}
+            style={{ width: "100%", background: showFilterBuilder ? "#eef5fb" : "#f0f0f0", border: "1px solid #ddd", padding: "5px", borderRadius: "4px", cursor: "pointer", marginBottom: "6px" }}
+          >
+            ⚙️ Conditions ({filterQuery.clauses.length}) {showFilterBuilder ? "▲" : "▼"}
+          </button>
+
+          {showFilterBuilder && (
+            <FilterBuilder
+              query={filterQuery}
+              onChange={setFilterQuery}
+              markers={markers}
+              shapes={shapes}
+              categories={categories}
+              adminAreas={adminAreas}
+              savedFilters={savedFilters}
+              onSaveFilter={handleSaveFilter}
+              onLoadFilter={handleLoadFilter}
+              onDeleteFilter={handleDeleteFilter}
+            />
+          )}
+
+          <p style={{ margin: "6px 0", fontSize: "12px", color: isFiltered ? "#2c3e50" : "#777" }}>
+            <strong>{filteredMarkers.length}</strong> of {markers.length} markers match
+          </p>
+
           <button
             onClick={() => {
               setSearchTerm("");
               setSelectedCategory("All");
+              setSelectedArea("All");
+              setShapeFilterId(null);
+              setFilterQuery(EMPTY_QUERY);
             }}
             style={{ width: "100%", background: "#f0f0f0", border: "none", padding: "6px", borderRadius: "4px", cursor: "pointer" }}
           >
             Clear Filters
           </button>
+
+          {shapeFilter && (
+            <p style={{ margin: "6px 0 0", fontSize: "12px", color: "#555" }}>
+              🔷 Showing only markers inside the selected shape
+            </p>
+          )}
         </div>
       )}
 
+      {/* CSV import wizard */}
+      {showCsvWizard && (
+        <CsvImportWizard
+          defaultCategory={defaultCategoryKey(categories)}
+          isDuplicate={createDuplicateChecker(markerIndex)}
+          onImport={handleCsvImport}
+          onClose={() => setShowCsvWizard(false)}
+        />
+      )}
+
+      {/* Sync conflicts */}
+      {showConflicts && (
+        <ConflictDialog conflicts={sync.conflicts} onResolve={(c, choice) => sync.resolve(c.mapId, c.id, choice)} onClose={() => setShowConflicts(false)} />
+      )}
+
+      {/* Category manager */}
+      {showCategoryManager && (
+        <CategoryManager
+          categories={categories}
+          usage={categoryUsage(markers, shapes)}
+          onAdd={handleAddCategory}
+          onRename={handleRenameCategory}
+          onUpdate={handleUpdateCategory}
+          onDelete={handleDeleteCategory}
+          onClose={() => setShowCategoryManager(false)}
+        />
+      )}
+
+      {/* Proximity tools (buffers + nearest markers) */}
+      {!showProximity ? (
+        <button
+          onClick={() => setShowProximity(true)}
+          style={{
+            position: "absolute",
+            top: 400,
+            left: 10,
+            zIndex: 1000,
+            background: "white",
+            border: "1px solid #ccc",
+            padding: "6px 8px",
+            borderRadius: "6px",
+            cursor: "pointer",
+          }}
+          title="Buffers & nearest markers"
+        >
+          🎯
+        </button>
+      ) : (
+        <ProximityPanel
+          markers={markers}
+          shapes={shapes}
+          categories={categories}
+          openMarker={openMarker}
+          onCreateBuffer={handleCreateBuffer}
+          nearest={nearestQuery}
+          onNearestChange={setNearestQuery}
+          nearestResults={nearestResults}
+          picking={pickingPoint}
+          onTogglePick={() => {
+            setPickingPoint((p) => !p);
+            setMeasuring(false);
+          }}
+          onResultClick={flyToMarker}
+          onClose={closeProximity}
+        />
+      )}
+
+      {/* Measure mode toggle (the tool itself lives inside the map) */}
+      <button
+        onClick={() => {
+          setMeasuring((m) => !m);
+          setPickingPoint(false);
+        }}
+        style={{
+          position: "absolute",
+          top: 440,
+          left: 10,
+          zIndex: 1000,
+          background: measuring ? "#fdebd0" : "white",
+          border: "1px solid #ccc",
+          padding: "6px 8px",
+          borderRadius: "6px",
+          cursor: "pointer",
+        }}
+        title={measuring ? "Stop measuring" : "Measure distance / area"}
+      >
+        📏
+      </button>
+
+      {/* Routing between markers */}
+      {!showRouting ? (
+        <button
+          onClick={() => setShowRouting(true)}
+          style={{
+            position: "absolute",
+            top: 480,
+            left: 10,
+            zIndex: 1000,
+            background: "white",
+            border: "1px solid #ccc",
+            padding: "6px 8px",
+            borderRadius: "6px",
+            cursor: "pointer",
+          }}
+          title="Route between markers"
+        >
+          🧭
+        </button>
+      ) : (
+        <RoutePanel
+          markers={markers}
+          categories={categories}
+          openMarker={openMarker}
+          defaultCategory={defaultCategoryKey(categories)}
+          onSaveRoute={handleSaveRoute}
+          onClose={() => setShowRouting(false)}
+        />
+      )}
+
+      {/* Offline tile downloads */}
+      {!showOffline ? (
+        <button
+          onClick={() => setShowOffline(true)}
+          style={{
+            position: "absolute",
+            top: 520,
+            left: 10,
+            zIndex: 1000,
+            background: "white",
+            border: "1px solid #ccc",
+            padding: "6px 8px",
+            borderRadius: "6px",
+            cursor: "pointer",
+          }}
+          title="Offline maps"
+        >
+          💾
+        </button>
+      ) : (
+        <OfflinePanel shapes={shapes} getView={getMapView} onZoomTo={(bounds) => mapRef.current?.fitBounds(bounds)} onClose={() => setShowOffline(false)} />
+      )}
+
+      {/* Timeline: filter markers to a time window */}
+      {!showTimeline ? (
+        <button
+          onClick={() => (markerTimeExtent ? setShowTimeline(true) : alert("No marker has a date yet."))}
+          style={{
+            position: "absolute",
+            top: 560,
+            left: 10,
+            zIndex: 1000,
+            background: "white",
+            border: "1px solid #ccc",
+            padding: "6px 8px",
+            borderRadius: "6px",
+            cursor: "pointer",
+          }}
+          title="Timeline / playback"
+        >
+          ⏱
+        </button>
+      ) : (
+        <TimeSlider
+          extent={markerTimeExtent || [Date.now(), Date.now()]}
+          shownCount={filteredMarkers.length}
+          onChange={setTimeWindow}
+          onClose={() => {
+            setShowTimeline(false);
+            setTimeWindow(null);
+          }}
+        />
+      )}
+
+      {/* Spatial query panel for the selected shape */}
+      {selectedShape && (
+        <ShapeQueryPanel
+          shape={selectedShape}
+          markersInside={markersInSelectedShape}
+          categories={categories}
+          isFiltering={shapeFilterId === selectedShapeId}
+          onZoom={() => zoomToShape(selectedShape)}
+          onExportCSV={() => downloadCSV(markersInSelectedShape, "markers_in_shape")}
+          onToggleFilter={() => setShapeFilterId((prev) => (prev === selectedShapeId ? null : selectedShapeId))}
+          onMarkerClick={flyToMarker}
+          onClose={() => setSelectedShapeId(null)}
+        />
+      )}
+
       {/* Dashboard */}
-      <Dashboard markers={markers} shapes={shapes} />
+      <Dashboard markers={filteredMarkers} totalMarkers={markers.length} shapes={shapes} categories={categories} />
 
       {/* Reset view cross when focused */}
       {isViewFocused && (
@@ -896,62 +1906,107 @@ const Map = () => {
 
       {/* Map */}
       <div style={{ height: "750px", width: "100%" }}>
-        <MapContainer center={position} zoom={13} scrollWheelZoom ref={mapRef} style={{ height: "100%", width: "100%" }}>
+        <MapContainer
+          center={(initialUrlState.view || DEFAULT_VIEW).center}
+          zoom={(initialUrlState.view || DEFAULT_VIEW).zoom}
+          scrollWheelZoom
+          ref={mapRef}
+          style={{ height: "100%", width: "100%" }}
+        >
+          <MapStateEvents onViewChange={urlState.onViewChange} onBaseLayerChange={setBaseLayer} onOverlaysChange={setOverlays} />
           <LayersControl position="topright">
-            <LayersControl.BaseLayer checked name="OpenStreetMap">
-              <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-            </LayersControl.BaseLayer>
-
-            <LayersControl.BaseLayer name="Esri Satellite">
-              <LayerGroup>
-                <TileLayer url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}" />
-              </LayerGroup>
-            </LayersControl.BaseLayer>
-
-            <LayersControl.BaseLayer name="Carto Dark">
-              <TileLayer url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png" />
-            </LayersControl.BaseLayer>
+            {BASE_LAYERS.map((l) => (
+              <LayersControl.BaseLayer key={l.key} checked={l.key === baseLayer} name={l.name}>
+                <CachedTileLayer cacheKey={l.key} url={l.url} subdomains={l.subdomains} maxZoom={l.maxZoom} attribution={l.attribution} />
+              </LayersControl.BaseLayer>
+            ))}
+
+            {geodata && (
+              <LayersControl.Overlay name={SUBLOCATIONS_LAYER_NAME} checked={overlays.includes("sublocations")}>
+                <ChoroplethLayer data={geodata} attribute={choroplethAttribute} breaks={choroplethBreaks} interactive={!(pickingPoint || measuring)} />
+              </LayersControl.Overlay>
+            )}
+
+            <LayersControl.Overlay name={HEATMAP_LAYER_NAME} checked={overlays.includes("heatmap")}>
+              <HeatmapLayer points={densityHeatPoints} radius={density.radius} blur={density.blur} max={Math.max(1, ...Object.values(density.weights))} />
+            </LayersControl.Overlay>
+
+            <LayersControl.Overlay name={DENSITY_GRID_LAYER_NAME} checked={overlays.includes("density")}>
+              <DensityGridLayer data={densityBins} interactive={!(pickingPoint || measuring)} />
+            </LayersControl.Overlay>
           </LayersControl>
 
+          <ChoroplethLegend
+            visible={!!geodata && overlays.includes("sublocations")}
+            settings={choropleth}
+            onChange={setChoropleth}
+            breaks={choroplethBreaks}
+            attribute={choroplethAttribute}
+          />
+
+          <DensityPanel
+            heatmapOn={overlays.includes("heatmap")}
+            gridOn={overlays.includes("density")}
+            settings={density}
+            onChange={setDensity}
+            categories={categories}
+            binCount={densityBins.features.length}
+            onExport={exportDensityBins}
+          />
+
           {/* SearchBar container must have class 'search-bar-container' so clicks are detected by AddMarker */}
           <div className="search-bar-container" style={{ position: "absolute", zIndex: 1200 }}>
-            <SearchBar />
+            <SearchBar gazetteer={geodata} onSaveMarker={handleSavePlace} />
           </div>
 
-          <AddMarker onAdd={handleAddMarker} isDuplicate={(lat, lng) => isDuplicate(lat, lng)} />
-          <ShapeDrawer shapesState={shapes} setShapesState={setShapes} onShapeFocused={onShapeFocused} setPrevView={setPrevView} />
-
-          {geodata && <GeoJSON data={geodata} />}
-
-          {shapes.map((s, i) => (
-            <GeoJSON key={i} data={s} />
-          ))}
+          <AddMarker onAdd={handleAddMarker} isDuplicate={(lat, lng) => isDuplicate(lat, lng)} disabled={pickingPoint || measuring} />
+          {pickingPoint && (
+            <PointPicker
+              onPick={(latlng) => {
+                setNearestQuery((prev) => ({ ...prev, origin: [latlng.lat, latlng.lng] }));
+                setPickingPoint(false);
+              }}
+            />
+          )}
+          <NearestLayer origin={nearestQuery.origin} results={nearestResults} />
+          {measuring && <MeasureTool defaultCategory={defaultCategoryKey(categories)} onKeep={handleKeepMeasurement} onExit={() => setMeasuring(false)} />}
+          <ShapeDrawer
+            shapesState={shapes}
+            setShapesState={setShapes}
+            onShapeFocused={onShapeFocused}
+            setPrevView={setPrevView}
+            onShapeSelected={handleShapeSelected}
+            defaultCategory={defaultCategoryKey(categories)}
+          />
 
-          {filteredMarkers.map((m) => (
-            <Marker key={m.id} position={m.position} icon={getCategoryIcon(m.category)}>
-              <Popup>
-                <input type="text" value={m.title} onChange={(e) => handleTextChange(m.id, "title", e.target.value)} style={{ width: "100%", marginBottom: "5px" }} />
-                <textarea value={m.description} onChange={(e) => handleTextChange(m.id, "description", e.target.value)} style={{ width: "100%", height: "50px" }} />
-                <select value={m.category} onChange={(e) => handleTextChange(m.id, "category", e.target.value)} style={{ width: "100%", marginTop: "6px" }}>
-                  {CATEGORIES.map((c) => (
-                    <option key={c.key}>{c.key}</option>
-                  ))}
-                </select>
-                <input type="file" onChange={(e) => handleImageUpload(e, m.id)} style={{ marginTop: 6 }} />
-                {m.image && <img src={m.image} alt="uploaded" style={{ width: "100px", marginTop: 6 }} />}
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    e.preventDefault();
-                    setMarkers((prev) => prev.filter((x) => x.id !== m.id));
-                  }}
-                  style={{ background: "red", color: "white", border: "none", marginTop: "6px", padding: "6px 10px", borderRadius: "4px", cursor: "pointer" }}
-                >
-                  Delete Marker
-                </button>
-              </Popup>
-            </Marker>
-          ))}
+          {editedShape && (
+            <ShapePopup
+              key={editedShape.properties.id}
+              shape={editedShape}
+              position={editingShape.latlng}
+              categories={categories}
+              onChange={handleShapeChange}
+              onDelete={handleDeleteShape}
+              onClose={() => setEditingShape(null)}
+            />
+          )}
+
+          <ClusteredMarkers markers={filteredMarkers} categories={categories} onMarkerClick={(m) => setOpenMarkerId(m.id)} onMarkerDragEnd={handleMarkerDragEnd} />
+
+          {openMarker && (
+            <MarkerPopup
+              marker={openMarker}
+              categories={categories}
+              coordFormat={coordFormat}
+              onFormatChange={setCoordFormat}
+              onChange={handleTextChange}
+              onAttributeChange={handleAttributeChange}
+              onImageUpload={handleImageUpload}
+              onMove={handleMoveMarker}
+              onDelete={(id) => setMarkers((prev) => prev.filter((x) => x.id !== id))}
+              onClose={() => setOpenMarkerId(null)}
+            />
+          )}
         </MapContainer>
       </div>
     </>
@@ -0,0 +1,244 @@
+import React, { useState } from "react";
+import { GLYPHS } from "./glyphs";
+import { categoryIconUrl } from "./categoryIcon";
+import { defaultCategoryKey, validateCategoryName } from "./categories";
+import { FIELD_TYPES, fieldKeyFromLabel, normalizeFields } from "./schema";
+
+const inputStyle = { padding: "4px", border: "1px solid #ccc", borderRadius: "4px" };
+
+// enum options are edited as "a, b, c"
+const parseOptions = (text) => [...new Set(text.split(",").map((o) => o.trim()).filter(Boolean))];
+
+/* ---------------- FieldsEditor ----------------
+   The category's attribute schema. A field's key is fixed when it is added
+   (from its label), so relabelling keeps the values markers already have;
+   removing a field leaves them as plain attributes.
+*/
+const FieldsEditor = ({ fields, onChange }) => {
+  const [label, setLabel] = useState("");
+  const [type, setType] = useState("text");
+  const [error, setError] = useState(null);
+
+  const change = (key, changes) => onChange(normalizeFields(fields.map((f) => (f.key === key ? { ...f, ...changes } : f))));
+
+  const add = () => {
+    const key = fieldKeyFromLabel(label);
+    const err = !key ? "Field name needs a letter or digit." : fields.some((f) => f.key === key) ? `A field "${key}" already exists.` : null;
+    setError(err);
+    if (err) return;
+    onChange(normalizeFields([...fields, { key, label: label.trim(), type, options: [] }]));
+    setLabel("");
+  };
+
+  const small = { ...inputStyle, padding: "2px 4px", fontSize: 12 };
+
+  return (
+    <div style={{ fontSize: 12, marginTop: 4, background: "#f7f9fb", padding: "4px 6px", borderRadius: 4 }}>
+      {fields.map((f) => (
+        <div key={f.key} style={{ display: "flex", flexWrap: "wrap", gap: 4, alignItems: "center", padding: "3px 0", borderBottom: "1px solid #eee" }}>
+          <input defaultValue={f.label} onBlur={(e) => e.target.value.trim() && change(f.key, { label: e.target.value.trim() })} style={{ ...small, width: 110 }} title={`Key: ${f.key}`} />
+          <select value={f.type} onChange={(e) => change(f.key, { type: e.target.value })} style={small}>
+            {FIELD_TYPES.map((t) => (
+              <option key={t.key} value={t.key}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+          <label title="Markers must fill this in">
+            <input type="checkbox" checked={!!f.required} onChange={(e) => change(f.key, { required: e.target.checked })} /> required
+          </label>
+          <button onClick={() => onChange(fields.filter((x) => x.key !== f.key))} style={{ marginLeft: "auto", background: "none", border: "none", cursor: "pointer" }} title="Remove field">
+            ✖
+          </button>
+          {f.type === "enum" && (
+            <input
+              defaultValue={f.options.join(", ")}
+              onBlur={(e) => change(f.key, { options: parseOptions(e.target.value) })}
+              placeholder="Choices, comma separated"
+              style={{ ...small, width: "100%" }}
+            />
+          )}
+          {f.type === "number" && (
+            <>
+              min <input type="number" defaultValue={f.min ?? ""} onBlur={(e) => change(f.key, { min: e.target.value })} style={{ ...small, width: 60 }} />
+              max <input type="number" defaultValue={f.max ?? ""} onBlur={(e) => change(f.key, { max: e.target.value })} style={{ ...small, width: 60 }} />
+            </>
+          )}
+        </div>
+      ))}
+      {!fields.length && <div style={{ color: "#777", padding: "2px 0" }}>No fields yet.</div>}
+      <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+        <input value={label} onChange={(e) => setLabel(e.target.value)} onKeyDown={(e) => e.key === "Enter" && add()} placeholder="New field name" style={{ ...small, flex: 1 }} />
+        <select value={type} onChange={(e) => setType(e.target.value)} style={small}>
+          {FIELD_TYPES.map((t) => (
+            <option key={t.key} value={t.key}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={add} style={{ background: "#3498db", color: "#fff", border: "none", padding: "2px 8px", borderRadius: 4, cursor: "pointer" }}>
+          + Field
+        </button>
+      </div>
+      {error && <div style={{ color: "#c0392b", marginTop: 2 }}>{error}</div>}
+    </div>
+  );
+};
+
+/* ---------------- CategoryRow ----------------
+   Name is committed on blur / Enter so a rename doesn't run for every keystroke.
+*/
+const CategoryRow = ({ category, categories, count, onRename, onUpdate, onDelete }) => {
+  const [name, setName] = useState(category.key);
+  const [error, setError] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [editingFields, setEditingFields] = useState(false);
+  const fields = category.fields || [];
+  const others = categories.filter((c) => c.key !== category.key);
+  const [reassignTo, setReassignTo] = useState(defaultCategoryKey(others));
+
+  const commitName = () => {
+    const trimmed = name.trim();
+    if (trimmed === category.key) {
+      setName(trimmed);
+      setError(null);
+      return;
+    }
+    const err = validateCategoryName(categories, trimmed, category.key);
+    setError(err);
+    if (!err) onRename(category.key, trimmed);
+  };
+
+  return (
+    <div style={{ borderBottom: "1px solid #f0f0f0", padding: "6px 0" }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <img src={categoryIconUrl(category)} alt="" width={15} height={25} />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+        />
+        <input type="color" value={category.color} onChange={(e) => onUpdate(category.key, { color: e.target.value })} title="Colour" />
+        <select value={category.glyph} onChange={(e) => onUpdate(category.key, { glyph: e.target.value })} style={{ ...inputStyle, width: 100 }} title="Icon">
+          <option value="">● Plain</option>
+          {Object.entries(GLYPHS).map(([key, g]) => (
+            <option key={key} value={key}>
+              {g.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setEditingFields(!editingFields)}
+          title="Marker fields"
+          style={{ background: editingFields ? "#eef5fb" : "none", border: "1px solid #ddd", borderRadius: 4, cursor: "pointer", fontSize: 11, padding: "2px 4px", whiteSpace: "nowrap" }}
+        >
+          🧾 {fields.length}
+        </button>
+        <span style={{ fontSize: 12, color: "#777", width: 28, textAlign: "right" }} title="Markers and shapes">
+          {count}
+        </span>
+        <button
+          onClick={() => setDeleting(!deleting)}
+          disabled={!others.length}
+          title={others.length ? "Delete category" : "A map needs at least one category"}
+          style={{ background: "none", border: "none", cursor: others.length ? "pointer" : "default", opacity: others.length ? 1 : 0.4 }}
+        >
+          🗑️
+        </button>
+      </div>
+      {error && <div style={{ color: "#c0392b", fontSize: 12, marginTop: 2 }}>{error}</div>}
+      {editingFields && <FieldsEditor fields={fields} onChange={(next) => onUpdate(category.key, { fields: next })} />}
+      {deleting && (
+        <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, marginTop: 4, background: "#fdf2f2", padding: "4px 6px", borderRadius: 4 }}>
+          {count > 0 ? (
+            <>
+              Move {count} item{count === 1 ? "" : "s"} to
+              <select value={reassignTo} onChange={(e) => setReassignTo(e.target.value)} style={inputStyle}>
+                {others.map((c) => (
+                  <option key={c.key}>{c.key}</option>
+                ))}
+              </select>
+            </>
+          ) : (
+            <span>Not used by any marker or shape.</span>
+          )}
+          <button
+            onClick={() => onDelete(category.key, reassignTo)}
+            style={{ marginLeft: "auto", background: "#e74c3c", color: "white", border: "none", padding: "4px 8px", borderRadius: 4, cursor: "pointer" }}
+          >
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/* ---------------- CategoryManager ----------------
+   Add / rename / recolour / re-icon / delete the current map's categories and
+   edit their marker fields.
+   Deleting a category moves its markers and shapes to another one.
+*/
+const CategoryManager = ({ categories, usage, onAdd, onRename, onUpdate, onDelete, onClose }) => {
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState(null);
+
+  const add = () => {
+    const err = validateCategoryName(categories, newName);
+    setError(err);
+    if (err) return;
+    onAdd(newName.trim());
+    setNewName("");
+  };
+
+  return (
+    <div
+      style={{ position: "fixed", inset: 0, zIndex: 3000, background: "rgba(0,0,0,0.35)", display: "flex", alignItems: "center", justifyContent: "center" }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ background: "white", borderRadius: 8, padding: "14px 16px", width: 500, maxWidth: "95vw", maxHeight: "90vh", overflowY: "auto", textAlign: "left", boxShadow: "0 4px 16px rgba(0,0,0,0.3)" }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h4 style={{ margin: 0, fontSize: "15px" }}>🏷️ Categories</h4>
+          <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+            ❌
+          </button>
+        </div>
+
+        <div style={{ marginTop: 8 }}>
+          {categories.map((c) => (
+            <CategoryRow
+              key={c.key}
+              category={c}
+              categories={categories}
+              count={usage[c.key] || 0}
+              onRename={onRename}
+              onUpdate={onUpdate}
+              onDelete={onDelete}
+            />
+          ))}
+        </div>
+
+        <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && add()}
+            placeholder="New category name"
+            style={{ flex: 1, padding: "6px", border: "1px solid #ccc", borderRadius: "4px" }}
+          />
+          <button onClick={add} style={{ background: "#27ae60", color: "#fff", border: "none", padding: "6px 10px", borderRadius: "4px", cursor: "pointer" }}>
+            + Add
+          </button>
+        </div>
+        {error && <div style={{ color: "#c0392b", fontSize: 12, marginTop: 4 }}>{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,151 @@
+/* ---------------- Categories ----------------
+   Per-map category list: [{ key, color, glyph, fields? }]. `key` is what markers and shapes
+   store in `category`; `glyph` names an entry in ./glyphs ("" = plain pin); `fields` is
+   the marker attribute schema (./schema).
+   Everything that shows categories (filter, popups, Dashboard, PDF, exports) reads this list.
+*/
+import { normalizeFields } from "./schema";
+
+export const DEFAULT_CATEGORIES = [
+  { key: "General", color: "#3388ff", glyph: "" },
+  {
+    key: "Restaurant",
+    color: "#e74c3c",
+    glyph: "utensils",
+    fields: [
+      { key: "cuisine", label: "Cuisine", type: "enum", options: ["Kenyan", "Swahili", "Indian", "Chinese", "Italian", "Ethiopian", "Fast food", "Other"] },
+      { key: "opening_hours", label: "Opening hours", type: "text" },
+      { key: "rating", label: "Rating", type: "number", min: 0, max: 5 },
+    ],
+  },
+  {
+    key: "College",
+    color: "#27ae60",
+    glyph: "graduation",
+    fields: [
+      { key: "enrolment", label: "Enrolment", type: "number", min: 0 },
+      { key: "college_type", label: "Type", type: "enum", options: ["Public", "Private", "TVET", "University"] },
+    ],
+  },
+  { key: "Event", color: "#f1c40f", glyph: "calendar", fields: [{ key: "website", label: "Website", type: "url" }] },
+  {
+    key: "Shop",
+    color: "#9b59b6",
+    glyph: "shopping",
+    fields: [
+      { key: "owner", label: "Owner", type: "text" },
+      { key: "phone", label: "Phone", type: "text" },
+    ],
+  },
+];
+
+export const FALLBACK_COLOR = "#3388ff";
+
+// colours handed out to new / imported categories, in order
+export const CATEGORY_PALETTE = [
+  "#e67e22",
+  "#16a085",
+  "#c0392b",
+  "#2c3e50",
+  "#d35400",
+  "#8e44ad",
+  "#2980b9",
+  "#7f8c8d",
+  "#f39c12",
+  "#1abc9c",
+  "#e84393",
+  "#6ab04c",
+];
+
+const isHexColor = (c) => /^#[0-9a-f]{6}$/i.test(String(c || ""));
+
+// saved maps from before categories were editable have none: give them the defaults.
+// Default categories saved before schemas existed (no `fields` at all) get the default schema.
+export const normalizeCategories = (list) => {
+  if (!Array.isArray(list) || !list.length) return DEFAULT_CATEGORIES.map((c) => ({ ...c }));
+  const seen = new Set();
+  return list
+    .filter((c) => c && typeof c.key === "string" && c.key.trim() && !seen.has(c.key) && seen.add(c.key))
+    .map((c) => {
+      const fields = Array.isArray(c.fields) ? normalizeFields(c.fields) : DEFAULT_CATEGORIES.find((d) => d.key === c.key)?.fields;
+      return { key: c.key, color: isHexColor(c.color) ? c.color : FALLBACK_COLOR, glyph: c.glyph || "", ...(fields ? { fields } : {}) };
+    });
+};
+
+export const categoryFields = (categories, key) => findCategory(categories, key)?.fields || [];
+
+export const findCategory = (categories, key) => categories.find((c) => c.key === key) || null;
+
+export const categoryColor = (categories, key) => findCategory(categories, key)?.color || FALLBACK_COLOR;
+
+// category given to new markers/shapes and to imported features without one
+export const defaultCategoryKey = (categories) => (findCategory(categories, "General") ? "General" : categories[0]?.key || "General");
+
+export const nextCategoryColor = (categories) => {
+  const used = new Set(categories.map((c) => c.color.toLowerCase()));
+  return CATEGORY_PALETTE.find((c) => !used.has(c)) || CATEGORY_PALETTE[categories.length % CATEGORY_PALETTE.length];
+};
+
+// returns an error message, or null when `name` can be used (optionally in place of `exceptKey`)
+export const validateCategoryName = (categories, name, exceptKey = null) => {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return "Category name can't be empty.";
+  if (categories.some((c) => c.key !== exceptKey && c.key.toLowerCase() === trimmed.toLowerCase())) {
+    return `A category called "${trimmed}" already exists.`;
+  }
+  return null;
+};
+
+export const addCategory = (categories, name, { color, glyph = "" } = {}) => [
+  ...categories,
+  { key: String(name).trim(), color: color || nextCategoryColor(categories), glyph },
+];
+
+// adds any keys in use (e.g. from an import) that the list doesn't know yet; same array if none
+export const ensureCategories = (categories, keys) => {
+  let next = categories;
+  keys.forEach((k) => {
+    if (typeof k === "string" && k.trim() && !findCategory(next, k)) next = addCategory(next, k);
+  });
+  return next;
+};
+
+// adds incoming category definitions (e.g. from an imported GeoJSON) whose keys are new; same array if none
+export const mergeCategories = (categories, incoming = []) => {
+  if (!incoming.length) return categories;
+  const additions = normalizeCategories(incoming).filter((c) => !findCategory(categories, c.key));
+  return additions.length ? [...categories, ...additions] : categories;
+};
+
+export const updateCategory = (categories, key, changes) => categories.map((c) => (c.key === key ? { ...c, ...changes, key: c.key } : c));
+
+const recategorise = ({ markers, shapes }, from, to) => ({
+  markers: markers.some((m) => m.category === from) ? markers.map((m) => (m.category === from ? { ...m, category: to } : m)) : markers,
+  shapes: shapes.some((s) => s.properties?.category === from)
+    ? shapes.map((s) => (s.properties?.category === from ? { ...s, properties: { ...s.properties, category: to } } : s))
+    : shapes,
+});
+
+// { categories, markers, shapes } with `oldKey` renamed everywhere
+export const renameCategory = (doc, oldKey, newKey) => ({
+  categories: doc.categories.map((c) => (c.key === oldKey ? { ...c, key: newKey } : c)),
+  ...recategorise(doc, oldKey, newKey),
+});
+
+// { categories, markers, shapes } without `key`; its markers and shapes move to `reassignTo`
+export const deleteCategory = (doc, key, reassignTo) => {
+  const categories = doc.categories.filter((c) => c.key !== key);
+  const target = findCategory(categories, reassignTo) ? reassignTo : defaultCategoryKey(categories);
+  return { categories, ...recategorise(doc, key, target) };
+};
+
+// number of markers and shapes using each category key
+export const categoryUsage = (markers, shapes) => {
+  const usage = {};
+  const bump = (k) => {
+    usage[k] = (usage[k] || 0) + 1;
+  };
+  markers.forEach((m) => bump(m.category));
+  shapes.forEach((s) => bump(s.properties?.category));
+  return usage;
+};
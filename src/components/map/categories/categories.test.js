@@ -0,0 +1,91 @@
+import {
+  DEFAULT_CATEGORIES,
+  addCategory,
+  categoryColor,
+  categoryUsage,
+  defaultCategoryKey,
+  deleteCategory,
+  ensureCategories,
+  mergeCategories,
+  normalizeCategories,
+  renameCategory,
+  updateCategory,
+  validateCategoryName,
+} from "./categories";
+
+const doc = {
+  categories: DEFAULT_CATEGORIES,
+  markers: [
+    { id: 1, category: "Shop" },
+    { id: 2, category: "General" },
+  ],
+  shapes: [{ type: "Feature", properties: { id: "s1", category: "Shop" }, geometry: null }],
+};
+
+test("maps saved without categories get the defaults", () => {
+  expect(normalizeCategories(undefined).map((c) => c.key)).toEqual(["General", "Restaurant", "College", "Event", "Shop"]);
+  expect(normalizeCategories([{ key: "A", color: "bad" }, { key: "A" }, { key: "" }])).toEqual([{ key: "A", color: "#3388ff", glyph: "" }]);
+});
+
+test("default categories saved before schemas get the default fields", () => {
+  const [shop, custom] = normalizeCategories([
+    { key: "Shop", color: "#9b59b6" },
+    { key: "Clinic", color: "#00ff00", fields: [{ key: "beds", label: "Beds", type: "number" }, { key: "" }] },
+  ]);
+  expect(shop.fields).toBe(DEFAULT_CATEGORIES[4].fields);
+  expect(custom.fields).toEqual([{ key: "beds", label: "Beds", type: "number" }]);
+  expect(normalizeCategories([{ key: "Shop", fields: [] }])[0].fields).toEqual([]);
+});
+
+test("names must be non-empty and unique (case-insensitive)", () => {
+  expect(validateCategoryName(DEFAULT_CATEGORIES, "  ")).toMatch(/empty/);
+  expect(validateCategoryName(DEFAULT_CATEGORIES, "shop")).toMatch(/already exists/);
+  expect(validateCategoryName(DEFAULT_CATEGORIES, "Shop", "Shop")).toBeNull();
+  expect(validateCategoryName(DEFAULT_CATEGORIES, "Clinic")).toBeNull();
+});
+
+test("new and imported categories get unused palette colours", () => {
+  const added = addCategory(DEFAULT_CATEGORIES, " Clinic ");
+  expect(added[5]).toMatchObject({ key: "Clinic", glyph: "" });
+  expect(DEFAULT_CATEGORIES.map((c) => c.color)).not.toContain(added[5].color);
+
+  const ensured = ensureCategories(added, ["Clinic", "Market", "", undefined, "Market"]);
+  expect(ensured.map((c) => c.key).slice(5)).toEqual(["Clinic", "Market"]);
+  expect(ensured[6].color).not.toBe(added[5].color);
+  expect(ensureCategories(added, ["Shop"])).toBe(added);
+});
+
+test("imported definitions only add new keys", () => {
+  const merged = mergeCategories(DEFAULT_CATEGORIES, [
+    { key: "Shop", color: "#000000" },
+    { key: "Clinic", color: "#00ff00", glyph: "hospital" },
+  ]);
+  expect(merged.slice(4)).toEqual([DEFAULT_CATEGORIES[4], { key: "Clinic", color: "#00ff00", glyph: "hospital" }]);
+  expect(mergeCategories(DEFAULT_CATEGORIES, [])).toBe(DEFAULT_CATEGORIES);
+});
+
+test("rename updates markers and shapes", () => {
+  const next = renameCategory(doc, "Shop", "Store");
+  expect(next.categories.map((c) => c.key)).toContain("Store");
+  expect(next.markers.map((m) => m.category)).toEqual(["Store", "General"]);
+  expect(next.shapes[0].properties.category).toBe("Store");
+});
+
+test("delete reassigns markers and shapes", () => {
+  const next = deleteCategory(doc, "Shop", "Event");
+  expect(next.categories.map((c) => c.key)).not.toContain("Shop");
+  expect(next.markers.map((m) => m.category)).toEqual(["Event", "General"]);
+  expect(next.shapes[0].properties.category).toBe("Event");
+  // unknown target falls back to the default category
+  expect(deleteCategory(doc, "Shop", "Nope").markers[0].category).toBe("General");
+  // untouched arrays keep their identity
+  expect(deleteCategory(doc, "College", "General").markers).toBe(doc.markers);
+});
+
+test("lookups", () => {
+  expect(categoryColor(DEFAULT_CATEGORIES, "Restaurant")).toBe("#e74c3c");
+  expect(categoryColor(DEFAULT_CATEGORIES, "Missing")).toBe("#3388ff");
+  expect(defaultCategoryKey([{ key: "B" }, { key: "A" }])).toBe("B");
+  expect(updateCategory(DEFAULT_CATEGORIES, "Shop", { color: "#000000", key: "X" })[4]).toMatchObject({ key: "Shop", color: "#000000" });
+  expect(categoryUsage(doc.markers, doc.shapes)).toEqual({ Shop: 2, General: 1 });
+});
@@ -0,0 +1,44 @@
+/* ---------------- Category marker icons ----------------
+   Generated SVG pins in the category colour with its glyph, the same size and
+   anchors as the stock Leaflet marker so popups and the shadow line up.
+   Icons are cached per colour + glyph.
+*/
+import L from "leaflet";
+import markerShadow from "leaflet/dist/images/marker-shadow.png";
+import { GLYPHS } from "./glyphs";
+import { FALLBACK_COLOR } from "./categories";
+
+const PIN_PATH =
+  "M12.5 0C5.6 0 0 5.6 0 12.5c0 2.3.6 4.4 1.7 6.3L12.5 41l10.8-22.2c1.1-1.9 1.7-4 1.7-6.3C25 5.6 19.4 0 12.5 0z";
+
+export const categoryIconSvg = ({ color = FALLBACK_COLOR, glyph = "" } = {}) => {
+  const g = GLYPHS[glyph];
+  const inner = g
+    ? `<svg x="6.5" y="6.5" width="12" height="12" viewBox="${g.viewBox}"><path d="${g.path}" fill="${color}"/></svg>`
+    : `<circle cx="12.5" cy="12.5" r="4.5" fill="${color}"/>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="25" height="41" viewBox="0 0 25 41">` +
+    `<path d="${PIN_PATH}" fill="${color}" stroke="rgba(0,0,0,0.35)" stroke-width="1"/>` +
+    `<circle cx="12.5" cy="12.5" r="8" fill="white"/>${inner}</svg>`;
+};
+
+export const categoryIconUrl = (category) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(categoryIconSvg(category))}`;
+
+const iconCache = new Map();
+
+export const getCategoryIcon = (category) => {
+  const cacheKey = `${category?.color || FALLBACK_COLOR}|${category?.glyph || ""}`;
+  if (!iconCache.has(cacheKey)) {
+    iconCache.set(
+      cacheKey,
+      L.icon({
+        iconUrl: categoryIconUrl(category || undefined),
+        shadowUrl: markerShadow, // bundled (and precached) rather than fetched from a CDN
+        iconSize: [25, 41],
+        iconAnchor: [12, 41],
+        popupAnchor: [1, -34],
+        shadowSize: [41, 41],
+      })
+    );
+  }
+  return iconCache.get(cacheKey);
+};
@@ -0,0 +1,17 @@
+import { categoryIconSvg, getCategoryIcon } from "./categoryIcon";
+
+test("pins use the category colour and glyph", () => {
+  const svg = categoryIconSvg({ color: "#e74c3c", glyph: "utensils" });
+  expect(svg).toContain('fill="#e74c3c"');
+  expect(svg.match(/<svg/g)).toHaveLength(2); // pin + nested glyph
+  expect(svg).toContain('viewBox="0 0 416 512"');
+  expect(categoryIconSvg({ color: "#123456" })).toContain("<circle");
+});
+
+test("icons are cached per colour and glyph", () => {
+  const a = getCategoryIcon({ key: "A", color: "#111111", glyph: "star" });
+  expect(getCategoryIcon({ key: "B", color: "#111111", glyph: "star" })).toBe(a);
+  expect(getCategoryIcon({ key: "A", color: "#222222", glyph: "star" })).not.toBe(a);
+  expect(getCategoryIcon(null).options.iconUrl).toMatch(/^data:image\/svg\+xml/);
+  expect(getCategoryIcon(null).options.shadowUrl).toBe("marker-shadow.png"); // bundled, not a CDN URL
+});
@@ -0,0 +1,140 @@
+/* ---------------- Attribute schemas ----------------
+   A category may define typed fields: [{ key, label, type, options?, required?, min?, max? }].
+   Values live in `marker.attributes[key]` next to free-form attributes (unmapped
+   CSV columns), stored typed: numbers as numbers, booleans as booleans, dates as
+   "YYYY-MM-DD", everything else as strings.
+*/
+export const FIELD_TYPES = [
+  { key: "text", label: "Text" },
+  { key: "number", label: "Number" },
+  { key: "date", label: "Date" },
+  { key: "enum", label: "Choice" },
+  { key: "boolean", label: "Yes / No" },
+  { key: "url", label: "URL" },
+];
+
+const TYPE_KEYS = new Set(FIELD_TYPES.map((t) => t.key));
+const TRUE_WORDS = new Set(["true", "yes", "y", "1"]);
+const FALSE_WORDS = new Set(["false", "no", "n", "0"]);
+
+// "Opening hours" -> "opening_hours"
+export const fieldKeyFromLabel = (label) =>
+  String(label || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+const finiteOrUndefined = (v) => (v === "" || v === null || v === undefined || !Number.isFinite(Number(v)) ? undefined : Number(v));
+
+// drops malformed fields and duplicate keys; keeps only the options a type uses
+export const normalizeFields = (fields) => {
+  if (!Array.isArray(fields)) return [];
+  const seen = new Set();
+  return fields
+    .filter((f) => f && typeof f.key === "string" && f.key.trim() && !seen.has(f.key) && seen.add(f.key))
+    .map((f) => {
+      const type = TYPE_KEYS.has(f.type) ? f.type : "text";
+      const field = { key: f.key, label: String(f.label || f.key), type };
+      if (f.required) field.required = true;
+      if (type === "enum") field.options = (Array.isArray(f.options) ? f.options : []).map(String).filter(Boolean);
+      if (type === "number") {
+        const min = finiteOrUndefined(f.min);
+        const max = finiteOrUndefined(f.max);
+        if (min !== undefined) field.min = min;
+        if (max !== undefined) field.max = max;
+      }
+      return field;
+    });
+};
+
+const parseUrl = (text) => {
+  try {
+    return new URL(text);
+  } catch (err) {
+    return null;
+  }
+};
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+/* Raw input (a form value or a CSV/GeoJSON cell) -> { value } or { error }.
+   An empty input gives { value: null }, or an error for required fields. */
+export const parseFieldValue = (field, raw) => {
+  const text = typeof raw === "string" ? raw.trim() : raw;
+  if (isEmpty(text)) return field.required ? { error: `${field.label} is required.` } : { value: null };
+  switch (field.type) {
+    case "number": {
+      const n = typeof text === "number" ? text : Number(String(text).replace(/,/g, ""));
+      if (!Number.isFinite(n)) return { error: `${field.label} must be a number.` };
+      if (field.min !== undefined && n < field.min) return { error: `${field.label} must be at least ${field.min}.` };
+      if (field.max !== undefined && n > field.max) return { error: `${field.label} must be at most ${field.max}.` };
+      return { value: n };
+    }
+    case "date": {
+      const s = String(text);
+      const t = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T00:00:00Z` : s);
+      if (!Number.isFinite(t)) return { error: `${field.label} must be a date.` };
+      return { value: /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : new Date(t).toISOString().slice(0, 10) };
+    }
+    case "enum": {
+      const match = field.options.find((o) => o.toLowerCase() === String(text).toLowerCase());
+      return match ? { value: match } : { error: `${field.label} must be one of: ${field.options.join(", ")}.` };
+    }
+    case "boolean": {
+      if (typeof text === "boolean") return { value: text };
+      const word = String(text).toLowerCase();
+      if (TRUE_WORDS.has(word)) return { value: true };
+      if (FALSE_WORDS.has(word)) return { value: false };
+      return { error: `${field.label} must be yes or no.` };
+    }
+    case "url": {
+      const url = parseUrl(String(text));
+      return url && (url.protocol === "http:" || url.protocol === "https:")
+        ? { value: url.href }
+        : { error: `${field.label} must be a web address (http:// or https://).` };
+    }
+    default:
+      return { value: String(text) };
+  }
+};
+
+// { key: message } for every field whose stored value doesn't fit the schema
+export const validateAttributes = (fields, attributes = {}) =>
+  fields.reduce((errors, f) => {
+    const { error } = parseFieldValue(f, attributes[f.key]);
+    if (error) errors[f.key] = error;
+    return errors;
+  }, {});
+
+/* Types the attribute values the schema knows (e.g. strings from a CSV import);
+   values that don't parse are kept as they are so nothing is lost. Columns named
+   after a field's label ("Opening hours") are stored under its key. */
+export const coerceAttributes = (fields, attributes) => {
+  if (!attributes || !fields?.length) return attributes;
+  const next = {};
+  Object.entries(attributes).forEach(([k, v]) => {
+    const field = fields.find((f) => f.key === k) || fields.find((f) => !(f.key in attributes) && (f.key === fieldKeyFromLabel(k) || f.label.toLowerCase() === k.trim().toLowerCase()));
+    const parsed = field && !isEmpty(v) ? parseFieldValue(field, v) : {};
+    next[field ? field.key : k] = parsed.error || !field || isEmpty(v) ? v : parsed.value;
+  });
+  return next;
+};
+
+export const formatFieldValue = (field, value) => {
+  if (isEmpty(value)) return "";
+  if (field?.type === "boolean" || typeof value === "boolean") return value === true || TRUE_WORDS.has(String(value).toLowerCase()) ? "Yes" : "No";
+  return String(value);
+};
+
+/* Free-text search over a marker (`term` already lower-cased). `scope` is "all"
+   (title, description and attribute values), "text" (title and description) or
+   one attribute key; `fields` is the marker's category schema, for formatting. */
+export const markerMatchesSearch = (m, term, scope = "all", fields = []) => {
+  if (!term) return true;
+  const matches = (text) => String(text ?? "").toLowerCase().includes(term);
+  const attributeMatches = (key) => matches(formatFieldValue(fields.find((f) => f.key === key), m.attributes?.[key]));
+  if (scope !== "all" && scope !== "text") return attributeMatches(scope);
+  if (matches(m.title) || matches(m.description)) return true;
+  return scope === "all" && Object.keys(m.attributes || {}).some(attributeMatches);
+};
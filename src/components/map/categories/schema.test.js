@@ -0,0 +1,60 @@
+import { coerceAttributes, fieldKeyFromLabel, formatFieldValue, markerMatchesSearch, normalizeFields, parseFieldValue, validateAttributes } from "./schema";
+
+const fields = normalizeFields([
+  { key: "rating", label: "Rating", type: "number", min: 0, max: 5, options: ["ignored"] },
+  { key: "cuisine", label: "Cuisine", type: "enum", options: ["Swahili", "Indian", ""], required: true },
+  { key: "opened", label: "Opened", type: "date" },
+  { key: "halal", label: "Halal", type: "boolean" },
+  { key: "website", label: "Website", type: "url" },
+  { key: "rating", label: "Duplicate" },
+  { key: "", label: "No key" },
+  { key: "notes", type: "weird" },
+]);
+
+test("normalizeFields drops bad and duplicate fields and unused options", () => {
+  expect(fields.map((f) => f.key)).toEqual(["rating", "cuisine", "opened", "halal", "website", "notes"]);
+  expect(fields[0]).toEqual({ key: "rating", label: "Rating", type: "number", min: 0, max: 5 });
+  expect(fields[1]).toEqual({ key: "cuisine", label: "Cuisine", type: "enum", options: ["Swahili", "Indian"], required: true });
+  expect(fields[5]).toEqual({ key: "notes", label: "notes", type: "text" });
+  expect(fieldKeyFromLabel(" Opening hours! ")).toBe("opening_hours");
+});
+
+test("parseFieldValue types and validates input", () => {
+  const [rating, cuisine, opened, halal, website, notes] = fields;
+  expect(parseFieldValue(rating, "4.5")).toEqual({ value: 4.5 });
+  expect(parseFieldValue(rating, "7").error).toMatch(/at most 5/);
+  expect(parseFieldValue(rating, "abc").error).toMatch(/number/);
+  expect(parseFieldValue(rating, "")).toEqual({ value: null });
+  expect(parseFieldValue(cuisine, "indian")).toEqual({ value: "Indian" });
+  expect(parseFieldValue(cuisine, "Thai").error).toMatch(/one of: Swahili, Indian/);
+  expect(parseFieldValue(cuisine, " ").error).toMatch(/required/);
+  expect(parseFieldValue(opened, "2024-03-01")).toEqual({ value: "2024-03-01" });
+  expect(parseFieldValue(opened, "2024-03-01T10:00:00Z")).toEqual({ value: "2024-03-01" });
+  expect(parseFieldValue(opened, "soon").error).toMatch(/date/);
+  expect(parseFieldValue(halal, "Yes")).toEqual({ value: true });
+  expect(parseFieldValue(halal, false)).toEqual({ value: false });
+  expect(parseFieldValue(halal, "maybe").error).toMatch(/yes or no/);
+  expect(parseFieldValue(website, "https://example.com")).toEqual({ value: "https://example.com/" });
+  expect(parseFieldValue(website, "ftp://example.com/file").error).toMatch(/web address/);
+  expect(parseFieldValue(notes, 12)).toEqual({ value: "12" });
+});
+
+test("imported strings are typed; values that don't fit are kept and reported", () => {
+  const attrs = { rating: "3", halal: "no", cuisine: "Thai", extra: "kept" };
+  expect(coerceAttributes(fields, attrs)).toEqual({ rating: 3, halal: false, cuisine: "Thai", extra: "kept" });
+  expect(validateAttributes(fields, coerceAttributes(fields, attrs))).toEqual({ cuisine: expect.stringMatching(/one of/) });
+  expect(coerceAttributes([], attrs)).toBe(attrs);
+  expect(coerceAttributes(fields, { Rating: "2", "web site": "x", Website: "http://a.b" })).toEqual({ rating: 2, "web site": "x", website: "http://a.b/" });
+  expect(formatFieldValue(fields[3], true)).toBe("Yes");
+  expect(formatFieldValue(fields[0], null)).toBe("");
+});
+
+test("search covers attribute values, or just one field", () => {
+  const m = { title: "Mama Oliech", description: "Fish", attributes: { cuisine: "Swahili", halal: true, rating: 4 } };
+  expect(markerMatchesSearch(m, "swahili")).toBe(true);
+  expect(markerMatchesSearch(m, "yes", "all", fields)).toBe(true);
+  expect(markerMatchesSearch(m, "swahili", "text")).toBe(false);
+  expect(markerMatchesSearch(m, "fish", "cuisine", fields)).toBe(false);
+  expect(markerMatchesSearch(m, "4", "rating", fields)).toBe(true);
+  expect(markerMatchesSearch(m, "")).toBe(true);
+});
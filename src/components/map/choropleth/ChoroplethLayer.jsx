@@ -0,0 +1,83 @@
+import React from "react";
+import { GeoJSON } from "react-leaflet";
+import { formatValue, getClassIndex, getRamp, NO_DATA_COLOR } from "./classify";
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+
+// popup/tooltip body for one sublocation
+export const sublocationInfoHtml = (p, attribute) => {
+  const density = p.AREA2 > 0 ? p.SUM_GRTOTA / p.AREA2 : null;
+  const sexRatio = p.SUM_FEMALE > 0 ? (p.SUM_MALES / p.SUM_FEMALE) * 100 : null;
+  const rows = [
+    ["Location", p.LOCNAME],
+    ["Division", p.DIVNAME],
+    ["Population", formatValue(p.SUM_GRTOTA)],
+    ["Households", formatValue(p.SUM_HOUSEH)],
+    ["Males", formatValue(p.SUM_MALES)],
+    ["Females", formatValue(p.SUM_FEMALE)],
+    ["Area (km²)", formatValue(p.AREA2)],
+    ["Density (/km²)", formatValue(density)],
+    ["Sex ratio", formatValue(sexRatio)],
+  ];
+  return `
+    <div style="font-size:12px;min-width:170px">
+      <strong style="font-size:13px">${escapeHtml(p.SLNAME)}</strong>
+      ${attribute ? `<div style="color:#666;margin-bottom:4px">${escapeHtml(attribute.label)}: ${formatValue(attribute.value(p))}</div>` : ""}
+      <table style="border-collapse:collapse">
+        ${rows
+          .map(([k, v]) => `<tr><td style="padding-right:8px;color:#555">${k}</td><td>${escapeHtml(v)}</td></tr>`)
+          .join("")}
+      </table>
+    </div>`;
+};
+
+/* ---------------- ChoroplethLayer ----------------
+   Renders the sublocation polygons coloured by the selected attribute.
+   Remounted (via key) whenever attribute/breaks change so style & popups stay in sync.
+   `interactive` false (a tool owns the map's clicks) leaves out popups and hover,
+   so clicks reach the map.
+*/
+const ChoroplethLayer = ({ data, attribute, breaks, interactive = true }) => {
+  const ramp = getRamp(Math.max(breaks.length - 1, 1));
+
+  const style = (feature) => {
+    const idx = getClassIndex(attribute.value(feature.properties), breaks);
+    return {
+      color: "#555",
+      weight: 1,
+      fillColor: idx === -1 ? NO_DATA_COLOR : ramp[idx],
+      fillOpacity: 0.7,
+    };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    const html = sublocationInfoHtml(feature.properties, attribute);
+    layer.bindTooltip(html, { sticky: true, direction: "top" });
+    layer.bindPopup(html);
+    layer.on({
+      mouseover: (e) => {
+        e.target.setStyle({ weight: 3, color: "#222" });
+        e.target.bringToFront();
+      },
+      mouseout: (e) => {
+        e.target.setStyle({ weight: 1, color: "#555" });
+      },
+      popupopen: (e) => e.target.closeTooltip(),
+    });
+  };
+
+  return (
+    <GeoJSON
+      key={`${attribute.key}-${breaks.join("|")}-${interactive}`}
+      data={data}
+      interactive={interactive}
+      style={style}
+      onEachFeature={onEachFeature}
+      // keep clicks on the overlay from dropping markers through AddMarker
+      bubblingMouseEvents={false}
+    />
+  );
+};
+
+export default ChoroplethLayer;
@@ -0,0 +1,80 @@
+import React, { useEffect, useRef } from "react";
+import L from "leaflet";
+import { CHOROPLETH_ATTRIBUTES, CLASSIFICATION_METHODS, formatValue, getRamp } from "./classify";
+
+/* ---------------- ChoroplethLegend ----------------
+   Attribute / classification pickers + legend for the sublocation overlay.
+   Only shown while the sublocation overlay is switched on (`visible`).
+*/
+const ChoroplethLegend = ({ visible, settings, onChange, breaks, attribute }) => {
+  const boxRef = useRef(null);
+
+  // keep clicks / scrolls on the legend from reaching the map (AddMarker, zoom)
+  useEffect(() => {
+    if (!boxRef.current) return;
+    L.DomEvent.disableClickPropagation(boxRef.current);
+    L.DomEvent.disableScrollPropagation(boxRef.current);
+  }, [visible]);
+
+  if (!visible) return null;
+
+  const ramp = getRamp(Math.max(breaks.length - 1, 1));
+  const selectStyle = { width: "100%", padding: "4px", border: "1px solid #ccc", borderRadius: "4px", marginBottom: "6px" };
+
+  return (
+    <div
+      ref={boxRef}
+      style={{
+        position: "absolute",
+        bottom: 20,
+        left: 10,
+        zIndex: 1000,
+        background: "white",
+        padding: "8px 10px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "200px",
+        fontSize: "12px",
+        textAlign: "left",
+      }}
+    >
+      <h4 style={{ margin: "0 0 6px", fontSize: "13px" }}>🗺️ Sublocations</h4>
+
+      <select value={settings.attribute} onChange={(e) => onChange({ ...settings, attribute: e.target.value })} style={selectStyle}>
+        {CHOROPLETH_ATTRIBUTES.map((a) => (
+          <option key={a.key} value={a.key}>
+            {a.label}
+          </option>
+        ))}
+      </select>
+
+      <select value={settings.method} onChange={(e) => onChange({ ...settings, method: e.target.value })} style={selectStyle}>
+        {CLASSIFICATION_METHODS.map((m) => (
+          <option key={m.key} value={m.key}>
+            {m.label}
+          </option>
+        ))}
+      </select>
+
+      <select value={settings.classes} onChange={(e) => onChange({ ...settings, classes: Number(e.target.value) })} style={selectStyle}>
+        {[3, 4, 5, 6, 7].map((n) => (
+          <option key={n} value={n}>
+            {n} classes
+          </option>
+        ))}
+      </select>
+
+      <div style={{ color: "#666", marginBottom: 4 }}>{attribute.unit}</div>
+      {breaks.slice(1).map((upper, i) => (
+        <div key={i} style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 2 }}>
+          <span style={{ width: 16, height: 12, background: ramp[i], border: "1px solid #999", display: "inline-block" }} />
+          <span>
+            {formatValue(breaks[i])} – {formatValue(upper)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ChoroplethLegend;
@@ -0,0 +1,165 @@
+/* ---------------- Choropleth classification ----------------
+   Pure helpers used by the sublocation choropleth:
+   - attribute accessors for the census fields in nairobi_sublogs.geojson
+   - quantile / equal interval / natural breaks (Jenks) class breaks
+   - a sequential colour ramp and value -> class lookup
+*/
+
+export const CHOROPLETH_ATTRIBUTES = [
+  {
+    key: "population",
+    label: "Total population",
+    unit: "people",
+    value: (p) => p.SUM_GRTOTA,
+  },
+  {
+    key: "households",
+    label: "Households",
+    unit: "households",
+    value: (p) => p.SUM_HOUSEH,
+  },
+  {
+    key: "density",
+    label: "Population density",
+    unit: "people / km²",
+    value: (p) => (p.AREA2 > 0 ? p.SUM_GRTOTA / p.AREA2 : null),
+  },
+  {
+    key: "sexRatio",
+    label: "Sex ratio",
+    unit: "males per 100 females",
+    value: (p) => (p.SUM_FEMALE > 0 ? (p.SUM_MALES / p.SUM_FEMALE) * 100 : null),
+  },
+];
+
+export const CLASSIFICATION_METHODS = [
+  { key: "quantile", label: "Quantile" },
+  { key: "equalInterval", label: "Equal interval" },
+  { key: "naturalBreaks", label: "Natural breaks (Jenks)" },
+];
+
+// YlOrRd, light -> dark
+export const COLOR_RAMP = ["#ffffb2", "#fed976", "#feb24c", "#fd8d3c", "#f03b20", "#bd0026", "#800026"];
+
+export const NO_DATA_COLOR = "#cccccc";
+
+export const getAttribute = (key) =>
+  CHOROPLETH_ATTRIBUTES.find((a) => a.key === key) || CHOROPLETH_ATTRIBUTES[0];
+
+const cleanValues = (values) =>
+  values.filter((v) => typeof v === "number" && isFinite(v)).sort((a, b) => a - b);
+
+// Breaks are returned as [min, b1, ..., max] (classes + 1 entries)
+export const equalIntervalBreaks = (values, classes) => {
+  const sorted = cleanValues(values);
+  if (!sorted.length) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const step = (max - min) / classes;
+  const breaks = [min];
+  for (let i = 1; i < classes; i++) breaks.push(min + step * i);
+  breaks.push(max);
+  return breaks;
+};
+
+export const quantileBreaks = (values, classes) => {
+  const sorted = cleanValues(values);
+  if (!sorted.length) return [];
+  const breaks = [sorted[0]];
+  for (let i = 1; i < classes; i++) {
+    const pos = (sorted.length - 1) * (i / classes);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    breaks.push(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+  }
+  breaks.push(sorted[sorted.length - 1]);
+  return breaks;
+};
+
+// Jenks natural breaks (Fisher's dynamic programming formulation)
+export const naturalBreaks = (values, classes) => {
+  const sorted = cleanValues(values);
+  const n = sorted.length;
+  if (!n) return [];
+  if (n <= classes) return [sorted[0], ...sorted];
+
+  const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+  for (let j = 1; j <= classes; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSq = 0;
+    let w = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = sorted[i3 - 1];
+      w++;
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / w;
+      const i4 = i3 - 1;
+      if (i4 !== 0) {
+        for (let j = 2; j <= classes; j++) {
+          if (variance[l][j] >= v + variance[i4][j - 1]) {
+            lower[l][j] = i3;
+            variance[l][j] = v + variance[i4][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = new Array(classes + 1);
+  breaks[classes] = sorted[n - 1];
+  breaks[0] = sorted[0];
+  let k = n;
+  for (let j = classes; j >= 2; j--) {
+    const idx = lower[k][j] - 2;
+    breaks[j - 1] = sorted[idx];
+    k = lower[k][j] - 1;
+  }
+  return breaks;
+};
+
+export const classify = (values, method, classes = 5) => {
+  switch (method) {
+    case "equalInterval":
+      return equalIntervalBreaks(values, classes);
+    case "naturalBreaks":
+      return naturalBreaks(values, classes);
+    case "quantile":
+    default:
+      return quantileBreaks(values, classes);
+  }
+};
+
+// index of the class a value falls into (upper bound inclusive), -1 for no data
+export const getClassIndex = (value, breaks) => {
+  if (typeof value !== "number" || !isFinite(value) || breaks.length < 2) return -1;
+  for (let i = 1; i < breaks.length; i++) {
+    if (value <= breaks[i]) return i - 1;
+  }
+  return breaks.length - 2;
+};
+
+// pick `classes` colours spread evenly across the ramp
+export const getRamp = (classes) => {
+  if (classes >= COLOR_RAMP.length) return COLOR_RAMP.slice(0, classes);
+  if (classes <= 1) return [COLOR_RAMP[COLOR_RAMP.length - 1]];
+  return Array.from({ length: classes }, (_, i) =>
+    COLOR_RAMP[Math.round((i * (COLOR_RAMP.length - 1)) / (classes - 1))]
+  );
+};
+
+export const formatValue = (value) => {
+  if (typeof value !== "number" || !isFinite(value)) return "n/a";
+  if (Math.abs(value) >= 100) return Math.round(value).toLocaleString();
+  return value.toFixed(1);
+};
@@ -0,0 +1,50 @@
+import {
+  classify,
+  equalIntervalBreaks,
+  getAttribute,
+  getClassIndex,
+  getRamp,
+  naturalBreaks,
+  quantileBreaks,
+} from "./classify";
+
+const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+test("equal interval splits the range evenly", () => {
+  expect(equalIntervalBreaks(values, 3)).toEqual([1, 4, 7, 10]);
+});
+
+test("quantile breaks follow the sorted values", () => {
+  const breaks = quantileBreaks([10, 1, 5, 3, 8], 2);
+  expect(breaks).toEqual([1, 5, 10]);
+});
+
+test("natural breaks separate obvious clusters", () => {
+  const clustered = [1, 2, 3, 50, 51, 52, 100, 101, 102];
+  expect(naturalBreaks(clustered, 3)).toEqual([1, 3, 52, 102]);
+});
+
+test("classify ignores non-numeric values and defaults to quantile", () => {
+  expect(classify([null, 1, NaN, 3, undefined], "unknown", 2)).toEqual([1, 2, 3]);
+});
+
+test("getClassIndex places values into classes", () => {
+  const breaks = [0, 10, 20, 30];
+  expect(getClassIndex(0, breaks)).toBe(0);
+  expect(getClassIndex(10, breaks)).toBe(0);
+  expect(getClassIndex(15, breaks)).toBe(1);
+  expect(getClassIndex(30, breaks)).toBe(2);
+  expect(getClassIndex(null, breaks)).toBe(-1);
+});
+
+test("derived attributes compute density and sex ratio", () => {
+  const props = { SUM_GRTOTA: 1000, AREA2: 4, SUM_MALES: 550, SUM_FEMALE: 500 };
+  expect(getAttribute("density").value(props)).toBe(250);
+  expect(getAttribute("sexRatio").value(props)).toBeCloseTo(110);
+  expect(getAttribute("density").value({ ...props, AREA2: 0 })).toBeNull();
+});
+
+test("getRamp returns one colour per class", () => {
+  expect(getRamp(5)).toHaveLength(5);
+  expect(new Set(getRamp(3)).size).toBe(3);
+});
@@ -0,0 +1,53 @@
+import React, { useMemo } from "react";
+import { GeoJSON } from "react-leaflet";
+import { classify, getClassIndex, getRamp } from "../choropleth/classify";
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+
+const cellInfoHtml = ({ count, weight, categories }) => `
+  <div style="font-size:12px">
+    <strong>${count} marker${count === 1 ? "" : "s"}</strong>${weight !== count ? ` · weight ${Math.round(weight * 10) / 10}` : ""}
+    ${Object.entries(categories)
+      .sort((a, b) => b[1] - a[1])
+      .map(([cat, n]) => `<div style="color:#555">${escapeHtml(cat)}: ${n}</div>`)
+      .join("")}
+  </div>`;
+
+// short hash of the cells (first corner + what they show), so the same bins always give the same key
+const hashBins = (features) => {
+  const text = features.map((f) => JSON.stringify([f.geometry.coordinates[0][0], f.properties])).join("|");
+  let h = 0;
+  for (let i = 0; i < text.length; i++) h = (Math.imul(h, 31) + text.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+};
+
+/* ---------------- DensityGridLayer ----------------
+   Hex/square bins from binMarkers(), coloured by weighted count (quantile classes,
+   choropleth ramp). Hovering a cell shows its count and category breakdown.
+   Remounted (via key) whenever the bins change, like ChoroplethLayer; `interactive`
+   false lets clicks through to the map while a tool is picking points.
+*/
+const DensityGridLayer = ({ data, interactive = true }) => {
+  const breaks = useMemo(() => classify(data.features.map((f) => f.properties.weight), "quantile", 5), [data]);
+  // GeoJSON doesn't pick up new data: a key derived from the bins remounts it once per new set
+  const layerKey = useMemo(() => hashBins(data.features), [data]);
+  const ramp = getRamp(Math.max(breaks.length - 1, 1));
+
+  const style = (feature) => {
+    const idx = getClassIndex(feature.properties.weight, breaks);
+    return { color: "#fff", weight: 1, fillColor: ramp[Math.max(idx, 0)], fillOpacity: 0.65 };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    layer.bindTooltip(cellInfoHtml(feature.properties), { sticky: true, direction: "top" });
+    layer.on({
+      mouseover: (e) => e.target.setStyle({ weight: 2, color: "#222" }),
+      mouseout: (e) => e.target.setStyle({ weight: 1, color: "#fff" }),
+    });
+  };
+
+  return <GeoJSON key={`${layerKey}-${interactive}`} data={data} interactive={interactive} style={style} onEachFeature={onEachFeature} bubblingMouseEvents={false} />;
+};
+
+export default DensityGridLayer;
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef } from "react";
+import L from "leaflet";
+import { BIN_SHAPES, CELL_SIZES } from "./aggregate";
+
+/* ---------------- DensityPanel ----------------
+   Settings for the heatmap / density-grid overlays: heat radius & blur, bin shape
+   and size, per-category weights, and GeoJSON export of the bins.
+   Only shown while one of the two overlays is on (`heatmapOn` / `gridOn`).
+*/
+const DensityPanel = ({ heatmapOn, gridOn, settings, onChange, categories, binCount, onExport }) => {
+  const boxRef = useRef(null);
+
+  // keep clicks / scrolls on the panel from reaching the map (AddMarker, zoom)
+  useEffect(() => {
+    if (!boxRef.current) return;
+    L.DomEvent.disableClickPropagation(boxRef.current);
+    L.DomEvent.disableScrollPropagation(boxRef.current);
+  }, [heatmapOn, gridOn]);
+
+  if (!heatmapOn && !gridOn) return null;
+
+  const set = (changes) => onChange({ ...settings, ...changes });
+  const weightOf = (key) => settings.weights[key] ?? 1;
+  const selectStyle = { width: "100%", padding: "4px", border: "1px solid #ccc", borderRadius: "4px", marginBottom: "6px" };
+
+  return (
+    <div
+      ref={boxRef}
+      style={{
+        position: "absolute",
+        bottom: 20,
+        left: 220,
+        zIndex: 1000,
+        background: "white",
+        padding: "8px 10px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "210px",
+        maxHeight: "60vh",
+        overflowY: "auto",
+        fontSize: "12px",
+        textAlign: "left",
+      }}
+    >
+      <h4 style={{ margin: "0 0 6px", fontSize: "13px" }}>🔥 Marker density</h4>
+
+      {heatmapOn && (
+        <>
+          <label style={{ display: "block" }}>
+            Radius: {settings.radius}px
+            <input type="range" min={5} max={60} value={settings.radius} onChange={(e) => set({ radius: Number(e.target.value) })} style={{ width: "100%" }} />
+          </label>
+          <label style={{ display: "block" }}>
+            Blur: {settings.blur}px
+            <input type="range" min={1} max={40} value={settings.blur} onChange={(e) => set({ blur: Number(e.target.value) })} style={{ width: "100%" }} />
+          </label>
+        </>
+      )}
+
+      {gridOn && (
+        <>
+          <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+            <select value={settings.shape} onChange={(e) => set({ shape: e.target.value })} style={selectStyle}>
+              {BIN_SHAPES.map((s) => (
+                <option key={s.key} value={s.key}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <select value={settings.cellSize} onChange={(e) => set({ cellSize: Number(e.target.value) })} style={selectStyle}>
+              {CELL_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size >= 1000 ? `${size / 1000} km` : `${size} m`}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+            <span style={{ color: "#555" }}>{binCount} cells</span>
+            <button onClick={onExport} disabled={!binCount} style={{ padding: "3px 8px", borderRadius: 4, border: "1px solid #ccc", background: "#f0f0f0", cursor: binCount ? "pointer" : "default" }}>
+              Export GeoJSON
+            </button>
+          </div>
+        </>
+      )}
+
+      <div style={{ fontWeight: "bold", margin: "4px 0" }}>Category weights</div>
+      {categories.map((c) => (
+        <div key={c.key} style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 2 }}>
+          <span style={{ width: 10, height: 10, borderRadius: "50%", background: c.color, flex: "none" }} />
+          <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.key}</span>
+          <input
+            type="number"
+            min={0}
+            max={10}
+            step={0.5}
+            value={weightOf(c.key)}
+            onChange={(e) => set({ weights: { ...settings.weights, [c.key]: Math.max(0, Number(e.target.value) || 0) } })}
+            style={{ width: 48 }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DensityPanel;
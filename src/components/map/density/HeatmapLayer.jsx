@@ -0,0 +1,21 @@
+import L from "leaflet";
+import "leaflet.heat";
+import { createElementObject, createLayerComponent } from "@react-leaflet/core";
+
+/* ---------------- HeatmapLayer ----------------
+   react-leaflet wrapper around leaflet.heat. `points` are [lat, lng, intensity];
+   changing points or radius/blur/max updates the existing layer in place.
+*/
+const createHeatLayer = ({ points, radius, blur, max }, context) =>
+  createElementObject(L.heatLayer(points, { radius, blur, max }), context);
+
+const updateHeatLayer = (layer, props, prevProps) => {
+  if (props.radius !== prevProps.radius || props.blur !== prevProps.blur || props.max !== prevProps.max) {
+    layer.setOptions({ radius: props.radius, blur: props.blur, max: props.max });
+  }
+  if (props.points !== prevProps.points) layer.setLatLngs(props.points);
+};
+
+const HeatmapLayer = createLayerComponent(createHeatLayer, updateHeatLayer);
+
+export default HeatmapLayer;
@@ -0,0 +1,98 @@
+/* ---------------- Density aggregation ----------------
+   Bins markers into hexagons or squares (in Web Mercator metres, corrected for the
+   data's latitude so cells are roughly `cellSize` metres on the ground) and returns
+   a GeoJSON FeatureCollection of the occupied cells.
+*/
+
+const R = 6378137;
+const SQRT3 = Math.sqrt(3);
+
+export const BIN_SHAPES = [
+  { key: "hex", label: "Hexagons" },
+  { key: "square", label: "Squares" },
+];
+
+export const CELL_SIZES = [100, 250, 500, 1000, 2000, 5000];
+
+const project = (lat, lng) => [(R * lng * Math.PI) / 180, R * Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360))];
+
+const unproject = (x, y) => [((2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * 180) / Math.PI, ((x / R) * 180) / Math.PI];
+
+// cube rounding of fractional axial hex coordinates
+const roundHex = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+};
+
+// pointy-top hexagons; `size` is the circumradius, so centres are size * √3 apart
+const hexCell = (x, y, size) => {
+  const [q, r] = roundHex((SQRT3 / 3 * x - y / 3) / size, ((2 / 3) * y) / size);
+  const cx = size * SQRT3 * (q + r / 2);
+  const cy = size * 1.5 * r;
+  const ring = Array.from({ length: 6 }, (_, i) => {
+    const a = (Math.PI / 180) * (60 * i - 30);
+    return [cx + size * Math.cos(a), cy + size * Math.sin(a)];
+  });
+  return { id: `hex:${q}:${r}`, ring };
+};
+
+const squareCell = (x, y, size) => {
+  const i = Math.floor(x / size);
+  const j = Math.floor(y / size);
+  const [x0, y0, x1, y1] = [i * size, j * size, (i + 1) * size, (j + 1) * size];
+  return { id: `sq:${i}:${j}`, ring: [[x0, y0], [x1, y0], [x1, y1], [x0, y1]] };
+};
+
+/* markers -> FeatureCollection of cells with
+   { id, count, weight, categories: { [category]: count } }.
+   `weightFor(marker)` lets categories count more (or less) towards `weight`. */
+export const binMarkers = (markers, { shape = "hex", cellSize = 500, weightFor = () => 1 } = {}) => {
+  if (!markers.length) return { type: "FeatureCollection", features: [] };
+
+  // mercator stretches distances by 1 / cos(lat): scale cells by the data's mean latitude
+  const meanLat = markers.reduce((s, m) => s + m.position[0], 0) / markers.length;
+  const scale = 1 / Math.max(Math.cos((meanLat * Math.PI) / 180), 0.01);
+  const size = shape === "hex" ? (cellSize * scale) / SQRT3 : cellSize * scale;
+  const cellFor = shape === "hex" ? hexCell : squareCell;
+
+  const cells = new Map();
+  markers.forEach((m) => {
+    const [x, y] = project(m.position[0], m.position[1]);
+    const cell = cellFor(x, y, size);
+    let bin = cells.get(cell.id);
+    if (!bin) {
+      bin = { ...cell, count: 0, weight: 0, categories: {} };
+      cells.set(cell.id, bin);
+    }
+    bin.count += 1;
+    bin.weight += weightFor(m);
+    bin.categories[m.category] = (bin.categories[m.category] || 0) + 1;
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: [...cells.values()].map(({ id, ring, count, weight, categories }) => {
+      const coords = ring.map(([x, y]) => {
+        const [lat, lng] = unproject(x, y);
+        return [lng, lat];
+      });
+      return {
+        type: "Feature",
+        properties: { id, count, weight, categories },
+        geometry: { type: "Polygon", coordinates: [[...coords, coords[0]]] },
+      };
+    }),
+  };
+};
+
+// [lat, lng, intensity] triples for the heat layer
+export const heatPoints = (markers, weightFor = () => 1) =>
+  markers.map((m) => [m.position[0], m.position[1], weightFor(m)]).filter((p) => p[2] > 0);
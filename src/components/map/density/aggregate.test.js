@@ -0,0 +1,43 @@
+import { markerInShape } from "../utils/geo";
+import { ringArea } from "../utils/measure";
+import { binMarkers, heatPoints } from "./aggregate";
+
+const marker = (id, lat, lng, category = "General") => ({ id, position: [lat, lng], category });
+
+const markers = [
+  marker(1, -1.2921, 36.8219, "Shop"),
+  marker(2, -1.2922, 36.822, "Shop"),
+  marker(3, -1.2921, 36.8221),
+  marker(4, -1.35, 36.9),
+];
+
+test.each(["hex", "square"])("%s bins count markers and contain them", (shape) => {
+  const fc = binMarkers(markers, { shape, cellSize: 500 });
+  expect(fc.features).toHaveLength(2);
+  const busiest = fc.features.find((f) => f.properties.count === 3);
+  expect(busiest.properties.categories).toEqual({ Shop: 2, General: 1 });
+  // every marker lies inside the cell it was counted in
+  markers.slice(0, 3).forEach((m) => {
+    expect(markerInShape(m.position, busiest)).toBe(true);
+  });
+  expect(fc.features.reduce((s, f) => s + f.properties.count, 0)).toBe(4);
+});
+
+test("cells are about cellSize on the ground", () => {
+  const [sq] = binMarkers([markers[0]], { shape: "square", cellSize: 1000 }).features;
+  expect(ringArea(sq.geometry.coordinates[0])).toBeGreaterThan(0.97e6);
+  expect(ringArea(sq.geometry.coordinates[0])).toBeLessThan(1.03e6);
+  // hexagon with 1000 m between centres: area = (√3 / 2) * 1000²
+  const [hex] = binMarkers([markers[0]], { shape: "hex", cellSize: 1000 }).features;
+  expect(ringArea(hex.geometry.coordinates[0]) / ((Math.sqrt(3) / 2) * 1e6)).toBeCloseTo(1, 1);
+});
+
+test("weights follow weightFor", () => {
+  const fc = binMarkers(markers, { cellSize: 500, weightFor: (m) => (m.category === "Shop" ? 3 : 1) });
+  expect(fc.features.map((f) => f.properties.weight).sort()).toEqual([1, 7]);
+  expect(heatPoints(markers, (m) => (m.category === "Shop" ? 0 : 2))).toEqual([
+    [-1.2921, 36.8221, 2],
+    [-1.35, 36.9, 2],
+  ]);
+  expect(binMarkers([]).features).toEqual([]);
+});
@@ -0,0 +1,227 @@
+import React, { useMemo, useState } from "react";
+import { CLAUSE_TYPES, FIELD_OPERATORS, describeQuery, filterableFields, isClauseComplete, newClause } from "./query";
+
+const inputStyle = { padding: "3px", border: "1px solid #ccc", borderRadius: "4px", fontSize: "12px", minWidth: 0 };
+
+/* ---------------- ClauseEditor ----------------
+   The inputs of one clause; every edit goes straight to onChange(clause).
+*/
+const ClauseEditor = ({ clause: c, fields, markers, shapes, categories, adminAreas, onChange }) => {
+  const set = (changes) => onChange({ ...c, ...changes });
+  switch (c.type) {
+    case "category":
+      return (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "2px 8px" }}>
+          {categories.map((cat) => (
+            <label key={cat.key} style={{ whiteSpace: "nowrap" }}>
+              <input
+                type="checkbox"
+                checked={c.categories.includes(cat.key)}
+                onChange={(e) => set({ categories: e.target.checked ? [...c.categories, cat.key] : c.categories.filter((k) => k !== cat.key) })}
+              />{" "}
+              {cat.key}
+            </label>
+          ))}
+        </div>
+      );
+    case "field": {
+      const field = fields.find((f) => f.key === c.field);
+      const needsValue = c.op !== "empty" && c.op !== "notEmpty";
+      return (
+        <div style={{ display: "flex", gap: 3 }}>
+          <select value={c.field} onChange={(e) => set({ field: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+            {fields.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <select value={c.op} onChange={(e) => set({ op: e.target.value })} style={inputStyle}>
+            {FIELD_OPERATORS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+          {needsValue &&
+            (field?.type === "enum" || field?.type === "boolean" ? (
+              <select value={c.value} onChange={(e) => set({ value: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+                <option value="">—</option>
+                {(field.type === "enum" ? field.options : ["Yes", "No"]).map((o) => (
+                  <option key={o}>{o}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={field?.type === "number" ? "number" : field?.type === "date" ? "date" : "text"}
+                value={c.value}
+                onChange={(e) => set({ value: e.target.value })}
+                style={{ ...inputStyle, flex: 1, width: 60 }}
+              />
+            ))}
+        </div>
+      );
+    }
+    case "hasImage":
+      return (
+        <select value={c.value ? "yes" : "no"} onChange={(e) => set({ value: e.target.value === "yes" })} style={{ ...inputStyle, width: "100%" }}>
+          <option value="yes">has a photo</option>
+          <option value="no">has no photo</option>
+        </select>
+      );
+    case "created":
+      return (
+        <div style={{ display: "flex", gap: 3, alignItems: "center" }}>
+          <input type="date" value={c.from} onChange={(e) => set({ from: e.target.value })} style={{ ...inputStyle, flex: 1 }} title="From (inclusive)" />–
+          <input type="date" value={c.to} onChange={(e) => set({ to: e.target.value })} style={{ ...inputStyle, flex: 1 }} title="Until (inclusive)" />
+        </div>
+      );
+    case "inShape":
+      return (
+        <select value={c.shapeId} onChange={(e) => set({ shapeId: e.target.value })} style={{ ...inputStyle, width: "100%" }}>
+          <option value="">Choose a drawn shape…</option>
+          {c.shapeId && !shapes.some((s) => s.properties?.id === c.shapeId) && <option value={c.shapeId}>(deleted shape)</option>}
+          {shapes.map((s) => (
+            <option key={s.properties.id} value={s.properties.id}>
+              {s.properties.name}
+            </option>
+          ))}
+        </select>
+      );
+    case "nearMarker":
+      return (
+        <div style={{ display: "flex", gap: 3, alignItems: "center" }}>
+          <input type="number" min={1} value={c.distance} onChange={(e) => set({ distance: e.target.value })} style={{ ...inputStyle, width: 60 }} title="Distance in metres" />
+          m of
+          <select value={String(c.markerId)} onChange={(e) => set({ markerId: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+            <option value="">Choose a marker…</option>
+            {c.markerId !== "" && !markers.some((m) => String(m.id) === String(c.markerId)) && <option value={String(c.markerId)}>(deleted marker)</option>}
+            {markers.map((m) => (
+              <option key={m.id} value={String(m.id)}>
+                {m.title}
+              </option>
+            ))}
+          </select>
+        </div>
+      );
+    case "area": {
+      const level = adminAreas.find((l) => l.key === c.level) || adminAreas[0];
+      return (
+        <div style={{ display: "flex", gap: 3 }}>
+          <select value={c.level} onChange={(e) => set({ level: e.target.value, name: "" })} style={inputStyle}>
+            {adminAreas.map((l) => (
+              <option key={l.key} value={l.key}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+          <select value={c.name} onChange={(e) => set({ name: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+            <option value="">Choose…</option>
+            {(level?.values || []).map((name) => (
+              <option key={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+/* ---------------- FilterBuilder ----------------
+   Conditions combined with AND / OR (query.js), on top of the quick filters.
+   Named filters are saved with the map: onSaveFilter(name) stores the current
+   query (replacing a filter of the same name), onLoadFilter(id) brings one back.
+*/
+const FilterBuilder = ({ query, onChange, markers, shapes, categories, adminAreas, savedFilters, onSaveFilter, onDeleteFilter, onLoadFilter }) => {
+  const [addType, setAddType] = useState(CLAUSE_TYPES[0].key);
+  const [filterName, setFilterName] = useState("");
+  const [selectedFilterId, setSelectedFilterId] = useState("");
+  const fields = useMemo(() => filterableFields(categories, markers), [categories, markers]);
+  const sortedMarkers = useMemo(() => [...markers].sort((a, b) => String(a.title).localeCompare(String(b.title))), [markers]);
+
+  const setClause = (i, clause) => onChange({ ...query, clauses: query.clauses.map((c, j) => (j === i ? clause : c)) });
+  const removeClause = (i) => onChange({ ...query, clauses: query.clauses.filter((c, j) => j !== i) });
+
+  const save = () => {
+    if (!filterName.trim()) return alert("Give the filter a name.");
+    if (!query.clauses.some(isClauseComplete)) return alert("Add at least one complete condition first.");
+    onSaveFilter(filterName.trim());
+    setFilterName("");
+  };
+
+  const selectedFilter = savedFilters.find((f) => f.id === selectedFilterId);
+  const smallButton = { background: "none", border: "none", cursor: "pointer", padding: "0 3px", fontSize: "12px" };
+
+  return (
+    <div style={{ fontSize: "12px", borderTop: "1px solid #eee", marginTop: 6, paddingTop: 6 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 4 }}>
+        Match
+        <select value={query.match} onChange={(e) => onChange({ ...query, match: e.target.value })} style={inputStyle}>
+          <option value="all">all (AND)</option>
+          <option value="any">any (OR)</option>
+        </select>
+        of these conditions
+      </div>
+
+      {query.clauses.map((c, i) => (
+        <div key={i} style={{ background: isClauseComplete(c) ? "#f7f9fb" : "#fdf8ec", borderRadius: 4, padding: "4px 5px", marginBottom: 4 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", color: "#555", marginBottom: 2 }}>
+            {CLAUSE_TYPES.find((t) => t.key === c.type)?.label}
+            <button onClick={() => removeClause(i)} style={smallButton} title="Remove condition">
+              ✖
+            </button>
+          </div>
+          <ClauseEditor clause={c} fields={fields} markers={sortedMarkers} shapes={shapes} categories={categories} adminAreas={adminAreas} onChange={(next) => setClause(i, next)} />
+        </div>
+      ))}
+
+      <div style={{ display: "flex", gap: 4 }}>
+        <select value={addType} onChange={(e) => setAddType(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+          {CLAUSE_TYPES.map((t) => (
+            <option key={t.key} value={t.key}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => onChange({ ...query, clauses: [...query.clauses, newClause(addType)] })} style={{ ...inputStyle, background: "#3498db", color: "white", border: "none", cursor: "pointer" }}>
+          + Condition
+        </button>
+      </div>
+
+      <div style={{ fontWeight: "bold", margin: "8px 0 3px" }}>Saved filters</div>
+      <div style={{ display: "flex", gap: 4, marginBottom: 4 }}>
+        <select value={selectedFilter ? selectedFilterId : ""} onChange={(e) => setSelectedFilterId(e.target.value)} style={{ ...inputStyle, flex: 1 }} title={selectedFilter ? describeQuery(selectedFilter.query, { markers, shapes, categories }) : ""}>
+          <option value="">{savedFilters.length ? "Choose a saved filter…" : "None saved yet"}</option>
+          {savedFilters.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.name}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => selectedFilter && onLoadFilter(selectedFilter.id)} disabled={!selectedFilter} style={{ ...inputStyle, cursor: "pointer" }}>
+          Apply
+        </button>
+        <button
+          onClick={() => {
+            if (selectedFilter && window.confirm(`Delete the saved filter "${selectedFilter.name}"?`)) onDeleteFilter(selectedFilter.id);
+          }}
+          disabled={!selectedFilter}
+          style={smallButton}
+          title="Delete saved filter"
+        >
+          🗑
+        </button>
+      </div>
+      <div style={{ display: "flex", gap: 4 }}>
+        <input value={filterName} onChange={(e) => setFilterName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && save()} placeholder="Save conditions as…" style={{ ...inputStyle, flex: 1 }} />
+        <button onClick={save} style={{ ...inputStyle, background: "#27ae60", color: "white", border: "none", cursor: "pointer" }}>
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterBuilder;
@@ -0,0 +1,204 @@
+/* ---------------- Filter queries ----------------
+   The filter builder's query: { match: "all" | "any", clauses: [clause] }, where a clause is one of
+     { type: "category", categories: [key] }
+     { type: "field", field, op, value }          field = "title" | "description" | attribute key
+     { type: "hasImage", value: true | false }
+     { type: "created", from, to }                "YYYY-MM-DD" local days, inclusive; either may be ""
+     { type: "inShape", shapeId }
+     { type: "nearMarker", markerId, distance }   metres
+     { type: "area", level, name }                level = an ADMIN_FIELDS key, e.g. "sublocation"
+   Clauses that aren't filled in yet are ignored; clauses pointing at a shape or
+   marker that has since been deleted match nothing.
+   Saved filters are stored with the map as [{ id, name, query }].
+*/
+import { ADMIN_FIELDS, haversineDistance, markerInShape } from "../utils/geo";
+import { formatFieldValue, parseFieldValue } from "../categories/schema";
+
+export const EMPTY_QUERY = { match: "all", clauses: [] };
+
+export const CLAUSE_TYPES = [
+  { key: "category", label: "Category" },
+  { key: "field", label: "Field" },
+  { key: "hasImage", label: "Photo" },
+  { key: "created", label: "Created" },
+  { key: "inShape", label: "Inside shape" },
+  { key: "nearMarker", label: "Near marker" },
+  { key: "area", label: "Admin area" },
+];
+
+export const FIELD_OPERATORS = [
+  { key: "contains", label: "contains" },
+  { key: "equals", label: "=" },
+  { key: "notEquals", label: "≠" },
+  { key: "gt", label: ">" },
+  { key: "gte", label: "≥" },
+  { key: "lt", label: "<" },
+  { key: "lte", label: "≤" },
+  { key: "empty", label: "is empty" },
+  { key: "notEmpty", label: "is not empty" },
+];
+
+const BUILTIN_FIELDS = [
+  { key: "title", label: "Title", type: "text" },
+  { key: "description", label: "Description", type: "text" },
+];
+
+export const newClause = (type) =>
+  ({
+    category: { type, categories: [] },
+    field: { type, field: "title", op: "contains", value: "" },
+    hasImage: { type, value: true },
+    created: { type, from: "", to: "" },
+    inShape: { type, shapeId: "" },
+    nearMarker: { type, markerId: "", distance: 500 },
+    area: { type, level: ADMIN_FIELDS[0].key, name: "" },
+  }[type]);
+
+// title, description, every category's schema fields, then other attribute keys in use
+export const filterableFields = (categories, markers) => {
+  const fields = [...BUILTIN_FIELDS];
+  const add = (f) => {
+    if (!fields.some((x) => x.key === f.key)) fields.push(f);
+  };
+  categories.forEach((c) => (c.fields || []).forEach(add));
+  markers.forEach((m) => Object.keys(m.attributes || {}).forEach((key) => add({ key, label: key, type: "text" })));
+  return fields;
+};
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+const fieldValue = (m, key) => (BUILTIN_FIELDS.some((f) => f.key === key) ? m[key] : m.attributes?.[key]);
+
+// typed when the field's schema can read the value, else a number if it looks like one, else lower-cased text
+const comparable = (field, v) => {
+  if (field && field.type !== "text") {
+    const { value, error } = parseFieldValue({ ...field, required: false, min: undefined, max: undefined }, v);
+    if (!error && value !== null) return value;
+  }
+  if (typeof v === "number" || typeof v === "boolean") return v;
+  const text = String(v).trim();
+  return text !== "" && Number.isFinite(Number(text)) ? Number(text) : text.toLowerCase();
+};
+
+const compareField = (field, op, actual, expected) => {
+  if (op === "empty") return isEmpty(actual);
+  if (op === "notEmpty") return !isEmpty(actual);
+  if (isEmpty(actual)) return op === "notEquals";
+  if (op === "contains") return formatFieldValue(field, actual).toLowerCase().includes(String(expected).trim().toLowerCase());
+  const a = comparable(field, actual);
+  const b = comparable(field, expected);
+  if (op === "equals") return a === b;
+  if (op === "notEquals") return a !== b;
+  // ordering only between two numbers or two strings (ISO dates sort as text)
+  if (typeof a !== typeof b || typeof a === "boolean") return false;
+  if (op === "gt") return a > b;
+  if (op === "gte") return a >= b;
+  if (op === "lt") return a < b;
+  if (op === "lte") return a <= b;
+  return false;
+};
+
+const localDay = (ymd, endOfDay) => (ymd ? new Date(`${ymd}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).getTime() : NaN);
+
+// false while the clause still needs input (it is then left out of the query)
+export const isClauseComplete = (c) => {
+  switch (c.type) {
+    case "category":
+      return c.categories.length > 0;
+    case "field":
+      return !!c.field && (c.op === "empty" || c.op === "notEmpty" || String(c.value).trim() !== "");
+    case "created":
+      return !!(c.from || c.to);
+    case "inShape":
+      return !!c.shapeId;
+    case "nearMarker":
+      return c.markerId !== "" && Number(c.distance) > 0;
+    case "area":
+      return !!c.name;
+    default:
+      return c.type === "hasImage";
+  }
+};
+
+/* query + the map's { markers, shapes, categories } -> marker predicate, or null
+   when there is nothing to filter on. */
+export const compileQuery = (query, { markers = [], shapes = [], categories = [] } = {}) => {
+  const clauses = (query?.clauses || []).filter(isClauseComplete);
+  if (!clauses.length) return null;
+  const fields = filterableFields(categories, []);
+  const tests = clauses.map((c) => {
+    switch (c.type) {
+      case "category": {
+        const keys = new Set(c.categories);
+        return (m) => keys.has(m.category);
+      }
+      case "field": {
+        const field = fields.find((f) => f.key === c.field);
+        return (m) => compareField(field, c.op, fieldValue(m, c.field), c.value);
+      }
+      case "hasImage":
+        return (m) => !!(m.imageId || m.image) === !!c.value;
+      case "created": {
+        const from = c.from ? localDay(c.from, false) : -Infinity;
+        const to = c.to ? localDay(c.to, true) : Infinity;
+        return (m) => {
+          const t = Date.parse(m.createdAt);
+          return Number.isFinite(t) && t >= from && t <= to;
+        };
+      }
+      case "inShape": {
+        const shape = shapes.find((s) => s.properties?.id === c.shapeId);
+        return shape ? (m) => markerInShape(m.position, shape) : () => false;
+      }
+      case "nearMarker": {
+        const origin = markers.find((m) => String(m.id) === String(c.markerId));
+        const distance = Number(c.distance);
+        return origin ? (m) => haversineDistance(origin.position[0], origin.position[1], m.position[0], m.position[1]) <= distance : () => false;
+      }
+      case "area":
+        return (m) => m[c.level] === c.name;
+      default:
+        return () => true;
+    }
+  });
+  return query.match === "any" ? (m) => tests.some((t) => t(m)) : (m) => tests.every((t) => t(m));
+};
+
+// one line per clause, for the PDF report and saved-filter tooltips
+export const describeClause = (c, { markers = [], shapes = [], categories = [] } = {}) => {
+  switch (c.type) {
+    case "category":
+      return `category is ${c.categories.join(" or ")}`;
+    case "field": {
+      const field = filterableFields(categories, markers).find((f) => f.key === c.field);
+      const op = FIELD_OPERATORS.find((o) => o.key === c.op)?.label || c.op;
+      return `${field?.label || c.field} ${op}${c.op === "empty" || c.op === "notEmpty" ? "" : ` "${c.value}"`}`;
+    }
+    case "hasImage":
+      return c.value ? "has a photo" : "has no photo";
+    case "created":
+      return `created ${c.from ? `from ${c.from}` : ""}${c.from && c.to ? " " : ""}${c.to ? `until ${c.to}` : ""}`;
+    case "inShape":
+      return `inside ${shapes.find((s) => s.properties?.id === c.shapeId)?.properties.name || "(deleted shape)"}`;
+    case "nearMarker": {
+      const origin = markers.find((m) => String(m.id) === String(c.markerId));
+      return `within ${c.distance} m of ${origin ? origin.title : "(deleted marker)"}`;
+    }
+    case "area":
+      return `in ${c.name} ${(ADMIN_FIELDS.find((f) => f.key === c.level)?.label || c.level).toLowerCase()}`;
+    default:
+      return c.type;
+  }
+};
+
+export const describeQuery = (query, context) => {
+  const clauses = (query?.clauses || []).filter(isClauseComplete);
+  return clauses.map((c) => describeClause(c, context)).join(query.match === "any" ? " OR " : " AND ");
+};
+
+// drops malformed saved filters from stored maps
+export const normalizeSavedFilters = (list) =>
+  (Array.isArray(list) ? list : [])
+    .filter((f) => f && typeof f.id === "string" && typeof f.name === "string" && Array.isArray(f.query?.clauses))
+    .map((f) => ({ id: f.id, name: f.name, query: { match: f.query.match === "any" ? "any" : "all", clauses: f.query.clauses.filter((c) => c && newClause(c.type)) } }));
+
+export const newFilterId = () => `filter_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
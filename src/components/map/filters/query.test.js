@@ -0,0 +1,56 @@
+import { compileQuery, describeQuery, filterableFields, isClauseComplete, newClause, normalizeSavedFilters } from "./query";
+
+const categories = [
+  { key: "Restaurant", color: "#e74c3c", glyph: "", fields: [{ key: "rating", label: "Rating", type: "number" }, { key: "halal", label: "Halal", type: "boolean" }] },
+  { key: "Shop", color: "#9b59b6", glyph: "" },
+];
+const markers = [
+  { id: 1, title: "Java House", description: "", category: "Restaurant", position: [-1.2864, 36.8172], attributes: { rating: 4, halal: true }, createdAt: "2024-03-01T09:00:00.000Z", imageId: "img_1" },
+  { id: 2, title: "Mama Oliech", description: "Fish", category: "Restaurant", position: [-1.29, 36.79], attributes: { rating: 3.5 }, createdAt: "2024-05-10T09:00:00.000Z", sublocation: "KILIMANI" },
+  { id: 3, title: "Duka", description: "", category: "Shop", position: [-1.2866, 36.8175], attributes: { owner: "Wanjiru" }, sublocation: "CBD" },
+];
+const square = {
+  type: "Feature",
+  properties: { id: "shape_1", name: "CBD block" },
+  geometry: { type: "Polygon", coordinates: [[[36.81, -1.29], [36.82, -1.29], [36.82, -1.28], [36.81, -1.28], [36.81, -1.29]]] },
+};
+const context = { markers, shapes: [square], categories };
+const ids = (query) => markers.filter(compileQuery(query, context)).map((m) => m.id);
+
+test("field clauses compare by the schema type", () => {
+  expect(ids({ match: "all", clauses: [{ type: "field", field: "rating", op: "gte", value: "3.6" }] })).toEqual([1]);
+  expect(ids({ match: "all", clauses: [{ type: "field", field: "halal", op: "equals", value: "yes" }] })).toEqual([1]);
+  expect(ids({ match: "all", clauses: [{ type: "field", field: "title", op: "contains", value: "MAMA" }] })).toEqual([2]);
+  expect(ids({ match: "all", clauses: [{ type: "field", field: "owner", op: "notEmpty", value: "" }] })).toEqual([3]);
+  expect(ids({ match: "all", clauses: [{ type: "field", field: "rating", op: "notEquals", value: "4" }] })).toEqual([2, 3]);
+});
+
+test("clauses combine with AND / OR", () => {
+  const clauses = [
+    { type: "category", categories: ["Restaurant"] },
+    { type: "inShape", shapeId: "shape_1" },
+  ];
+  expect(ids({ match: "all", clauses })).toEqual([1]);
+  expect(ids({ match: "any", clauses })).toEqual([1, 2, 3]);
+  expect(describeQuery({ match: "all", clauses }, context)).toBe("category is Restaurant AND inside CBD block");
+});
+
+test("photo, created range, distance and admin area clauses", () => {
+  expect(ids({ match: "all", clauses: [{ type: "hasImage", value: false }] })).toEqual([2, 3]);
+  expect(ids({ match: "all", clauses: [{ type: "created", from: "2024-04-01", to: "" }] })).toEqual([2]);
+  expect(ids({ match: "all", clauses: [{ type: "nearMarker", markerId: "1", distance: 100 }] })).toEqual([1, 3]);
+  expect(ids({ match: "all", clauses: [{ type: "area", level: "sublocation", name: "CBD" }] })).toEqual([3]);
+});
+
+test("unfinished clauses are ignored; deleted shapes and markers match nothing", () => {
+  expect(compileQuery({ match: "all", clauses: [newClause("inShape"), newClause("field")] }, context)).toBeNull();
+  expect(isClauseComplete(newClause("hasImage"))).toBe(true);
+  expect(ids({ match: "all", clauses: [{ type: "inShape", shapeId: "gone" }] })).toEqual([]);
+  expect(describeQuery({ match: "all", clauses: [{ type: "nearMarker", markerId: "9", distance: 50 }] }, context)).toBe("within 50 m of (deleted marker)");
+});
+
+test("filterable fields and saved filter normalisation", () => {
+  expect(filterableFields(categories, markers).map((f) => f.key)).toEqual(["title", "description", "rating", "halal", "owner"]);
+  const saved = normalizeSavedFilters([{ id: "f1", name: "Good food", query: { match: "or", clauses: [{ type: "bogus" }, { type: "hasImage", value: true }] } }, { name: "no id" }, null]);
+  expect(saved).toEqual([{ id: "f1", name: "Good food", query: { match: "all", clauses: [{ type: "hasImage", value: true }] } }]);
+});
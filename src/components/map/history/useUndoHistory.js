@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const HISTORY_LIMIT = 100;
+// consecutive edits that don't add/remove anything (typing in a popup) within this window are one step
+const COALESCE_MS = 1000;
+
+/* ---------------- useUndoHistory ----------------
+   Undo/redo for the current map's { markers, shapes, categories }.
+   - Every change to markers/shapes is recorded as a snapshot of the previous state
+     (state arrays are immutable, so snapshots are just references).
+   - History is kept per saved map (keyed by mapId) for the session; switching maps
+     doesn't record anything, and switching back restores that map's stack.
+   - pushAction({ undo, redo? }) records non-snapshot steps such as deleting a map.
+   - skipNext() leaves the next change out of the history (derived updates like admin tagging).
+   undo / redo / pushAction read the current state through a ref, so they keep their identity.
+*/
+const historyOf = (histories, id) => {
+  if (!histories[id]) histories[id] = { past: [], future: [] };
+  return histories[id];
+};
+
+const useUndoHistory = ({ mapId, markers, shapes, categories, setMarkers, setShapes, setCategories }) => {
+  const historiesRef = useRef({});
+  const prevRef = useRef({ mapId, markers, shapes, categories, at: 0 });
+  const skipRef = useRef(false);
+  const currentRef = useRef();
+  currentRef.current = { mapId, markers, shapes, categories, setMarkers, setShapes, setCategories };
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const prev = prevRef.current;
+    const now = Date.now();
+    prevRef.current = { mapId, markers, shapes, categories, at: now };
+
+    if (prev.mapId !== mapId || skipRef.current) {
+      skipRef.current = false;
+      setVersion((v) => v + 1);
+      return;
+    }
+    if (prev.markers === markers && prev.shapes === shapes && prev.categories === categories) return;
+
+    const h = historyOf(historiesRef.current, mapId);
+    const last = h.past[h.past.length - 1];
+    const sameCounts =
+      prev.markers.length === markers.length && prev.shapes.length === shapes.length && prev.categories?.length === categories?.length;
+    // only onto a step that was itself such an edit: typing right after adding a marker stays separate
+    const coalesce = last && last.type === "snapshot" && last.edit && sameCounts && now - prev.at < COALESCE_MS;
+    if (coalesce) {
+      // keep the older snapshot; the burst of edits undoes in one step
+      prevRef.current.at = prev.at;
+    } else {
+      h.past.push({ type: "snapshot", markers: prev.markers, shapes: prev.shapes, categories: prev.categories, edit: sameCounts });
+      if (h.past.length > HISTORY_LIMIT) h.past.shift();
+    }
+    h.future = [];
+    setVersion((v) => v + 1);
+  }, [mapId, markers, shapes, categories]);
+
+  // steps from `from` onto `to`: actions run their undo / redo, snapshots swap with the current state
+  const step = useCallback((from, to, run) => {
+    const { markers, shapes, categories, setMarkers, setShapes, setCategories } = currentRef.current;
+    const entry = from.pop();
+    if (!entry) return;
+    if (entry.type === "action") {
+      run(entry);
+      if (entry.redo) to.push(entry);
+    } else {
+      to.push({ type: "snapshot", markers, shapes, categories });
+      if (entry.markers !== markers || entry.shapes !== shapes || entry.categories !== categories) {
+        skipRef.current = true;
+        setMarkers(entry.markers);
+        setShapes(entry.shapes);
+        if (setCategories) setCategories(entry.categories);
+      }
+    }
+    setVersion((v) => v + 1);
+  }, []);
+
+  const undo = useCallback(() => {
+    const h = historyOf(historiesRef.current, currentRef.current.mapId);
+    step(h.past, h.future, (entry) => entry.undo());
+  }, [step]);
+
+  const redo = useCallback(() => {
+    const h = historyOf(historiesRef.current, currentRef.current.mapId);
+    step(h.future, h.past, (entry) => entry.redo());
+  }, [step]);
+
+  // record a custom step on `targetMapId`'s stack (defaults to the current map)
+  const pushAction = useCallback((action, targetMapId = currentRef.current.mapId) => {
+    const h = historyOf(historiesRef.current, targetMapId);
+    h.past.push({ type: "action", ...action });
+    h.future = [];
+    setVersion((v) => v + 1);
+  }, []);
+
+  const skipNext = useCallback(() => {
+    skipRef.current = true;
+  }, []);
+
+  const h = historiesRef.current[mapId];
+  return {
+    undo,
+    redo,
+    pushAction,
+    skipNext,
+    canUndo: !!h?.past.length,
+    canRedo: !!h?.future.length,
+  };
+};
+
+export default useUndoHistory;
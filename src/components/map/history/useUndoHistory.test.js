@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { act, renderHook } from "@testing-library/react";
+import useUndoHistory from "./useUndoHistory";
+
+const useHarness = () => {
+  const [mapId, setMapId] = useState("default");
+  const [markers, setMarkers] = useState([]);
+  const [shapes, setShapes] = useState([]);
+  const [categories, setCategories] = useState([{ key: "General", color: "#3388ff" }]);
+  const history = useUndoHistory({ mapId, markers, shapes, categories, setMarkers, setShapes, setCategories });
+  return { mapId, setMapId, markers, setMarkers, shapes, setShapes, categories, setCategories, history };
+};
+
+const marker = (id) => ({ id, position: [0, id], title: `M${id}` });
+
+test("undo and redo walk through marker changes", () => {
+  const { result } = renderHook(useHarness);
+  act(() => result.current.setMarkers([marker(1)]));
+  act(() => result.current.setMarkers((prev) => [...prev, marker(2)]));
+  expect(result.current.history.canUndo).toBe(true);
+
+  act(() => result.current.history.undo());
+  expect(result.current.markers.map((m) => m.id)).toEqual([1]);
+  act(() => result.current.history.undo());
+  expect(result.current.markers).toEqual([]);
+  expect(result.current.history.canUndo).toBe(false);
+
+  act(() => result.current.history.redo());
+  act(() => result.current.history.redo());
+  expect(result.current.markers.map((m) => m.id)).toEqual([1, 2]);
+  expect(result.current.history.canRedo).toBe(false);
+});
+
+test("a new edit clears the redo stack", () => {
+  const { result } = renderHook(useHarness);
+  act(() => result.current.setMarkers([marker(1)]));
+  act(() => result.current.history.undo());
+  act(() => result.current.setShapes([{ type: "Feature", properties: { id: "s" }, geometry: null }]));
+  expect(result.current.history.canRedo).toBe(false);
+});
+
+test("rapid edits that keep counts are coalesced into one step, separate from the add before them", () => {
+  const { result } = renderHook(useHarness);
+  act(() => result.current.setMarkers([marker(1)]));
+  act(() => result.current.setMarkers([{ ...marker(1), title: "A" }]));
+  act(() => result.current.setMarkers([{ ...marker(1), title: "AB" }]));
+  act(() => result.current.history.undo());
+  expect(result.current.markers).toEqual([marker(1)]);
+  act(() => result.current.history.undo());
+  expect(result.current.markers).toEqual([]);
+});
+
+test("skipNext keeps derived updates out of history", () => {
+  const { result } = renderHook(useHarness);
+  act(() => {
+    result.current.history.skipNext();
+    result.current.setMarkers([marker(1)]);
+  });
+  expect(result.current.history.canUndo).toBe(false);
+});
+
+test("history is kept per map", () => {
+  const { result } = renderHook(useHarness);
+  act(() => result.current.setMarkers([marker(1)]));
+  act(() => {
+    result.current.setMapId("other");
+    result.current.setMarkers([]);
+  });
+  expect(result.current.history.canUndo).toBe(false);
+  act(() => {
+    result.current.setMapId("default");
+    result.current.setMarkers([marker(1)]);
+  });
+  expect(result.current.history.canUndo).toBe(true);
+});
+
+test("custom actions run their undo callback", () => {
+  const { result } = renderHook(useHarness);
+  const undo = jest.fn();
+  act(() => result.current.history.pushAction({ undo }));
+  act(() => result.current.history.undo());
+  expect(undo).toHaveBeenCalled();
+  expect(result.current.history.canRedo).toBe(false);
+});
+
+test("a category rename and the markers it touched undo together", () => {
+  const { result } = renderHook(useHarness);
+  act(() => result.current.setMarkers([{ ...marker(1), category: "General" }]));
+  // past the coalescing window, so the rename is its own step
+  const now = Date.now();
+  jest.spyOn(Date, "now").mockReturnValue(now + 5000);
+  act(() => {
+    result.current.setCategories([{ key: "Other", color: "#3388ff" }]);
+    result.current.setMarkers([{ ...marker(1), category: "Other" }]);
+  });
+  act(() => result.current.history.undo());
+  expect(result.current.categories.map((c) => c.key)).toEqual(["General"]);
+  expect(result.current.markers[0].category).toBe("General");
+  Date.now.mockRestore();
+});
@@ -0,0 +1,212 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  DELIMITERS,
+  ENCODINGS,
+  MAPPING_FIELDS,
+  errorsToCSV,
+  guessMapping,
+  parseCSVText,
+  rowsToMarkers,
+} from "../utils/csv";
+
+const PREVIEW_ROWS = 5;
+
+/* ---------------- CsvImportWizard ----------------
+   File -> delimiter/encoding -> preview + column mapping -> import -> error report.
+   Produces markers through onImport(markers); duplicates are checked with isDuplicate.
+*/
+const CsvImportWizard = ({ defaultCategory, isDuplicate, onImport, onClose }) => {
+  const fileInputRef = useRef();
+  const [file, setFile] = useState(null);
+  const [encoding, setEncoding] = useState("UTF-8");
+  const [delimiter, setDelimiter] = useState("");
+  const [parsed, setParsed] = useState(null); // { headers, rows, delimiter, parseErrors }
+  const [mapping, setMapping] = useState(null);
+  const [result, setResult] = useState(null); // { imported, errors }
+
+  // (re)read the file whenever it, the encoding or the delimiter changes
+  useEffect(() => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        const next = parseCSVText(ev.target.result, { delimiter });
+        setParsed(next);
+        setMapping(guessMapping(next.headers));
+        setResult(null);
+      } catch (err) {
+        console.error("CSV parse error", err);
+        setParsed({ headers: [], rows: [], parseErrors: [{ row: 0, message: "Failed to parse CSV." }] });
+      }
+    };
+    reader.readAsText(file, encoding);
+  }, [file, encoding, delimiter]);
+
+  const hasCoordinates = mapping && ((mapping.lat !== -1 && mapping.lng !== -1) || mapping.point !== -1);
+  const unmapped = parsed && mapping ? parsed.headers.filter((_, i) => !Object.values(mapping).includes(i)) : [];
+
+  const runImport = () => {
+    const { markers, errors } = rowsToMarkers(parsed.rows, parsed.headers, mapping, { defaultCategory, isDuplicate });
+    const allErrors = [...parsed.parseErrors, ...errors].sort((a, b) => a.row - b.row);
+    if (markers.length) onImport(markers);
+    setResult({ imported: markers.length, errors: allErrors });
+  };
+
+  const downloadErrorReport = () => {
+    const blob = new Blob([errorsToCSV(result.errors)], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${file?.name.replace(/\.[^.]+$/, "") || "import"}_errors.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const selectStyle = { padding: "4px", border: "1px solid #ccc", borderRadius: "4px" };
+  const cellStyle = { border: "1px solid #eee", padding: "3px 6px", whiteSpace: "nowrap", maxWidth: 160, overflow: "hidden", textOverflow: "ellipsis" };
+
+  return (
+    <div
+      style={{ position: "fixed", inset: 0, zIndex: 3000, background: "rgba(0,0,0,0.35)", display: "flex", alignItems: "center", justifyContent: "center" }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ background: "white", borderRadius: 8, padding: "14px 16px", width: 640, maxWidth: "95vw", maxHeight: "90vh", overflowY: "auto", textAlign: "left", boxShadow: "0 4px 16px rgba(0,0,0,0.3)" }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h4 style={{ margin: 0, fontSize: "15px" }}>📥 Import CSV</h4>
+          <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+            ❌
+          </button>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 10, fontSize: 13 }}>
+          <button onClick={() => fileInputRef.current?.click()} style={{ padding: "6px 10px", borderRadius: 6, border: "none", background: "#6c5ce7", color: "white", cursor: "pointer" }}>
+            {file ? "Change file" : "Choose file"}
+          </button>
+          <span style={{ color: "#555" }}>{file?.name || "No file selected"}</span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null);
+              e.target.value = "";
+            }}
+          />
+        </div>
+
+        <div style={{ display: "flex", gap: 12, marginTop: 8, fontSize: 13 }}>
+          <label>
+            Delimiter{" "}
+            <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)} style={selectStyle}>
+              {DELIMITERS.map((d) => (
+                <option key={d.label} value={d.key}>
+                  {d.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Encoding{" "}
+            <select value={encoding} onChange={(e) => setEncoding(e.target.value)} style={selectStyle}>
+              {ENCODINGS.map((enc) => (
+                <option key={enc}>{enc}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {parsed && (
+          <>
+            <h5 style={{ margin: "12px 0 4px" }}>
+              Preview ({parsed.rows.length} rows{parsed.delimiter ? `, delimiter "${parsed.delimiter === "\t" ? "tab" : parsed.delimiter}"` : ""})
+            </h5>
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    {parsed.headers.map((h, i) => (
+                      <th key={i} style={{ ...cellStyle, background: "#f5f5f5" }}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {parsed.rows.slice(0, PREVIEW_ROWS).map((r, ri) => (
+                    <tr key={ri}>
+                      {parsed.headers.map((_, ci) => (
+                        <td key={ci} style={cellStyle} title={r[ci]}>
+                          {r[ci]}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h5 style={{ margin: "12px 0 4px" }}>Column mapping</h5>
+            <div style={{ display: "grid", gridTemplateColumns: "170px 1fr", gap: "4px 8px", fontSize: 13, alignItems: "center" }}>
+              {MAPPING_FIELDS.map((f) => (
+                <React.Fragment key={f.key}>
+                  <span>{f.label}</span>
+                  <select value={mapping[f.key]} onChange={(e) => setMapping({ ...mapping, [f.key]: Number(e.target.value) })} style={selectStyle}>
+                    <option value={-1}>— not mapped —</option>
+                    {parsed.headers.map((h, i) => (
+                      <option key={i} value={i}>
+                        {h || `Column ${i + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              ))}
+            </div>
+            <p style={{ fontSize: 12, color: "#666", margin: "6px 0" }}>
+              Map Latitude + Longitude, or a single Point column ("lat,lng" or WKT "POINT (lng lat)").
+              {unmapped.length > 0 && ` Kept as custom attributes: ${unmapped.join(", ")}.`}
+            </p>
+
+            <button
+              onClick={runImport}
+              disabled={!hasCoordinates || !parsed.rows.length}
+              style={{ padding: "8px 12px", borderRadius: 6, border: "none", background: hasCoordinates ? "#27ae60" : "#bbb", color: "white", cursor: hasCoordinates ? "pointer" : "default" }}
+            >
+              Import {parsed.rows.length} rows
+            </button>
+          </>
+        )}
+
+        {result && (
+          <div style={{ marginTop: 12, fontSize: 13 }}>
+            <strong>Import complete. {result.imported} markers added.</strong>
+            {result.errors.length > 0 && (
+              <>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 6 }}>
+                  <span>
+                    {result.errors.length} row{result.errors.length === 1 ? "" : "s"} skipped or with warnings
+                  </span>
+                  <button onClick={downloadErrorReport} style={{ padding: "4px 8px", borderRadius: 4, border: "1px solid #ccc", background: "#f0f0f0", cursor: "pointer" }}>
+                    Download error report
+                  </button>
+                </div>
+                <div style={{ maxHeight: 160, overflowY: "auto", border: "1px solid #eee", marginTop: 4, fontSize: 12 }}>
+                  {result.errors.map((e, i) => (
+                    <div key={i} style={{ padding: "2px 6px", borderBottom: "1px solid #f5f5f5" }}>
+                      Row {e.row}: {e.message}
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportWizard;
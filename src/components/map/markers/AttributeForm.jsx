@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { parseFieldValue } from "../categories/schema";
+
+// stored value -> what the input shows
+const inputValue = (field, value) => {
+  if (value === undefined || value === null) return "";
+  if (field.type === "boolean") return value === true ? "true" : value === false ? "false" : String(value);
+  return String(value);
+};
+
+/* ---------------- AttributeForm ----------------
+   Typed inputs for the marker's category schema (categories/schema). A value is
+   only passed to onChange(key, value) once it parses; until then the raw input
+   stays here with its error. null clears the attribute.
+   Mounted with key={marker.id} so drafts don't carry over to another marker.
+*/
+const AttributeForm = ({ fields, attributes = {}, onChange }) => {
+  const [drafts, setDrafts] = useState({}); // key -> raw input that doesn't parse
+
+  const update = (field, raw) => {
+    const { value, error } = parseFieldValue(field, raw);
+    setDrafts((prev) => {
+      const { [field.key]: dropped, ...rest } = prev;
+      return error ? { ...rest, [field.key]: raw } : rest;
+    });
+    if (!error) onChange(field.key, value);
+  };
+
+  const inputStyle = { fontSize: "11px", width: "100%", boxSizing: "border-box" };
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", gap: "3px 6px", alignItems: "center", fontSize: "11px", marginTop: 6 }}>
+      {fields.map((f) => {
+        const stored = attributes[f.key];
+        const raw = f.key in drafts ? drafts[f.key] : inputValue(f, stored);
+        // drafts, and stored values that no longer fit (imports, schema edits)
+        const error = parseFieldValue(f, f.key in drafts ? drafts[f.key] : stored).error;
+        let input;
+        if (f.type === "enum" || f.type === "boolean") {
+          const options = f.type === "enum" ? f.options.map((o) => [o, o]) : [["true", "Yes"], ["false", "No"]];
+          input = (
+            <select value={raw} onChange={(e) => update(f, e.target.value)} style={inputStyle}>
+              <option value="">—</option>
+              {raw !== "" && !options.some(([v]) => v === raw) && <option value={raw}>{raw}</option>}
+              {options.map(([v, label]) => (
+                <option key={v} value={v}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          );
+        } else {
+          const type = { number: "number", date: "date", url: "url" }[f.type] || "text";
+          input = <input type={type} value={raw} min={f.min} max={f.max} onChange={(e) => update(f, e.target.value)} style={inputStyle} />;
+        }
+        return (
+          <React.Fragment key={f.key}>
+            <span style={{ color: "#555" }}>
+              {f.label}
+              {f.required && <span style={{ color: "#c0392b" }}> *</span>}
+            </span>
+            <span style={{ display: "flex", gap: 3, alignItems: "center" }}>
+              {input}
+              {f.type === "url" && !error && stored && (
+                <a href={stored} target="_blank" rel="noopener noreferrer" title="Open link">
+                  ↗
+                </a>
+              )}
+            </span>
+            {error && <span style={{ gridColumn: "1 / -1", color: "#c0392b" }}>{error}</span>}
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AttributeForm;
@@ -0,0 +1,101 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Marker, useMap, useMapEvents } from "react-leaflet";
+import Supercluster from "supercluster";
+import { getCategoryIcon } from "../categories/categoryIcon";
+import { categoryColor, findCategory } from "../categories/categories";
+import { getClusterIcon } from "./clusterIcon";
+
+const CLUSTER_RADIUS = 60; // px
+const CLUSTER_MAX_ZOOM = 17; // from zoom 18 every marker is drawn on its own
+const VIEW_PADDING = 0.25; // render a bit beyond the viewport so panning doesn't pop
+
+// per-category counts in the map's category order (unknown keys last)
+const clusterSlices = (counts, categories) => {
+  const known = categories.filter((c) => counts[c.key]).map((c) => ({ key: c.key, color: c.color, value: counts[c.key] }));
+  const unknown = Object.keys(counts)
+    .filter((k) => !findCategory(categories, k))
+    .map((k) => ({ key: k, color: categoryColor(categories, k), value: counts[k] }));
+  return [...known, ...unknown];
+};
+
+/* ---------------- ClusteredMarkers ----------------
+   Category-aware clustering (supercluster) with viewport culling: only clusters
+   and markers inside the (padded) view are mounted. Clicking a cluster zooms in
+   until it splits. Marker clicks/drags are reported to the parent, which owns the popup.
+*/
+const ClusteredMarkers = ({ markers, categories, onMarkerClick, onMarkerDragEnd }) => {
+  const map = useMap();
+
+  const readView = () => {
+    const b = map.getBounds().pad(VIEW_PADDING);
+    return { bbox: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], zoom: Math.round(map.getZoom()) };
+  };
+  const [view, setView] = useState(readView);
+  useMapEvents({ moveend: () => setView(readView()) });
+
+  // the index only depends on where markers are and their category: editing a title
+  // (a new markers array on every keystroke) must not re-run sc.load over all of them
+  const pointsKey = useMemo(() => markers.map((m) => `${m.position[0]},${m.position[1]},${m.category}`).join(";"), [markers]);
+  const pointsRef = useRef({ key: null, points: [] });
+  if (pointsRef.current.key !== pointsKey) {
+    pointsRef.current = {
+      key: pointsKey,
+      points: markers.map((m, i) => ({
+        type: "Feature",
+        properties: { index: i, category: m.category },
+        geometry: { type: "Point", coordinates: [m.position[1], m.position[0]] },
+      })),
+    };
+  }
+  const { points } = pointsRef.current;
+  const index = useMemo(() => {
+    const sc = new Supercluster({
+      radius: CLUSTER_RADIUS,
+      maxZoom: CLUSTER_MAX_ZOOM,
+      map: (p) => ({ counts: { [p.category]: 1 } }),
+      reduce: (acc, p) => {
+        for (const k in p.counts) acc.counts[k] = (acc.counts[k] || 0) + p.counts[k];
+      },
+    });
+    sc.load(points);
+    return sc;
+  }, [points]);
+
+  const features = useMemo(() => index.getClusters(view.bbox, view.zoom), [index, view]);
+
+  return (
+    <>
+      {features.map((f) => {
+        const [lng, lat] = f.geometry.coordinates;
+        if (f.properties.cluster) {
+          const { cluster_id: clusterId, point_count: total, counts } = f.properties;
+          return (
+            <Marker
+              key={`cluster-${clusterId}`}
+              position={[lat, lng]}
+              icon={getClusterIcon(clusterSlices(counts, categories), total)}
+              eventHandlers={{
+                click: () => map.flyTo([lat, lng], Math.min(index.getClusterExpansionZoom(clusterId), CLUSTER_MAX_ZOOM + 1)),
+              }}
+            />
+          );
+        }
+        const m = markers[f.properties.index];
+        return (
+          <Marker
+            key={m.id}
+            position={m.position}
+            icon={getCategoryIcon(findCategory(categories, m.category))}
+            draggable
+            eventHandlers={{
+              click: () => onMarkerClick(m),
+              dragend: (e) => onMarkerDragEnd(m, e),
+            }}
+          />
+        );
+      })}
+    </>
+  );
+};
+
+export default ClusteredMarkers;
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { formatUTM, toDMS } from "../utils/coords";
+
+export const COORD_FORMATS = [
+  { key: "decimal", label: "Decimal" },
+  { key: "dms", label: "DMS" },
+  { key: "utm", label: "UTM" },
+];
+
+/* ---------------- MarkerCoordinates ----------------
+   Editable lat/lng for the marker popup. Values are applied on Enter / "Move"
+   through onMove(lat, lng), which returns an error message or null.
+   DMS / UTM is a read-only alternative display; the format is shared across popups.
+*/
+const MarkerCoordinates = ({ position, format, onFormatChange, onMove }) => {
+  const [lat, setLat] = useState(String(position[0]));
+  const [lng, setLng] = useState(String(position[1]));
+  const [error, setError] = useState(null);
+
+  // follow the marker when it is dragged or moved by undo
+  useEffect(() => {
+    setLat(String(position[0]));
+    setLng(String(position[1]));
+    setError(null);
+  }, [position]);
+
+  const dirty = lat !== String(position[0]) || lng !== String(position[1]);
+
+  const apply = () => {
+    if (!dirty) return;
+    if (lat.trim() === "" || lng.trim() === "") {
+      setError("Invalid latitude/longitude.");
+      return;
+    }
+    setError(onMove(Number(lat), Number(lng)));
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") apply();
+    if (e.key === "Escape") {
+      setLat(String(position[0]));
+      setLng(String(position[1]));
+      setError(null);
+    }
+  };
+
+  const inputStyle = { width: "100%", boxSizing: "border-box", fontSize: "12px" };
+
+  return (
+    <div style={{ marginTop: 6, fontSize: "12px" }}>
+      <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+        <label style={{ flex: 1 }}>
+          Lat
+          <input type="number" step="any" min={-90} max={90} value={lat} onChange={(e) => setLat(e.target.value)} onKeyDown={onKeyDown} style={inputStyle} />
+        </label>
+        <label style={{ flex: 1 }}>
+          Lng
+          <input type="number" step="any" min={-180} max={180} value={lng} onChange={(e) => setLng(e.target.value)} onKeyDown={onKeyDown} style={inputStyle} />
+        </label>
+        <button
+          onClick={apply}
+          disabled={!dirty}
+          style={{ alignSelf: "flex-end", padding: "3px 8px", borderRadius: 4, border: "none", background: dirty ? "#2980b9" : "#bbb", color: "white", cursor: dirty ? "pointer" : "default" }}
+        >
+          Move
+        </button>
+      </div>
+      {error && <div style={{ color: "#c0392b", marginTop: 2 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 4, alignItems: "center", marginTop: 4, color: "#555" }}>
+        <select value={format} onChange={(e) => onFormatChange(e.target.value)} style={{ fontSize: "11px" }}>
+          {COORD_FORMATS.map((f) => (
+            <option key={f.key} value={f.key}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        {format === "dms" && <span>{toDMS(position[0], position[1])}</span>}
+        {format === "utm" && <span>{formatUTM(position[0], position[1])}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default MarkerCoordinates;
@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from "react";
+import { getMapStorage } from "../storage/mapStorage";
+
+/* ---------------- MarkerImage ----------------
+   A marker's photo, read from map storage as a blob and shown through an object
+   URL that is released again when the image changes or the popup closes.
+*/
+const MarkerImage = ({ imageId, style }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    setUrl(null);
+    getMapStorage()
+      .getImage(imageId)
+      .then((blob) => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => console.error("Failed to load marker image", err));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [imageId]);
+
+  return url ? <img src={url} alt="uploaded" style={style} /> : null;
+};
+
+export default MarkerImage;
@@ -0,0 +1,83 @@
+import React from "react";
+import { Popup } from "react-leaflet";
+import MarkerCoordinates from "./MarkerCoordinates";
+import MarkerImage from "./MarkerImage";
+import AttributeForm from "./AttributeForm";
+import { categoryFields } from "../categories/categories";
+import { formatTime, fromLocalInputValue, toLocalInputValue } from "../utils/time";
+
+// the stock marker's popupAnchor ([1, -34]) plus Leaflet's default popup offset ([0, 7])
+const MARKER_POPUP_OFFSET = [1, -27];
+
+/* ---------------- MarkerPopup ----------------
+   Editor for the clicked marker. Only one is mounted at a time (instead of a
+   Popup per marker), so large maps don't carry thousands of idle editors.
+   The category's schema fields are edited in a typed form; other attributes
+   (e.g. unmapped CSV columns) are listed read-only below it.
+*/
+const MarkerPopup = ({ marker: m, categories, coordFormat, onFormatChange, onChange, onAttributeChange, onImageUpload, onMove, onDelete, onClose }) => {
+  const fields = categoryFields(categories, m.category);
+  const extraAttributes = Object.entries(m.attributes || {}).filter(([k]) => !fields.some((f) => f.key === k));
+  return (
+    <Popup position={m.position} offset={MARKER_POPUP_OFFSET} eventHandlers={{ remove: onClose }}>
+      <input type="text" value={m.title} onChange={(e) => onChange(m.id, "title", e.target.value)} style={{ width: "100%", marginBottom: "5px" }} />
+      <textarea value={m.description} onChange={(e) => onChange(m.id, "description", e.target.value)} style={{ width: "100%", height: "50px" }} />
+      <select value={m.category} onChange={(e) => onChange(m.id, "category", e.target.value)} style={{ width: "100%", marginTop: "6px" }}>
+        {categories.map((c) => (
+          <option key={c.key}>{c.key}</option>
+        ))}
+      </select>
+      <input type="file" onChange={(e) => onImageUpload(e, m.id)} style={{ marginTop: 6 }} />
+      {m.imageId && <MarkerImage imageId={m.imageId} style={{ width: "100px", marginTop: 6 }} />}
+      {fields.length > 0 && <AttributeForm key={`${m.id}:${m.category}`} fields={fields} attributes={m.attributes} onChange={(key, value) => onAttributeChange(m.id, key, value)} />}
+      {extraAttributes.length > 0 && (
+        <table style={{ fontSize: "11px", marginTop: 6, borderCollapse: "collapse" }}>
+          <tbody>
+            {extraAttributes.map(([k, v]) => (
+              <tr key={k}>
+                <td style={{ color: "#555", paddingRight: 6 }}>{k}</td>
+                <td>{String(v)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div style={{ display: "grid", gridTemplateColumns: "40px 1fr", gap: "3px 4px", alignItems: "center", fontSize: "11px", marginTop: 6 }}>
+        {[
+          ["start", "Start"],
+          ["end", "End"],
+        ].map(([field, label]) => (
+          <React.Fragment key={field}>
+            <span style={{ color: "#555" }}>{label}</span>
+            <input type="datetime-local" value={toLocalInputValue(m[field])} onChange={(e) => onChange(m.id, field, fromLocalInputValue(e.target.value))} style={{ fontSize: "11px" }} />
+          </React.Fragment>
+        ))}
+      </div>
+      {m.start && m.end && m.end < m.start && <div style={{ color: "#c0392b", fontSize: "11px" }}>End is before start.</div>}
+      {m.createdAt && (
+        <div style={{ fontSize: "10px", color: "#777", marginTop: 3 }}>
+          Created {formatTime(m.createdAt)}
+          {m.updatedAt && m.updatedAt !== m.createdAt && ` · modified ${formatTime(m.updatedAt)}`}
+        </div>
+      )}
+      <MarkerCoordinates position={m.position} format={coordFormat} onFormatChange={onFormatChange} onMove={(lat, lng) => onMove(m.id, lat, lng)} />
+      {m.sublocation && (
+        <div style={{ fontSize: "11px", color: "#555", marginTop: 6 }}>
+          📍 {m.sublocation}, {m.location} · {m.division} division · {m.constituency} constituency
+        </div>
+      )}
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          e.preventDefault();
+          onDelete(m.id);
+        }}
+        style={{ background: "red", color: "white", border: "none", marginTop: "6px", padding: "6px 10px", borderRadius: "4px", cursor: "pointer" }}
+      >
+        Delete Marker
+      </button>
+    </Popup>
+  );
+};
+
+export default MarkerPopup;
@@ -0,0 +1,61 @@
+/* ---------------- Cluster icons ----------------
+   Donut of category shares around the cluster count. Icons are cached by their
+   counts + colours, so panning doesn't rebuild (and re-set) identical icons.
+*/
+import L from "leaflet";
+
+export const clusterSize = (total) => (total < 10 ? 30 : total < 100 ? 36 : total < 1000 ? 42 : 50);
+
+const point = (cx, cy, r, angle) => [cx + r * Math.sin(angle), cy - r * Math.cos(angle)];
+
+// [{ color, value }] -> SVG path/circle elements for a donut of outer radius r
+export const donutSlices = (slices, size) => {
+  const total = slices.reduce((s, x) => s + x.value, 0);
+  const c = size / 2;
+  const r = c - 1;
+  const nonEmpty = slices.filter((x) => x.value > 0);
+  if (!total) return "";
+  if (nonEmpty.length === 1) return `<circle cx="${c}" cy="${c}" r="${r}" fill="${nonEmpty[0].color}"/>`;
+
+  let angle = 0;
+  return nonEmpty
+    .map(({ color, value }) => {
+      const sweep = (value / total) * Math.PI * 2;
+      const [x1, y1] = point(c, c, r, angle);
+      const [x2, y2] = point(c, c, r, angle + sweep);
+      angle += sweep;
+      const large = sweep > Math.PI ? 1 : 0;
+      return `<path d="M${c},${c} L${x1.toFixed(2)},${y1.toFixed(2)} A${r},${r} 0 ${large} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${color}"/>`;
+    })
+    .join("");
+};
+
+export const clusterIconHtml = (slices, total) => {
+  const size = clusterSize(total);
+  const c = size / 2;
+  const label = total >= 10000 ? `${Math.round(total / 1000)}k` : total;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+    `${donutSlices(slices, size)}<circle cx="${c}" cy="${c}" r="${c * 0.6}" fill="white" fill-opacity="0.9"/>` +
+    `<text x="${c}" y="${c}" text-anchor="middle" dominant-baseline="central" font-size="${size < 40 ? 11 : 12}" font-weight="bold" fill="#333">${label}</text></svg>`;
+};
+
+const iconCache = new Map();
+const ICON_CACHE_LIMIT = 2000;
+
+// slices = [{ key, color, value }] in category order
+export const getClusterIcon = (slices, total) => {
+  const cacheKey = `${total}|${slices.map((s) => `${s.color}:${s.value}`).join(",")}`;
+  let icon = iconCache.get(cacheKey);
+  if (!icon) {
+    if (iconCache.size >= ICON_CACHE_LIMIT) iconCache.clear();
+    const size = clusterSize(total);
+    icon = L.divIcon({
+      html: clusterIconHtml(slices, total),
+      className: "marker-cluster-pie",
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    });
+    iconCache.set(cacheKey, icon);
+  }
+  return icon;
+};
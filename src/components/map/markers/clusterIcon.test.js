@@ -0,0 +1,30 @@
+import { clusterIconHtml, clusterSize, donutSlices, getClusterIcon } from "./clusterIcon";
+
+const slices = [
+  { key: "Shop", color: "#9b59b6", value: 3 },
+  { key: "General", color: "#3388ff", value: 1 },
+];
+
+test("cluster size grows with the count", () => {
+  expect([5, 50, 500, 50000].map(clusterSize)).toEqual([30, 36, 42, 50]);
+});
+
+test("one slice per non-empty category, a full circle for a single one", () => {
+  expect(donutSlices(slices, 30).match(/<path/g)).toHaveLength(2);
+  expect(donutSlices(slices, 30)).toContain('fill="#9b59b6"');
+  // 3 of 4 is more than half the circle: large-arc flag set
+  expect(donutSlices(slices, 30)).toMatch(/A14,14 0 1 1/);
+  expect(donutSlices([{ color: "#111111", value: 4 }, { color: "#222222", value: 0 }], 30)).toBe('<circle cx="15" cy="15" r="14" fill="#111111"/>');
+});
+
+test("large counts are abbreviated", () => {
+  expect(clusterIconHtml(slices, 4)).toContain(">4</text>");
+  expect(clusterIconHtml(slices, 25400)).toContain(">25k</text>");
+});
+
+test("identical clusters share an icon", () => {
+  const a = getClusterIcon(slices, 4);
+  expect(getClusterIcon([...slices], 4)).toBe(a);
+  expect(getClusterIcon(slices, 5)).not.toBe(a);
+  expect(a.options.iconSize).toEqual([30, 30]);
+});
@@ -0,0 +1,7 @@
+// marker ids: Date.now() at creation, but always past the last one handed out, so a
+// click right after an import (or the rows of one) never repeats an id
+let lastMarkerId = 0;
+export const newMarkerId = () => {
+  lastMarkerId = Math.max(Date.now(), lastMarkerId + 1);
+  return lastMarkerId;
+};
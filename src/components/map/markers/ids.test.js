@@ -0,0 +1,9 @@
+import { newMarkerId } from "./ids";
+
+test("marker ids are creation times that never repeat, even within one millisecond", () => {
+  const before = Date.now();
+  const ids = Array.from({ length: 1000 }, newMarkerId);
+  expect(new Set(ids).size).toBe(ids.length);
+  expect(ids[0]).toBeGreaterThanOrEqual(before);
+  expect(newMarkerId()).toBeGreaterThan(ids[ids.length - 1]);
+});
@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import L from "leaflet";
+import { CircleMarker, Polygon, Polyline, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import { haversineDistance } from "../utils/geo";
+import { MEASURE_UNITS, formatArea, formatLength, measureSketch } from "../utils/measure";
+import { createShapeProperties, withMeasurements } from "../utils/shapes";
+
+const SKETCH_STYLE = { color: "#c0392b", weight: 3, fillColor: "#e74c3c", fillOpacity: 0.15 };
+
+/* ---------------- MeasureTool ----------------
+   Ad-hoc measuring, separate from Leaflet.draw: map clicks add points (AddMarker is
+   disabled and shape clicks fall through via `map.__pickingPoint`), a dashed line
+   follows the cursor with the live segment length, and clicking the first point
+   (or "Close") turns the path into a polygon with its area. Nothing is saved unless
+   "Keep as shape" hands the sketch to onKeep(shape).
+*/
+const MeasureTool = ({ defaultCategory, onKeep, onExit }) => {
+  const map = useMap();
+  const [points, setPoints] = useState([]); // [lat, lng]
+  const [closed, setClosed] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [units, setUnits] = useState("metric");
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    const zoomOnDblClick = map.doubleClickZoom.enabled();
+    map.__pickingPoint = true;
+    map.doubleClickZoom.disable(); // quick clicks add points instead of zooming
+    L.DomUtil.addClass(map.getContainer(), "leaflet-crosshair");
+    return () => {
+      map.__pickingPoint = false;
+      if (zoomOnDblClick) map.doubleClickZoom.enable();
+      L.DomUtil.removeClass(map.getContainer(), "leaflet-crosshair");
+    };
+  }, [map]);
+
+  // the panel sits inside the map container: keep its clicks (and the cursor line) off the map
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(boxRef.current);
+    L.DomEvent.disableScrollPropagation(boxRef.current);
+    L.DomEvent.on(boxRef.current, "mousemove", L.DomEvent.stopPropagation);
+  }, []);
+
+  useMapEvents({
+    click(e) {
+      if (closed || e.originalEvent?.target?.closest(".search-bar-container")) return;
+      setPoints((prev) => [...prev, [e.latlng.lat, e.latlng.lng]]);
+    },
+    mousemove(e) {
+      setCursor([e.latlng.lat, e.latlng.lng]);
+    },
+    mouseout() {
+      setCursor(null);
+    },
+  });
+
+  const sketch = useMemo(() => measureSketch(points, closed), [points, closed]);
+  const last = points[points.length - 1];
+  const live = !closed && last && cursor ? haversineDistance(last[0], last[1], cursor[0], cursor[1]) : null;
+  const runningTotals = sketch.segments.reduce((acc, d) => [...acc, (acc[acc.length - 1] || 0) + d], []);
+  const canClose = !closed && points.length >= 3;
+
+  const clear = () => {
+    setPoints([]);
+    setClosed(false);
+  };
+
+  const undoPoint = () => {
+    if (closed) setClosed(false);
+    else setPoints((prev) => prev.slice(0, -1));
+  };
+
+  const keep = () => {
+    const coords = points.map(([lat, lng]) => [lng, lat]);
+    const geometry = closed ? { type: "Polygon", coordinates: [[...coords, coords[0]]] } : { type: "LineString", coordinates: coords };
+    const name = closed ? "Measured area" : "Measured distance";
+    onKeep(withMeasurements({ type: "Feature", properties: createShapeProperties({ name, category: defaultCategory }), geometry }));
+    clear();
+  };
+
+  const buttonStyle = { flex: 1, padding: "4px", borderRadius: 4, border: "1px solid #ccc", background: "#f0f0f0", cursor: "pointer", fontSize: "12px" };
+
+  return (
+    <>
+      {closed ? (
+        <Polygon positions={points} interactive={false} pathOptions={SKETCH_STYLE} />
+      ) : (
+        <Polyline positions={points} interactive={false} pathOptions={SKETCH_STYLE} />
+      )}
+      {live !== null && (
+        <Polyline positions={[last, cursor]} interactive={false} pathOptions={{ ...SKETCH_STYLE, weight: 2, dashArray: "5 6" }}>
+          <Tooltip permanent direction="right" offset={[12, 0]}>
+            +{formatLength(live, units)} · {formatLength(sketch.length + live, units)}
+          </Tooltip>
+        </Polyline>
+      )}
+      {points.map((p, i) => (
+        <CircleMarker
+          // `interactive` is fixed when the layer is created: remount the first point once it can close the path
+          key={i === 0 ? `first-${canClose}` : i}
+          center={p}
+          radius={i === 0 && canClose ? 7 : 4}
+          interactive={i === 0 && canClose}
+          bubblingMouseEvents={false}
+          eventHandlers={i === 0 ? { click: () => canClose && setClosed(true) } : undefined}
+          pathOptions={{ color: SKETCH_STYLE.color, fillColor: "white", fillOpacity: 1, weight: 2 }}
+        >
+          {i > 0 && (
+            <Tooltip permanent direction="top" offset={[0, -6]}>
+              {formatLength(runningTotals[i - 1], units)}
+            </Tooltip>
+          )}
+        </CircleMarker>
+      ))}
+
+      <div
+        ref={boxRef}
+        style={{
+          position: "absolute",
+          bottom: 20,
+          right: 10,
+          zIndex: 1000,
+          background: "white",
+          padding: "8px 10px",
+          borderRadius: "8px",
+          boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+          width: "230px",
+          fontSize: "12px",
+          textAlign: "left",
+          cursor: "default",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+          <h4 style={{ margin: 0, fontSize: "13px" }}>📏 Measure</h4>
+          <select value={units} onChange={(e) => setUnits(e.target.value)} style={{ padding: "2px", border: "1px solid #ccc", borderRadius: "4px" }}>
+            {MEASURE_UNITS.map((u) => (
+              <option key={u.key} value={u.key}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {!points.length && <div style={{ color: "#555" }}>Click the map to add points; click the first point to close an area.</div>}
+
+        {sketch.segments.length > 0 && (
+          <div style={{ maxHeight: 120, overflowY: "auto", borderTop: "1px solid #eee", marginBottom: 4 }}>
+            {sketch.segments.map((d, i) => (
+              <div key={i} style={{ display: "flex", justifyContent: "space-between", padding: "2px 0", color: "#555" }}>
+                <span>{closed && i === sketch.segments.length - 1 ? "Closing segment" : `Segment ${i + 1}`}</span>
+                <span>{formatLength(d, units)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {points.length > 1 && (
+          <div style={{ display: "flex", justifyContent: "space-between", fontWeight: "bold" }}>
+            <span>{closed ? "Perimeter" : "Total"}</span>
+            <span>{formatLength(sketch.length, units)}</span>
+          </div>
+        )}
+        {sketch.area !== null && <div style={{ marginTop: 2 }}>Area: {formatArea(sketch.area, units)}</div>}
+
+        <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+          <button onClick={undoPoint} disabled={!points.length} style={buttonStyle}>
+            ↶ Point
+          </button>
+          <button onClick={() => setClosed(true)} disabled={!canClose} style={buttonStyle}>
+            Close
+          </button>
+          <button onClick={clear} disabled={!points.length} style={buttonStyle}>
+            Clear
+          </button>
+        </div>
+        <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+          <button onClick={keep} disabled={points.length < 2} style={{ ...buttonStyle, background: "#27ae60", color: "white", border: "none", opacity: points.length < 2 ? 0.5 : 1 }}>
+            Keep as shape
+          </button>
+          <button onClick={onExit} style={{ ...buttonStyle, background: "#e74c3c", color: "white", border: "none" }}>
+            Done
+          </button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default MeasureTool;
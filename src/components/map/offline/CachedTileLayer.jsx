@@ -0,0 +1,46 @@
+import L from "leaflet";
+import { createElementObject, createTileLayerComponent, updateGridLayer, withPane } from "@react-leaflet/core";
+import { getTile } from "./tileStore";
+
+/* ---------------- CachedTileLayer ----------------
+   Drop-in for react-leaflet's TileLayer that serves tiles downloaded for offline
+   use (tileStore) first and only goes to the network for the rest. `cacheKey`
+   is the base layer key the tiles were stored under.
+*/
+const CachedTile = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement("img");
+    L.DomEvent.on(tile, "load", L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, "error", L.Util.bind(this._tileOnError, this, done, tile));
+    if (this.options.crossOrigin || this.options.crossOrigin === "") {
+      tile.crossOrigin = this.options.crossOrigin === true ? "" : this.options.crossOrigin;
+    }
+    tile.alt = "";
+    tile.setAttribute("role", "presentation");
+
+    const url = this.getTileUrl(coords);
+    const key = this._tileCoordsToKey(coords);
+    getTile(this.options.cacheKey, { z: this._getZoomForUrl(), x: coords.x, y: coords.y }).then((blob) => {
+      if (!this._tiles[key]) return; // scrolled away before the lookup finished
+      if (!blob) {
+        tile.src = url;
+        return;
+      }
+      const objectUrl = URL.createObjectURL(blob);
+      const revoke = () => URL.revokeObjectURL(objectUrl);
+      L.DomEvent.on(tile, "load error", revoke);
+      tile.src = objectUrl;
+    });
+    return tile;
+  },
+});
+
+const CachedTileLayer = createTileLayerComponent(
+  ({ url, ...options }, context) => createElementObject(new CachedTile(url, withPane(options, context)), context),
+  (layer, props, prevProps) => {
+    updateGridLayer(layer, props, prevProps);
+    if (props.url != null && props.url !== prevProps.url) layer.setUrl(props.url);
+  }
+);
+
+export default CachedTileLayer;
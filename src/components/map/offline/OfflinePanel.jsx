@@ -0,0 +1,200 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { shapeBounds } from "../utils/geo";
+import { BASE_LAYERS, getBaseLayer } from "./baseLayers";
+import { countTiles, formatBytes } from "./tileMath";
+import { deleteArea, downloadArea, getStorageEstimate, listAreas, requestPersistentStorage } from "./tileStore";
+
+// tile servers (OpenStreetMap's in particular) forbid bulk downloads; keep areas street-sized
+const MAX_TILES = 5000;
+const MAX_ZOOM = 19;
+
+/* ---------------- OfflinePanel ----------------
+   "Download this area": stores the tiles of a base layer for the current view or
+   a drawn shape's extent over a zoom range (tileStore), with a size estimate
+   against the browser's storage quota. CachedTileLayer then serves them first.
+*/
+const OfflinePanel = ({ shapes, getView, onZoomTo, onClose }) => {
+  const [view, setView] = useState(getView); // { bounds, zoom } when the panel was opened
+  const [areaSource, setAreaSource] = useState("view"); // "view" | shape id
+  const [layerKey, setLayerKey] = useState(BASE_LAYERS[0].key);
+  const [minZoom, setMinZoom] = useState(view.zoom);
+  const [maxZoom, setMaxZoom] = useState(Math.min(view.zoom + 3, MAX_ZOOM));
+  const [name, setName] = useState("");
+  const [areas, setAreas] = useState([]);
+  const [estimate, setEstimate] = useState(null); // { usage, quota }
+  const [progress, setProgress] = useState(null); // { done, total, bytes, failed } while downloading
+  const abortRef = useRef(null);
+
+  const refresh = useCallback(() => {
+    listAreas()
+      .then(setAreas)
+      .catch((err) => console.error("Failed to read offline areas", err));
+    getStorageEstimate().then(setEstimate);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return () => abortRef.current?.abort();
+  }, [refresh]);
+
+  const shape = shapes.find((s) => s.properties?.id === areaSource);
+  const bounds = shape ? shapeBounds(shape) : view.bounds;
+  const layer = getBaseLayer(layerKey);
+  const validZooms = minZoom >= 0 && maxZoom <= MAX_ZOOM && minZoom <= maxZoom;
+  const tileCount = validZooms ? countTiles(bounds, minZoom, maxZoom) : 0;
+  const estimatedBytes = tileCount * layer.avgTileBytes;
+  const free = estimate?.quota ? estimate.quota - estimate.usage : null;
+
+  const download = async () => {
+    if (!validZooms) return alert("Choose a zoom range between 0 and 19 (min ≤ max).");
+    if (tileCount > MAX_TILES) return alert(`Too many tiles (${tileCount.toLocaleString()}, max ${MAX_TILES.toLocaleString()}). Pick a smaller area or fewer zoom levels.`);
+    if (free !== null && estimatedBytes > free) return alert(`Not enough browser storage: about ${formatBytes(estimatedBytes)} needed, ${formatBytes(free)} free.`);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ done: 0, total: tileCount, bytes: 0, failed: 0 });
+    try {
+      await requestPersistentStorage();
+      const areaName = name.trim() || (shape ? shape.properties.name : `Area ${new Date().toLocaleString()}`);
+      const saved = await downloadArea({ name: areaName, layer, bounds, minZoom, maxZoom }, { onProgress: setProgress, signal: controller.signal });
+      if (saved.failed) alert(`${saved.failed} of ${tileCount} tiles could not be downloaded; they will load from the network when online.`);
+      setName("");
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error(err);
+        alert(`Offline download failed: ${err.message}`);
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setProgress(null);
+      refresh();
+    }
+  };
+
+  const removeArea = async (area) => {
+    if (!window.confirm(`Delete the offline tiles of "${area.name}"?`)) return;
+    try {
+      await deleteArea(area.id);
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to delete the offline area: ${err.message}`);
+    }
+    refresh();
+  };
+
+  const inputStyle = { padding: "4px", border: "1px solid #ccc", borderRadius: "4px" };
+  const smallButton = { background: "none", border: "none", cursor: "pointer", padding: "0 3px", fontSize: "12px" };
+  const buttonStyle = { padding: "6px", borderRadius: 4, border: "none", color: "white", cursor: "pointer", fontSize: "12px" };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 440,
+        left: 55,
+        zIndex: 1000,
+        background: "white",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "260px",
+        fontSize: "12px",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: "14px" }}>💾 Offline maps</h4>
+        <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+          ❌
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, margin: "8px 0 4px" }}>
+        <select value={areaSource} onChange={(e) => setAreaSource(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+          <option value="view">Current view</option>
+          {shapes.map((s) => (
+            <option key={s.properties.id} value={s.properties.id}>
+              Extent of {s.properties.name}
+            </option>
+          ))}
+        </select>
+        {areaSource === "view" && (
+          <button onClick={() => setView(getView())} style={{ ...inputStyle, background: "#f0f0f0", cursor: "pointer" }} title="Use the map as it is now">
+            ↻
+          </button>
+        )}
+      </div>
+
+      <select value={layerKey} onChange={(e) => setLayerKey(e.target.value)} style={{ ...inputStyle, width: "100%", marginBottom: 4 }}>
+        {BASE_LAYERS.map((l) => (
+          <option key={l.key} value={l.key}>
+            {l.name}
+          </option>
+        ))}
+      </select>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 4 }}>
+        Zoom
+        <input type="number" min={0} max={MAX_ZOOM} value={minZoom} onChange={(e) => setMinZoom(Number(e.target.value))} style={{ ...inputStyle, width: 45 }} />
+        to
+        <input type="number" min={0} max={MAX_ZOOM} value={maxZoom} onChange={(e) => setMaxZoom(Number(e.target.value))} style={{ ...inputStyle, width: 45 }} />
+      </div>
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Name (optional)" style={{ ...inputStyle, width: "100%", boxSizing: "border-box", marginBottom: 4 }} />
+
+      <p style={{ margin: "4px 0", color: tileCount > MAX_TILES ? "#c0392b" : "#333" }}>
+        {tileCount.toLocaleString()} tiles · about <strong>{formatBytes(estimatedBytes)}</strong>
+        {tileCount > MAX_TILES && ` (max ${MAX_TILES.toLocaleString()})`}
+      </p>
+      {estimate && (
+        <p style={{ margin: "0 0 6px", color: "#777" }}>
+          Browser storage: {formatBytes(estimate.usage)} used of {formatBytes(estimate.quota)}
+        </p>
+      )}
+
+      {progress ? (
+        <div>
+          <div style={{ height: 6, background: "#eee", borderRadius: 3, overflow: "hidden" }}>
+            <div style={{ width: `${(100 * progress.done) / Math.max(progress.total, 1)}%`, height: "100%", background: "#27ae60" }} />
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 4 }}>
+            <span>
+              {progress.done} / {progress.total} · {formatBytes(progress.bytes)}
+              {progress.failed > 0 && <span style={{ color: "#c0392b" }}> · {progress.failed} failed</span>}
+            </span>
+            <button onClick={() => abortRef.current?.abort()} style={{ ...buttonStyle, background: "#e74c3c", padding: "3px 8px" }}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={download} disabled={!tileCount} style={{ ...buttonStyle, width: "100%", background: "#27ae60", opacity: tileCount ? 1 : 0.5 }}>
+          Download for offline
+        </button>
+      )}
+
+      <div style={{ fontWeight: "bold", margin: "8px 0 4px" }}>Saved areas ({areas.length})</div>
+      <div style={{ maxHeight: 140, overflowY: "auto", borderTop: "1px solid #eee" }}>
+        {areas.map((a) => (
+          <div key={a.id} style={{ display: "flex", alignItems: "center", padding: "3px 0", borderBottom: "1px solid #f3f3f3" }}>
+            <span style={{ flex: 1, overflow: "hidden" }}>
+              <div style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={a.name}>
+                {a.name}
+              </div>
+              <div style={{ color: "#777", fontSize: "11px" }}>
+                {getBaseLayer(a.layer).name} · z{a.minZoom}–{a.maxZoom} · {a.tiles} tiles · {formatBytes(a.bytes)}
+              </div>
+            </span>
+            <button onClick={() => onZoomTo(a.bounds)} style={smallButton} title="Zoom to area">
+              🔍
+            </button>
+            <button onClick={() => removeArea(a)} disabled={!!progress} style={smallButton} title="Delete offline tiles">
+              🗑
+            </button>
+          </div>
+        ))}
+        {!areas.length && <div style={{ padding: "4px 0", color: "#777" }}>Nothing downloaded yet.</div>}
+      </div>
+    </div>
+  );
+};
+
+export default OfflinePanel;
@@ -0,0 +1,35 @@
+/* ---------------- Base layers ----------------
+   The background maps offered in the layer switcher. `avgTileBytes` is a rough
+   per-tile size used to estimate offline downloads before they start.
+*/
+export const BASE_LAYERS = [
+  {
+    key: "osm",
+    name: "OpenStreetMap",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    subdomains: "abc",
+    maxZoom: 19,
+    avgTileBytes: 25000,
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  },
+  {
+    key: "esri",
+    name: "Esri Satellite",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    subdomains: "",
+    maxZoom: 19,
+    avgTileBytes: 40000,
+    attribution: "Tiles &copy; Esri",
+  },
+  {
+    key: "carto-dark",
+    name: "Carto Dark",
+    url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
+    subdomains: "abcd",
+    maxZoom: 19,
+    avgTileBytes: 15000,
+    attribution: '&copy; OpenStreetMap contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+  },
+];
+
+export const getBaseLayer = (key) => BASE_LAYERS.find((l) => l.key === key) || BASE_LAYERS[0];
@@ -0,0 +1,64 @@
+/* ---------------- Tile math ----------------
+   Web Mercator (XYZ / "slippy map") tile arithmetic for offline downloads.
+   Bounds are Leaflet-style [[south, west], [north, east]].
+*/
+const MAX_LAT = 85.0511287798; // Web Mercator cuts off here
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+export const lngToTileX = (lng, z) => {
+  const n = 2 ** z;
+  return clamp(Math.floor(((lng + 180) / 360) * n), 0, n - 1);
+};
+
+export const latToTileY = (lat, z) => {
+  const n = 2 ** z;
+  const rad = (clamp(lat, -MAX_LAT, MAX_LAT) * Math.PI) / 180;
+  return clamp(Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n), 0, n - 1);
+};
+
+// inclusive tile index range covering the bounds at zoom z
+export const tileRange = ([[south, west], [north, east]], z) => ({
+  minX: lngToTileX(west, z),
+  maxX: lngToTileX(east, z),
+  minY: latToTileY(north, z), // tile rows grow southwards
+  maxY: latToTileY(south, z),
+});
+
+export const countTiles = (bounds, minZoom, maxZoom) => {
+  let total = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+    total += (maxX - minX + 1) * (maxY - minY + 1);
+  }
+  return total;
+};
+
+// every { z, x, y } of the area, lowest zoom first
+export function* tilesInBounds(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) yield { z, x, y };
+    }
+  }
+}
+
+// Leaflet URL template -> concrete URL; the subdomain rotates like L.TileLayer's
+export const tileUrl = (template, { z, x, y }, subdomains = "") => {
+  const s = subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : "";
+  return template
+    .replace("{s}", s)
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{r}", "");
+};
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / 1024 ** i;
+  return `${value >= 10 || i === 0 ? Math.round(value) : value.toFixed(1)} ${units[i]}`;
+};
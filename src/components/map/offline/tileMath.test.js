@@ -0,0 +1,33 @@
+import { countTiles, formatBytes, latToTileY, lngToTileX, tileRange, tileUrl, tilesInBounds } from "./tileMath";
+
+const nairobiCbd = [[-1.29, 36.81], [-1.28, 36.83]];
+
+test("lat/lng map to the standard XYZ tile indices", () => {
+  expect(lngToTileX(-180, 3)).toBe(0);
+  expect(lngToTileX(180, 3)).toBe(7); // clamped to the last column
+  expect(latToTileY(0, 1)).toBe(1);
+  expect(latToTileY(89.9, 4)).toBe(0);
+  // Nairobi at z=13
+  expect([lngToTileX(36.8219, 13), latToTileY(-1.2921, 13)]).toEqual([4933, 4125]);
+});
+
+test("tile ranges and counts cover the bounds over a zoom range", () => {
+  const r = tileRange(nairobiCbd, 15);
+  expect(r.minY).toBeLessThanOrEqual(r.maxY);
+  const perZoom = [14, 15, 16].map((z) => countTiles(nairobiCbd, z, z));
+  expect(countTiles(nairobiCbd, 14, 16)).toBe(perZoom.reduce((a, b) => a + b, 0));
+  expect([...tilesInBounds(nairobiCbd, 14, 16)]).toHaveLength(countTiles(nairobiCbd, 14, 16));
+  expect(countTiles(nairobiCbd, 0, 0)).toBe(1);
+});
+
+test("tile URLs fill the template and rotate subdomains", () => {
+  expect(tileUrl("https://{s}.tile.example.org/{z}/{x}/{y}.png", { z: 3, x: 4, y: 2 }, "abc")).toBe("https://a.tile.example.org/3/4/2.png");
+  expect(tileUrl("https://example.org/{z}/{y}/{x}{r}.png", { z: 1, x: 0, y: 1 })).toBe("https://example.org/1/1/0.png");
+});
+
+test("formatBytes", () => {
+  expect(formatBytes(0)).toBe("0 B");
+  expect(formatBytes(512)).toBe("512 B");
+  expect(formatBytes(1536)).toBe("1.5 KB");
+  expect(formatBytes(250 * 1024 * 1024)).toBe("250 MB");
+});
@@ -0,0 +1,137 @@
+import { openDB } from "idb";
+import { countTiles, tileUrl, tilesInBounds } from "./tileMath";
+
+/* ---------------- Offline tile store ----------------
+   IndexedDB database holding downloaded map tiles and the areas they were
+   downloaded for. A tile record is { blob, areas: [areaId] }, keyed by
+   "layer/z/x/y", so overlapping areas share tiles and deleting one area only
+   removes tiles no other area still needs.
+*/
+const DB_NAME = "offline-tiles";
+const TILES = "tiles";
+const AREAS = "areas";
+
+let dbPromise = null;
+const db = () => {
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, 1, {
+      upgrade(database) {
+        database.createObjectStore(TILES);
+        database.createObjectStore(AREAS, { keyPath: "id" });
+      },
+    });
+  }
+  return dbPromise;
+};
+
+const tileKey = (layerKey, { z, x, y }) => `${layerKey}/${z}/${x}/${y}`;
+
+const isQuotaError = (err) => err?.name === "QuotaExceededError";
+
+// cached tile blob, or undefined (never throws: callers fall back to the network)
+export const getTile = async (layerKey, coords) => {
+  try {
+    const record = await (await db()).get(TILES, tileKey(layerKey, coords));
+    return record?.blob;
+  } catch (err) {
+    console.warn("Offline tile lookup failed", err);
+    return undefined;
+  }
+};
+
+export const listAreas = async () => {
+  const areas = await (await db()).getAll(AREAS);
+  return areas.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deleteArea = async (areaId) => {
+  const tx = (await db()).transaction([TILES, AREAS], "readwrite");
+  let cursor = await tx.objectStore(TILES).openCursor();
+  while (cursor) {
+    const { areas = [] } = cursor.value;
+    if (areas.includes(areaId)) {
+      const rest = areas.filter((id) => id !== areaId);
+      if (rest.length) await cursor.update({ ...cursor.value, areas: rest });
+      else await cursor.delete();
+    }
+    cursor = await cursor.continue();
+  }
+  await tx.objectStore(AREAS).delete(areaId);
+  await tx.done;
+};
+
+// { usage, quota } in bytes, or null where the browser can't tell
+export const getStorageEstimate = async () => (navigator.storage?.estimate ? navigator.storage.estimate() : null);
+
+// ask the browser not to evict offline data under storage pressure
+export const requestPersistentStorage = async () => (navigator.storage?.persist ? navigator.storage.persist() : false);
+
+/* Downloads every tile of `layer` inside bounds for minZoom..maxZoom with a few
+   parallel requests. Tiles already stored are only tagged with the new area.
+   onProgress({ done, total, bytes, failed }) runs after each tile; aborting via
+   `signal` removes what was stored for the area and rejects with an AbortError.
+   A fatal error (quota) stops the other workers too, and the area is only removed
+   once they have all finished, so none of them stores a tile for it afterwards. */
+export const downloadArea = async ({ name, layer, bounds, minZoom, maxZoom }, { onProgress, signal, concurrency = 4 } = {}) => {
+  const database = await db();
+  const area = { id: `area-${Date.now()}`, name, layer: layer.key, bounds, minZoom, maxZoom, createdAt: Date.now() };
+  const tiles = tilesInBounds(bounds, minZoom, maxZoom);
+  const progress = { done: 0, total: countTiles(bounds, minZoom, maxZoom), bytes: 0, failed: 0 };
+  // aborted by the caller's signal or by the first fatal error
+  const stop = new AbortController();
+  let fatal = null;
+  const onAbort = () => stop.abort();
+  if (signal?.aborted) stop.abort();
+  else signal?.addEventListener("abort", onAbort);
+
+  const saveTile = async (coords) => {
+    const key = tileKey(layer.key, coords);
+    const existing = await database.get(TILES, key);
+    if (stop.signal.aborted) return;
+    if (existing) {
+      if (!existing.areas.includes(area.id)) await database.put(TILES, { ...existing, areas: [...existing.areas, area.id] }, key);
+      progress.bytes += existing.blob.size;
+      return;
+    }
+    const res = await fetch(tileUrl(layer.url, coords, layer.subdomains), { signal: stop.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const blob = await res.blob();
+    if (stop.signal.aborted) return;
+    await database.put(TILES, { blob, areas: [area.id] }, key);
+    progress.bytes += blob.size;
+  };
+
+  // workers share the one generator, so each tile is taken exactly once
+  const worker = async () => {
+    for (const coords of tiles) {
+      if (stop.signal.aborted) return;
+      try {
+        await saveTile(coords);
+      } catch (err) {
+        if (err.name === "AbortError" || isQuotaError(err)) {
+          fatal = fatal || err;
+          stop.abort();
+          return;
+        }
+        progress.failed += 1;
+      }
+      progress.done += 1;
+      onProgress?.({ ...progress });
+    }
+  };
+
+  try {
+    await Promise.allSettled(Array.from({ length: concurrency }, worker));
+    if (fatal) throw fatal;
+    if (signal?.aborted) throw new DOMException("Download cancelled", "AbortError");
+    const saved = { ...area, tiles: progress.done - progress.failed, failed: progress.failed, bytes: progress.bytes };
+    await database.put(AREAS, saved);
+    return saved;
+  } catch (err) {
+    await deleteArea(area.id).catch(() => {});
+    if (isQuotaError(err)) throw new Error("Browser storage is full. Delete an offline area or choose fewer zoom levels.");
+    throw err;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+};
@@ -0,0 +1,206 @@
+import React, { useEffect, useRef, useState } from "react";
+import { categoryColor } from "../categories/categories";
+import { formatLength } from "../utils/measure";
+import { createShapeProperties, withMeasurements } from "../utils/shapes";
+import { ROUTING_ENGINES, ROUTING_PROFILES, createRoutingAdapter, formatDuration } from "./adapters";
+import { optimizeStopOrder } from "./optimize";
+
+const ROUTE_STYLE = { color: "#2980b9", fillColor: "#2980b9" };
+// public OSRM/Valhalla servers cap waypoints around 100; 2-opt is also O(n²) per pass
+const MAX_STOPS = 100;
+
+/* ---------------- RoutePanel ----------------
+   Stops are marker ids (added from the open marker popup or a whole category),
+   reorderable by hand or by optimizeStopOrder. "Route" asks the selected engine
+   adapter for the path and saves it as a LineString shape whose `properties.route`
+   keeps the stops, engine, distance and duration.
+*/
+const RoutePanel = ({ markers, categories, openMarker, defaultCategory, onSaveRoute, onClose }) => {
+  const [stops, setStops] = useState([]); // marker ids
+  const [engine, setEngine] = useState(ROUTING_ENGINES[0].key);
+  const [urls, setUrls] = useState(() => Object.fromEntries(ROUTING_ENGINES.filter((e) => e.needsUrl).map((e) => [e.key, e.defaultUrl])));
+  const [profile, setProfile] = useState(ROUTING_PROFILES[0].key);
+  const [visitCategory, setVisitCategory] = useState(categories[0]?.key || "");
+  const [busy, setBusy] = useState(false);
+  const [lastRoute, setLastRoute] = useState(null); // { distance, duration, legs }
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // deleted markers drop out of the stop list
+  const stopMarkers = stops.map((id) => markers.find((m) => m.id === id)).filter(Boolean);
+  const engineInfo = ROUTING_ENGINES.find((e) => e.key === engine);
+
+  const changeStops = (next) => {
+    setStops(next);
+    setLastRoute(null);
+  };
+
+  const move = (index, delta) => {
+    const next = stopMarkers.map((m) => m.id);
+    const [id] = next.splice(index, 1);
+    next.splice(index + delta, 0, id);
+    changeStops(next);
+  };
+
+  const optimize = (list) => changeStops(optimizeStopOrder(list.map((m) => m.position)).map((i) => list[i].id));
+
+  // every marker of the category, starting from the current first stop when there is one
+  const visitAll = () => {
+    const start = stopMarkers[0];
+    const members = markers.filter((m) => m.category === visitCategory && m.id !== start?.id);
+    if (!members.length) return alert(`No markers in "${visitCategory}".`);
+    const list = start ? [start, ...members] : members;
+    if (list.length > MAX_STOPS) return alert(`Too many stops (${list.length}, max ${MAX_STOPS}).`);
+    optimize(list);
+  };
+
+  const route = async () => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy(true);
+    try {
+      const adapter = createRoutingAdapter({ engine, url: urls[engine] });
+      const result = await adapter.route(stopMarkers.map((m) => m.position), { profile, signal: controller.signal });
+      const first = stopMarkers[0];
+      const last = stopMarkers[stopMarkers.length - 1];
+      const properties = createShapeProperties({
+        ...ROUTE_STYLE,
+        name: `Route: ${first.title} → ${last.title}`,
+        category: defaultCategory,
+        route: {
+          engine,
+          profile,
+          stops: stopMarkers.map((m) => ({ id: m.id, title: m.title, position: m.position })),
+          distance: result.distance,
+          duration: result.duration,
+          legs: result.legs,
+        },
+      });
+      const coordinates = result.coordinates.map(([lat, lng]) => [lng, lat]);
+      onSaveRoute(withMeasurements({ type: "Feature", properties, geometry: { type: "LineString", coordinates } }));
+      setLastRoute(result);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error(err);
+        alert(`Routing failed: ${err.message}`);
+      }
+    } finally {
+      if (abortRef.current === controller) setBusy(false);
+    }
+  };
+
+  const inputStyle = { padding: "4px", border: "1px solid #ccc", borderRadius: "4px" };
+  const smallButton = { background: "none", border: "none", cursor: "pointer", padding: "0 3px", fontSize: "12px" };
+  const buttonStyle = { padding: "6px", borderRadius: 4, border: "none", color: "white", cursor: "pointer", fontSize: "12px" };
+  const canAddOpen = openMarker && !stopMarkers.some((m) => m.id === openMarker.id);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 400,
+        left: 55,
+        zIndex: 1000,
+        background: "white",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "260px",
+        fontSize: "12px",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: "14px" }}>🧭 Route</h4>
+        <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+          ❌
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, margin: "8px 0 4px" }}>
+        <select value={engine} onChange={(e) => setEngine(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+          {ROUTING_ENGINES.map((e) => (
+            <option key={e.key} value={e.key}>
+              {e.label}
+            </option>
+          ))}
+        </select>
+        <select value={profile} onChange={(e) => setProfile(e.target.value)} style={inputStyle}>
+          {ROUTING_PROFILES.map((p) => (
+            <option key={p.key} value={p.key}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {engineInfo.needsUrl && (
+        <input
+          type="text"
+          value={urls[engine]}
+          onChange={(e) => setUrls((prev) => ({ ...prev, [engine]: e.target.value }))}
+          placeholder="Service URL"
+          style={{ ...inputStyle, width: "100%", boxSizing: "border-box", marginBottom: 4 }}
+        />
+      )}
+
+      <div style={{ fontWeight: "bold", margin: "6px 0 4px" }}>Stops ({stopMarkers.length})</div>
+      <div style={{ maxHeight: 150, overflowY: "auto", borderTop: "1px solid #eee" }}>
+        {stopMarkers.map((m, i) => (
+          <div key={m.id} style={{ display: "flex", alignItems: "center", padding: "3px 0", borderBottom: "1px solid #f3f3f3" }}>
+            <span style={{ width: 16, color: "#777" }}>{i + 1}.</span>
+            <span style={{ width: 8, height: 8, borderRadius: "50%", background: categoryColor(categories, m.category), marginRight: 6, flex: "none" }} />
+            <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{m.title}</span>
+            {lastRoute?.legs[i - 1] && <span style={{ color: "#777", marginRight: 4 }}>{formatLength(lastRoute.legs[i - 1].distance)}</span>}
+            <button onClick={() => move(i, -1)} disabled={i === 0} style={smallButton} title="Move up">
+              ▲
+            </button>
+            <button onClick={() => move(i, 1)} disabled={i === stopMarkers.length - 1} style={smallButton} title="Move down">
+              ▼
+            </button>
+            <button onClick={() => changeStops(stopMarkers.filter((x) => x.id !== m.id).map((x) => x.id))} style={smallButton} title="Remove stop">
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={() => changeStops([...stopMarkers.map((m) => m.id), openMarker.id])}
+        disabled={!canAddOpen}
+        style={{ ...inputStyle, width: "100%", marginTop: 4, background: "#f0f0f0", cursor: canAddOpen ? "pointer" : "default" }}
+        title="Open a marker's popup, then add it here"
+      >
+        + Add open marker{openMarker ? `: ${openMarker.title}` : ""}
+      </button>
+
+      <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+        <select value={visitCategory} onChange={(e) => setVisitCategory(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+          {categories.map((c) => (
+            <option key={c.key}>{c.key}</option>
+          ))}
+        </select>
+        <button onClick={visitAll} style={{ ...inputStyle, background: "#f0f0f0", cursor: "pointer" }} title="Add every marker of this category in a short visiting order">
+          Visit all
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+        <button onClick={() => optimize(stopMarkers)} disabled={stopMarkers.length < 3} style={{ ...buttonStyle, flex: 1, background: "#8e44ad", opacity: stopMarkers.length < 3 ? 0.5 : 1 }}>
+          Optimise order
+        </button>
+        <button onClick={route} disabled={busy || stopMarkers.length < 2} style={{ ...buttonStyle, flex: 1, background: "#2980b9", opacity: busy || stopMarkers.length < 2 ? 0.5 : 1 }}>
+          {busy ? "Routing…" : "Route & save"}
+        </button>
+      </div>
+
+      {lastRoute && (
+        <p style={{ margin: "6px 0 0" }}>
+          <strong>{formatLength(lastRoute.distance)}</strong> · about <strong>{formatDuration(lastRoute.duration)}</strong>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RoutePanel;
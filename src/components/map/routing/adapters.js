@@ -0,0 +1,152 @@
+/* ---------------- Routing adapters ----------------
+   Every engine implements the same interface:
+
+     adapter.route(stops, { profile, signal }) -> Promise<{
+       coordinates: [[lat, lng], ...],   // full route geometry
+       distance,                         // metres
+       duration,                         // seconds
+       legs: [{ distance, duration }],   // one per consecutive pair of stops
+     }>
+
+   `stops` are [lat, lng] positions. Adapters throw an Error with a readable message
+   when the engine can't be reached or finds no route.
+*/
+import { haversineDistance } from "../utils/geo";
+
+export const ROUTING_PROFILES = [
+  { key: "driving", label: "Driving", speedKmh: 40, valhalla: "auto" },
+  { key: "cycling", label: "Cycling", speedKmh: 15, valhalla: "bicycle" },
+  { key: "walking", label: "Walking", speedKmh: 5, valhalla: "pedestrian" },
+];
+
+const profileFor = (key) => ROUTING_PROFILES.find((p) => p.key === key) || ROUTING_PROFILES[0];
+
+export const ROUTING_ENGINES = [
+  { key: "straight", label: "Straight line (offline)", needsUrl: false },
+  { key: "osrm", label: "OSRM", needsUrl: true, defaultUrl: process.env.REACT_APP_OSRM_URL || "http://localhost:5000" },
+  { key: "valhalla", label: "Valhalla", needsUrl: true, defaultUrl: process.env.REACT_APP_VALHALLA_URL || "http://localhost:8002" },
+];
+
+// "1 h 05 min" / "12 min" / "< 1 min"
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return "";
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 1) return "< 1 min";
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+};
+
+// Google encoded polyline (Valhalla uses precision 6) -> [[lat, lng], ...]
+export const decodePolyline = (str, precision = 6) => {
+  const factor = 10 ** precision;
+  const coords = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = str.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < str.length) {
+    lat += next();
+    lng += next();
+    coords.push([lat / factor, lng / factor]);
+  }
+  return coords;
+};
+
+const fetchJSON = async (url, options) => {
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw new Error(`Routing service unreachable (${url.split("?")[0]})`);
+  }
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(data?.message || data?.error || `Routing service returned HTTP ${res.status}`);
+  return data;
+};
+
+/* ---------------- straight line ----------------
+   Offline stand-in (and test double): great-circle legs at the profile's average speed. */
+export const createStraightLineAdapter = () => ({
+  key: "straight",
+  route: async (stops, { profile } = {}) => {
+    const speed = (profileFor(profile).speedKmh * 1000) / 3600; // m/s
+    const legs = stops.slice(1).map(([lat, lng], i) => {
+      const distance = haversineDistance(stops[i][0], stops[i][1], lat, lng);
+      return { distance, duration: distance / speed };
+    });
+    return {
+      coordinates: stops,
+      distance: legs.reduce((s, l) => s + l.distance, 0),
+      duration: legs.reduce((s, l) => s + l.duration, 0),
+      legs,
+    };
+  },
+});
+
+/* ---------------- OSRM (/route/v1) ---------------- */
+export const createOsrmAdapter = ({ baseUrl }) => ({
+  key: "osrm",
+  route: async (stops, { profile, signal } = {}) => {
+    const coords = stops.map(([lat, lng]) => `${lng},${lat}`).join(";");
+    const url = `${baseUrl.replace(/\/$/, "")}/route/v1/${profileFor(profile).key}/${coords}?overview=full&geometries=geojson`;
+    const data = await fetchJSON(url, { signal });
+    if (data.code !== "Ok" || !data.routes?.length) throw new Error(data.message || "No route found.");
+    const [route] = data.routes;
+    return {
+      coordinates: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+      distance: route.distance,
+      duration: route.duration,
+      legs: route.legs.map((l) => ({ distance: l.distance, duration: l.duration })),
+    };
+  },
+});
+
+/* ---------------- Valhalla (/route) ---------------- */
+export const createValhallaAdapter = ({ baseUrl }) => ({
+  key: "valhalla",
+  route: async (stops, { profile, signal } = {}) => {
+    const body = {
+      locations: stops.map(([lat, lng]) => ({ lat, lon: lng })),
+      costing: profileFor(profile).valhalla,
+      units: "kilometers",
+    };
+    const data = await fetchJSON(`${baseUrl.replace(/\/$/, "")}/route`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal,
+    });
+    const trip = data?.trip;
+    if (!trip?.legs?.length) throw new Error("No route found.");
+    return {
+      // consecutive legs share their joining point
+      coordinates: trip.legs.flatMap((l, i) => decodePolyline(l.shape).slice(i ? 1 : 0)),
+      distance: trip.summary.length * 1000,
+      duration: trip.summary.time,
+      legs: trip.legs.map((l) => ({ distance: l.summary.length * 1000, duration: l.summary.time })),
+    };
+  },
+});
+
+// { engine, url } -> adapter
+export const createRoutingAdapter = ({ engine, url }) => {
+  switch (engine) {
+    case "osrm":
+      return createOsrmAdapter({ baseUrl: url });
+    case "valhalla":
+      return createValhallaAdapter({ baseUrl: url });
+    default:
+      return createStraightLineAdapter();
+  }
+};
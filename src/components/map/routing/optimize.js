@@ -0,0 +1,52 @@
+/* ---------------- Stop ordering ----------------
+   "Visit all" optimisation for an open path (no return to start): nearest-neighbour
+   tour from the first stop, then 2-opt until no swap shortens it. Great-circle
+   distances stand in for road distances, which is fine for ordering city-scale stops
+   and keeps the optimisation local whatever routing engine draws the result.
+*/
+import { haversineDistance } from "../utils/geo";
+
+const distanceMatrix = (points) =>
+  points.map((a) => points.map((b) => haversineDistance(a[0], a[1], b[0], b[1])));
+
+export const pathDistance = (order, dist) => order.slice(1).reduce((sum, j, i) => sum + dist[order[i]][j], 0);
+
+/* [lat, lng] points -> visiting order (indices), starting at points[0].
+   2-opt is O(n²) per pass: callers cap the number of stops. */
+export const optimizeStopOrder = (points) => {
+  if (points.length < 3) return points.map((_, i) => i);
+  const dist = distanceMatrix(points);
+
+  const order = [0];
+  const left = new Set(points.map((_, i) => i).slice(1));
+  while (left.size) {
+    const from = order[order.length - 1];
+    let best = null;
+    left.forEach((j) => {
+      if (best === null || dist[from][j] < dist[from][best]) best = j;
+    });
+    order.push(best);
+    left.delete(best);
+  }
+
+  // reversing order[i..k] swaps edges (i-1, i) + (k, k+1) for (i-1, k) + (i, k+1)
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        const a = order[i - 1];
+        const b = order[i];
+        const c = order[k];
+        const d = order[k + 1];
+        const before = dist[a][b] + (d === undefined ? 0 : dist[c][d]);
+        const after = dist[a][c] + (d === undefined ? 0 : dist[b][d]);
+        if (after < before - 1e-9) {
+          order.splice(i, k - i + 1, ...order.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+};
@@ -0,0 +1,76 @@
+import { haversineDistance } from "../utils/geo";
+import { createOsrmAdapter, createStraightLineAdapter, createValhallaAdapter, decodePolyline, formatDuration } from "./adapters";
+import { optimizeStopOrder } from "./optimize";
+
+const stops = [
+  [-1.29, 36.82],
+  [-1.3, 36.82],
+  [-1.3, 36.83],
+];
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("straight-line adapter routes leg by leg at the profile speed", async () => {
+  const route = await createStraightLineAdapter().route(stops, { profile: "walking" });
+  expect(route.coordinates).toEqual(stops);
+  expect(route.legs).toHaveLength(2);
+  expect(route.distance).toBeCloseTo(haversineDistance(...stops[0], ...stops[1]) + haversineDistance(...stops[1], ...stops[2]), 6);
+  expect(route.duration).toBeCloseTo(route.distance / (5000 / 3600), 6); // 5 km/h
+});
+
+test("OSRM adapter builds the request and reads the response", async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({
+      code: "Ok",
+      routes: [
+        {
+          distance: 2500,
+          duration: 300,
+          geometry: { coordinates: [[36.82, -1.29], [36.82, -1.3], [36.83, -1.3]] },
+          legs: [{ distance: 1100, duration: 130 }, { distance: 1400, duration: 170 }],
+        },
+      ],
+    }),
+  });
+  const route = await createOsrmAdapter({ baseUrl: "http://localhost:5000/" }).route(stops, { profile: "driving" });
+  expect(global.fetch.mock.calls[0][0]).toBe("http://localhost:5000/route/v1/driving/36.82,-1.29;36.82,-1.3;36.83,-1.3?overview=full&geometries=geojson");
+  expect(route).toEqual({ coordinates: stops, distance: 2500, duration: 300, legs: [{ distance: 1100, duration: 130 }, { distance: 1400, duration: 170 }] });
+});
+
+test("adapters report unreachable services and missing routes as errors", async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+  await expect(createOsrmAdapter({ baseUrl: "http://localhost:5000" }).route(stops)).rejects.toThrow("unreachable");
+
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 400, json: async () => ({ code: "NoRoute", message: "Impossible route between points" }) });
+  await expect(createOsrmAdapter({ baseUrl: "http://localhost:5000" }).route(stops)).rejects.toThrow("Impossible route");
+});
+
+test("Valhalla adapter decodes leg shapes and converts kilometres", async () => {
+  // polyline6 of (-1.29, 36.82) -> (-1.3, 36.82)
+  const shape = "~ovmA_aifeA~oR?";
+  expect(decodePolyline(shape)).toEqual([[-1.29, 36.82], [-1.3, 36.82]]);
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ trip: { summary: { length: 1.1, time: 130 }, legs: [{ shape, summary: { length: 1.1, time: 130 } }] } }),
+  });
+  const route = await createValhallaAdapter({ baseUrl: "http://localhost:8002" }).route(stops.slice(0, 2), { profile: "cycling" });
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).costing).toBe("bicycle");
+  expect(route.coordinates).toEqual([[-1.29, 36.82], [-1.3, 36.82]]);
+  expect(route.distance).toBeCloseTo(1100);
+});
+
+test("formatDuration", () => {
+  expect(formatDuration(20)).toBe("< 1 min");
+  expect(formatDuration(720)).toBe("12 min");
+  expect(formatDuration(3900)).toBe("1 h 05 min");
+});
+
+test("stop order optimisation untangles a zig-zag and keeps the start", () => {
+  // points along a street, listed out of order
+  const points = [0, 4, 1, 3, 2].map((i) => [-1.29, 36.8 + i * 0.01]);
+  expect(optimizeStopOrder(points)).toEqual([0, 2, 4, 3, 1]);
+  expect(optimizeStopOrder(points.slice(0, 2))).toEqual([0, 1]);
+});
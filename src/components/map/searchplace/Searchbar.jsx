@@ -1,150 +1,228 @@
-import React, { useState } from "react";
-import { useMap } from "react-leaflet";
-import { OpenStreetMapProvider } from "leaflet-geosearch";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import L from "leaflet";
+import { useMap, useMapEvents } from "react-leaflet";
 import { FiSearch } from "react-icons/fi";
+import { GEOCODERS, createGeocoder } from "./geocoders";
+import { COORDINATE_INPUT_FORMATS, formatUTM, parseCoordinates, toDMS } from "../utils/coords";
 
-const SearchBar = () => {
+const MIN_QUERY_LENGTH = 3;
+const DEBOUNCE_MS = 500; // also keeps us within Nominatim's one-request-per-second policy
+
+// the current view, so providers can rank nearby places first
+const viewBias = (map) => {
+  const c = map.getCenter();
+  const b = map.getBounds();
+  return { lat: c.lat, lng: c.lng, bounds: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()] };
+};
+
+// "Kenyatta Avenue, CBD, Nairobi, Kenya" -> "Kenyatta Avenue, CBD"
+const shortLabel = (label) => label.split(",").slice(0, 2).join(",").trim();
+
+/* ---------------- SearchBar ----------------
+   Debounced place autocomplete through a pluggable geocoder (geocoders.js), biased to
+   the current view. Typed coordinates (decimal, DMS, UTM, plus codes, "gh:" geohashes) skip
+   the geocoder and are shown as parsed before "Go". Picking a result only moves the
+   map; "📌" saves it as a real marker via onSaveMarker(latlng, { title, description }).
+   Right-clicking the map reverse geocodes the point and saves a marker titled with the address.
+*/
+const SearchBar = ({ gazetteer, onSaveMarker }) => {
   const map = useMap();
-  const provider = new OpenStreetMapProvider();
+  const [providerKey, setProviderKey] = useState(GEOCODERS[0].key);
+  const geocoder = useMemo(() => createGeocoder(providerKey, { gazetteer }), [providerKey, gazetteer]);
 
   const [query, setQuery] = useState("");
   const [visible, setVisible] = useState(false);
-  const [markerRef, setMarkerRef] = useState(null);
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const boxRef = useRef(null);
+
+  // short plus codes are resolved near the current view
+  const coordinate = useMemo(() => {
+    const c = map.getCenter();
+    return parseCoordinates(query, { reference: [c.lat, c.lng] });
+  }, [query, map]);
+
+  // the box sits inside the map container: keep clicks / wheel scrolling off the map
+  useEffect(() => {
+    if (!boxRef.current) return;
+    L.DomEvent.disableClickPropagation(boxRef.current);
+    L.DomEvent.disableScrollPropagation(boxRef.current);
+  }, [visible]);
 
-  // FIX: prevent Leaflet default icon bugs
-  L.Icon.Default.mergeOptions({
-    iconRetinaUrl: require("leaflet/dist/images/marker-icon-2x.png"),
-    iconUrl: require("leaflet/dist/images/marker-icon.png"),
-    shadowUrl: require("leaflet/dist/images/marker-shadow.png"),
+  // debounced autocomplete; a newer query aborts the request in flight
+  useEffect(() => {
+    const q = query.trim();
+    setError(null);
+    if (coordinate || q.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setLoading(false);
+      return;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    const timer = setTimeout(() => {
+      geocoder
+        .search(q, { bias: viewBias(map), signal: controller.signal })
+        .then((found) => {
+          setResults(found);
+          setActiveIndex(0);
+          setLoading(false);
+        })
+        .catch((err) => {
+          if (err.name === "AbortError") return;
+          console.error(err);
+          setResults([]);
+          setError(err.message);
+          setLoading(false);
+        });
+    }, DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, coordinate, geocoder, map]);
+
+  // right click -> reverse geocode -> new marker titled with the address
+  useMapEvents({
+    contextmenu(e) {
+      // measuring / picking a point (both set __pickingPoint) or editing shapes: not a marker
+      if (map.__pickingPoint || map.__drawEditing) return;
+      const { lat, lng } = e.latlng;
+      geocoder
+        .reverse(lat, lng)
+        .catch((err) => {
+          console.warn("Reverse geocoding failed", err);
+          return null;
+        })
+        .then((place) => onSaveMarker(e.latlng, place ? { title: shortLabel(place.label), description: place.label } : {}));
+    },
   });
 
-  // SEARCH FUNCTION — FIXED
-  const handleSearch = async (e) => {
+  const showResult = (r) => {
+    if (r.bounds) map.fitBounds(r.bounds, { maxZoom: 16 });
+    else map.flyTo([r.lat, r.lng], 15);
+  };
+
+  const handleSubmit = (e) => {
     e.preventDefault();
-    e.stopPropagation();   // 🔥 Stop map click
-
-    try {
-      const results = await provider.search({ query });
-      if (results.length > 0) {
-        const { x, y, label } = results[0];
-        const latLng = [y, x];
-
-        map.flyTo(latLng, 15);
-
-        // remove old search marker
-        if (markerRef) {
-          map.removeLayer(markerRef);
-        }
-
-        // add new search marker
-        const newMarker = L.marker(latLng)
-          .addTo(map)
-          .bindPopup(label)
-          .openPopup();
-
-        setMarkerRef(newMarker);
-        setVisible(false);
-        setQuery("");
-      } else {
-        alert("No results found.");
-      }
-    } catch (error) {
-      console.error(error);
-      alert("Search failed.");
-    }
+    if (coordinate) showResult(coordinate);
+    else if (results[activeIndex]) showResult(results[activeIndex]);
   };
 
+  const handleKeyDown = (e) => {
+    if (!results.length) return;
+    if (e.key === "ArrowDown") setActiveIndex((i) => (i + 1) % results.length);
+    else if (e.key === "ArrowUp") setActiveIndex((i) => (i - 1 + results.length) % results.length);
+    else return;
+    e.preventDefault();
+  };
+
+  const iconButton = { background: "none", border: "none", padding: "6px", cursor: "pointer" };
+
   return (
-    <div
-      onClick={(e) => e.stopPropagation()} // 🔥 Prevent map click under the search bar
-      style={{
-        position: "absolute",
-        top: 110,
-        right: 10,
-        zIndex: 1000,
-      }}
-    >
+    <div ref={boxRef} style={{ position: "absolute", top: 110, right: 10, zIndex: 1000 }}>
       {!visible ? (
         <button
-          onClick={(e) => {
-            e.stopPropagation(); // 🔥 FIX
-            setVisible(true);
-          }}
-          style={{
-            background: "white",
-            border: "1px solid #ccc",
-            padding: "6px",
-            borderRadius: "4px",
-            cursor: "pointer",
-            boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
-          }}
+          onClick={() => setVisible(true)}
+          style={{ background: "white", border: "1px solid #ccc", padding: "6px", borderRadius: "4px", cursor: "pointer", boxShadow: "0 2px 6px rgba(0,0,0,0.2)" }}
+          title="Search places (right-click the map to add a marker at an address)"
         >
           <FiSearch />
         </button>
       ) : (
-        <form
-          onSubmit={handleSearch}
-          onClick={(e) => e.stopPropagation()} // 🔥 FIX
-          style={{
-            display: "flex",
-            alignItems: "center",
-            background: "white",
-            borderRadius: "4px",
-            border: "1px solid #ccc",
-            padding: "2px",
-          }}
-        >
-          <input
-            type="text"
-            value={query}
-            onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search..."
-            autoFocus
-            onClick={(e) => e.stopPropagation()} // 🔥 Prevent auto marker
-            style={{
-              border: "none",
-              width: "160px",
-              padding: "6px",
-              outline: "none",
-            }}
-          />
-
-          <button
-            type="submit"
-            onClick={(e) => e.stopPropagation()} // 🔥 FIX
-            style={{
-              background: "none",
-              border: "none",
-              padding: "6px",
-              cursor: "pointer",
-            }}
-          >
-            <FiSearch />
-          </button>
-
-          <button
-            type="button"
-            onClick={(e) => {
-              e.stopPropagation();
-              setVisible(false);
-            }}
-            style={{
-              background: "none",
-              border: "none",
-              padding: "6px",
-              cursor: "pointer",
-              fontSize: "16px",
-            }}
-          >
-            ❌
-          </button>
-        </form>
+        <div style={{ background: "white", borderRadius: "4px", border: "1px solid #ccc", width: "280px", boxShadow: "0 2px 6px rgba(0,0,0,0.2)", textAlign: "left" }}>
+          <form onSubmit={handleSubmit} style={{ display: "flex", alignItems: "center", padding: "2px" }}>
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Place or coordinates..."
+              autoFocus
+              style={{ border: "none", flex: 1, padding: "6px", outline: "none" }}
+            />
+            <button type="submit" style={iconButton}>
+              <FiSearch />
+            </button>
+            <button type="button" onClick={() => setVisible(false)} style={{ ...iconButton, fontSize: "16px" }}>
+              ❌
+            </button>
+          </form>
+
+          <select value={providerKey} onChange={(e) => setProviderKey(e.target.value)} style={{ width: "100%", border: "none", borderTop: "1px solid #eee", padding: "4px", fontSize: "11px", color: "#555" }}>
+            {GEOCODERS.map((g) => (
+              <option key={g.key} value={g.key}>
+                {g.label}
+              </option>
+            ))}
+          </select>
+
+          {coordinate && (
+            <div style={{ borderTop: "1px solid #eee", padding: "6px", fontSize: "12px", background: "#eef5fb" }}>
+              <div style={{ color: "#555", marginBottom: 2 }}>📍 {COORDINATE_INPUT_FORMATS[coordinate.format]}</div>
+              <div>
+                <strong>
+                  {coordinate.lat.toFixed(6)}, {coordinate.lng.toFixed(6)}
+                </strong>
+              </div>
+              <div style={{ color: "#555", fontSize: "11px" }}>
+                {toDMS(coordinate.lat, coordinate.lng)} · {formatUTM(coordinate.lat, coordinate.lng)}
+              </div>
+              <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+                <button type="button" onClick={() => showResult(coordinate)} style={{ flex: 1, padding: "4px", borderRadius: 4, border: "none", background: "#3498db", color: "white", cursor: "pointer" }}>
+                  Go
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onSaveMarker({ lat: coordinate.lat, lng: coordinate.lng }, { description: `${COORDINATE_INPUT_FORMATS[coordinate.format]}: ${query.trim()}` })}
+                  style={{ flex: 1, padding: "4px", borderRadius: 4, border: "none", background: "#27ae60", color: "white", cursor: "pointer" }}
+                >
+                  📌 Drop marker
+                </button>
+              </div>
+            </div>
+          )}
+
+          {!coordinate && (loading || error || results.length > 0 || query.trim().length >= MIN_QUERY_LENGTH) && (
+            <div style={{ maxHeight: 240, overflowY: "auto", borderTop: "1px solid #eee", fontSize: "12px" }}>
+              {loading && <div style={{ padding: "6px", color: "#777" }}>Searching…</div>}
+              {!loading && error && <div style={{ padding: "6px", color: "#c0392b" }}>{error}</div>}
+              {!loading && !error && !results.length && <div style={{ padding: "6px", color: "#777" }}>No results found.</div>}
+              {!loading &&
+                results.map((r, i) => (
+                  <div
+                    key={`${r.lat},${r.lng},${i}`}
+                    onClick={() => {
+                      setActiveIndex(i);
+                      showResult(r);
+                    }}
+                    onMouseEnter={() => setActiveIndex(i)}
+                    style={{ display: "flex", alignItems: "center", padding: "5px 6px", cursor: "pointer", background: i === activeIndex ? "#eef5fb" : "white", borderBottom: "1px solid #f3f3f3" }}
+                  >
+                    <span style={{ flex: 1 }} title={r.label}>
+                      {r.label}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onSaveMarker({ lat: r.lat, lng: r.lng }, { title: shortLabel(r.label), description: r.label });
+                      }}
+                      style={{ ...iconButton, padding: "2px 4px" }}
+                      title="Save as marker"
+                    >
+                      📌
+                    </button>
+                  </div>
+                ))}
+            </div>
+          )}
+        </div>
       )}
     </div>
   );
 };
 
 export default SearchBar;
-
-
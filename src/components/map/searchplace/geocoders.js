@@ -0,0 +1,154 @@
+/* ---------------- Geocoders ----------------
+   Provider-agnostic geocoding. Every provider implements
+
+     search(query, { bias, limit, signal }) -> Promise<[{ label, lat, lng, bounds? }]>
+     reverse(lat, lng, { signal })          -> Promise<{ label, lat, lng } | null>
+
+   `bias` is { lat, lng, bounds: [west, south, east, north] } (the current map view);
+   `bounds` on a result is Leaflet-style [[south, west], [north, east]].
+   Network providers throw an Error with a readable message when the service fails.
+*/
+import { createAdminLookup, geometryBounds, haversineDistance } from "../utils/geo";
+
+const fetchJSON = async (url, { signal } = {}) => {
+  let res;
+  try {
+    res = await fetch(url, { signal, headers: { Accept: "application/json" } });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw new Error("Geocoding service unreachable.");
+  }
+  if (!res.ok) throw new Error(`Geocoding service returned HTTP ${res.status}`);
+  return res.json();
+};
+
+const query = (params) =>
+  Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join("&");
+
+// GeoJSON [west, south, east, north] -> Leaflet [[south, west], [north, east]]
+const toLatLngBounds = (bbox) => (bbox?.length === 4 ? [[bbox[1], bbox[0]], [bbox[3], bbox[2]]] : undefined);
+
+/* ---------------- Nominatim ---------------- */
+export const createNominatimGeocoder = ({ baseUrl = "https://nominatim.openstreetmap.org" } = {}) => ({
+  search: async (q, { bias, limit = 5, signal } = {}) => {
+    const data = await fetchJSON(`${baseUrl}/search?${query({ q, format: "jsonv2", limit, viewbox: bias?.bounds?.join(","), bounded: 0 })}`, { signal });
+    return data.map((r) => {
+      // boundingbox is [south, north, west, east] as strings
+      const [s, n, w, e] = (r.boundingbox || []).map(Number);
+      return { label: r.display_name, lat: Number(r.lat), lng: Number(r.lon), bounds: r.boundingbox ? [[s, w], [n, e]] : undefined };
+    });
+  },
+  reverse: async (lat, lng, { signal } = {}) => {
+    const r = await fetchJSON(`${baseUrl}/reverse?${query({ lat, lon: lng, format: "jsonv2" })}`, { signal });
+    return r?.display_name ? { label: r.display_name, lat: Number(r.lat), lng: Number(r.lon) } : null;
+  },
+});
+
+/* ---------------- Photon / Pelias (GeoJSON responses) ---------------- */
+const photonLabel = (p) => [p.name, p.street && [p.street, p.housenumber].filter(Boolean).join(" "), p.city || p.county, p.country].filter(Boolean).join(", ");
+
+// Photon puts the extent in properties as [west, north, east, south]; Pelias uses a standard bbox
+const featureBounds = (f) => {
+  if (f.bbox) return toLatLngBounds(f.bbox);
+  const extent = f.properties?.extent;
+  return extent ? toLatLngBounds([extent[0], extent[3], extent[2], extent[1]]) : undefined;
+};
+
+const featuresToResults = (data, labelOf) =>
+  (data?.features || []).map((f) => ({
+    label: labelOf(f.properties || {}),
+    lat: f.geometry.coordinates[1],
+    lng: f.geometry.coordinates[0],
+    bounds: featureBounds(f),
+  }));
+
+export const createPhotonGeocoder = ({ baseUrl = "https://photon.komoot.io" } = {}) => ({
+  search: async (q, { bias, limit = 5, signal } = {}) =>
+    featuresToResults(await fetchJSON(`${baseUrl}/api/?${query({ q, limit, lat: bias?.lat, lon: bias?.lng })}`, { signal }), photonLabel),
+  reverse: async (lat, lng, { signal } = {}) =>
+    featuresToResults(await fetchJSON(`${baseUrl}/reverse?${query({ lat, lon: lng })}`, { signal }), photonLabel)[0] || null,
+});
+
+export const createPeliasGeocoder = ({ baseUrl, apiKey } = {}) => ({
+  search: async (q, { bias, limit = 5, signal } = {}) =>
+    featuresToResults(
+      await fetchJSON(`${baseUrl}/v1/autocomplete?${query({ text: q, size: limit, "focus.point.lat": bias?.lat, "focus.point.lon": bias?.lng, api_key: apiKey })}`, { signal }),
+      (p) => p.label
+    ),
+  reverse: async (lat, lng, { signal } = {}) =>
+    featuresToResults(await fetchJSON(`${baseUrl}/v1/reverse?${query({ "point.lat": lat, "point.lon": lng, size: 1, api_key: apiKey })}`, { signal }), (p) => p.label)[0] || null,
+});
+
+/* ---------------- Local gazetteer ----------------
+   Offline place names from the sublocations GeoJSON: every sublocation (SLNAME) and
+   location (LOCNAME, the union of its sublocations), matched by name. Prefix matches
+   rank first, then distance to the bias point. Reverse geocoding is point-in-polygon. */
+export const createGazetteerGeocoder = (featureCollection) => {
+  const places = new Map();
+  const addPlace = (key, label, bbox) => {
+    const prev = places.get(key);
+    places.set(
+      key,
+      prev
+        ? { ...prev, bbox: [Math.min(prev.bbox[0], bbox[0]), Math.min(prev.bbox[1], bbox[1]), Math.max(prev.bbox[2], bbox[2]), Math.max(prev.bbox[3], bbox[3])] }
+        : { name: key.split(":")[1], label, bbox }
+    );
+  };
+  (featureCollection?.features || []).forEach((f) => {
+    const { SLNAME, LOCNAME } = f.properties || {};
+    if (!f.geometry) return;
+    const bbox = geometryBounds(f.geometry);
+    if (SLNAME) addPlace(`sublocation:${SLNAME}`, `${SLNAME} (sublocation, ${LOCNAME})`, bbox);
+    if (LOCNAME) addPlace(`location:${LOCNAME}`, `${LOCNAME} (location)`, bbox);
+  });
+  const entries = [...places.values()].map((p) => ({
+    ...p,
+    lat: (p.bbox[1] + p.bbox[3]) / 2,
+    lng: (p.bbox[0] + p.bbox[2]) / 2,
+    bounds: toLatLngBounds(p.bbox),
+  }));
+  const lookup = createAdminLookup(featureCollection);
+
+  return {
+    search: async (q, { bias, limit = 5 } = {}) => {
+      const term = q.trim().toUpperCase();
+      if (!term) return [];
+      const rank = (p) => (p.name.toUpperCase().startsWith(term) ? 0 : 1);
+      const distance = (p) => (bias ? haversineDistance(bias.lat, bias.lng, p.lat, p.lng) : 0);
+      return entries
+        .filter((p) => p.name.toUpperCase().includes(term))
+        .sort((a, b) => rank(a) - rank(b) || distance(a) - distance(b))
+        .slice(0, limit)
+        .map(({ label, lat, lng, bounds }) => ({ label, lat, lng, bounds }));
+    },
+    reverse: async (lat, lng) => {
+      const { sublocation, location } = lookup(lat, lng);
+      if (!sublocation) return null;
+      return { label: sublocation === location ? `${sublocation}, Nairobi` : `${sublocation}, ${location}, Nairobi`, lat, lng };
+    },
+  };
+};
+
+export const GEOCODERS = [
+  { key: "nominatim", label: "Nominatim" },
+  { key: "photon", label: "Photon" },
+  { key: "pelias", label: "Pelias" },
+  { key: "gazetteer", label: "Local gazetteer (offline)" },
+];
+
+// provider key -> geocoder (self-hosted services via REACT_APP_*_URL); `gazetteer` is the sublocations FeatureCollection
+export const createGeocoder = (key, { gazetteer } = {}) => {
+  switch (key) {
+    case "photon":
+      return createPhotonGeocoder({ baseUrl: process.env.REACT_APP_PHOTON_URL || undefined });
+    case "pelias":
+      return createPeliasGeocoder({ baseUrl: process.env.REACT_APP_PELIAS_URL || "http://localhost:4000", apiKey: process.env.REACT_APP_PELIAS_API_KEY });
+    case "gazetteer":
+      return createGazetteerGeocoder(gazetteer);
+    default:
+      return createNominatimGeocoder({ baseUrl: process.env.REACT_APP_NOMINATIM_URL || undefined });
+  }
+};
@@ -0,0 +1,54 @@
+import { createGazetteerGeocoder, createNominatimGeocoder, createPhotonGeocoder } from "./geocoders";
+
+const square = (x, y) => ({ type: "Polygon", coordinates: [[[x, y], [x + 0.01, y], [x + 0.01, y + 0.01], [x, y + 0.01], [x, y]]] });
+const sublocations = {
+  type: "FeatureCollection",
+  features: [
+    { type: "Feature", properties: { SLNAME: "KIBERA", LOCNAME: "KIBERA" }, geometry: square(36.78, -1.32) },
+    { type: "Feature", properties: { SLNAME: "LAINI SABA", LOCNAME: "KIBERA" }, geometry: square(36.79, -1.32) },
+    { type: "Feature", properties: { SLNAME: "NEW KIBERA", LOCNAME: "KAWANGWARE" }, geometry: square(36.9, -1.2) },
+  ],
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("gazetteer finds sublocations and locations, prefix matches and nearby places first", async () => {
+  const geocoder = createGazetteerGeocoder(sublocations);
+  const results = await geocoder.search("kibera", { bias: { lat: -1.2, lng: 36.9 } });
+  expect(results.map((r) => r.label)).toEqual(["KIBERA (location)", "KIBERA (sublocation, KIBERA)", "NEW KIBERA (sublocation, KAWANGWARE)"]);
+  // the location spans both of its sublocations (so its centre is nearer the bias point)
+  expect(results[0].bounds).toEqual([[-1.32, 36.78], [-1.31, 36.8]]);
+  expect(await geocoder.search("  ")).toEqual([]);
+});
+
+test("gazetteer reverse geocodes by point-in-polygon", async () => {
+  const geocoder = createGazetteerGeocoder(sublocations);
+  expect(await geocoder.reverse(-1.315, 36.795)).toMatchObject({ label: "LAINI SABA, KIBERA, Nairobi" });
+  expect(await geocoder.reverse(0, 0)).toBeNull();
+});
+
+test("Nominatim results are normalised and biased to the view", async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => [{ display_name: "Kenyatta Avenue, Nairobi", lat: "-1.2864", lon: "36.8172", boundingbox: ["-1.29", "-1.28", "36.81", "36.82"] }],
+  });
+  const results = await createNominatimGeocoder().search("kenyatta", { bias: { lat: -1.29, lng: 36.82, bounds: [36.7, -1.4, 36.9, -1.2] } });
+  expect(global.fetch.mock.calls[0][0]).toContain("viewbox=36.7%2C-1.4%2C36.9%2C-1.2");
+  expect(results).toEqual([{ label: "Kenyatta Avenue, Nairobi", lat: -1.2864, lng: 36.8172, bounds: [[-1.29, 36.81], [-1.28, 36.82]] }]);
+});
+
+test("Photon labels and errors", async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({
+      features: [{ properties: { name: "Yaya Centre", street: "Argwings Kodhek Road", city: "Nairobi", country: "Kenya" }, geometry: { coordinates: [36.787, -1.293] } }],
+    }),
+  });
+  const [result] = await createPhotonGeocoder().search("yaya");
+  expect(result).toMatchObject({ label: "Yaya Centre, Argwings Kodhek Road, Nairobi, Kenya", lat: -1.293, lng: 36.787 });
+
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+  await expect(createPhotonGeocoder().reverse(-1.29, 36.82)).rejects.toThrow("HTTP 503");
+});
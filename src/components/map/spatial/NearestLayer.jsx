@@ -0,0 +1,21 @@
+import React from "react";
+import { CircleMarker, Polyline } from "react-leaflet";
+
+/* ---------------- NearestLayer ----------------
+   The nearest-marker query on the map: the picked point and a dashed line to
+   each result (distances are listed in the ProximityPanel). Not interactive, so
+   clicks still reach the markers underneath.
+*/
+const NearestLayer = ({ origin, results }) => {
+  if (!origin) return null;
+  return (
+    <>
+      {results.map(({ marker }) => (
+        <Polyline key={marker.id} positions={[origin, marker.position]} interactive={false} pathOptions={{ color: "#16a085", weight: 2, dashArray: "6 6" }} />
+      ))}
+      <CircleMarker center={origin} radius={6} interactive={false} pathOptions={{ color: "#16a085", fillColor: "#1abc9c", fillOpacity: 1 }} />
+    </>
+  );
+};
+
+export default NearestLayer;
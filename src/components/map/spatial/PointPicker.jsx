@@ -0,0 +1,31 @@
+import { useEffect } from "react";
+import L from "leaflet";
+import { useMap, useMapEvents } from "react-leaflet";
+
+/* ---------------- PointPicker ----------------
+   While mounted, the next map click is handed to onPick(latlng) instead of the
+   usual click handlers (AddMarker is disabled by the parent, and ShapeDrawer lets
+   clicks on shapes fall through while `map.__pickingPoint` is set).
+*/
+const PointPicker = ({ onPick }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    map.__pickingPoint = true;
+    L.DomUtil.addClass(map.getContainer(), "leaflet-crosshair");
+    return () => {
+      map.__pickingPoint = false;
+      L.DomUtil.removeClass(map.getContainer(), "leaflet-crosshair");
+    };
+  }, [map]);
+
+  useMapEvents({
+    click(e) {
+      if (e.originalEvent?.target?.closest(".search-bar-container")) return;
+      onPick(e.latlng);
+    },
+  });
+  return null;
+};
+
+export default PointPicker;
@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import { categoryColor } from "../categories/categories";
+import { createShapeProperties, withMeasurements } from "../utils/shapes";
+import { formatLength } from "../utils/measure";
+import { bufferShapeGeometry, markersBufferGeometry } from "../utils/proximity";
+
+const BUFFER_STYLE = { color: "#16a085", fillColor: "#1abc9c" };
+// one circle polygon per marker: beyond this the shape gets too heavy to draw and store
+const MAX_CATEGORY_BUFFER_MARKERS = 2000;
+
+const SOURCE_TYPES = [
+  { key: "marker", label: "Open marker" },
+  { key: "shape", label: "Shape" },
+  { key: "category", label: "Category" },
+];
+
+const circleFeature = ([lat, lng], radius, properties) => ({
+  type: "Feature",
+  properties: { ...properties, radius },
+  geometry: { type: "Point", coordinates: [lng, lat] },
+});
+
+/* ---------------- ProximityPanel ----------------
+   - Buffer: a ring of `distance` around the open marker, a drawn shape or every
+     marker of a category, added to the map as a regular (editable, exportable) shape
+   - Nearest: the N closest markers (optionally of one category) to a point picked on the map
+*/
+const ProximityPanel = ({ markers, shapes, categories, openMarker, onCreateBuffer, nearest, onNearestChange, nearestResults, picking, onTogglePick, onResultClick, onClose }) => {
+  const [sourceType, setSourceType] = useState("marker");
+  const [shapeId, setShapeId] = useState("");
+  const [category, setCategory] = useState(categories[0]?.key || "");
+  const [distance, setDistance] = useState(100);
+  const [unit, setUnit] = useState("m");
+
+  const meters = distance * (unit === "km" ? 1000 : 1);
+  const sourceShape = shapes.find((s) => s.properties?.id === shapeId) || shapes[0];
+
+  const createBuffer = () => {
+    if (!(meters > 0)) return alert("Enter a buffer distance greater than zero.");
+    const props = (label, sourceCategory, source) =>
+      createShapeProperties({ ...BUFFER_STYLE, name: `Buffer ${formatLength(meters)} – ${label}`, category: sourceCategory, buffer: { distance: meters, source } });
+
+    let shape;
+    if (sourceType === "marker") {
+      if (!openMarker) return alert("Open a marker's popup to buffer it.");
+      const m = openMarker;
+      shape = circleFeature(m.position, meters, props(m.title || "marker", m.category, { type: "marker", id: m.id }));
+    } else if (sourceType === "shape") {
+      if (!sourceShape) return alert("Draw a shape first.");
+      const { geometry, radius } = bufferShapeGeometry(sourceShape, meters) || {};
+      if (!geometry) return alert("This shape can't be buffered.");
+      const properties = props(sourceShape.properties.name, sourceShape.properties.category, { type: "shape", id: sourceShape.properties.id });
+      shape = { type: "Feature", properties: radius ? { ...properties, radius } : properties, geometry };
+    } else {
+      const members = markers.filter((m) => m.category === category);
+      if (!members.length) return alert(`No markers in "${category}".`);
+      if (members.length > MAX_CATEGORY_BUFFER_MARKERS) return alert(`Too many markers to buffer (${members.length}, max ${MAX_CATEGORY_BUFFER_MARKERS}). Filter or split the category first.`);
+      const properties = props(category, category, { type: "category", key: category });
+      shape =
+        members.length === 1
+          ? circleFeature(members[0].position, meters, properties)
+          : { type: "Feature", properties, geometry: markersBufferGeometry(members, meters) };
+    }
+    onCreateBuffer(withMeasurements(shape));
+  };
+
+  const inputStyle = { padding: "4px", border: "1px solid #ccc", borderRadius: "4px" };
+  const buttonStyle = { padding: "6px", borderRadius: 4, border: "none", color: "white", cursor: "pointer", fontSize: "12px" };
+  const setNearest = (changes) => onNearestChange({ ...nearest, ...changes });
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 360,
+        left: 55,
+        zIndex: 1000,
+        background: "white",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "250px",
+        fontSize: "12px",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: "14px" }}>🎯 Proximity</h4>
+        <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+          ❌
+        </button>
+      </div>
+
+      {/* Buffer */}
+      <div style={{ fontWeight: "bold", margin: "8px 0 4px" }}>Buffer</div>
+      <select value={sourceType} onChange={(e) => setSourceType(e.target.value)} style={{ ...inputStyle, width: "100%", marginBottom: 4 }}>
+        {SOURCE_TYPES.map((t) => (
+          <option key={t.key} value={t.key}>
+            {t.label}
+          </option>
+        ))}
+      </select>
+      {sourceType === "marker" && <div style={{ color: "#555", marginBottom: 4 }}>{openMarker ? openMarker.title : "Click a marker to choose it."}</div>}
+      {sourceType === "shape" && (
+        <select value={sourceShape?.properties.id || ""} onChange={(e) => setShapeId(e.target.value)} style={{ ...inputStyle, width: "100%", marginBottom: 4 }}>
+          {!shapes.length && <option value="">No shapes drawn</option>}
+          {shapes.map((s) => (
+            <option key={s.properties.id} value={s.properties.id}>
+              {s.properties.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {sourceType === "category" && (
+        <select value={category} onChange={(e) => setCategory(e.target.value)} style={{ ...inputStyle, width: "100%", marginBottom: 4 }}>
+          {categories.map((c) => (
+            <option key={c.key}>{c.key}</option>
+          ))}
+        </select>
+      )}
+      <div style={{ display: "flex", gap: 6 }}>
+        <input type="number" min={0} value={distance} onChange={(e) => setDistance(Number(e.target.value))} style={{ ...inputStyle, width: 70 }} />
+        <select value={unit} onChange={(e) => setUnit(e.target.value)} style={inputStyle}>
+          <option value="m">m</option>
+          <option value="km">km</option>
+        </select>
+        <button onClick={createBuffer} style={{ ...buttonStyle, flex: 1, background: "#16a085" }}>
+          Create buffer
+        </button>
+      </div>
+
+      {/* Nearest neighbours */}
+      <div style={{ fontWeight: "bold", margin: "10px 0 4px" }}>Nearest markers</div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 4 }}>
+        <select value={nearest.category} onChange={(e) => setNearest({ category: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+          <option value="All">All categories</option>
+          {categories.map((c) => (
+            <option key={c.key}>{c.key}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min={1}
+          max={50}
+          value={nearest.count}
+          onChange={(e) => setNearest({ count: Math.max(1, Math.min(50, Number(e.target.value) || 1)) })}
+          style={{ ...inputStyle, width: 44 }}
+          title="Number of markers"
+        />
+      </div>
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={onTogglePick} style={{ ...buttonStyle, flex: 1, background: picking ? "#e67e22" : "#3498db" }}>
+          {picking ? "Click the map…" : "📍 Pick point on map"}
+        </button>
+        {nearest.origin && (
+          <button onClick={() => setNearest({ origin: null })} style={{ ...buttonStyle, background: "#95a5a6" }}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {nearest.origin && (
+        <div style={{ maxHeight: 160, overflowY: "auto", borderTop: "1px solid #eee", marginTop: 6 }}>
+          {!nearestResults.length && <div style={{ color: "#555", padding: "4px 0" }}>No markers found.</div>}
+          {nearestResults.map(({ marker: m, distance: d }) => (
+            <div
+              key={m.id}
+              onClick={() => onResultClick(m)}
+              style={{ display: "flex", alignItems: "center", padding: "4px 0", borderBottom: "1px solid #f3f3f3", cursor: "pointer" }}
+              title="Fly to marker"
+            >
+              <span style={{ width: 8, height: 8, borderRadius: "50%", background: categoryColor(categories, m.category), marginRight: 6, flex: "none" }} />
+              <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{m.title}</span>
+              <span style={{ color: "#555", marginLeft: 6 }}>{formatLength(d)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProximityPanel;
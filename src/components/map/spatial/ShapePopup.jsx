@@ -0,0 +1,70 @@
+import React from "react";
+import { Popup } from "react-leaflet";
+import { shapeTypeLabel } from "../utils/shapes";
+import { formatArea, formatLength } from "../utils/measure";
+import { formatDuration } from "../routing/adapters";
+
+/* ---------------- ShapePopup ----------------
+   Attribute editor for a drawn shape, opened when the shape is clicked.
+   Mirrors the marker popup: name, description, category, colours, delete.
+*/
+const ShapePopup = ({ shape, position, categories, onChange, onDelete, onClose }) => {
+  const { id, name, description, category, color, fillColor, measurements = {}, route } = shape.properties;
+
+  return (
+    <Popup position={position} eventHandlers={{ remove: onClose }}>
+      <div style={{ fontSize: "11px", color: "#777", marginBottom: 4 }}>{shapeTypeLabel(shape)}</div>
+      <input type="text" value={name} onChange={(e) => onChange(id, "name", e.target.value)} style={{ width: "100%", marginBottom: "5px" }} />
+      <textarea value={description} onChange={(e) => onChange(id, "description", e.target.value)} style={{ width: "100%", height: "50px" }} />
+      <select value={category} onChange={(e) => onChange(id, "category", e.target.value)} style={{ width: "100%", marginTop: "6px" }}>
+        {categories.map((c) => (
+          <option key={c.key}>{c.key}</option>
+        ))}
+      </select>
+      <div style={{ display: "flex", gap: 10, marginTop: 6, fontSize: "12px" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          Stroke
+          <input type="color" value={color} onChange={(e) => onChange(id, "color", e.target.value)} />
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          Fill
+          <input type="color" value={fillColor} onChange={(e) => onChange(id, "fillColor", e.target.value)} />
+        </label>
+      </div>
+      <div style={{ fontSize: "12px", color: "#333", marginTop: 6 }}>
+        {measurements.area != null && (
+          <div>
+            <strong>Area:</strong> {formatArea(measurements.area)}
+          </div>
+        )}
+        {measurements.perimeter != null && (
+          <div>
+            <strong>Perimeter:</strong> {formatLength(measurements.perimeter)}
+          </div>
+        )}
+        {measurements.length != null && (
+          <div>
+            <strong>Length:</strong> {formatLength(measurements.length)}
+          </div>
+        )}
+        {route && (
+          <div>
+            <strong>Route:</strong> {formatLength(route.distance)} · {formatDuration(route.duration)} ({route.stops.length} stops, {route.profile} via {route.engine})
+          </div>
+        )}
+      </div>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          e.preventDefault();
+          onDelete(id);
+        }}
+        style={{ background: "red", color: "white", border: "none", marginTop: "6px", padding: "6px 10px", borderRadius: "4px", cursor: "pointer" }}
+      >
+        Delete Shape
+      </button>
+    </Popup>
+  );
+};
+
+export default ShapePopup;
@@ -0,0 +1,86 @@
+import React, { useMemo } from "react";
+
+/* ---------------- ShapeQueryPanel ----------------
+   Side panel listing the markers that fall inside the selected drawn shape,
+   with per-category counts and zoom / export / filter actions.
+*/
+const ShapeQueryPanel = ({ shape, markersInside, categories, isFiltering, onZoom, onExportCSV, onToggleFilter, onMarkerClick, onClose }) => {
+  const counts = useMemo(() => {
+    const acc = {};
+    markersInside.forEach((m) => {
+      const cat = m.category || "General";
+      acc[cat] = (acc[cat] || 0) + 1;
+    });
+    return acc;
+  }, [markersInside]);
+
+  const colorFor = (cat) => categories.find((c) => c.key === cat)?.color || "#3388ff";
+  const shapeType = shape.properties?.radius ? "Circle" : shape.geometry.type;
+  const buttonStyle = { flex: 1, padding: "6px", borderRadius: 4, border: "none", color: "white", cursor: "pointer", fontSize: "12px" };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: 30,
+        right: 280,
+        zIndex: 1000,
+        background: "white",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "260px",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: "14px" }}>🔷 Inside {shapeType}</h4>
+        <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+          ❌
+        </button>
+      </div>
+
+      <p style={{ margin: "6px 0", fontSize: "13px" }}>
+        <strong>{markersInside.length}</strong> marker{markersInside.length === 1 ? "" : "s"} inside
+      </p>
+
+      {Object.keys(counts).length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 6 }}>
+          {Object.entries(counts).map(([cat, n]) => (
+            <span key={cat} style={{ fontSize: "11px", padding: "2px 6px", borderRadius: 10, background: colorFor(cat), color: "white" }}>
+              {cat}: {n}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div style={{ maxHeight: 140, overflowY: "auto", borderTop: "1px solid #eee", marginBottom: 8 }}>
+        {markersInside.map((m) => (
+          <div
+            key={m.id}
+            onClick={() => onMarkerClick(m)}
+            style={{ fontSize: "12px", padding: "4px 0", borderBottom: "1px solid #f3f3f3", cursor: "pointer" }}
+            title="Fly to marker"
+          >
+            <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: colorFor(m.category), marginRight: 6 }} />
+            {m.title}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={onZoom} style={{ ...buttonStyle, background: "#3498db" }}>
+          Zoom to
+        </button>
+        <button onClick={onExportCSV} disabled={!markersInside.length} style={{ ...buttonStyle, background: "#6c5ce7", opacity: markersInside.length ? 1 : 0.5 }}>
+          Export CSV
+        </button>
+        <button onClick={onToggleFilter} style={{ ...buttonStyle, background: isFiltering ? "#e74c3c" : "#27ae60" }}>
+          {isFiltering ? "Unfilter" : "Filter map"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShapeQueryPanel;
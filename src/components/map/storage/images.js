@@ -0,0 +1,42 @@
+/* ---------------- Marker images ----------------
+   Markers reference photos by `imageId` (a blob in map storage). Files still carry
+   them inline as data URLs: GeoJSON imports/exports and the old localStorage maps.
+*/
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, data = ""] = dataUrl.split(",");
+  const type = header.match(/^data:([^;,]+)/)?.[1] || "application/octet-stream";
+  if (!header.includes(";base64")) return new Blob([decodeURIComponent(data)], { type });
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+export const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const isDataUrl = (v) => typeof v === "string" && v.startsWith("data:");
+
+// inline data URL images -> blobs in storage ({ image } becomes { imageId })
+export const storeMarkerImages = (storage, markers) =>
+  Promise.all(
+    markers.map(async (m) => {
+      if (!("image" in m)) return m;
+      const { image, ...rest } = m;
+      return isDataUrl(image) ? { ...rest, imageId: await storage.putImage(dataUrlToBlob(image)) } : rest;
+    })
+  );
+
+// the reverse, for exports that embed images
+export const inlineMarkerImages = (storage, markers) =>
+  Promise.all(
+    markers.map(async (m) => {
+      const blob = m.imageId && (await storage.getImage(m.imageId));
+      return blob ? { ...m, image: await blobToDataUrl(blob) } : m;
+    })
+  );
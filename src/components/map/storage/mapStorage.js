@@ -0,0 +1,174 @@
+import { openDB } from "idb";
+
+/* ---------------- Map storage ----------------
+   Where saved maps live. Every backend implements
+
+     listMaps()                  -> Promise<[{ id, name, updatedAt }]>
+     loadMap(id)                 -> Promise<{ id, name, markers, shapes, categories, filters } | null>
+     saveMap(id, { name?, markers, shapes, categories, filters })
+     renameMap(id, name)
+     deleteMap(id)
+     putImage(blob)              -> Promise<imageId>
+     getImage(imageId)           -> Promise<Blob | undefined>
+     pruneImages()               -> Promise<number>  (deletes images no saved marker uses)
+     estimate()                  -> Promise<{ usage, quota } | null>
+     listSyncStates()            -> Promise<[syncState]>  (see sync/engine.js)
+     saveSyncState(state)
+     deleteSyncState(mapId)
+
+   Maps are separate records (only the open one is read or written) and marker
+   photos are blobs referenced by `marker.imageId`, not base64 inside the map.
+   A full browser store rejects with an error for which isQuotaError() is true.
+*/
+const DB_NAME = "gis-maps";
+const MAPS = "maps"; // id -> { id, name, markers, shapes, categories, updatedAt }
+const INDEX = "mapIndex"; // id -> { id, name, updatedAt }, so listing never reads markers
+const IMAGES = "images"; // imageId -> Blob
+const SYNC = "sync"; // mapId -> sync state (queued edits, server versions), kept after the map is deleted until the server knows
+
+export const isQuotaError = (err) => err?.name === "QuotaExceededError";
+
+const quotaError = () => {
+  const err = new Error("Browser storage is full, so recent changes were not saved. Free space by deleting maps, marker photos or offline areas.");
+  err.name = "QuotaExceededError";
+  return err;
+};
+
+// rethrow the browser's quota errors (DOMException, or an aborted transaction) with a readable message
+const guardQuota = async (write) => {
+  try {
+    return await write();
+  } catch (err) {
+    if (isQuotaError(err) || isQuotaError(err?.target?.error)) throw quotaError();
+    throw err;
+  }
+};
+
+export const newImageId = () => `img-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const imageIdsOf = (map) => (map?.markers || []).map((m) => m.imageId).filter(Boolean);
+
+const browserEstimate = async () => (navigator.storage?.estimate ? navigator.storage.estimate() : null);
+
+/* ---------------- IndexedDB ---------------- */
+export const createIndexedDbStorage = ({ name = DB_NAME } = {}) => {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) {
+      dbPromise = openDB(name, 2, {
+        upgrade(database, oldVersion) {
+          if (oldVersion < 1) {
+            database.createObjectStore(MAPS, { keyPath: "id" });
+            database.createObjectStore(INDEX, { keyPath: "id" });
+            database.createObjectStore(IMAGES);
+          }
+          if (oldVersion < 2) database.createObjectStore(SYNC, { keyPath: "mapId" });
+        },
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    listMaps: async () => (await db()).getAll(INDEX),
+    loadMap: async (id) => (await (await db()).get(MAPS, id)) || null,
+    saveMap: (id, { name: mapName, markers = [], shapes = [], categories = [], filters = [] }) =>
+      guardQuota(async () => {
+        const tx = (await db()).transaction([MAPS, INDEX], "readwrite");
+        const entry = await tx.objectStore(INDEX).get(id);
+        const record = { id, name: mapName ?? entry?.name ?? id, updatedAt: Date.now() };
+        await tx.objectStore(MAPS).put({ ...record, markers, shapes, categories, filters });
+        await tx.objectStore(INDEX).put(record);
+        await tx.done;
+      }),
+    renameMap: (id, mapName) =>
+      guardQuota(async () => {
+        const tx = (await db()).transaction([MAPS, INDEX], "readwrite");
+        const map = await tx.objectStore(MAPS).get(id);
+        if (map) {
+          await tx.objectStore(MAPS).put({ ...map, name: mapName });
+          await tx.objectStore(INDEX).put({ id, name: mapName, updatedAt: map.updatedAt });
+        }
+        await tx.done;
+      }),
+    deleteMap: async (id) => {
+      const tx = (await db()).transaction([MAPS, INDEX], "readwrite");
+      await Promise.all([tx.objectStore(MAPS).delete(id), tx.objectStore(INDEX).delete(id), tx.done]);
+    },
+    putImage: (blob) =>
+      guardQuota(async () => {
+        const id = newImageId();
+        await (await db()).put(IMAGES, blob, id);
+        return id;
+      }),
+    getImage: async (imageId) => (await db()).get(IMAGES, imageId),
+    pruneImages: async () => {
+      const tx = (await db()).transaction([MAPS, IMAGES], "readwrite");
+      const used = new Set((await tx.objectStore(MAPS).getAll()).flatMap(imageIdsOf));
+      let removed = 0;
+      let cursor = await tx.objectStore(IMAGES).openKeyCursor();
+      while (cursor) {
+        if (!used.has(cursor.key)) {
+          await tx.objectStore(IMAGES).delete(cursor.key);
+          removed += 1;
+        }
+        cursor = await cursor.continue();
+      }
+      await tx.done;
+      return removed;
+    },
+    estimate: browserEstimate,
+    listSyncStates: async () => (await db()).getAll(SYNC),
+    saveSyncState: (state) => guardQuota(async () => (await db()).put(SYNC, state)),
+    deleteSyncState: async (mapId) => (await db()).delete(SYNC, mapId),
+  };
+};
+
+/* ---------------- In memory ----------------
+   Same contract without persistence: used where IndexedDB is unavailable
+   (some private browsing modes) and by the tests. */
+export const createMemoryStorage = () => {
+  const maps = new Map();
+  const images = new Map();
+  const syncStates = new Map();
+  return {
+    listMaps: async () => [...maps.values()].map(({ id, name, updatedAt }) => ({ id, name, updatedAt })),
+    loadMap: async (id) => maps.get(id) || null,
+    saveMap: async (id, { name, markers = [], shapes = [], categories = [], filters = [] }) => {
+      maps.set(id, { id, name: name ?? maps.get(id)?.name ?? id, markers, shapes, categories, filters, updatedAt: Date.now() });
+    },
+    renameMap: async (id, name) => {
+      if (maps.has(id)) maps.set(id, { ...maps.get(id), name });
+    },
+    deleteMap: async (id) => {
+      maps.delete(id);
+    },
+    putImage: async (blob) => {
+      const id = newImageId();
+      images.set(id, blob);
+      return id;
+    },
+    getImage: async (imageId) => images.get(imageId),
+    pruneImages: async () => {
+      const used = new Set([...maps.values()].flatMap(imageIdsOf));
+      const unused = [...images.keys()].filter((id) => !used.has(id));
+      unused.forEach((id) => images.delete(id));
+      return unused.length;
+    },
+    estimate: async () => null,
+    listSyncStates: async () => [...syncStates.values()],
+    saveSyncState: async (state) => {
+      syncStates.set(state.mapId, state);
+    },
+    deleteSyncState: async (mapId) => {
+      syncStates.delete(mapId);
+    },
+  };
+};
+
+// the app's storage: IndexedDB when the browser has it
+let storage = null;
+export const getMapStorage = () => {
+  if (!storage) storage = typeof indexedDB !== "undefined" ? createIndexedDbStorage() : createMemoryStorage();
+  return storage;
+};
@@ -0,0 +1,30 @@
+import { storeMarkerImages } from "./images";
+
+export const LEGACY_MAPS_KEY = "maps";
+
+/* One-time move of the old localStorage["maps"] document (every map, photos as
+   base64) into map storage. The key is only removed once every map is written,
+   so a failed migration is retried on the next start. Returns the number of
+   maps moved. */
+export const migrateLocalStorageMaps = async (storage, local = window.localStorage) => {
+  const stored = local.getItem(LEGACY_MAPS_KEY);
+  if (!stored) return 0;
+  let maps;
+  try {
+    maps = JSON.parse(stored);
+  } catch (err) {
+    console.error("Unreadable localStorage maps, left in place", err);
+    return 0;
+  }
+  const entries = Object.entries(maps || {}).filter(([, m]) => m && typeof m === "object");
+  for (const [id, m] of entries) {
+    await storage.saveMap(id, {
+      name: m.name || id,
+      markers: await storeMarkerImages(storage, m.markers || []),
+      shapes: m.shapes || [],
+      categories: m.categories,
+    });
+  }
+  local.removeItem(LEGACY_MAPS_KEY);
+  return entries.length;
+};
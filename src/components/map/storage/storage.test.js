@@ -0,0 +1,71 @@
+import { blobToDataUrl, dataUrlToBlob, inlineMarkerImages, storeMarkerImages } from "./images";
+import { createMemoryStorage } from "./mapStorage";
+import { LEGACY_MAPS_KEY, migrateLocalStorageMaps } from "./migrate";
+
+const PIXEL = "data:image/png;base64,iVBORw0KGgo=";
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test("data URLs round-trip through blobs", async () => {
+  const blob = dataUrlToBlob(PIXEL);
+  expect(blob.type).toBe("image/png");
+  expect(blob.size).toBe(8);
+  expect(await blobToDataUrl(blob)).toBe(PIXEL);
+});
+
+test("maps are stored and listed separately, images by id", async () => {
+  const storage = createMemoryStorage();
+  await storage.saveMap("a", { name: "Alpha", markers: [{ id: 1 }], shapes: [], categories: [] });
+  await storage.saveMap("b", { name: "Beta", markers: [], shapes: [], categories: [] });
+  await storage.saveMap("a", { markers: [{ id: 1 }, { id: 2 }], shapes: [], categories: [] }); // keeps the name
+  await storage.renameMap("b", "Bravo");
+  expect((await storage.listMaps()).map((m) => m.name)).toEqual(["Alpha", "Bravo"]);
+  expect(await storage.loadMap("a")).toMatchObject({ id: "a", name: "Alpha", markers: [{ id: 1 }, { id: 2 }] });
+  await storage.deleteMap("b");
+  expect(await storage.loadMap("b")).toBeNull();
+});
+
+test("marker images move to storage and back, unused ones are pruned", async () => {
+  const storage = createMemoryStorage();
+  const [stored, plain] = await storeMarkerImages(storage, [{ id: 1, image: PIXEL }, { id: 2, image: null }]);
+  expect(stored).toEqual({ id: 1, imageId: expect.stringMatching(/^img-/) });
+  expect(plain).toEqual({ id: 2 });
+  expect((await storage.getImage(stored.imageId)).type).toBe("image/png");
+
+  const [inlined] = await inlineMarkerImages(storage, [stored]);
+  expect(inlined.image).toBe(PIXEL);
+
+  const orphan = await storage.putImage(dataUrlToBlob(PIXEL));
+  await storage.saveMap("a", { markers: [stored] });
+  expect(await storage.pruneImages()).toBe(1);
+  expect(await storage.getImage(orphan)).toBeUndefined();
+  expect(await storage.getImage(stored.imageId)).toBeDefined();
+});
+
+test("localStorage maps are migrated once, photos becoming blobs", async () => {
+  const storage = createMemoryStorage();
+  localStorage.setItem(
+    LEGACY_MAPS_KEY,
+    JSON.stringify({
+      default: { name: "Default Map", markers: [{ id: 1, title: "Shop", image: PIXEL }], shapes: [] },
+      map_1: { name: "Survey", markers: [], shapes: [{ type: "Feature" }], categories: [{ key: "Shops" }] },
+    })
+  );
+  expect(await migrateLocalStorageMaps(storage)).toBe(2);
+  expect(localStorage.getItem(LEGACY_MAPS_KEY)).toBeNull();
+  const map = await storage.loadMap("default");
+  expect(map.markers[0]).toEqual({ id: 1, title: "Shop", imageId: expect.any(String) });
+  expect(await storage.loadMap("map_1")).toMatchObject({ name: "Survey", shapes: [{ type: "Feature" }], categories: [{ key: "Shops" }] });
+  expect(await migrateLocalStorageMaps(storage)).toBe(0);
+});
+
+test("a failed migration keeps the localStorage copy", async () => {
+  const storage = createMemoryStorage();
+  const full = Object.assign(new Error("full"), { name: "QuotaExceededError" });
+  storage.saveMap = jest.fn().mockRejectedValue(full);
+  localStorage.setItem(LEGACY_MAPS_KEY, JSON.stringify({ default: { name: "Default Map", markers: [] } }));
+  await expect(migrateLocalStorageMaps(storage)).rejects.toBe(full);
+  expect(localStorage.getItem(LEGACY_MAPS_KEY)).not.toBeNull();
+});
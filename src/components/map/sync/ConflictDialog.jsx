@@ -0,0 +1,110 @@
+import React from "react";
+
+// bookkeeping that differs on every save, not worth showing
+const HIDDEN_KEYS = new Set(["updatedAt", "taggedAt"]);
+const MAX_ROWS = 6;
+
+const label = ({ kind, local, remote }) => {
+  const data = local || remote?.data || {};
+  if (kind === "meta") return "🗺️ Map name, categories and saved filters";
+  if (kind === "shape") return `🔷 ${data.properties?.name || "Shape"}`;
+  return `📍 ${data.title || "Marker"}`;
+};
+
+const show = (value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+};
+
+// shapes compare by their properties plus the geometry as a whole
+const flatten = (kind, data) => (kind === "shape" && data ? { ...data.properties, geometry: data.geometry } : data || {});
+
+// [{ key, mine, theirs }] for the values that differ
+const differences = ({ kind, local, remote }) => {
+  const mine = flatten(kind, local);
+  const theirs = flatten(kind, kind === "meta" ? remote : remote?.data);
+  return [...new Set([...Object.keys(mine), ...Object.keys(theirs)])]
+    .filter((k) => !HIDDEN_KEYS.has(k) && (kind !== "meta" || ["name", "categories", "filters"].includes(k)))
+    .filter((k) => JSON.stringify(mine[k]) !== JSON.stringify(theirs[k]))
+    .map((key) => ({ key, mine: mine[key], theirs: theirs[key] }));
+};
+
+const ConflictRow = ({ conflict, onResolve }) => {
+  const { local, remote } = conflict;
+  const rows = local && remote ? differences(conflict) : [];
+  const cell = { padding: "2px 4px", borderBottom: "1px solid #eee", verticalAlign: "top", wordBreak: "break-word" };
+  const button = { flex: 1, border: "none", padding: "5px", borderRadius: "4px", cursor: "pointer", color: "#fff" };
+
+  return (
+    <div style={{ borderTop: "1px solid #ddd", padding: "8px 0" }}>
+      <div style={{ fontWeight: 600, fontSize: 13 }}>{label(conflict)}</div>
+      <div style={{ fontSize: 11, color: "#777" }}>in {conflict.mapName}</div>
+      {!local && <div style={{ fontSize: 12, marginTop: 4 }}>Deleted here, but changed on the server.</div>}
+      {!remote && <div style={{ fontSize: 12, marginTop: 4 }}>Changed here, but deleted on the server.</div>}
+      {rows.length > 0 && (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, marginTop: 4 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: "#555" }}>
+              <th style={cell} />
+              <th style={cell}>Mine</th>
+              <th style={cell}>Server</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, MAX_ROWS).map((r) => (
+              <tr key={r.key}>
+                <td style={{ ...cell, color: "#555" }}>{r.key}</td>
+                <td style={cell}>{show(r.mine)}</td>
+                <td style={cell}>{show(r.theirs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {rows.length > MAX_ROWS && <div style={{ fontSize: 11, color: "#777" }}>…and {rows.length - MAX_ROWS} more</div>}
+      <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+        <button onClick={() => onResolve(conflict, "mine")} style={{ ...button, background: "#2980b9" }}>
+          Keep mine
+        </button>
+        <button onClick={() => onResolve(conflict, "theirs")} style={{ ...button, background: "#7f8c8d" }}>
+          Use server's
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/* ---------------- ConflictDialog ----------------
+   Features (and map settings) changed both here and on the server since the last
+   sync. Each is settled on its own: keep mine (sent over the server's copy) or use
+   the server's (replaces the local one).
+*/
+const ConflictDialog = ({ conflicts, onResolve, onClose }) => (
+  <div
+    style={{ position: "fixed", inset: 0, zIndex: 3000, background: "rgba(0,0,0,0.35)", display: "flex", alignItems: "center", justifyContent: "center" }}
+    onClick={onClose}
+  >
+    <div
+      onClick={(e) => e.stopPropagation()}
+      style={{ background: "white", borderRadius: 8, padding: "14px 16px", width: 460, maxWidth: "95vw", maxHeight: "90vh", overflowY: "auto", textAlign: "left", boxShadow: "0 4px 16px rgba(0,0,0,0.3)" }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: "15px" }}>⚠️ Sync conflicts</h4>
+        <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close">
+          ❌
+        </button>
+      </div>
+      {conflicts.length === 0 ? (
+        <div style={{ fontSize: 13, color: "#555", marginTop: 10 }}>All conflicts are resolved.</div>
+      ) : (
+        <div style={{ fontSize: 12, color: "#555", margin: "6px 0" }}>These were changed here and by someone else before this device synced.</div>
+      )}
+      {conflicts.map((c) => (
+        <ConflictRow key={`${c.mapId}/${c.id}`} conflict={c} onResolve={onResolve} />
+      ))}
+    </div>
+  </div>
+);
+
+export default ConflictDialog;
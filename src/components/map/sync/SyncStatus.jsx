@@ -0,0 +1,55 @@
+import React from "react";
+
+const time = (at) => new Date(at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// one line under My Maps: what sync is doing; click to sync now, or to sort out conflicts
+const SyncStatus = ({ sync, onShowConflicts }) => {
+  if (!sync.enabled) {
+    return (
+      <div style={{ fontSize: "11px", color: "#888", marginTop: "6px" }} title="No sync server is configured (REACT_APP_SYNC_URL)">
+        💻 Maps are kept in this browser only
+      </div>
+    );
+  }
+
+  const queued = sync.queued ? ` · ${plural(sync.queued, "change")} queued` : "";
+  const [icon, text, color, title] = sync.conflicts.length
+    ? ["⚠️", `${plural(sync.conflicts.length, "conflict")} to resolve`, "#c0392b", "Changed here and on the server: choose which version to keep"]
+    : sync.phase === "syncing"
+    ? ["🔄", "Syncing…", "#555", ""]
+    : sync.phase === "offline"
+    ? ["📴", `Offline${queued}`, "#8a6d00", "Edits are saved here and sent when the connection is back"]
+    : sync.phase === "error"
+    ? ["❌", `Sync failed${queued}`, "#c0392b", sync.error]
+    : sync.queued
+    ? ["⏳", `${plural(sync.queued, "change")} to sync`, "#555", ""]
+    : sync.lastSynced
+    ? ["☁️", `Synced ${time(sync.lastSynced)}`, "#1e7e34", ""]
+    : ["☁️", "Not synced yet", "#555", ""];
+  const conflicts = sync.conflicts.length > 0;
+
+  return (
+    <button
+      onClick={conflicts ? onShowConflicts : sync.syncNow}
+      disabled={!conflicts && sync.phase === "syncing"}
+      title={title || "Sync now"}
+      style={{
+        width: "100%",
+        marginTop: "6px",
+        background: conflicts ? "#fdecea" : "#f7f9fb",
+        border: `1px solid ${conflicts ? "#e6a19a" : "#ddd"}`,
+        borderRadius: "4px",
+        padding: "3px 6px",
+        fontSize: "11px",
+        color,
+        textAlign: "left",
+        cursor: "pointer",
+      }}
+    >
+      {icon} {text}
+    </button>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,89 @@
+/* ---------------- Sync API ----------------
+   REST contract between the app and a sync backend (see referenceServer.js for a
+   complete in-memory implementation). A map is metadata (name, categories, saved
+   filters) plus features (markers and drawn shapes), each versioned separately so
+   two people editing different markers never conflict.
+
+   GET    /maps                            200 [{ id, name, version, revision, updatedAt }]
+   POST   /maps                            { id, name, categories, filters }
+                                           201 map metadata · 409 { error, current } if the id is taken
+   GET    /maps/:id                        200 { ...metadata, features: [{ id, kind, data, version }] } · 404
+   PATCH  /maps/:id         If-Match       { name?, categories?, filters? }
+                                           200 map metadata · 412 { error, current }
+   DELETE /maps/:id         If-Match       204 · 412 { error, current }
+   PUT    /maps/:id/features/:featureId    { kind: "marker" | "shape", data }
+          If-Match (update) or If-None-Match: * (create)
+                                           200 / 201 feature · 412 { error, current: feature | null }
+   DELETE /maps/:id/features/:featureId    If-Match   204 · 412 { error, current }
+
+   - Map metadata is { id, name, categories, filters, version, revision, updatedAt }.
+   - `version` counts the changes to the map's metadata, or to one feature. Responses
+     carry it as the ETag ("3"), and writes must send it back in If-Match. If someone
+     else saved first the server answers 412 Precondition Failed with its current copy
+     (null when the feature was deleted), which the client turns into a conflict.
+   - `revision` goes up with every change to the map or any of its features, so
+     clients only GET /maps/:id when it differs from the last one they saw.
+   - Feature ids are "marker-<marker id>" and "shape-<shape id>"; `data` is the marker
+     object or shape Feature as the app stores it. Photos stay on the device.
+   - Bodies are JSON; errors are { error: message }.
+*/
+
+// conflicts carry the server's copy in err.current; offline errors mean the edits stay queued
+const CONFLICT = "SyncConflictError";
+const OFFLINE = "SyncOfflineError";
+
+const syncError = (name, message, current) => {
+  const err = new Error(message);
+  err.name = name;
+  if (name === CONFLICT) err.current = current ?? null;
+  return err;
+};
+
+export const isConflictError = (err) => err?.name === CONFLICT;
+export const isOfflineError = (err) => err?.name === OFFLINE;
+
+export const etag = (version) => `"${version}"`;
+export const parseEtag = (header) => {
+  const n = Number(String(header || "").replace(/^W\//, "").replace(/"/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+/* createSyncApi({ baseUrl, fetch }) -> client for the contract above. Versions are
+   plain numbers on the client side; 409 / 412 reject with an isConflictError()
+   error and an unreachable server with an isOfflineError() one. */
+export const createSyncApi = ({ baseUrl, fetch: fetchImpl = (...args) => window.fetch(...args) }) => {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  const request = async (method, path, { body, headers = {}, allowMissing = false } = {}) => {
+    let res;
+    try {
+      res = await fetchImpl(`${root}${path}`, {
+        method,
+        headers: { Accept: "application/json", ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw syncError(OFFLINE, `Sync server unreachable: ${err.message}`);
+    }
+    if (allowMissing && res.status === 404) return null;
+    const payload = res.status === 204 ? null : await res.json().catch(() => null);
+    if (res.status === 412 || res.status === 409) throw syncError(CONFLICT, payload?.error || "Changed on the server.", payload?.current);
+    if (!res.ok) throw new Error(payload?.error || `Sync server error (HTTP ${res.status})`);
+    return payload;
+  };
+
+  const mapPath = (id) => `/maps/${encodeURIComponent(id)}`;
+  const featurePath = (mapId, featureId) => `${mapPath(mapId)}/features/${encodeURIComponent(featureId)}`;
+
+  return {
+    listMaps: () => request("GET", "/maps"),
+    getMap: (id) => request("GET", mapPath(id), { allowMissing: true }), // null if there is no such map
+    createMap: (id, { name, categories = [], filters = [] }) => request("POST", "/maps", { body: { id, name, categories, filters } }),
+    updateMap: (id, changes, version) => request("PATCH", mapPath(id), { body: changes, headers: { "If-Match": etag(version) } }),
+    deleteMap: (id, version) => request("DELETE", mapPath(id), { headers: { "If-Match": etag(version) } }),
+    // version null = create (fails if the feature already exists)
+    putFeature: (mapId, featureId, { kind, data }, version) =>
+      request("PUT", featurePath(mapId, featureId), { body: { kind, data }, headers: version == null ? { "If-None-Match": "*" } : { "If-Match": etag(version) } }),
+    deleteFeature: (mapId, featureId, version) => request("DELETE", featurePath(mapId, featureId), { headers: { "If-Match": etag(version) } }),
+  };
+};
@@ -0,0 +1,31 @@
+import { createSyncApi } from "./api";
+import { createReferenceServer, createServerFetch } from "./referenceServer";
+
+/* ---------------- Sync backend ----------------
+   REACT_APP_SYNC_URL picks where maps are synced to:
+     (unset)   nothing, maps stay in this browser
+     mock      the reference server running in the page, kept in localStorage
+               (open the app in two tabs to try sync without a backend)
+     a URL     a server implementing the contract in api.js
+*/
+const SYNC_URL = process.env.REACT_APP_SYNC_URL || "";
+const MOCK_KEY = "gis-sync-mock";
+const MOCK_URL = "mock://sync";
+
+const createMockApi = () => {
+  const server = createReferenceServer({
+    load: () => JSON.parse(localStorage.getItem(MOCK_KEY) || "null"),
+    save: (db) => localStorage.setItem(MOCK_KEY, JSON.stringify(db)),
+  });
+  const serverFetch = createServerFetch(server, MOCK_URL);
+  // like a real server, unreachable while the browser is offline
+  const fetch = (...args) => (navigator.onLine === false ? Promise.reject(new TypeError("Network is offline")) : serverFetch(...args));
+  return createSyncApi({ baseUrl: MOCK_URL, fetch });
+};
+
+let api;
+// null when sync isn't configured
+export const getSyncApi = () => {
+  if (api === undefined) api = !SYNC_URL ? null : SYNC_URL === "mock" ? createMockApi() : createSyncApi({ baseUrl: SYNC_URL });
+  return api;
+};
@@ -0,0 +1,288 @@
+import { isConflictError } from "./api";
+
+/* ---------------- Sync engine ----------------
+   Each map has a sync state, saved in map storage next to it:
+     { mapId, onServer, deleted, revision, metaVersion,
+       versions: { featureId: version },          last versions seen on the server
+       pending: { featureId: { kind, data } },    the offline queue (data null = deleted)
+       pendingMeta: { name, categories, filters } | null,
+       conflicts: [{ id, kind, local, remote }] }  id = featureId or "meta"; remote = server copy or null
+   The queue holds one entry per feature, the latest local value: editing a marker
+   ten times offline sends it once. Entries go out with the version last seen, so a
+   feature someone else changed in the meantime becomes a conflict instead of being
+   overwritten. Remote changes come back as a patch { upserts, removals, meta }.
+*/
+export const markerFeatureId = (m) => `marker-${m.id}`;
+export const shapeFeatureId = (s) => `shape-${s.properties?.id}`;
+const featureIdOf = ({ kind, data }) => (kind === "marker" ? markerFeatureId(data) : shapeFeatureId(data));
+
+// { featureId: { kind, data } } of a map document
+export const docFeatures = ({ markers = [], shapes = [] }) => {
+  const features = {};
+  markers.forEach((m) => {
+    features[markerFeatureId(m)] = { kind: "marker", data: m };
+  });
+  shapes.forEach((s) => {
+    features[shapeFeatureId(s)] = { kind: "shape", data: s };
+  });
+  return features;
+};
+
+export const docMeta = ({ name, categories = [], filters = [] }) => ({ name, categories, filters });
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+export const newSyncState = (mapId) => ({
+  mapId,
+  onServer: false,
+  deleted: false,
+  revision: null,
+  metaVersion: null,
+  versions: {},
+  pending: {},
+  pendingMeta: null,
+  conflicts: [],
+});
+
+// a map that was never synced: everything in it is queued for upload
+export const initialSyncState = (mapId, doc) => {
+  const state = newSyncState(mapId);
+  trackChanges(state, { markers: [], shapes: [] }, doc);
+  state.pendingMeta = docMeta(doc);
+  return state;
+};
+
+// queues the local edits between two versions of a map document; returns how many
+export const trackChanges = (state, prevDoc, nextDoc) => {
+  const before = docFeatures(prevDoc);
+  const after = docFeatures(nextDoc);
+  let changes = 0;
+  Object.entries(after).forEach(([id, f]) => {
+    if (before[id] && same(before[id].data, f.data)) return;
+    state.pending[id] = f;
+    changes += 1;
+  });
+  Object.entries(before).forEach(([id, f]) => {
+    if (after[id]) return;
+    state.pending[id] = { kind: f.kind, data: null };
+    changes += 1;
+  });
+  if (!same(docMeta(prevDoc), docMeta(nextDoc))) {
+    state.pendingMeta = docMeta(nextDoc);
+    changes += 1;
+  }
+  return changes;
+};
+
+export const queuedCount = (state) => Object.keys(state.pending).length + (state.pendingMeta ? 1 : 0) + (state.deleted && state.onServer ? 1 : 0);
+export const hasLocalChanges = (state) => queuedCount(state) > 0 || state.conflicts.length > 0;
+
+const addConflict = (state, conflict) => {
+  state.conflicts = [...state.conflicts.filter((c) => c.id !== conflict.id), conflict];
+};
+
+/* Sends the queue. An entry is only dropped if it wasn't replaced by a newer edit
+   while its request was out. Offline / server errors propagate, leaving what's
+   left queued. Returns the number of requests made. */
+export const pushChanges = async (api, state, doc) => {
+  let requests = 0;
+  if (state.deleted) {
+    if (!state.onServer) return requests;
+    try {
+      requests += 1;
+      await api.deleteMap(state.mapId, state.metaVersion);
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+      // deleted here on purpose: whatever changed on the server goes too
+      if (err.current) await api.deleteMap(state.mapId, err.current.version);
+    }
+    state.onServer = false;
+    return requests;
+  }
+
+  if (!state.onServer) {
+    try {
+      requests += 1;
+      const created = await api.createMap(state.mapId, state.pendingMeta || docMeta(doc));
+      state.metaVersion = created.version;
+    } catch (err) {
+      if (!isConflictError(err) || !err.current) throw err;
+      // the id is already there (every device has a "default" map): join it. Its metadata
+      // wins, so no version is recorded and the next pull brings it in
+      state.metaVersion = null;
+    }
+    state.onServer = true;
+    state.pendingMeta = null;
+  }
+
+  if (state.pendingMeta) {
+    const sent = state.pendingMeta;
+    try {
+      requests += 1;
+      state.metaVersion = (await api.updateMap(state.mapId, sent, state.metaVersion)).version;
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+      addConflict(state, { id: "meta", kind: "meta", local: sent, remote: err.current });
+      state.pendingMeta = null;
+    }
+    if (state.pendingMeta === sent) state.pendingMeta = null;
+  }
+
+  for (const [id, entry] of Object.entries(state.pending)) {
+    const version = state.versions[id];
+    try {
+      if (entry.data === null) {
+        // never reached the server: nothing to delete there
+        if (version != null) {
+          requests += 1;
+          await api.deleteFeature(state.mapId, id, version);
+        }
+        delete state.versions[id];
+      } else {
+        requests += 1;
+        state.versions[id] = (await api.putFeature(state.mapId, id, entry, version ?? null)).version;
+      }
+      if (state.pending[id] === entry) delete state.pending[id];
+    } catch (err) {
+      if (!isConflictError(err)) throw err;
+      const latest = state.pending[id];
+      delete state.pending[id];
+      // deleting what someone else already deleted is no conflict
+      if (latest.data === null && !err.current) delete state.versions[id];
+      else addConflict(state, { id, kind: latest.kind, local: latest.data, remote: err.current });
+    }
+  }
+  return requests;
+};
+
+export const emptyPatch = () => ({ upserts: [], removals: [], meta: null });
+export const isEmptyPatch = (patch) => !patch || (!patch.upserts.length && !patch.removals.length && !patch.meta);
+
+/* Fetches the map and returns what changed on the server as a patch for the local
+   document. Features with queued edits or open conflicts are left alone.
+   null when the map isn't on the server. */
+export const pullChanges = async (api, state, doc) => {
+  const remote = await api.getMap(state.mapId);
+  if (!remote) return null;
+  const patch = emptyPatch();
+  const conflicted = new Set(state.conflicts.map((c) => c.id));
+  const busy = (id) => id in state.pending || conflicted.has(id);
+  const local = docFeatures(doc);
+
+  if (remote.version !== state.metaVersion && !state.pendingMeta && !conflicted.has("meta")) {
+    state.metaVersion = remote.version;
+    if (!same(docMeta(remote), docMeta(doc))) patch.meta = docMeta(remote);
+  }
+
+  const onServer = new Set();
+  remote.features.forEach((f) => {
+    onServer.add(f.id);
+    if (busy(f.id) || (state.versions[f.id] === f.version && local[f.id])) return;
+    state.versions[f.id] = f.version;
+    if (!local[f.id] || !same(local[f.id].data, f.data)) patch.upserts.push({ kind: f.kind, data: f.data });
+  });
+  // known before but gone now: deleted by someone else
+  Object.keys(state.versions).forEach((id) => {
+    if (onServer.has(id) || busy(id)) return;
+    delete state.versions[id];
+    if (local[id]) patch.removals.push({ kind: local[id].kind, id });
+  });
+  state.revision = remote.revision;
+  return patch;
+};
+
+// the document with a pull / conflict patch applied (the current map applies it to React state instead)
+export const applyPatch = (doc, { upserts = [], removals = [], meta = null }) => {
+  const removed = new Set(removals.map((r) => r.id));
+  const replacements = Object.fromEntries(upserts.map((u) => [featureIdOf(u), u.data]));
+  const merge = (items, kind, idOf) => {
+    const ids = new Set(items.map(idOf));
+    const kept = items.filter((x) => !removed.has(idOf(x))).map((x) => replacements[idOf(x)] || x);
+    return [...kept, ...upserts.filter((u) => u.kind === kind && !ids.has(featureIdOf(u))).map((u) => u.data)];
+  };
+  return {
+    ...doc,
+    ...(meta || {}),
+    markers: merge(doc.markers || [], "marker", markerFeatureId),
+    shapes: merge(doc.shapes || [], "shape", shapeFeatureId),
+  };
+};
+
+/* Settles one conflict: "mine" queues the local value again over the server's
+   version; "theirs" returns the patch that puts the server copy in the local map. */
+export const resolveConflict = (state, id, choice) => {
+  const conflict = state.conflicts.find((c) => c.id === id);
+  if (!conflict) return null;
+  state.conflicts = state.conflicts.filter((c) => c !== conflict);
+  const { kind, local, remote } = conflict;
+  if (kind === "meta") {
+    if (remote) state.metaVersion = remote.version;
+    if (choice === "mine") {
+      state.pendingMeta = local;
+      return null;
+    }
+    return remote ? { ...emptyPatch(), meta: docMeta(remote) } : null;
+  }
+  if (remote) state.versions[id] = remote.version;
+  else delete state.versions[id];
+  if (choice === "mine") {
+    state.pending[id] = { kind, data: local };
+    return null;
+  }
+  return remote ? { ...emptyPatch(), upserts: [{ kind, data: remote.data }] } : { ...emptyPatch(), removals: [{ kind, id }] };
+};
+
+/* One sync round over all maps. `local` is the app's side:
+     listMaps() -> [{ id, name }]      loadDoc(id) -> { name, markers, shapes, categories, filters }
+     loadState(id) / listStates()      saveState(state) / deleteState(id)
+     applyPatch(id, patch)             createMap(id, doc) / deleteMap(id)   (maps added / removed elsewhere)
+   Progress is saved per map, so an offline error part-way loses nothing. */
+export const syncAll = async (api, local) => {
+  const remoteMaps = await api.listMaps();
+  const remoteById = Object.fromEntries(remoteMaps.map((m) => [m.id, m]));
+
+  const deletedHere = new Set();
+  for (const state of (await local.listStates()).filter((s) => s.deleted)) {
+    await pushChanges(api, state);
+    await local.deleteState(state.mapId);
+    deletedHere.add(state.mapId);
+  }
+
+  const localMaps = await local.listMaps();
+  for (const { id } of localMaps) {
+    const doc = await local.loadDoc(id);
+    let state = (await local.loadState(id)) || initialSyncState(id, doc);
+    try {
+      if (state.onServer && !remoteById[id]) {
+        // deleted on the server by someone else: follow, unless there are edits here to keep
+        if (!hasLocalChanges(state)) {
+          await local.deleteMap(id);
+          await local.deleteState(id);
+          state = null;
+          continue;
+        }
+        state = initialSyncState(id, doc);
+      }
+      const requests = await pushChanges(api, state, doc);
+      if (requests || remoteById[id]?.revision !== state.revision) {
+        const patch = await pullChanges(api, state, doc);
+        if (!isEmptyPatch(patch)) await local.applyPatch(id, patch);
+      }
+    } finally {
+      if (state) await local.saveState(state);
+    }
+  }
+
+  // maps created on other devices
+  const known = new Set([...localMaps.map((m) => m.id), ...deletedHere]);
+  for (const summary of remoteMaps.filter((m) => !known.has(m.id))) {
+    const remote = await api.getMap(summary.id);
+    if (!remote) continue;
+    const state = { ...newSyncState(remote.id), onServer: true, metaVersion: remote.version, revision: remote.revision };
+    remote.features.forEach((f) => {
+      state.versions[f.id] = f.version;
+    });
+    await local.createMap(remote.id, applyPatch({ markers: [], shapes: [] }, { upserts: remote.features, meta: docMeta(remote) }));
+    await local.saveState(state);
+  }
+};
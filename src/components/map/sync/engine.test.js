@@ -0,0 +1,159 @@
+import { createSyncApi } from "./api";
+import { applyPatch, initialSyncState, pullChanges, pushChanges, queuedCount, resolveConflict, syncAll, trackChanges } from "./engine";
+import { createReferenceServer, createServerFetch } from "./referenceServer";
+
+const marker = (id, title, extra = {}) => ({ id, position: [-1.29, 36.82], title, category: "Shop", ...extra });
+const doc = (markers = [], extra = {}) => ({ name: "Nairobi", markers, shapes: [], categories: [], filters: [], ...extra });
+
+// a device: its own api client (switchable offline) talking to the shared server
+const device = (server) => {
+  const link = { online: true };
+  const serverFetch = createServerFetch(server, "http://sync.test");
+  const api = createSyncApi({
+    baseUrl: "http://sync.test",
+    fetch: (...args) => (link.online ? serverFetch(...args) : Promise.reject(new TypeError("Failed to fetch"))),
+  });
+  return { api, link };
+};
+
+// the app side of syncAll over plain objects
+const localSide = (maps = {}) => {
+  const states = {};
+  return {
+    maps,
+    states,
+    listMaps: async () => Object.keys(maps).map((id) => ({ id, name: maps[id].name })),
+    loadDoc: async (id) => maps[id],
+    loadState: async (id) => states[id] || null,
+    listStates: async () => Object.values(states),
+    saveState: async (state) => {
+      states[state.mapId] = state;
+    },
+    deleteState: async (id) => {
+      delete states[id];
+    },
+    applyPatch: async (id, patch) => {
+      maps[id] = applyPatch(maps[id], patch);
+    },
+    createMap: async (id, mapDoc) => {
+      maps[id] = mapDoc;
+    },
+    deleteMap: async (id) => {
+      delete maps[id];
+    },
+  };
+};
+
+test("edits made offline are queued once per feature and sent when back online", async () => {
+  const server = createReferenceServer();
+  const { api, link } = device(server);
+  const before = doc([marker(1, "Kiosk")]);
+  const state = initialSyncState("m1", before);
+  await pushChanges(api, state, before);
+  expect(queuedCount(state)).toBe(0);
+
+  link.online = false;
+  const edited = doc([marker(1, "Kiosk 2")]);
+  const again = doc([marker(1, "Kiosk 3"), marker(2, "Bakery")]);
+  trackChanges(state, before, edited);
+  trackChanges(state, edited, again);
+  expect(queuedCount(state)).toBe(2);
+  await expect(pushChanges(api, state, again)).rejects.toMatchObject({ name: "SyncOfflineError" });
+  expect(queuedCount(state)).toBe(2);
+
+  link.online = true;
+  await pushChanges(api, state, again);
+  expect(queuedCount(state)).toBe(0);
+  const remote = await api.getMap("m1");
+  expect(remote.features.map((f) => f.data.title).sort()).toEqual(["Bakery", "Kiosk 3"]);
+  expect(remote.features.find((f) => f.id === "marker-1").version).toBe(2);
+});
+
+test("a feature changed on both sides becomes a conflict that either side can win", async () => {
+  const server = createReferenceServer();
+  const a = device(server);
+  const b = device(server);
+  const base = doc([marker(1, "Kiosk")]);
+  const stateA = initialSyncState("m1", base);
+  await pushChanges(a.api, stateA, base);
+  const stateB = { ...initialSyncState("m1", base), pending: {}, pendingMeta: null, onServer: true };
+  await pullChanges(b.api, stateB, base);
+
+  trackChanges(stateA, base, doc([marker(1, "Kiosk (A)")]));
+  await pushChanges(a.api, stateA, base);
+  trackChanges(stateB, base, doc([marker(1, "Kiosk (B)")]));
+  await pushChanges(b.api, stateB, base);
+
+  expect(stateB.conflicts).toHaveLength(1);
+  expect(stateB.conflicts[0]).toMatchObject({ id: "marker-1", local: { title: "Kiosk (B)" }, remote: { data: { title: "Kiosk (A)" } } });
+
+  // theirs: the server copy comes back as a patch, nothing is sent
+  const patch = resolveConflict({ ...stateB, conflicts: [...stateB.conflicts], versions: { ...stateB.versions }, pending: {} }, "marker-1", "theirs");
+  expect(applyPatch(doc([marker(1, "Kiosk (B)")]), patch).markers[0].title).toBe("Kiosk (A)");
+
+  // mine: sent again over the server's version
+  expect(resolveConflict(stateB, "marker-1", "mine")).toBeNull();
+  await pushChanges(b.api, stateB, base);
+  expect(stateB.conflicts).toHaveLength(0);
+  expect((await b.api.getMap("m1")).features[0].data.title).toBe("Kiosk (B)");
+});
+
+test("syncAll uploads new maps, brings in maps from other devices and follows deletions", async () => {
+  const server = createReferenceServer();
+  const a = localSide({ m1: doc([marker(1, "Kiosk")]) });
+  const b = localSide({});
+  await syncAll(device(server).api, a);
+  await syncAll(device(server).api, b);
+  expect(b.maps.m1.markers.map((m) => m.title)).toEqual(["Kiosk"]);
+  expect(b.maps.m1.name).toBe("Nairobi");
+
+  // B adds a marker and renames the map; A picks both up
+  const edited = { ...b.maps.m1, name: "Nairobi CBD", markers: [...b.maps.m1.markers, marker(2, "Bakery")] };
+  trackChanges(b.states.m1, b.maps.m1, edited);
+  b.maps.m1 = edited;
+  await syncAll(device(server).api, b);
+  await syncAll(device(server).api, a);
+  expect(a.maps.m1.name).toBe("Nairobi CBD");
+  expect(a.maps.m1.markers.map((m) => m.title)).toEqual(["Kiosk", "Bakery"]);
+
+  // A deletes the map; B follows since it has nothing unsent
+  a.states.m1.deleted = true;
+  delete a.maps.m1;
+  await syncAll(device(server).api, a);
+  await syncAll(device(server).api, b);
+  expect(await device(server).api.listMaps()).toEqual([]);
+  expect(a.maps).toEqual({});
+  expect(b.maps).toEqual({});
+  expect(b.states).toEqual({});
+});
+
+test("a map that already exists on the server is joined: its metadata wins, features are merged", async () => {
+  const server = createReferenceServer();
+  const a = localSide({ default: doc([marker(1, "Kiosk")], { name: "Default Map", categories: [{ key: "Shop" }] }) });
+  const b = localSide({ default: doc([marker(2, "Bakery")], { name: "My default", categories: [{ key: "School" }] }) });
+  await syncAll(device(server).api, a);
+  await syncAll(device(server).api, b);
+  expect(b.maps.default.name).toBe("Default Map");
+  expect(b.maps.default.categories).toEqual([{ key: "Shop" }]);
+  expect(b.maps.default.markers.map((m) => m.title)).toEqual(["Bakery", "Kiosk"]);
+  expect(b.states.default.pendingMeta).toBeNull();
+
+  await syncAll(device(server).api, a);
+  expect(a.maps.default.markers.map((m) => m.title)).toEqual(["Kiosk", "Bakery"]);
+  expect(a.maps.default.name).toBe("Default Map");
+});
+
+test("removals from the server are applied, unless the feature has unsent edits", async () => {
+  const server = createReferenceServer();
+  const { api } = device(server);
+  const base = doc([marker(1, "Kiosk"), marker(2, "Bakery")]);
+  const state = initialSyncState("m1", base);
+  await pushChanges(api, state, base);
+  await api.deleteFeature("m1", "marker-1", 1);
+  await api.deleteFeature("m1", "marker-2", 1);
+
+  trackChanges(state, base, doc([marker(1, "Kiosk"), marker(2, "Bakery 2")]));
+  const patch = await pullChanges(api, state, base);
+  expect(patch.removals).toEqual([{ kind: "marker", id: "marker-1" }]);
+  expect("marker-2" in state.pending).toBe(true);
+});
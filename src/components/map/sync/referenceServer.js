@@ -0,0 +1,111 @@
+import { etag, parseEtag } from "./api";
+
+/* ---------------- Reference sync server ----------------
+   In-memory implementation of the sync API contract (api.js), for the tests and,
+   with REACT_APP_SYNC_URL=mock, as a development backend running inside the page.
+   `load` / `save` let the mock keep its data in localStorage, where every tab of
+   the app sees it, which is enough to try sync between two windows.
+*/
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const metadata = ({ features, ...meta }) => meta;
+
+const reply = (status, body, version) => ({ status, headers: version != null ? { ETag: etag(version) } : {}, body: copy(body) });
+const failure = (status, error, current) => reply(status, current !== undefined ? { error, current } : { error });
+
+export const createReferenceServer = ({ load, save } = {}) => {
+  let memory = { maps: {} };
+  const read = () => (load ? load() || { maps: {} } : memory);
+  const write = (db) => {
+    if (save) save(db);
+    else memory = db;
+  };
+
+  // header names are case-insensitive
+  const header = (headers, name) => {
+    const key = Object.keys(headers || {}).find((k) => k.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+  };
+
+  const handle = ({ method, path, headers = {}, body }) => {
+    const db = read();
+    const [root, mapId, sub, featureId] = path.split("?")[0].split("/").filter(Boolean).map(decodeURIComponent);
+    if (root !== "maps") return failure(404, "Not found.");
+    const map = mapId !== undefined ? db.maps[mapId] : null;
+    const ifMatch = parseEtag(header(headers, "If-Match"));
+    const touch = () => {
+      map.revision += 1;
+      map.updatedAt = new Date().toISOString();
+    };
+
+    // /maps
+    if (mapId === undefined) {
+      if (method === "GET") return reply(200, Object.values(db.maps).map(metadata));
+      if (method !== "POST") return failure(405, "Method not allowed.");
+      if (!body?.id || typeof body.id !== "string") return failure(400, "Map id is required.");
+      if (db.maps[body.id]) return failure(409, "A map with this id already exists.", metadata(db.maps[body.id]));
+      const created = { id: body.id, name: String(body.name || body.id), categories: body.categories || [], filters: body.filters || [], version: 1, revision: 1, updatedAt: new Date().toISOString(), features: {} };
+      db.maps[created.id] = created;
+      write(db);
+      return reply(201, metadata(created), 1);
+    }
+
+    if (!map) return failure(404, "No such map.");
+
+    // /maps/:id
+    if (sub === undefined) {
+      if (method === "GET") return reply(200, { ...metadata(map), features: Object.values(map.features) }, map.version);
+      if (method !== "PATCH" && method !== "DELETE") return failure(405, "Method not allowed.");
+      if (ifMatch !== map.version) return failure(412, "The map was changed by someone else.", metadata(map));
+      if (method === "DELETE") {
+        delete db.maps[mapId];
+        write(db);
+        return reply(204, null);
+      }
+      ["name", "categories", "filters"].forEach((k) => {
+        if (body?.[k] !== undefined) map[k] = body[k];
+      });
+      map.version += 1;
+      touch();
+      write(db);
+      return reply(200, metadata(map), map.version);
+    }
+
+    // /maps/:id/features/:featureId
+    if (sub !== "features" || featureId === undefined) return failure(404, "Not found.");
+    const feature = map.features[featureId] || null;
+    if (method === "GET") return feature ? reply(200, feature, feature.version) : failure(404, "No such feature.");
+    if (method === "PUT") {
+      const creating = header(headers, "If-None-Match") === "*";
+      if (creating ? feature : !feature || ifMatch !== feature.version) return failure(412, "The feature was changed by someone else.", feature);
+      if (body?.kind !== "marker" && body?.kind !== "shape") return failure(400, 'kind must be "marker" or "shape".');
+      const saved = { id: featureId, kind: body.kind, data: body.data, version: feature ? feature.version + 1 : 1 };
+      map.features[featureId] = saved;
+      touch();
+      write(db);
+      return reply(creating ? 201 : 200, saved, saved.version);
+    }
+    if (method === "DELETE") {
+      if (!feature || ifMatch !== feature.version) return failure(412, "The feature was changed by someone else.", feature);
+      delete map.features[featureId];
+      touch();
+      write(db);
+      return reply(204, null);
+    }
+    return failure(405, "Method not allowed.");
+  };
+
+  return { handle };
+};
+
+// a window.fetch stand-in that answers from `server` (relative to `baseUrl`)
+export const createServerFetch = (server, baseUrl = "") => async (url, { method = "GET", headers = {}, body } = {}) => {
+  const path = String(url).startsWith(baseUrl) ? String(url).slice(baseUrl.length) : String(url);
+  const res = server.handle({ method, path, headers, body: body ? JSON.parse(body) : undefined });
+  return {
+    ok: res.status >= 200 && res.status < 300,
+    status: res.status,
+    headers: { get: (name) => res.headers[Object.keys(res.headers).find((k) => k.toLowerCase() === name.toLowerCase())] ?? null },
+    json: async () => copy(res.body),
+  };
+};
@@ -0,0 +1,223 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { isOfflineError } from "./api";
+import { applyPatch, queuedCount, resolveConflict, syncAll, trackChanges } from "./engine";
+
+// a burst of edits goes out in one round
+const SYNC_DEBOUNCE_MS = 2000;
+// picks up other people's changes
+const SYNC_INTERVAL_MS = 30000;
+
+const emptyDoc = { markers: [], shapes: [], categories: [], filters: [] };
+
+/* ---------------- useSync ----------------
+   Keeps saved maps in step with a sync server (see engine.js for the queue and
+   conflict rules). `map` is the open map as { id, name, markers, shapes,
+   categories, filters }, or null while it loads; its edits are queued as they
+   happen, and synced after a short pause, every 30 s and when the browser comes
+   back online. The app is told about changes from the server through
+     onPatch(patch)              the open map (apply to its state)
+     onMapListChange(id, name)   a map added / renamed elsewhere (name null = deleted)
+   syncNow() runs a round at once, scheduleSync() after the pause (once new state has rendered).
+   `api` null = sync is off and nothing happens.
+*/
+const useSync = ({ api, storage, map, mapList, beforeSync, onPatch, onMapListChange }) => {
+  const statesRef = useRef(null); // mapId -> sync state, loaded from storage
+  const lastDocRef = useRef(null); // the open map as last seen (edits are diffed against it)
+  const runningRef = useRef(false);
+  const againRef = useRef(false);
+  const timerRef = useRef(null);
+  const propsRef = useRef({});
+  propsRef.current = { map, mapList, beforeSync, onPatch, onMapListChange };
+
+  const [statesLoaded, setStatesLoaded] = useState(false);
+  const [status, setStatus] = useState({ phase: api ? "idle" : "off", lastSynced: null, error: null });
+  const [summary, setSummary] = useState({ queued: 0, conflicts: [] });
+
+  const refreshSummary = useCallback(() => {
+    const states = Object.values(statesRef.current || {});
+    const names = Object.fromEntries(propsRef.current.mapList.map((m) => [m.id, m.name]));
+    setSummary({
+      queued: states.reduce((n, s) => n + queuedCount(s), 0),
+      conflicts: states.flatMap((s) => s.conflicts.map((c) => ({ ...c, mapId: s.mapId, mapName: names[s.mapId] || s.mapId }))),
+    });
+  }, []);
+
+  const persist = useCallback(
+    (state) => storage.saveSyncState(state).catch((err) => console.warn("Saving the sync queue failed", err)),
+    [storage]
+  );
+
+  // the app's side of engine.syncAll
+  const local = useCallback(
+    () => ({
+      listMaps: async () => propsRef.current.mapList,
+      loadDoc: async (id) => {
+        if (lastDocRef.current?.id === id) return lastDocRef.current;
+        const name = propsRef.current.mapList.find((m) => m.id === id)?.name;
+        return { ...emptyDoc, name, ...(await storage.loadMap(id)) };
+      },
+      loadState: async (id) => statesRef.current[id] || null,
+      listStates: async () => Object.values(statesRef.current),
+      saveState: async (state) => {
+        statesRef.current[state.mapId] = state;
+        await storage.saveSyncState(state);
+      },
+      deleteState: async (id) => {
+        delete statesRef.current[id];
+        await storage.deleteSyncState(id);
+      },
+      applyPatch: async (id, patch) => {
+        if (lastDocRef.current?.id === id) {
+          lastDocRef.current = applyPatch(lastDocRef.current, patch);
+          propsRef.current.onPatch(patch);
+          return;
+        }
+        const next = applyPatch({ ...emptyDoc, ...(await storage.loadMap(id)) }, patch);
+        await storage.saveMap(id, next);
+        if (patch.meta) propsRef.current.onMapListChange(id, next.name);
+      },
+      createMap: async (id, doc) => {
+        await storage.saveMap(id, doc);
+        propsRef.current.onMapListChange(id, doc.name);
+      },
+      deleteMap: async (id) => {
+        await storage.deleteMap(id);
+        if (lastDocRef.current?.id === id) lastDocRef.current = null;
+        propsRef.current.onMapListChange(id, null);
+      },
+    }),
+    [storage]
+  );
+
+  const syncNow = useCallback(async () => {
+    if (!api || !statesRef.current) return;
+    clearTimeout(timerRef.current);
+    // one round at a time; edits made meanwhile get another one
+    if (runningRef.current) {
+      againRef.current = true;
+      return;
+    }
+    runningRef.current = true;
+    setStatus((s) => ({ ...s, phase: "syncing" }));
+    try {
+      await propsRef.current.beforeSync?.();
+      await syncAll(api, local());
+      setStatus({ phase: "idle", lastSynced: Date.now(), error: null });
+    } catch (err) {
+      console.warn("Sync failed", err);
+      setStatus((s) => ({ ...s, phase: isOfflineError(err) ? "offline" : "error", error: err.message }));
+    } finally {
+      runningRef.current = false;
+      refreshSummary();
+      if (againRef.current) {
+        againRef.current = false;
+        syncNow();
+      }
+    }
+  }, [api, local, refreshSummary]);
+
+  const scheduleSync = useCallback(() => {
+    if (!api) return;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(syncNow, SYNC_DEBOUNCE_MS);
+  }, [api, syncNow]);
+
+  // load the queues, then a first round
+  useEffect(() => {
+    if (!api) return;
+    let cancelled = false;
+    storage
+      .listSyncStates()
+      .catch((err) => {
+        console.warn("Loading the sync queue failed", err);
+        return [];
+      })
+      .then((states) => {
+        if (cancelled) return;
+        statesRef.current = Object.fromEntries(states.map((s) => [s.mapId, s]));
+        setStatesLoaded(true);
+        refreshSummary();
+        syncNow();
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, storage, refreshSummary, syncNow]);
+
+  // queue the open map's edits (a map without sync state is uploaded whole on the next round)
+  useEffect(() => {
+    if (!api || !map) return;
+    const prev = lastDocRef.current;
+    if (prev?.id === map.id && !statesLoaded) return; // diffed once the queues are there
+    lastDocRef.current = map;
+    const state = statesRef.current?.[map.id];
+    if (prev?.id !== map.id || !state || state.deleted) return;
+    if (!trackChanges(state, prev, map)) return;
+    persist(state);
+    refreshSummary();
+    scheduleSync();
+  }, [api, map, statesLoaded, persist, refreshSummary, scheduleSync]);
+
+  useEffect(() => {
+    if (!api) return;
+    const onOffline = () => setStatus((s) => ({ ...s, phase: "offline" }));
+    window.addEventListener("online", syncNow);
+    window.addEventListener("offline", onOffline);
+    const interval = setInterval(syncNow, SYNC_INTERVAL_MS);
+    return () => {
+      window.removeEventListener("online", syncNow);
+      window.removeEventListener("offline", onOffline);
+      clearInterval(interval);
+      clearTimeout(timerRef.current);
+    };
+  }, [api, syncNow]);
+
+  // a map deleted here is deleted on the server on the next round
+  const mapDeleted = useCallback(
+    (id) => {
+      const state = statesRef.current?.[id];
+      if (!state) return;
+      if (lastDocRef.current?.id === id) lastDocRef.current = null;
+      state.deleted = true;
+      persist(state);
+      refreshSummary();
+      scheduleSync();
+    },
+    [persist, refreshSummary, scheduleSync]
+  );
+
+  // undo of a delete that hasn't reached the server yet
+  const mapRestored = useCallback(
+    (id) => {
+      const state = statesRef.current?.[id];
+      if (!state?.deleted) return;
+      state.deleted = false;
+      persist(state);
+      refreshSummary();
+    },
+    [persist, refreshSummary]
+  );
+
+  const resolve = useCallback(
+    async (mapId, conflictId, choice) => {
+      const state = statesRef.current?.[mapId];
+      if (!state) return;
+      const patch = resolveConflict(state, conflictId, choice);
+      try {
+        const side = local();
+        await side.saveState(state);
+        if (patch) await side.applyPatch(mapId, patch);
+      } catch (err) {
+        console.error(err);
+        alert(`Failed to apply the change: ${err.message}`);
+      }
+      refreshSummary();
+      scheduleSync();
+    },
+    [local, refreshSummary, scheduleSync]
+  );
+
+  return { ...status, ...summary, enabled: !!api, syncNow, scheduleSync, mapDeleted, mapRestored, resolve };
+};
+
+export default useSync;
@@ -0,0 +1,46 @@
+import { useState } from "react";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { createSyncApi } from "./api";
+import { applyPatch } from "./engine";
+import { createReferenceServer, createServerFetch } from "./referenceServer";
+import { createMemoryStorage } from "../storage/mapStorage";
+import useSync from "./useSync";
+
+const kiosk = { id: 1, position: [-1.29, 36.82], title: "Kiosk", category: "Shop" };
+const MAP_LIST = [{ id: "m1", name: "Nairobi" }];
+
+const apiFor = (server) => createSyncApi({ baseUrl: "http://sync.test", fetch: createServerFetch(server, "http://sync.test") });
+
+// the open map as app state, with server changes applied to it the way Map.jsx does
+const useHarness = ({ api, storage }) => {
+  const [map, setMap] = useState({ id: "m1", name: "Nairobi", markers: [kiosk], shapes: [], categories: [], filters: [] });
+  const sync = useSync({ api, storage, map, mapList: MAP_LIST, onPatch: (patch) => setMap((prev) => applyPatch(prev, patch)), onMapListChange: () => {} });
+  return { map, setMap, sync };
+};
+
+test("the open map is uploaded, its edits queued and sent, and server changes come back as patches", async () => {
+  const server = createReferenceServer();
+  const api = apiFor(server);
+  const storage = createMemoryStorage();
+  const { result } = renderHook(() => useHarness({ api, storage }));
+  await waitFor(() => expect(result.current.sync.lastSynced).not.toBeNull());
+  expect((await api.getMap("m1")).features.map((f) => f.id)).toEqual(["marker-1"]);
+
+  act(() => result.current.setMap((prev) => ({ ...prev, markers: [{ ...kiosk, title: "Kiosk & Sons" }] })));
+  expect(result.current.sync.queued).toBe(1);
+  expect((await storage.listSyncStates())[0].pending).toHaveProperty("marker-1");
+  await act(() => result.current.sync.syncNow());
+  expect(result.current.sync.queued).toBe(0);
+  expect((await api.getMap("m1")).features[0].data.title).toBe("Kiosk & Sons");
+
+  // another device adds a marker: it shows up here without being queued back
+  await apiFor(server).putFeature("m1", "marker-2", { kind: "marker", data: { ...kiosk, id: 2, title: "Bakery" } }, null);
+  await act(() => result.current.sync.syncNow());
+  expect(result.current.map.markers.map((m) => m.title)).toEqual(["Kiosk & Sons", "Bakery"]);
+  expect(result.current.sync.queued).toBe(0);
+});
+
+test("without a sync server nothing happens", () => {
+  const { result } = renderHook(() => useHarness({ api: null, storage: createMemoryStorage() }));
+  expect(result.current.sync).toMatchObject({ enabled: false, phase: "off", queued: 0, conflicts: [] });
+});
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import { TIME_STEPS, formatTime, pickTimeStep } from "../utils/time";
+
+const PLAYBACK_INTERVAL_MS = 800;
+const DAY = 24 * 60 * 60 * 1000;
+
+/* ---------------- TimeSlider ----------------
+   Filters the map to markers active in a time window (see markerActiveIn).
+   The slider sets the window's end; the window is one step long, or reaches
+   back to the beginning in cumulative mode. Play advances it a step at a time.
+   Reports the window through onChange({ from, to }) (ms).
+*/
+const TimeSlider = ({ extent, shownCount, onChange, onClose }) => {
+  // a single moment still gets a usable slider
+  const [min, max] = extent[0] === extent[1] ? [extent[0] - DAY, extent[1] + DAY] : extent;
+  const [stepKey, setStepKey] = useState(() => pickTimeStep(extent).key);
+  const [cumulative, setCumulative] = useState(false);
+  const [position, setPosition] = useState(max);
+  const [playing, setPlaying] = useState(false);
+
+  const step = TIME_STEPS.find((s) => s.key === stepKey);
+  const to = Math.min(Math.max(position, min), max);
+  const from = cumulative ? -Infinity : to - step.ms;
+
+  useEffect(() => {
+    onChange({ from, to });
+  }, [from, to, onChange]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(() => setPosition((p) => Math.min(p + step.ms, max)), PLAYBACK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [playing, step.ms, max]);
+
+  useEffect(() => {
+    if (playing && to >= max) setPlaying(false);
+  }, [playing, to, max]);
+
+  const togglePlay = () => {
+    if (!playing && to >= max) setPosition(cumulative ? min : min + step.ms); // replay from the start
+    setPlaying((p) => !p);
+  };
+
+  const inputStyle = { padding: "4px", border: "1px solid #ccc", borderRadius: "4px" };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 520,
+        left: 55,
+        zIndex: 1000,
+        background: "white",
+        padding: "10px 12px",
+        borderRadius: "8px",
+        boxShadow: "0 2px 6px rgba(0,0,0,0.2)",
+        width: "300px",
+        fontSize: "12px",
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: "14px" }}>⏱ Timeline</h4>
+        <button onClick={onClose} style={{ background: "none", border: "none", fontSize: "16px", cursor: "pointer" }} title="Close (show all markers)">
+          ❌
+        </button>
+      </div>
+
+      <div style={{ margin: "8px 0 2px", fontWeight: "bold" }}>
+        {cumulative ? `Up to ${formatTime(to)}` : `${formatTime(from)} – ${formatTime(to)}`}
+      </div>
+      <div style={{ color: "#555" }}>{shownCount} markers shown</div>
+
+      <input type="range" min={min} max={max} step={60 * 1000} value={to} onChange={(e) => setPosition(Number(e.target.value))} style={{ width: "100%", margin: "6px 0 0" }} />
+      <div style={{ display: "flex", justifyContent: "space-between", color: "#777", fontSize: "11px" }}>
+        <span>{formatTime(min, false)}</span>
+        <span>{formatTime(max, false)}</span>
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+        <button onClick={togglePlay} style={{ ...inputStyle, background: playing ? "#fdebd0" : "#f0f0f0", cursor: "pointer", width: 34 }} title={playing ? "Pause" : "Play"}>
+          {playing ? "⏸" : "▶"}
+        </button>
+        <select value={stepKey} onChange={(e) => setStepKey(e.target.value)} style={inputStyle} title="Window length and playback step">
+          {TIME_STEPS.map((s) => (
+            <option key={s.key} value={s.key}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <input type="checkbox" checked={cumulative} onChange={(e) => setCumulative(e.target.checked)} />
+          Cumulative
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default TimeSlider;
@@ -0,0 +1,67 @@
+/* ---------------- URL state ----------------
+   What a shared link restores, as query parameters:
+     ?map=map_17&view=15/-1.292100/36.821900&base=esri&layers=heatmap,density&q=cafe&category=Shop&shape=shape_3
+      &area=division:EMBAKASI&filter=filter_2&within=shape_5
+   `area` is the admin area filter, `filter` the saved filter applied (conditions that
+   aren't saved stay out of links) and `within` the shape markers are filtered by.
+   Parameters holding the default (default map, first base layer, no overlays,
+   no search, all categories, no shape, no filters) are left out to keep links short.
+*/
+export const DEFAULT_VIEW = { center: [-1.2921, 36.8219], zoom: 13 };
+const MAX_ZOOM = 22;
+// ~0.1 m: a reopened link lands on the same view
+const COORD_DECIMALS = 6;
+
+const parseView = (text) => {
+  const [z, lat, lng] = String(text || "")
+    .split("/")
+    .map(Number);
+  const valid = [z, lat, lng].every(Number.isFinite) && z >= 0 && z <= MAX_ZOOM && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  return valid ? { center: [lat, lng], zoom: z } : null;
+};
+
+export const formatView = ({ center, zoom }) => `${Math.round(zoom * 100) / 100}/${center[0].toFixed(COORD_DECIMALS)}/${center[1].toFixed(COORD_DECIMALS)}`;
+
+/* location.search -> { view, map, base, overlays, q, category, shape, area, filter, within };
+   anything missing or unusable is null (overlays: null when not given, so "none" can be told apart).
+   `baseLayers` / `overlayKeys` / `areaFields` are the keys the map knows. */
+export const parseUrlState = (search, { baseLayers = [], overlayKeys = [], areaFields = [] } = {}) => {
+  const params = new URLSearchParams(search);
+  const base = params.get("base");
+  const layers = params.get("layers");
+  // "<adminField>:<name>"
+  const area = params.get("area") || "";
+  const [areaField, areaName] = area.split(":");
+  return {
+    view: parseView(params.get("view")),
+    map: params.get("map") || null,
+    base: baseLayers.includes(base) ? base : null,
+    overlays: layers === null ? null : layers.split(",").filter((k) => overlayKeys.includes(k)),
+    q: params.get("q") || "",
+    category: params.get("category") || null,
+    shape: params.get("shape") || null,
+    area: areaFields.includes(areaField) && areaName ? area : null,
+    filter: params.get("filter") || null,
+    within: params.get("within") || null,
+  };
+};
+
+// state -> "?..." (or "" when everything is at its default); `defaults` = { map, base }
+export const buildUrlState = (
+  { view, map, base, overlays = [], q = "", category = "All", shape = null, area = "All", filter = null, within = null },
+  defaults = {}
+) => {
+  const params = new URLSearchParams();
+  if (map && map !== defaults.map) params.set("map", map);
+  if (view) params.set("view", formatView(view));
+  if (base && base !== defaults.base) params.set("base", base);
+  if (overlays.length) params.set("layers", overlays.join(","));
+  if (q) params.set("q", q);
+  if (category && category !== "All") params.set("category", category);
+  if (shape) params.set("shape", shape);
+  if (area && area !== "All") params.set("area", area);
+  if (filter) params.set("filter", filter);
+  if (within) params.set("within", within);
+  const text = params.toString().replace(/%2F/g, "/").replace(/%2C/g, ",").replace(/%3A/g, ":");
+  return text ? `?${text}` : "";
+};
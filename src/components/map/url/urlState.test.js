@@ -0,0 +1,40 @@
+import { buildUrlState, parseUrlState } from "./urlState";
+
+const options = { baseLayers: ["osm", "esri", "carto-dark"], overlayKeys: ["sublocations", "heatmap", "density"], areaFields: ["location", "division"] };
+const defaults = { map: "default", base: "osm" };
+
+test("state round-trips through the query string", () => {
+  const state = {
+    view: { center: [-1.2921, 36.8219], zoom: 15 },
+    map: "map_17",
+    base: "esri",
+    overlays: ["heatmap", "density"],
+    q: "mama & sons",
+    category: "Shop",
+    shape: "shape_3",
+    area: "division:EMBAKASI",
+    filter: "filter_2",
+    within: "shape_5",
+  };
+  const search = buildUrlState(state, defaults);
+  expect(search).toBe(
+    "?map=map_17&view=15/-1.292100/36.821900&base=esri&layers=heatmap,density&q=mama+%26+sons&category=Shop&shape=shape_3&area=division:EMBAKASI&filter=filter_2&within=shape_5"
+  );
+  expect(parseUrlState(search, options)).toEqual(state);
+});
+
+test("defaults are left out of the link", () => {
+  expect(buildUrlState({ map: "default", base: "osm", overlays: [], q: "", category: "All", shape: null, area: "All", filter: null, within: null }, defaults)).toBe("");
+  expect(parseUrlState("", options)).toEqual({ view: null, map: null, base: null, overlays: null, q: "", category: null, shape: null, area: null, filter: null, within: null });
+});
+
+test("unusable values are ignored", () => {
+  const parsed = parseUrlState("?view=15/95/36.8&base=nope&layers=heatmap,bogus,", options);
+  expect(parsed.view).toBeNull();
+  expect(parsed.base).toBeNull();
+  expect(parsed.overlays).toEqual(["heatmap"]);
+  expect(parseUrlState("?layers=", options).overlays).toEqual([]);
+  expect(parseUrlState("?view=abc", options).view).toBeNull();
+  expect(parseUrlState("?area=county:NAIROBI", options).area).toBeNull();
+  expect(parseUrlState("?area=division:", options).area).toBeNull();
+});
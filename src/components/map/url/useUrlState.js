@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useRef } from "react";
+import { buildUrlState, parseUrlState } from "./urlState";
+
+/* ---------------- useUrlState ----------------
+   Keeps the address bar in step with the map, so the link can be shared or reloaded.
+   - view changes (onViewChange, called on the map's moveend) add a history entry,
+     so back / forward step through earlier views; other changes replace the entry
+   - nothing is written until `ready` (the map named in the link has been opened)
+   - back / forward call onRestore(parsed state, see urlState.js); the moveend that
+     restoring the view fires is not a new view, so it pushes nothing (that would
+     write the old filters into a new entry and drop the forward history)
+   `defaults` and `options` must be stable (module constants).
+*/
+const useUrlState = ({ state, initialView, defaults, options, ready, onRestore }) => {
+  const viewRef = useRef(initialView);
+  const stateRef = useRef(state);
+  const readyRef = useRef(ready);
+  const onRestoreRef = useRef(onRestore);
+  const restoringRef = useRef(false);
+  stateRef.current = state;
+  readyRef.current = ready;
+  onRestoreRef.current = onRestore;
+
+  const write = useCallback(
+    (push) => {
+      const search = buildUrlState({ ...stateRef.current, view: viewRef.current }, defaults);
+      if (search === window.location.search) return;
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (push) window.history.pushState(null, "", url);
+      else window.history.replaceState(null, "", url);
+    },
+    [defaults]
+  );
+
+  // the non-view part as a string, so a re-render with equal state writes nothing
+  const stateKey = buildUrlState({ ...state, view: null }, defaults);
+  useEffect(() => {
+    if (ready) write(false);
+  }, [stateKey, ready, write]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const parsed = parseUrlState(window.location.search, options);
+      if (parsed.view) viewRef.current = parsed.view;
+      restoringRef.current = true;
+      try {
+        onRestoreRef.current(parsed);
+      } finally {
+        restoringRef.current = false;
+      }
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [options]);
+
+  const onViewChange = useCallback(
+    (view) => {
+      viewRef.current = view;
+      if (readyRef.current && !restoringRef.current) write(true);
+    },
+    [write]
+  );
+
+  return { onViewChange };
+};
+
+export default useUrlState;
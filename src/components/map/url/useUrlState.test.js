@@ -0,0 +1,72 @@
+import { useState } from "react";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import useUrlState from "./useUrlState";
+
+const DEFAULTS = { map: "default", base: "osm" };
+const OPTIONS = { baseLayers: ["osm", "esri"], overlayKeys: ["heatmap"] };
+const VIEW = { center: [-1.2921, 36.8219], zoom: 13 };
+
+const useHarness = ({ ready = true } = {}) => {
+  const [q, setQ] = useState("");
+  const [restored, setRestored] = useState(null);
+  const url = useUrlState({ state: { map: "default", base: "osm", overlays: [], q }, initialView: VIEW, defaults: DEFAULTS, options: OPTIONS, ready, onRestore: setRestored });
+  return { setQ, restored, url };
+};
+
+beforeEach(() => window.history.replaceState(null, "", "/"));
+
+test("view moves add history entries, other changes replace the current one", () => {
+  const start = window.history.length;
+  const { result } = renderHook(useHarness);
+  expect(window.location.search).toBe("?view=13/-1.292100/36.821900");
+
+  act(() => result.current.setQ("cafe"));
+  expect(window.location.search).toBe("?view=13/-1.292100/36.821900&q=cafe");
+  expect(window.history.length).toBe(start);
+
+  act(() => result.current.url.onViewChange({ center: [-1.3, 36.8], zoom: 15 }));
+  expect(window.location.search).toBe("?view=15/-1.300000/36.800000&q=cafe");
+  expect(window.history.length).toBe(start + 1);
+});
+
+test("nothing is written until ready; back / forward restores the parsed state", () => {
+  renderHook(() => useHarness({ ready: false }));
+  expect(window.location.search).toBe("");
+
+  const { result } = renderHook(useHarness);
+  window.history.pushState(null, "", "/?view=16/-1.280000/36.810000&base=esri&q=duka");
+  act(() => window.dispatchEvent(new PopStateEvent("popstate")));
+  expect(result.current.restored).toMatchObject({ view: { center: [-1.28, 36.81], zoom: 16 }, base: "esri", q: "duka", map: null });
+});
+
+test("going back across a search change keeps the forward history", async () => {
+  const view = (zoom) => ({ center: [-1.2921, 36.8219], zoom });
+  const { result } = renderHook(() => {
+    const [q, setQ] = useState("");
+    const url = useUrlState({
+      state: { map: "default", base: "osm", overlays: [], q },
+      initialView: VIEW,
+      defaults: DEFAULTS,
+      options: OPTIONS,
+      ready: true,
+      // like Map.jsx: the restored view is set on the map, whose moveend reports it
+      onRestore: (restored) => {
+        setQ(restored.q);
+        url.onViewChange(restored.view || VIEW);
+      },
+    });
+    return { setQ, url };
+  });
+  const start = window.history.length;
+  act(() => result.current.url.onViewChange(view(15)));
+  act(() => result.current.setQ("cafe"));
+  const later = window.location.search;
+  expect(later).toBe("?view=15/-1.292100/36.821900&q=cafe");
+
+  act(() => window.history.back());
+  await waitFor(() => expect(window.location.search).toBe("?view=13/-1.292100/36.821900"));
+  expect(window.history.length).toBe(start + 1);
+
+  act(() => window.history.forward());
+  await waitFor(() => expect(window.location.search).toBe(later));
+});
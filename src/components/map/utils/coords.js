@@ -0,0 +1,307 @@
+/* ---------------- Coordinate formats ----------------
+   Decimal degrees <-> DMS and UTM (WGS84) for display and entry of marker positions,
+   plus decoding of plus codes / geohashes and parseCoordinates() for typed input.
+*/
+
+const toRad = (d) => (d * Math.PI) / 180;
+
+export const isValidLatLng = (lat, lng) =>
+  typeof lat === "number" && typeof lng === "number" && isFinite(lat) && isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/* ---------------- DMS ---------------- */
+const dmsPart = (value, pos, neg) => {
+  const hemi = value < 0 ? neg : pos;
+  const abs = Math.abs(value);
+  let d = Math.floor(abs);
+  let m = Math.floor((abs - d) * 60);
+  let s = Math.round(((abs - d) * 60 - m) * 60 * 10) / 10;
+  if (s >= 60) {
+    s = 0;
+    m += 1;
+  }
+  if (m >= 60) {
+    m = 0;
+    d += 1;
+  }
+  return `${d}°${String(m).padStart(2, "0")}'${s.toFixed(1).padStart(4, "0")}"${hemi}`;
+};
+
+// 1°17'31.6"S 36°49'18.8"E
+export const toDMS = (lat, lng) => `${dmsPart(lat, "N", "S")} ${dmsPart(lng, "E", "W")}`;
+
+/* ---------------- UTM (WGS84, Krüger series) ---------------- */
+const A = 6378137;
+const F = 1 / 298.257223563;
+const K0 = 0.9996;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+
+export const utmZone = (lat, lng) => {
+  // Norway / Svalbard exceptions
+  if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+  if (lat >= 72 && lat < 84 && lng >= 0) {
+    if (lng < 9) return 31;
+    if (lng < 21) return 33;
+    if (lng < 33) return 35;
+    if (lng < 42) return 37;
+  }
+  return Math.min(60, Math.floor((lng + 180) / 6) + 1);
+};
+
+const BANDS = "CDEFGHJKLMNPQRSTUVWXX";
+export const latitudeBand = (lat) => BANDS[Math.max(0, Math.min(20, Math.floor((lat + 80) / 8)))];
+
+const meridionalArc = (φ) =>
+  A *
+  ((1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256) * φ -
+    ((3 * E2) / 8 + (3 * E2 ** 2) / 32 + (45 * E2 ** 3) / 1024) * Math.sin(2 * φ) +
+    ((15 * E2 ** 2) / 256 + (45 * E2 ** 3) / 1024) * Math.sin(4 * φ) -
+    ((35 * E2 ** 3) / 3072) * Math.sin(6 * φ));
+
+// { zone, band, hemisphere, easting, northing } — only valid between 80°S and 84°N
+export const toUTM = (lat, lng) => {
+  const zone = utmZone(lat, lng);
+  const λ0 = toRad((zone - 1) * 6 - 180 + 3);
+  const φ = toRad(lat);
+  const λ = toRad(lng);
+
+  const N = A / Math.sqrt(1 - E2 * Math.sin(φ) ** 2);
+  const T = Math.tan(φ) ** 2;
+  const C = EP2 * Math.cos(φ) ** 2;
+  const Aa = Math.cos(φ) * (λ - λ0);
+  const M = meridionalArc(φ);
+
+  const easting =
+    K0 * N * (Aa + ((1 - T + C) * Aa ** 3) / 6 + ((5 - 18 * T + T ** 2 + 72 * C - 58 * EP2) * Aa ** 5) / 120) + 500000;
+  let northing =
+    K0 *
+    (M +
+      N *
+        Math.tan(φ) *
+        (Aa ** 2 / 2 + ((5 - T + 9 * C + 4 * C ** 2) * Aa ** 4) / 24 + ((61 - 58 * T + T ** 2 + 600 * C - 330 * EP2) * Aa ** 6) / 720));
+  if (lat < 0) northing += 10000000;
+
+  return { zone, band: latitudeBand(lat), hemisphere: lat < 0 ? "S" : "N", easting, northing };
+};
+
+// "37M 257066 9857023"
+export const formatUTM = (lat, lng) => {
+  const { zone, band, easting, northing } = toUTM(lat, lng);
+  return `${zone}${band} ${Math.round(easting)} ${Math.round(northing)}`;
+};
+
+export const fromUTM = (zone, hemisphere, easting, northing) => {
+  const x = easting - 500000;
+  const y = hemisphere === "S" ? northing - 10000000 : northing;
+  const λ0 = toRad((zone - 1) * 6 - 180 + 3);
+
+  const M = y / K0;
+  const μ = M / (A * (1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256));
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  const φ1 =
+    μ +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * μ) +
+    ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * μ) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * μ) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * μ);
+
+  const N1 = A / Math.sqrt(1 - E2 * Math.sin(φ1) ** 2);
+  const T1 = Math.tan(φ1) ** 2;
+  const C1 = EP2 * Math.cos(φ1) ** 2;
+  const R1 = (A * (1 - E2)) / (1 - E2 * Math.sin(φ1) ** 2) ** 1.5;
+  const D = x / (N1 * K0);
+
+  const φ =
+    φ1 -
+    ((N1 * Math.tan(φ1)) / R1) *
+      (D ** 2 / 2 -
+        ((5 + 3 * T1 + 10 * C1 - 4 * C1 ** 2 - 9 * EP2) * D ** 4) / 24 +
+        ((61 + 90 * T1 + 298 * C1 + 45 * T1 ** 2 - 252 * EP2 - 3 * C1 ** 2) * D ** 6) / 720);
+  const λ =
+    λ0 +
+    (D - ((1 + 2 * T1 + C1) * D ** 3) / 6 + ((5 - 2 * C1 + 28 * T1 - 3 * C1 ** 2 + 8 * EP2 + 24 * T1 ** 2) * D ** 5) / 120) /
+      Math.cos(φ1);
+
+  return [(φ * 180) / Math.PI, (λ * 180) / Math.PI];
+};
+
+/* ---------------- Geohash ---------------- */
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+// centre of the geohash cell as [lat, lng], or null when the hash isn't valid
+export const decodeGeohash = (hash) => {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let even = true; // bits alternate longitude, latitude, ...
+  for (const ch of hash.toLowerCase()) {
+    const value = GEOHASH_ALPHABET.indexOf(ch);
+    if (value < 0) return null;
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      even = !even;
+    }
+  }
+  return [(lat[0] + lat[1]) / 2, (lng[0] + lng[1]) / 2];
+};
+
+/* ---------------- Plus codes (Open Location Code) ---------------- */
+const OLC_ALPHABET = "23456789CFGHJMPQRVWX";
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+
+// centre of a full plus code ("6GCRPR6C+24") as [lat, lng], or null
+export const decodePlusCode = (code) => {
+  const clean = code.toUpperCase().replace("+", "").replace(/0+$/, "");
+  if (code.indexOf("+") !== 8 || !clean.length || (clean.length % 2 && clean.length < 10)) return null;
+  let lat = -90;
+  let lng = -180;
+  let latSize = 0;
+  let lngSize = 0;
+  for (let i = 0; i < clean.length; i++) {
+    const value = OLC_ALPHABET.indexOf(clean[i]);
+    if (value < 0) return null;
+    if (i < 10) {
+      // pairs: latitude digit, then longitude digit, each 20x finer than the last pair
+      const res = OLC_PAIR_RESOLUTIONS[Math.floor(i / 2)];
+      if (i % 2 === 0) {
+        lat += value * res;
+        latSize = res;
+      } else {
+        lng += value * res;
+        lngSize = res;
+      }
+    } else {
+      // grid refinement: 4 columns x 5 rows per digit
+      latSize /= 5;
+      lngSize /= 4;
+      lat += Math.floor(value / 4) * latSize;
+      lng += (value % 4) * lngSize;
+    }
+  }
+  return [Math.min(90, lat + latSize / 2), lng + lngSize / 2];
+};
+
+// the first `digits` (even, <= 8) characters of the plus code containing (lat, lng)
+const plusCodePrefix = (lat, lng, digits) => {
+  let latAdj = Math.min(89.9999999, Math.max(-90, lat)) + 90;
+  let lngAdj = (((lng + 180) % 360) + 360) % 360;
+  let prefix = "";
+  for (let i = 0; i < digits / 2; i++) {
+    const res = OLC_PAIR_RESOLUTIONS[i];
+    const latDigit = Math.floor(latAdj / res);
+    const lngDigit = Math.floor(lngAdj / res);
+    prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lngDigit];
+    latAdj -= latDigit * res;
+    lngAdj -= lngDigit * res;
+  }
+  return prefix;
+};
+
+// short code ("PR6C+24") -> the nearest matching full-code cell centre to `reference` [lat, lng]
+export const recoverPlusCode = (shortCode, [refLat, refLng]) => {
+  const padding = 8 - shortCode.indexOf("+");
+  if (padding <= 0 || padding % 2) return decodePlusCode(shortCode);
+  const position = decodePlusCode(plusCodePrefix(refLat, refLng, padding) + shortCode.toUpperCase());
+  if (!position) return null;
+  // the prefix came from the reference: shift by one prefix cell if a neighbour is nearer
+  const resolution = OLC_PAIR_RESOLUTIONS[padding / 2 - 1];
+  let [lat, lng] = position;
+  if (lat - refLat > resolution / 2 && lat - resolution >= -90) lat -= resolution;
+  else if (refLat - lat > resolution / 2 && lat + resolution <= 90) lat += resolution;
+  if (lng - refLng > resolution / 2) lng -= resolution;
+  else if (refLng - lng > resolution / 2) lng += resolution;
+  return [lat, lng];
+};
+
+/* ---------------- Typed coordinates ---------------- */
+export const COORDINATE_INPUT_FORMATS = {
+  decimal: "Decimal degrees",
+  dms: "Degrees, minutes, seconds",
+  utm: "UTM",
+  pluscode: "Plus code",
+  geohash: "Geohash",
+};
+
+const NUM = "(\\d+(?:\\.\\d+)?)";
+// degrees [minutes [seconds]] separated by ° ' " or spaces, with a hemisphere before or after
+// (no d/m/s unit letters: "S" must stay a hemisphere)
+const ANGLE_SUFFIX = new RegExp(`^\\s*(-)?${NUM}\\s*°?\\s*(?:${NUM}\\s*'?\\s*)?(?:${NUM}\\s*"?)?\\s*([NSEW])?\\s*[,;]?`, "i");
+const ANGLE_PREFIX = new RegExp(`^\\s*([NSEW])\\s*${NUM}\\s*°?\\s*(?:${NUM}\\s*'?\\s*)?(?:${NUM}\\s*"?)?\\s*[,;]?`, "i");
+
+// "1°17'31\"S 36°49'19\"E", "S1 17 31 E36 49 19", "1.2921S 36.8219E" -> { lat, lng, format } | null
+const parseAngles = (text) => {
+  const prefixed = /^\s*[NSEW]/i.test(text);
+  const angles = [];
+  let rest = text;
+  while (rest.trim() && angles.length < 2) {
+    const m = (prefixed ? ANGLE_PREFIX : ANGLE_SUFFIX).exec(rest);
+    if (!m || !m[0].trim()) return null;
+    const [, a, b, c, d, e] = m;
+    const [sign, deg, min, sec, hemi] = prefixed ? ["", b, c, d, a] : [a, b, c, d, e];
+    if ((min && deg.includes(".")) || (sec && min.includes(".")) || Number(min || 0) >= 60 || Number(sec || 0) >= 60) return null;
+    const value = Number(deg) + Number(min || 0) / 60 + Number(sec || 0) / 3600;
+    angles.push({ value: sign ? -value : value, hemi: hemi?.toUpperCase(), hasMinutes: Boolean(min) });
+    rest = rest.slice(m[0].length);
+  }
+  if (rest.trim() || angles.length !== 2) return null;
+
+  const isLat = (a) => a.hemi === "N" || a.hemi === "S";
+  const isLng = (a) => a.hemi === "E" || a.hemi === "W";
+  let [latAngle, lngAngle] = angles;
+  if (isLng(latAngle) || isLat(lngAngle)) [latAngle, lngAngle] = [lngAngle, latAngle];
+  if (isLng(latAngle) || isLat(lngAngle)) return null; // two latitudes or two longitudes
+  const signed = (a) => (a.hemi === "S" || a.hemi === "W" ? -Math.abs(a.value) : a.value);
+  return {
+    lat: signed(latAngle),
+    lng: signed(lngAngle),
+    format: angles.some((a) => a.hasMinutes) ? "dms" : "decimal",
+  };
+};
+
+/* Recognises a typed position: decimal lat/lng, DMS, UTM ("37M 257066 9857023"),
+   plus codes (short ones are resolved near `reference` [lat, lng]) and geohashes
+   ("geohash:" / "gh:" prefix only: a bare "kfc123" is a place name to search for).
+   Returns { lat, lng, format } or null for anything else (free text for the geocoder). */
+export const parseCoordinates = (input, { reference } = {}) => {
+  const text = String(input || "")
+    .trim()
+    .replace(/^geo:/i, "")
+    .replace(/[′’‘]/g, "'")
+    .replace(/[″”“]|''/g, '"')
+    .replace(/º/g, "°");
+  if (!text) return null;
+  const valid = (result) => (result && isValidLatLng(result.lat, result.lng) ? result : null);
+
+  // plus code, optionally followed by a locality ("PR6C+24 Nairobi"): resolved near the reference
+  const plus = /^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]{0,3})(?:[\s,]+\S.*)?$/i.exec(text);
+  if (plus) {
+    const position = plus[1].indexOf("+") === 8 ? decodePlusCode(plus[1]) : reference && recoverPlusCode(plus[1], reference);
+    return position ? valid({ lat: position[0], lng: position[1], format: "pluscode" }) : null;
+  }
+
+  // geohash: only with an explicit prefix
+  const hash = /^(?:geohash:|gh:)\s*(\S+)$/i.exec(text);
+  if (hash) {
+    const position = decodeGeohash(hash[1]);
+    if (position) return valid({ lat: position[0], lng: position[1], format: "geohash" });
+  }
+
+  // UTM with latitude band: "37M 257066 9857023", "37 M 257066mE 9857023mN"
+  const utm = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d{6}(?:\.\d+)?)\s*(?:m?E)?[\s,]+(\d{1,7}(?:\.\d+)?)\s*(?:m?N)?$/i.exec(text);
+  if (utm) {
+    const zone = Number(utm[1]);
+    if (zone < 1 || zone > 60) return null;
+    const hemisphere = utm[2].toUpperCase() >= "N" ? "N" : "S";
+    const [lat, lng] = fromUTM(zone, hemisphere, Number(utm[3]), Number(utm[4]));
+    return valid({ lat, lng, format: "utm" });
+  }
+
+  // plain "lat, lng" / "lat lng"
+  const decimal = /^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+  if (decimal) return valid({ lat: Number(decimal[1]), lng: Number(decimal[2]), format: "decimal" });
+
+  if (!/\d/.test(text)) return null;
+  return valid(parseAngles(text));
+};
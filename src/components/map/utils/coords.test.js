@@ -0,0 +1,145 @@
+import {
+  decodeGeohash,
+  decodePlusCode,
+  formatUTM,
+  fromUTM,
+  isValidLatLng,
+  latitudeBand,
+  parseCoordinates,
+  recoverPlusCode,
+  toDMS,
+  toUTM,
+  utmZone,
+} from "./coords";
+
+describe("isValidLatLng", () => {
+  test("accepts in-range numbers", () => {
+    expect(isValidLatLng(-1.2921, 36.8219)).toBe(true);
+    expect(isValidLatLng(90, -180)).toBe(true);
+  });
+
+  test("rejects out-of-range and non-numbers", () => {
+    expect(isValidLatLng(91, 0)).toBe(false);
+    expect(isValidLatLng(0, 180.1)).toBe(false);
+    expect(isValidLatLng(NaN, 0)).toBe(false);
+    expect(isValidLatLng("1", 2)).toBe(false);
+  });
+});
+
+describe("toDMS", () => {
+  test("formats hemispheres", () => {
+    expect(toDMS(-1.2921, 36.8219)).toBe(`1°17'31.6"S 36°49'18.8"E`);
+    expect(toDMS(51.5, -0.1275)).toBe(`51°30'00.0"N 0°07'39.0"W`);
+  });
+
+  test("carries rounded seconds into minutes", () => {
+    expect(toDMS(10.99999999, 0)).toBe(`11°00'00.0"N 0°00'00.0"E`);
+  });
+});
+
+describe("UTM", () => {
+  test("zone and band", () => {
+    expect(utmZone(-1.29, 36.82)).toBe(37);
+    expect(utmZone(60, 5)).toBe(32); // Norway exception
+    expect(latitudeBand(-1.29)).toBe("M");
+    expect(latitudeBand(83)).toBe("X");
+  });
+
+  test("central meridian on the equator is the false easting", () => {
+    const { zone, easting, northing } = toUTM(0, 39);
+    expect(zone).toBe(37);
+    expect(easting).toBeCloseTo(500000, 3);
+    expect(northing).toBeCloseTo(0, 3);
+  });
+
+  test("Nairobi", () => {
+    expect(formatUTM(-1.2921, 36.8219)).toMatch(/^37M 25\d{4} 985\d{4}$/);
+  });
+
+  test("round-trips within a centimetre", () => {
+    [
+      [-1.2921, 36.8219],
+      [48.8584, 2.2945],
+      [-33.8568, 151.2153],
+    ].forEach(([lat, lng]) => {
+      const u = toUTM(lat, lng);
+      const [lat2, lng2] = fromUTM(u.zone, u.hemisphere, u.easting, u.northing);
+      expect(lat2).toBeCloseTo(lat, 7);
+      expect(lng2).toBeCloseTo(lng, 7);
+    });
+  });
+});
+
+describe("geohash and plus codes", () => {
+  test("geohash cell centre", () => {
+    const [lat, lng] = decodeGeohash("ezs42");
+    expect(lat).toBeCloseTo(42.605, 2);
+    expect(lng).toBeCloseTo(-5.603, 2);
+    expect(decodeGeohash("ezs4a")).toBeNull(); // "a" isn't in the alphabet
+  });
+
+  test("full and short plus codes", () => {
+    const [lat, lng] = decodePlusCode("8FVC9G8F+6X");
+    expect(lat).toBeCloseTo(47.365562, 5);
+    expect(lng).toBeCloseTo(8.524938, 5);
+    expect(decodePlusCode("9G8F+6X")).toBeNull();
+
+    const recovered = recoverPlusCode("9G8F+6X", [47.4, 8.6]);
+    expect(recovered[0]).toBeCloseTo(47.365562, 5);
+    expect(recovered[1]).toBeCloseTo(8.524938, 5);
+    // a reference just across the prefix cell boundary still finds the nearest match
+    // (6GCRXGX2+ is just south of -1°; the reference's prefix cell is the one north of it)
+    expect(recoverPlusCode("XGX2+", [-0.999, 36.5])[0]).toBeCloseTo(-1.00125, 5);
+  });
+});
+
+describe("parseCoordinates", () => {
+  const expectAt = (text, lat, lng, format, options) => {
+    const result = parseCoordinates(text, options);
+    expect(result).toMatchObject({ format });
+    expect(result.lat).toBeCloseTo(lat, 4);
+    expect(result.lng).toBeCloseTo(lng, 4);
+  };
+
+  test("decimal degrees", () => {
+    expectAt("-1.2921, 36.8219", -1.2921, 36.8219, "decimal");
+    expectAt("-1.2921 36.8219", -1.2921, 36.8219, "decimal");
+    expectAt("geo:-1.2921,36.8219", -1.2921, 36.8219, "decimal");
+    expectAt("1.2921S 36.8219E", -1.2921, 36.8219, "decimal");
+    expectAt("36.8219 E, 1.2921 S", -1.2921, 36.8219, "decimal");
+  });
+
+  test("degrees, minutes, seconds", () => {
+    expectAt(`1°17'31"S 36°49'19"E`, -1.291944, 36.821944, "dms");
+    expectAt("1°17′31″S 36°49′19″E", -1.291944, 36.821944, "dms");
+    expectAt("1 17 31 S 36 49 19 E", -1.291944, 36.821944, "dms");
+    expectAt("S1 17.5 E36 49.3", -1.291667, 36.821667, "dms");
+  });
+
+  test("UTM", () => {
+    const [lat, lng] = [-1.2921, 36.8219];
+    const { easting, northing } = toUTM(lat, lng);
+    expectAt(`37M ${Math.round(easting)} ${Math.round(northing)}`, lat, lng, "utm");
+    expectAt(`37 M ${Math.round(easting)}mE ${Math.round(northing)}mN`, lat, lng, "utm");
+  });
+
+  test("plus codes and geohashes", () => {
+    expectAt("8FVC9G8F+6X", 47.365562, 8.524938, "pluscode");
+    expectAt("9G8F+6X Zurich", 47.365562, 8.524938, "pluscode", { reference: [47.4, 8.6] });
+    expectAt("geohash:ezs42", 42.605, -5.603, "geohash");
+    expectAt("gh: ezs42", 42.605, -5.603, "geohash");
+    // without a prefix it is a search term
+    expect(parseCoordinates("ezs42")).toBeNull();
+    expect(parseCoordinates("kfc123")).toBeNull();
+  });
+
+  test("free text and invalid positions are left to the geocoder", () => {
+    expect(parseCoordinates("Kenyatta Avenue")).toBeNull();
+    expect(parseCoordinates("kibera")).toBeNull();
+    expect(parseCoordinates("9G8F+6X")).toBeNull(); // short code without a reference
+    expect(parseCoordinates("95, 36")).toBeNull();
+    expect(parseCoordinates(`1°75'00"S 36°49'19"E`)).toBeNull();
+    expect(parseCoordinates("1.29N 1.29S")).toBeNull();
+    expect(parseCoordinates("")).toBeNull();
+  });
+});
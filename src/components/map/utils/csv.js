@@ -0,0 +1,160 @@
+/* ---------------- CSV import helpers ----------------
+   Pure logic behind the CSV import wizard: papaparse wrapper, column guessing,
+   coordinate parsing (separate lat/lng, a single "lat,lng" cell or WKT POINT)
+   and row -> marker conversion with per-row errors.
+*/
+import Papa from "papaparse";
+import { normalizeTime } from "./time";
+import { newMarkerId } from "../markers/ids";
+
+export const DELIMITERS = [
+  { key: "", label: "Auto-detect" },
+  { key: ",", label: "Comma (,)" },
+  { key: ";", label: "Semicolon (;)" },
+  { key: "\t", label: "Tab" },
+  { key: "|", label: "Pipe (|)" },
+];
+
+export const ENCODINGS = ["UTF-8", "ISO-8859-1", "windows-1252", "UTF-16LE"];
+
+// mapping targets, in the order the wizard shows them
+export const MAPPING_FIELDS = [
+  { key: "title", label: "Title", pattern: /^(title|name)$/i },
+  { key: "description", label: "Description", pattern: /^(description|desc|notes?)$/i },
+  { key: "lat", label: "Latitude", pattern: /^(latitude|lat|y)$/i },
+  { key: "lng", label: "Longitude", pattern: /^(longitude|lon|lng|long|x)$/i },
+  { key: "point", label: "Point (lat,lng or WKT)", pattern: /^(coordinates|coords|latlng|lat_lng|location|point|wkt|geom|geometry)$/i },
+  { key: "category", label: "Category", pattern: /^(category|cat|type)$/i },
+  { key: "start", label: "Start date/time", pattern: /^(start|start[ _]?(date|time)|begin|from)$/i },
+  { key: "end", label: "End date/time", pattern: /^(end|end[ _]?(date|time)|finish|until|to)$/i },
+  { key: "createdAt", label: "Created", pattern: /^(created|created[ _]?at|timestamp|date)$/i },
+  { key: "updatedAt", label: "Modified", pattern: /^(modified|updated|(modified|updated)[ _]?at)$/i },
+];
+
+const TIME_MAPPING_FIELDS = ["start", "end", "createdAt", "updatedAt"];
+
+export const parseCSVText = (text, { delimiter = "" } = {}) => {
+  const result = Papa.parse(text, { delimiter, skipEmptyLines: "greedy" });
+  const [headers = [], ...rows] = result.data;
+  return {
+    headers: headers.map((h) => String(h).trim()),
+    rows,
+    delimiter: result.meta.delimiter,
+    parseErrors: result.errors.map((e) => ({ row: (e.row ?? 0) + 1, message: e.message })),
+  };
+};
+
+// header index per mapping field (-1 = unmapped)
+export const guessMapping = (headers) =>
+  MAPPING_FIELDS.reduce((acc, f) => {
+    acc[f.key] = headers.findIndex((h) => f.pattern.test(h));
+    return acc;
+  }, {});
+
+// a signed decimal as spreadsheets write it: "+36.82", "-.5", "12"
+const NUM = "([+-]?(?:\\d+(?:\\.\\d+)?|\\.\\d+))";
+const LAT_LNG_PAIR = new RegExp(`^\\s*\\(?\\s*${NUM}\\s*[,;\\s]\\s*${NUM}\\s*\\)?\\s*$`);
+const WKT_POINT = new RegExp(`^\\s*POINT\\s*Z?\\s*\\(\\s*${NUM}\\s+${NUM}(?:\\s+${NUM})?\\s*\\)\\s*$`, "i");
+
+// "-1.29, 36.82" / "-1.29 36.82" / "-1.29;36.82" / "+.5, 36" -> [lat, lng]
+export const parseLatLngPair = (value) => {
+  const m = LAT_LNG_PAIR.exec(String(value || ""));
+  return m ? [Number(m[1]), Number(m[2])] : null;
+};
+
+// "POINT (36.82 -1.29)" (WKT is lng lat) -> [lat, lng]
+export const parseWKTPoint = (value) => {
+  const m = WKT_POINT.exec(String(value || ""));
+  return m ? [Number(m[2]), Number(m[1])] : null;
+};
+
+export const parsePointCell = (value) => parseWKTPoint(value) || parseLatLngPair(value);
+
+const validLatLng = (lat, lng) => isFinite(lat) && isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/* rows -> { markers, errors } where errors are { row, message } with spreadsheet row numbers
+   (header = row 1). Columns not used by the mapping are kept in marker.attributes;
+   a blank category becomes `defaultCategory`, any other value is kept as-is.
+   `isDuplicate(lat, lng, acceptedMarkers)` is the caller's duplicate check. */
+export const rowsToMarkers = (rows, headers, mapping, { defaultCategory = "General", isDuplicate = () => false } = {}) => {
+  const usePoint = mapping.point !== -1 && (mapping.lat === -1 || mapping.lng === -1);
+  const mappedIdx = new Set(Object.values(mapping).filter((i) => i !== -1));
+  const markers = [];
+  const errors = [];
+
+  rows.forEach((r, i) => {
+    const row = i + 2;
+    const cell = (key) => (mapping[key] !== -1 ? String(r[mapping[key]] ?? "").trim() : "");
+
+    let lat;
+    let lng;
+    if (usePoint) {
+      const raw = cell("point");
+      if (!raw) {
+        errors.push({ row, message: "missing coordinates" });
+        return;
+      }
+      const parsed = parsePointCell(raw);
+      if (!parsed) {
+        errors.push({ row, message: `unrecognised point "${raw}"` });
+        return;
+      }
+      [lat, lng] = parsed;
+    } else {
+      const latRaw = cell("lat");
+      const lngRaw = cell("lng");
+      if (!latRaw || !lngRaw) {
+        errors.push({ row, message: "missing coordinates" });
+        return;
+      }
+      lat = Number(latRaw);
+      lng = Number(lngRaw);
+      if (!validLatLng(lat, lng)) {
+        errors.push({ row, message: `invalid lat/lng (${latRaw}, ${lngRaw})` });
+        return;
+      }
+    }
+    if (!validLatLng(lat, lng)) {
+      errors.push({ row, message: `invalid lat/lng (${lat}, ${lng})` });
+      return;
+    }
+    if (isDuplicate(lat, lng, markers)) {
+      errors.push({ row, message: "duplicate marker skipped" });
+      return;
+    }
+
+    // unreadable dates are dropped with a warning; the marker is still imported
+    const times = {};
+    TIME_MAPPING_FIELDS.forEach((key) => {
+      const raw = cell(key);
+      if (!raw) return;
+      const iso = normalizeTime(raw);
+      if (iso) times[key] = iso;
+      else errors.push({ row, message: `unrecognised ${MAPPING_FIELDS.find((f) => f.key === key).label.toLowerCase()} "${raw}" ignored` });
+    });
+
+    const attributes = {};
+    headers.forEach((h, idx) => {
+      if (!mappedIdx.has(idx) && h && r[idx] !== undefined && String(r[idx]).trim() !== "") {
+        attributes[h] = String(r[idx]).trim();
+      }
+    });
+
+    const cat = cell("category");
+    markers.push({
+      id: newMarkerId(),
+      position: [lat, lng],
+      title: cell("title") || "Imported Marker",
+      description: cell("description"),
+      category: cat || defaultCategory,
+      imageId: null,
+      ...times,
+      attributes,
+    });
+  });
+
+  return { markers, errors };
+};
+
+export const errorsToCSV = (errors) =>
+  Papa.unparse({ fields: ["Row", "Error"], data: errors.map((e) => [e.row, e.message]) });
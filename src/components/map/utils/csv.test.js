@@ -0,0 +1,67 @@
+import { errorsToCSV, guessMapping, parseCSVText, parsePointCell, rowsToMarkers } from "./csv";
+
+test("quoted newlines and delimiters survive parsing", () => {
+  const text = 'Title;Notes;Lat;Lng\n"Cafe; Deli";"line one\nline two";-1.29;36.82\n';
+  const { headers, rows, delimiter } = parseCSVText(text);
+  expect(delimiter).toBe(";");
+  expect(headers).toEqual(["Title", "Notes", "Lat", "Lng"]);
+  expect(rows).toEqual([["Cafe; Deli", "line one\nline two", "-1.29", "36.82"]]);
+});
+
+test("guessMapping recognises common header names", () => {
+  const mapping = guessMapping(["Name", "Desc", "Y", "X", "Type", "Owner"]);
+  expect(mapping).toEqual({ title: 0, description: 1, lat: 2, lng: 3, point: -1, category: 4, start: -1, end: -1, createdAt: -1, updatedAt: -1 });
+  expect(guessMapping(["Lat", "Lng", "Start date", "End", "Created"])).toMatchObject({ start: 2, end: 3, createdAt: 4 });
+});
+
+test("rowsToMarkers reads date columns and warns about unreadable ones", () => {
+  const headers = ["lat", "lng", "start", "end"];
+  const mapping = { ...guessMapping(headers) };
+  const { markers, errors } = rowsToMarkers(
+    [
+      ["-1.29", "36.82", "2024-06-01T18:00:00Z", "2024-06-01T22:00:00Z"],
+      ["-1.3", "36.83", "someday", ""],
+    ],
+    headers,
+    mapping
+  );
+  expect(markers[0]).toMatchObject({ start: "2024-06-01T18:00:00.000Z", end: "2024-06-01T22:00:00.000Z" });
+  expect(markers[1].start).toBeUndefined();
+  expect(errors).toEqual([{ row: 3, message: 'unrecognised start date/time "someday" ignored' }]);
+});
+
+test("point cells accept lat,lng pairs and WKT", () => {
+  expect(parsePointCell("-1.29, 36.82")).toEqual([-1.29, 36.82]);
+  expect(parsePointCell("POINT (36.82 -1.29)")).toEqual([-1.29, 36.82]);
+  expect(parsePointCell("+1.29, +36.82")).toEqual([1.29, 36.82]);
+  expect(parsePointCell(".5, 36")).toEqual([0.5, 36]);
+  expect(parsePointCell("-.5;36.82")).toEqual([-0.5, 36.82]);
+  expect(parsePointCell("POINT (+36.82 -.5)")).toEqual([-0.5, 36.82]);
+  expect(parsePointCell("1.2.3, 4")).toBeNull();
+  expect(parsePointCell("somewhere")).toBeNull();
+});
+
+test("rowsToMarkers keeps unmapped columns and reports bad rows", () => {
+  const headers = ["Title", "Where", "Owner", "Category"];
+  const rows = [
+    ["A", "-1.29,36.82", "Jane", "Shop"],
+    ["B", "", "", ""],
+    ["C", "POINT (200 0)", "", ""],
+    ["D", "-1.29,36.82", "", "Nope"],
+  ];
+  const mapping = { title: 0, description: -1, lat: -1, lng: -1, point: 1, category: 3 };
+  const { markers, errors } = rowsToMarkers(rows, headers, mapping, {
+    isDuplicate: (lat, lng, accepted) => accepted.some((m) => m.position[0] === lat && m.position[1] === lng),
+  });
+  expect(markers).toHaveLength(1);
+  expect(markers[0]).toMatchObject({ title: "A", category: "Shop", position: [-1.29, 36.82], attributes: { Owner: "Jane" } });
+  expect(errors).toEqual([
+    { row: 3, message: "missing coordinates" },
+    { row: 4, message: "invalid lat/lng (0, 200)" },
+    { row: 5, message: "duplicate marker skipped" },
+  ]);
+});
+
+test("error report is a CSV", () => {
+  expect(errorsToCSV([{ row: 3, message: "bad, row" }])).toBe('Row,Error\r\n3,"bad, row"');
+});
@@ -0,0 +1,169 @@
+/* ---------------- Geo helpers ----------------
+   Small, dependency-free geometry utilities shared by the map:
+   - haversine distance (the same formula isDuplicate always used)
+   - point-in-polygon for GeoJSON Polygon / MultiPolygon geometries
+   - admin-area lookup against nairobi_sublogs.geojson
+*/
+
+const EARTH_RADIUS = 6371e3; // metres
+const toRad = (d) => (d * Math.PI) / 180;
+
+// great-circle distance in metres between two lat/lng pairs
+export const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const φ1 = toRad(lat1);
+  const φ2 = toRad(lat2);
+  const Δφ = toRad(lat2 - lat1);
+  const Δλ = toRad(lng2 - lng1);
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS * c;
+};
+
+// ray casting; ring is an array of [lng, lat]
+export const pointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = (yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+// polygon = [outerRing, ...holes]
+export const pointInPolygonCoords = (lng, lat, polygon) => {
+  if (!polygon?.length || !pointInRing(lng, lat, polygon[0])) return false;
+  for (let h = 1; h < polygon.length; h++) {
+    if (pointInRing(lng, lat, polygon[h])) return false;
+  }
+  return true;
+};
+
+export const pointInGeometry = (lng, lat, geometry) => {
+  if (!geometry) return false;
+  switch (geometry.type) {
+    case "Polygon":
+      return pointInPolygonCoords(lng, lat, geometry.coordinates);
+    case "MultiPolygon":
+      return geometry.coordinates.some((poly) => pointInPolygonCoords(lng, lat, poly));
+    default:
+      return false;
+  }
+};
+
+// [minLng, minLat, maxLng, maxLat] of any GeoJSON geometry
+export const geometryBounds = (geometry) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const walk = (coords) => {
+    if (typeof coords[0] === "number") {
+      if (coords[0] < minX) minX = coords[0];
+      if (coords[0] > maxX) maxX = coords[0];
+      if (coords[1] < minY) minY = coords[1];
+      if (coords[1] > maxY) maxY = coords[1];
+      return;
+    }
+    coords.forEach(walk);
+  };
+  if (geometry?.coordinates) walk(geometry.coordinates);
+  return [minX, minY, maxX, maxY];
+};
+
+/* ---------------- Admin areas ---------------- */
+// marker field -> sublocation property
+export const ADMIN_FIELDS = [
+  { key: "sublocation", prop: "SLNAME", label: "Sublocation" },
+  { key: "location", prop: "LOCNAME", label: "Location" },
+  { key: "division", prop: "DIVNAME", label: "Division" },
+  { key: "constituency", prop: "CONSTITUEN", label: "Constituency" },
+];
+
+export const EMPTY_ADMIN = ADMIN_FIELDS.reduce((acc, f) => ({ ...acc, [f.key]: "" }), {});
+
+// Returns (lat, lng) => { sublocation, location, division, constituency } ("" when outside every polygon)
+export const createAdminLookup = (featureCollection) => {
+  const entries = (featureCollection?.features || [])
+    .filter((f) => f.geometry)
+    .map((f) => ({ feature: f, bbox: geometryBounds(f.geometry) }));
+
+  return (lat, lng) => {
+    for (const { feature, bbox } of entries) {
+      if (lng < bbox[0] || lng > bbox[2] || lat < bbox[1] || lat > bbox[3]) continue;
+      if (pointInGeometry(lng, lat, feature.geometry)) {
+        return ADMIN_FIELDS.reduce(
+          (acc, f) => ({ ...acc, [f.key]: feature.properties?.[f.prop] || "" }),
+          {}
+        );
+      }
+    }
+    return { ...EMPTY_ADMIN };
+  };
+};
+
+// unique, sorted admin names per level, for filter pickers
+export const listAdminAreas = (featureCollection) =>
+  ADMIN_FIELDS.map((f) => ({
+    ...f,
+    values: [...new Set((featureCollection?.features || []).map((ft) => ft.properties?.[f.prop]).filter(Boolean))].sort(),
+  }));
+
+/* ---------------- Drawn shapes ---------------- */
+// circles are stored by ShapeDrawer as a Point with properties.radius (metres)
+export const isCircleShape = (shape) => shape?.geometry?.type === "Point" && shape.properties?.radius > 0;
+
+// is [lat, lng] inside a drawn shape? circles use geodesic distance to the centre
+export const markerInShape = (position, shape) => {
+  if (!shape?.geometry || !position) return false;
+  const [lat, lng] = position;
+  if (isCircleShape(shape)) {
+    const [cLng, cLat] = shape.geometry.coordinates;
+    return haversineDistance(lat, lng, cLat, cLng) <= shape.properties.radius;
+  }
+  return pointInGeometry(lng, lat, shape.geometry);
+};
+
+// [[south, west], [north, east]] for fitBounds
+export const shapeBounds = (shape) => {
+  if (isCircleShape(shape)) {
+    const [lng, lat] = shape.geometry.coordinates;
+    const r = shape.properties.radius;
+    const dLat = (r / EARTH_RADIUS) * (180 / Math.PI);
+    const dLng = dLat / Math.max(Math.cos(toRad(lat)), 1e-6);
+    return [
+      [lat - dLat, lng - dLng],
+      [lat + dLat, lng + dLng],
+    ];
+  }
+  const [minX, minY, maxX, maxY] = geometryBounds(shape?.geometry);
+  return [
+    [minY, minX],
+    [maxY, maxX],
+  ];
+};
+
+// destination point `distance` metres from [lat, lng] on `bearing` degrees
+export const destinationPoint = (lat, lng, distance, bearing) => {
+  const δ = distance / EARTH_RADIUS;
+  const θ = toRad(bearing);
+  const φ1 = toRad(lat);
+  const λ1 = toRad(lng);
+  const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+  const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+  return [(φ2 * 180) / Math.PI, ((((λ2 * 180) / Math.PI + 540) % 360) - 180)];
+};
+
+// GeoJSON Polygon approximating a geodesic circle (for formats without circles)
+export const circleToPolygon = (lat, lng, radius, steps = 64) => {
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    const [pLat, pLng] = destinationPoint(lat, lng, radius, (i * 360) / steps);
+    ring.push([pLng, pLat]);
+  }
+  ring.push(ring[0]);
+  return { type: "Polygon", coordinates: [ring] };
+};
@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import {
+  createAdminLookup,
+  haversineDistance,
+  listAdminAreas,
+  markerInShape,
+  pointInGeometry,
+  shapeBounds,
+} from "./geo";
+
+const sublocations = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "../../../../public/data/nairobi_sublogs.geojson"), "utf8")
+);
+
+test("haversineDistance matches a known distance", () => {
+  // ~1 degree of latitude
+  expect(haversineDistance(0, 36, 1, 36)).toBeCloseTo(111195, -2);
+  expect(haversineDistance(-1.29, 36.82, -1.29, 36.82)).toBe(0);
+});
+
+test("pointInGeometry respects polygon holes", () => {
+  const geometry = {
+    type: "Polygon",
+    coordinates: [
+      [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+      [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]],
+    ],
+  };
+  expect(pointInGeometry(2, 2, geometry)).toBe(true);
+  expect(pointInGeometry(5, 5, geometry)).toBe(false);
+  expect(pointInGeometry(11, 5, geometry)).toBe(false);
+});
+
+test("admin lookup tags a point inside Embakasi", () => {
+  const lookup = createAdminLookup(sublocations);
+  expect(lookup(-1.32, 36.93)).toEqual({
+    sublocation: "EMBAKASI",
+    location: "EMBAKASI",
+    division: "EMBAKASI",
+    constituency: "EMBAKASI",
+  });
+});
+
+test("admin lookup returns empty tags outside Nairobi", () => {
+  const lookup = createAdminLookup(sublocations);
+  expect(lookup(0, 0).sublocation).toBe("");
+});
+
+test("listAdminAreas lists unique division names", () => {
+  const division = listAdminAreas(sublocations).find((l) => l.key === "division");
+  expect(division.values).toContain("EMBAKASI");
+  expect(new Set(division.values).size).toBe(division.values.length);
+});
+
+test("markerInShape uses geodesic distance for circles", () => {
+  const circle = { type: "Feature", properties: { radius: 500 }, geometry: { type: "Point", coordinates: [36.82, -1.29] } };
+  // ~445 m north of the centre
+  expect(markerInShape([-1.286, 36.82], circle)).toBe(true);
+  // ~556 m north of the centre
+  expect(markerInShape([-1.285, 36.82], circle)).toBe(false);
+});
+
+test("markerInShape handles polygons and ignores lines", () => {
+  const square = { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [[[36, -2], [37, -2], [37, -1], [36, -1], [36, -2]]] } };
+  const line = { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[36, -2], [37, -1]] } };
+  expect(markerInShape([-1.5, 36.5], square)).toBe(true);
+  expect(markerInShape([-0.5, 36.5], square)).toBe(false);
+  expect(markerInShape([-1.5, 36.5], line)).toBe(false);
+});
+
+test("shapeBounds covers a circle's radius", () => {
+  const circle = { type: "Feature", properties: { radius: 1000 }, geometry: { type: "Point", coordinates: [36.82, -1.29] } };
+  const [[south], [north]] = shapeBounds(circle);
+  expect(haversineDistance(south, 36.82, north, 36.82)).toBeCloseTo(2000, 0);
+});
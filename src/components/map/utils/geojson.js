@@ -0,0 +1,197 @@
+/* ---------------- GeoJSON interchange ----------------
+   Whole-map export/import: markers become Point features, drawn shapes keep
+   their geometry + metadata (circles stay Points with properties.radius).
+   `properties.featureType` ("marker" | "shape") tells them apart on import.
+   The map's category list travels as a top-level `categories` member.
+   Marker attributes (schema fields, extra CSV columns) are flattened into the
+   properties, so other GIS tools see them as ordinary columns.
+*/
+import { ADMIN_FIELDS } from "./geo";
+import { TIME_FIELDS, normalizeTime } from "./time";
+import { newMarkerId } from "../markers/ids";
+
+const MARKER_PROPS = ["id", "title", "description", "category", ...TIME_FIELDS.map((f) => f.key)];
+// properties with a meaning of their own; attributes named like these stay nested under `attributes`
+const RESERVED_PROPS = new Set([...MARKER_PROPS, ...ADMIN_FIELDS.map((f) => f.key), "featureType", "attributes", "image", "imageId", "name", "radius"]);
+
+export const markerToFeature = (m, { includeImages = false } = {}) => {
+  const properties = { featureType: "marker" };
+  MARKER_PROPS.forEach((k) => {
+    if (m[k] !== undefined) properties[k] = m[k];
+  });
+  ADMIN_FIELDS.forEach((f) => {
+    if (m[f.key]) properties[f.key] = m[f.key];
+  });
+  const nested = {};
+  Object.entries(m.attributes || {}).forEach(([k, v]) => {
+    if (RESERVED_PROPS.has(k)) nested[k] = v;
+    else properties[k] = v;
+  });
+  if (Object.keys(nested).length) properties.attributes = nested;
+  if (includeImages && m.image) properties.image = m.image;
+  return {
+    type: "Feature",
+    properties,
+    geometry: { type: "Point", coordinates: [m.position[1], m.position[0]] },
+  };
+};
+
+export const shapeToFeature = (s) => ({
+  type: "Feature",
+  properties: { ...s.properties, featureType: "shape" },
+  geometry: s.geometry,
+});
+
+export const mapToFeatureCollection = ({ name, markers = [], shapes = [], categories = [] }, options = {}) => ({
+  type: "FeatureCollection",
+  name,
+  ...(categories.length ? { categories } : {}),
+  features: [...markers.map((m) => markerToFeature(m, options)), ...shapes.map(shapeToFeature)],
+});
+
+/* ---------------- validation ---------------- */
+const isPosition = (p) =>
+  Array.isArray(p) &&
+  p.length >= 2 &&
+  typeof p[0] === "number" &&
+  typeof p[1] === "number" &&
+  isFinite(p[0]) &&
+  isFinite(p[1]) &&
+  p[0] >= -180 &&
+  p[0] <= 180 &&
+  p[1] >= -90 &&
+  p[1] <= 90;
+
+const checkLine = (coords) => {
+  if (!Array.isArray(coords) || coords.length < 2) return "line needs at least 2 positions";
+  if (!coords.every(isPosition)) return "invalid position in line";
+  return null;
+};
+
+const checkRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4) return "polygon ring needs at least 4 positions";
+  if (!ring.every(isPosition)) return "invalid position in polygon";
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) return "polygon ring is not closed";
+  return null;
+};
+
+const checkPolygon = (rings) => {
+  if (!Array.isArray(rings) || !rings.length) return "polygon has no rings";
+  for (const ring of rings) {
+    const err = checkRing(ring);
+    if (err) return err;
+  }
+  return null;
+};
+
+const firstError = (items, check) => {
+  if (!Array.isArray(items) || !items.length) return "empty multi-geometry";
+  for (const item of items) {
+    const err = check(item);
+    if (err) return err;
+  }
+  return null;
+};
+
+// null when valid, otherwise a short reason
+export const validateGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== "object") return "missing geometry";
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case "Point":
+      return isPosition(c) ? null : "invalid point coordinates";
+    case "MultiPoint":
+      return firstError(c, (p) => (isPosition(p) ? null : "invalid point coordinates"));
+    case "LineString":
+      return checkLine(c);
+    case "MultiLineString":
+      return firstError(c, checkLine);
+    case "Polygon":
+      return checkPolygon(c);
+    case "MultiPolygon":
+      return firstError(c, checkPolygon);
+    default:
+      return `unsupported geometry type "${geometry.type}"`;
+  }
+};
+
+/* ---------------- import ---------------- */
+const toFeatures = (json) => {
+  if (!json || typeof json !== "object") return null;
+  if (json.type === "FeatureCollection" && Array.isArray(json.features)) return json.features;
+  if (json.type === "Feature") return [json];
+  if (json.type && json.coordinates) return [{ type: "Feature", properties: {}, geometry: json }];
+  return null;
+};
+
+/* Splits a GeoJSON document into { markers, shapes, categories, errors }.
+   - Points (without a radius) become markers; MultiPoints become one marker per point
+   - everything else (and Points with properties.radius) becomes a drawn shape
+   - errors are "Feature N: reason" strings, like the CSV importer's row warnings
+   Marker categories are kept as-is (the caller adds unknown ones to the map's list);
+   markers without one get `defaultCategory`.
+   `isDuplicate(lat, lng, acceptedMarkers)` lets the caller skip markers that already exist. */
+export const parseMapGeoJSON = (json, { defaultCategory = "General", isDuplicate = () => false } = {}) => {
+  const features = toFeatures(json);
+  if (!features) throw new Error("Not a GeoJSON Feature, FeatureCollection or geometry.");
+
+  const markers = [];
+  const shapes = [];
+  const errors = [];
+
+  const pushMarker = (props, [lng, lat], label) => {
+    if (isDuplicate(lat, lng, markers)) {
+      errors.push(`${label}: duplicate marker skipped`);
+      return;
+    }
+    const category = typeof props.category === "string" && props.category.trim() ? props.category.trim() : defaultCategory;
+    // flattened attributes, plus the nested object older exports used
+    const attributes = Object.fromEntries(Object.entries(props).filter(([k, v]) => !RESERVED_PROPS.has(k) && v !== null && typeof v !== "object"));
+    if (props.attributes && typeof props.attributes === "object") Object.assign(attributes, props.attributes);
+    markers.push({
+      id: newMarkerId(),
+      position: [lat, lng],
+      title: String(props.title ?? props.name ?? "Imported Marker"),
+      description: String(props.description ?? ""),
+      category,
+      image: typeof props.image === "string" && props.image.startsWith("data:") ? props.image : null,
+      ...Object.fromEntries(TIME_FIELDS.map((f) => [f.key, normalizeTime(props[f.key])]).filter(([, v]) => v)),
+      ...(Object.keys(attributes).length ? { attributes } : {}),
+    });
+  };
+
+  features.forEach((f, i) => {
+    const label = `Feature ${i + 1}`;
+    if (!f || f.type !== "Feature") {
+      errors.push(`${label}: not a Feature`);
+      return;
+    }
+    const err = validateGeometry(f.geometry);
+    if (err) {
+      errors.push(`${label}: ${err}`);
+      return;
+    }
+    const props = f.properties || {};
+    const { type, coordinates } = f.geometry;
+    const isCircle = type === "Point" && Number(props.radius) > 0;
+
+    if (props.featureType !== "shape" && !isCircle && (type === "Point" || type === "MultiPoint")) {
+      if (type === "Point") pushMarker(props, coordinates, label);
+      else coordinates.forEach((p) => pushMarker(props, p, label));
+      return;
+    }
+    if (type === "Point" && !isCircle) {
+      errors.push(`${label}: shape point without a radius`);
+      return;
+    }
+
+    const { featureType, ...shapeProps } = props;
+    if (isCircle) shapeProps.radius = Number(props.radius);
+    shapes.push({ type: "Feature", properties: shapeProps, geometry: f.geometry });
+  });
+
+  const categories = Array.isArray(json.categories) ? json.categories.filter((c) => c && typeof c.key === "string") : [];
+  return { markers, shapes, categories, errors };
+};
@@ -0,0 +1,88 @@
+import { mapToFeatureCollection, parseMapGeoJSON, validateGeometry } from "./geojson";
+
+const marker = {
+  id: 1,
+  position: [-1.29, 36.82],
+  title: "Cafe",
+  description: "Coffee",
+  category: "Restaurant",
+  image: "data:image/png;base64,AAAA",
+  createdAt: "2024-05-01T08:00:00.000Z",
+  updatedAt: "2024-05-01T08:00:00.000Z",
+  start: "2024-06-01T18:00:00.000Z",
+};
+const circle = {
+  type: "Feature",
+  properties: { id: "shape_1", name: "Zone", radius: 250 },
+  geometry: { type: "Point", coordinates: [36.8, -1.3] },
+};
+const polygon = {
+  type: "Feature",
+  properties: { id: "shape_2", name: "Plot" },
+  geometry: { type: "Polygon", coordinates: [[[36, -2], [37, -2], [37, -1], [36, -2]]] },
+};
+
+test("export round-trips markers and shapes", () => {
+  const categories = [{ key: "Restaurant", color: "#e74c3c", glyph: "utensils" }];
+  const fc = mapToFeatureCollection({ name: "Test", markers: [marker], shapes: [circle, polygon], categories }, { includeImages: true });
+  expect(fc.features).toHaveLength(3);
+  expect(fc.features[0].geometry.coordinates).toEqual([36.82, -1.29]);
+
+  const { markers, shapes, errors, ...rest } = parseMapGeoJSON(JSON.parse(JSON.stringify(fc)));
+  expect(errors).toEqual([]);
+  expect(rest.categories).toEqual(categories);
+  expect(markers[0]).toMatchObject({ position: [-1.29, 36.82], title: "Cafe", category: "Restaurant", image: marker.image });
+  expect(markers[0]).toMatchObject({ createdAt: marker.createdAt, updatedAt: marker.updatedAt, start: marker.start });
+  expect(markers[0].end).toBeUndefined();
+  expect(shapes.map((s) => s.properties.name)).toEqual(["Zone", "Plot"]);
+  expect(shapes[0].properties.radius).toBe(250);
+  expect(shapes[0].properties.featureType).toBeUndefined();
+});
+
+test("images are only exported when asked for", () => {
+  const fc = mapToFeatureCollection({ markers: [marker] });
+  expect(fc.features[0].properties.image).toBeUndefined();
+});
+
+test("attributes are flat properties, and come back as attributes", () => {
+  const fc = mapToFeatureCollection({ markers: [{ ...marker, attributes: { cuisine: "Swahili", rating: 4, title: "clash" } }] });
+  expect(fc.features[0].properties).toMatchObject({ cuisine: "Swahili", rating: 4, title: "Cafe", attributes: { title: "clash" } });
+
+  const [parsed] = parseMapGeoJSON(JSON.parse(JSON.stringify(fc))).markers;
+  expect(parsed.attributes).toEqual({ cuisine: "Swahili", rating: 4, title: "clash" });
+  // other tools' columns are kept too; older exports nested everything under `attributes`
+  const foreign = { type: "Feature", properties: { name: "Kiosk", amenity: "cafe", attributes: { rating: 3 } }, geometry: { type: "Point", coordinates: [36.8, -1.3] } };
+  expect(parseMapGeoJSON(foreign).markers[0].attributes).toEqual({ amenity: "cafe", rating: 3 });
+});
+
+test("validateGeometry rejects bad geometries", () => {
+  expect(validateGeometry({ type: "Point", coordinates: [200, 0] })).toMatch(/invalid/);
+  expect(validateGeometry({ type: "LineString", coordinates: [[0, 0]] })).toMatch(/at least 2/);
+  expect(validateGeometry({ type: "Polygon", coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] })).toMatch(/not closed/);
+  expect(validateGeometry({ type: "GeometryCollection", geometries: [] })).toMatch(/unsupported/);
+  expect(validateGeometry(polygon.geometry)).toBeNull();
+});
+
+test("bad features and duplicates are reported per feature", () => {
+  const fc = {
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", properties: { title: "A" }, geometry: { type: "Point", coordinates: [36.8, -1.3] } },
+      { type: "Feature", properties: {}, geometry: null },
+      { type: "Feature", properties: { title: "B", category: "Unknown" }, geometry: { type: "Point", coordinates: [36.9, -1.3] } },
+      { type: "Feature", properties: { title: "C" }, geometry: { type: "Point", coordinates: [37, -1.3] } },
+    ],
+  };
+  const { markers, errors } = parseMapGeoJSON(fc, {
+    defaultCategory: "Other",
+    isDuplicate: (lat, lng) => lng === 36.8,
+  });
+  expect(markers.map((m) => m.title)).toEqual(["B", "C"]);
+  // unknown categories are kept for the caller to add; missing ones get the default
+  expect(markers.map((m) => m.category)).toEqual(["Unknown", "Other"]);
+  expect(errors).toEqual(["Feature 1: duplicate marker skipped", "Feature 2: missing geometry"]);
+});
+
+test("non-GeoJSON input throws", () => {
+  expect(() => parseMapGeoJSON({ foo: 1 })).toThrow();
+});
@@ -0,0 +1,90 @@
+/* ---------------- GPX ----------------
+   Import: waypoints -> markers, tracks / routes -> line shapes.
+   Export: markers as <wpt>, lines as <trk>; polygon and circle outlines are
+   written as closed tracks (GPX has no area type). A waypoint's <time> carries
+   the marker's creation time (GPX has nothing for start/end).
+*/
+import { gpx as gpxToGeoJSON } from "@tmcw/togeojson";
+import { circleToPolygon, isCircleShape } from "./geo";
+import { escapeXml, flattenFeatures, parseXml } from "./kml";
+
+export const prepareGpxFeatures = (fc) => ({
+  type: "FeatureCollection",
+  features: flattenFeatures(fc.features || [])
+    .filter((f) => f.geometry)
+    .map((f) => {
+      const p = f.properties || {};
+      const isPoint = f.geometry.type === "Point";
+      // a waypoint's <time> is when it was recorded: its creation time
+      const description = [p.desc, p.cmt, !isPoint && p.time ? `Time: ${p.time}` : ""].filter(Boolean).join("\n");
+      const properties = isPoint
+        ? { featureType: "marker", title: p.name || "Waypoint", description, category: p.type || "", createdAt: p.time || undefined }
+        : {
+            featureType: "shape",
+            name: p.name || (p._gpxType === "rte" ? "GPX Route" : "GPX Track"),
+            description,
+          };
+      // GPX positions may carry elevation; keep 2D coordinates like the rest of the app
+      const strip = (c) => (typeof c[0] === "number" ? c.slice(0, 2) : c.map(strip));
+      return { type: "Feature", properties, geometry: { ...f.geometry, coordinates: strip(f.geometry.coordinates) } };
+    }),
+});
+
+export const parseGPX = (text) => prepareGpxFeatures(gpxToGeoJSON(parseXml(text)));
+
+const trkseg = (coords) =>
+  `      <trkseg>\n${coords.map(([lng, lat]) => `        <trkpt lat="${lat}" lon="${lng}"/>`).join("\n")}\n      </trkseg>`;
+
+// list of coordinate arrays (segments) for a shape
+const shapeSegments = (shape) => {
+  const g = shape.geometry;
+  if (isCircleShape(shape)) {
+    const [lng, lat] = g.coordinates;
+    return circleToPolygon(lat, lng, shape.properties.radius).coordinates;
+  }
+  switch (g.type) {
+    case "LineString":
+      return [g.coordinates];
+    case "MultiLineString":
+      return g.coordinates;
+    case "Polygon":
+      return [g.coordinates[0]];
+    case "MultiPolygon":
+      return g.coordinates.map((poly) => poly[0]);
+    default:
+      return [];
+  }
+};
+
+export const toGPX = ({ name, markers = [], shapes = [] }) => {
+  const waypoints = markers
+    .map(
+      (m) => `  <wpt lat="${m.position[0]}" lon="${m.position[1]}">
+${m.createdAt ? `    <time>${escapeXml(m.createdAt)}</time>\n` : ""}    <name>${escapeXml(m.title)}</name>
+    <desc>${escapeXml(m.description)}</desc>
+    <type>${escapeXml(m.category || "General")}</type>
+  </wpt>`
+    )
+    .join("\n");
+
+  const tracks = shapes
+    .map((s) => {
+      const segments = shapeSegments(s);
+      if (!segments.length) return "";
+      return `  <trk>
+    <name>${escapeXml(s.properties?.name)}</name>
+    <desc>${escapeXml(s.properties?.description)}</desc>
+${segments.map(trkseg).join("\n")}
+  </trk>`;
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="project-on-gis" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeXml(name)}</name></metadata>
+${waypoints}
+${tracks}
+</gpx>
+`;
+};
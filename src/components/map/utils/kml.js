@@ -0,0 +1,216 @@
+/* ---------------- KML / KMZ ----------------
+   Import: KML text (or the .kml inside a KMZ) -> GeoJSON via @tmcw/togeojson,
+   then prepared for parseMapGeoJSON (placemarks -> markers, lines/polygons -> shapes).
+   Export: markers as Placemarks with per-category icon styles, shapes with their colours.
+*/
+import { kml as kmlToGeoJSON } from "@tmcw/togeojson";
+import JSZip from "jszip";
+import { circleToPolygon, isCircleShape } from "./geo";
+import { normalizeTime } from "./time";
+
+export const escapeXml = (s) =>
+  String(s ?? "").replace(/[<>&'"]/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[ch]));
+
+export const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("File is not valid XML.");
+  return doc;
+};
+
+/* ---------------- colours ---------------- */
+const hexToRgb = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+// KML colours are aabbggrr
+export const hexToKmlColor = (hex, alpha = "ff") => {
+  const rgb = hexToRgb(hex) || [51, 136, 255];
+  const h = (n) => n.toString(16).padStart(2, "0");
+  return `${alpha}${h(rgb[2])}${h(rgb[1])}${h(rgb[0])}`;
+};
+
+const textOf = (v) => (v && typeof v === "object" ? v.value ?? "" : v ?? "");
+
+/* Picks the category for a KML placemark:
+   1. its ExtendedData "category" (what toKML writes), even if the map doesn't have it yet
+   2. a known category name inside the styleUrl / icon href (e.g. "#Restaurant", "restaurant.png")
+   3. otherwise the known category colour nearest (RGB distance) to the icon colour
+   4. otherwise "" (the importer's default category) */
+export const closestCategory = (props, categories) => {
+  const exact = String(textOf(props.category)).trim();
+  if (exact) return exact;
+
+  const hint = `${props.styleUrl || ""} ${props.icon || ""}`.toLowerCase();
+  const named = categories.find((c) => c.key !== "General" && hint.includes(c.key.toLowerCase()));
+  if (named) return named.key;
+
+  const rgb = hexToRgb(props["marker-color"] || props["icon-color"]);
+  if (!rgb) return "";
+  let best = "";
+  let bestDist = Infinity;
+  categories.forEach((c) => {
+    const crgb = hexToRgb(c.color);
+    if (!crgb) return;
+    const d = (crgb[0] - rgb[0]) ** 2 + (crgb[1] - rgb[1]) ** 2 + (crgb[2] - rgb[2]) ** 2;
+    if (d < bestDist) {
+      bestDist = d;
+      best = c.key;
+    }
+  });
+  return best;
+};
+
+// split GeometryCollections (KML MultiGeometry) into one feature per part
+export const flattenFeatures = (features) =>
+  features.flatMap((f) =>
+    f?.geometry?.type === "GeometryCollection"
+      ? f.geometry.geometries.map((g) => ({ ...f, geometry: g }))
+      : [f]
+  );
+
+// togeojson output -> FeatureCollection in the shape parseMapGeoJSON expects
+export const prepareKmlFeatures = (fc, categories) => ({
+  type: "FeatureCollection",
+  features: flattenFeatures(fc.features || [])
+    .filter((f) => f.geometry)
+    .map((f) => {
+      const p = f.properties || {};
+      const isPoint = f.geometry.type === "Point" || f.geometry.type === "MultiPoint";
+      const properties = isPoint
+        ? {
+            featureType: "marker",
+            title: textOf(p.name) || "Imported Placemark",
+            description: textOf(p.description),
+            category: closestCategory(p, categories),
+            // TimeSpan / TimeStamp, plus the ExtendedData toKML writes
+            start: p.timespan?.begin || p.timestamp || undefined,
+            end: p.timespan?.end || undefined,
+            createdAt: textOf(p.createdAt) || undefined,
+            updatedAt: textOf(p.updatedAt) || undefined,
+          }
+        : {
+            featureType: "shape",
+            name: textOf(p.name) || "Imported Shape",
+            description: textOf(p.description),
+            ...(hexToRgb(p.stroke) ? { color: p.stroke } : {}),
+            ...(hexToRgb(p.fill) ? { fillColor: p.fill } : {}),
+          };
+      return { type: "Feature", properties, geometry: f.geometry };
+    }),
+});
+
+export const parseKML = (text, categories) => prepareKmlFeatures(kmlToGeoJSON(parseXml(text)), categories);
+
+// a KMZ is a zip holding doc.kml (or any single .kml) plus resources
+export const readKmzText = async (fileOrBuffer) => {
+  const zip = await JSZip.loadAsync(fileOrBuffer);
+  const entry = zip.file("doc.kml") || zip.file(/\.kml$/i)[0];
+  if (!entry) throw new Error("KMZ archive contains no .kml file.");
+  return entry.async("string");
+};
+
+/* ---------------- export ---------------- */
+const coordString = (coords) => coords.map(([lng, lat]) => `${lng},${lat},0`).join(" ");
+
+const polygonKml = (rings) => `<Polygon>
+        <outerBoundaryIs><LinearRing><coordinates>${coordString(rings[0])}</coordinates></LinearRing></outerBoundaryIs>${rings
+          .slice(1)
+          .map((r) => `\n        <innerBoundaryIs><LinearRing><coordinates>${coordString(r)}</coordinates></LinearRing></innerBoundaryIs>`)
+          .join("")}
+      </Polygon>`;
+
+const geometryKml = (shape) => {
+  const g = shape.geometry;
+  if (isCircleShape(shape)) {
+    const [lng, lat] = g.coordinates;
+    return polygonKml(circleToPolygon(lat, lng, shape.properties.radius).coordinates);
+  }
+  switch (g.type) {
+    case "LineString":
+      return `<LineString><coordinates>${coordString(g.coordinates)}</coordinates></LineString>`;
+    case "MultiLineString":
+      return `<MultiGeometry>${g.coordinates.map((l) => `<LineString><coordinates>${coordString(l)}</coordinates></LineString>`).join("")}</MultiGeometry>`;
+    case "Polygon":
+      return polygonKml(g.coordinates);
+    case "MultiPolygon":
+      return `<MultiGeometry>${g.coordinates.map(polygonKml).join("")}</MultiGeometry>`;
+    default:
+      return "";
+  }
+};
+
+// start/end as the <TimeSpan> Google Earth's time slider understands
+const timePrimitiveKml = (m) => {
+  const begin = normalizeTime(m.start);
+  const end = normalizeTime(m.end);
+  if (!begin && !end) return "";
+  return `\n    <TimeSpan>${begin ? `<begin>${begin}</begin>` : ""}${end ? `<end>${end}</end>` : ""}</TimeSpan>`;
+};
+
+const extendedDataKml = (data) =>
+  Object.entries(data)
+    .filter(([, v]) => v)
+    .map(([k, v]) => `<Data name="${k}"><value>${escapeXml(v)}</value></Data>`)
+    .join("");
+
+// white pin that KML viewers tint with the IconStyle colour
+export const KML_TINTABLE_ICON = "https://maps.google.com/mapfiles/kml/paddle/wht-blank.png";
+
+// category keys are free text ("Health Facility"); KML style ids must be XML names
+export const kmlStyleId = (key) => `cat-${String(key).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "")}`;
+
+/* `categories` = [{ key, color }]; `iconUrlFor(key)` gives an absolute icon URL
+   (defaults to a white pin tinted with the category colour). */
+export const toKML = ({ name, markers = [], shapes = [] }, { categories = [], iconUrlFor = () => KML_TINTABLE_ICON } = {}) => {
+  const styles = categories
+    .map(
+      (c) => `  <Style id="${kmlStyleId(c.key)}">
+    <IconStyle>
+      <color>${hexToKmlColor(c.color)}</color>
+      <Icon><href>${escapeXml(iconUrlFor(c.key))}</href></Icon>
+    </IconStyle>
+  </Style>`
+    )
+    .join("\n");
+
+  const markerPlacemarks = markers
+    .map(
+      (m) => `  <Placemark>
+    <name>${escapeXml(m.title)}</name>
+    <description>${escapeXml(m.description)}</description>${timePrimitiveKml(m)}
+    <styleUrl>#${kmlStyleId(m.category || "General")}</styleUrl>
+    <ExtendedData>${extendedDataKml({ category: m.category || "General", createdAt: m.createdAt, updatedAt: m.updatedAt })}</ExtendedData>
+    <Point><coordinates>${m.position[1]},${m.position[0]},0</coordinates></Point>
+  </Placemark>`
+    )
+    .join("\n");
+
+  const shapePlacemarks = shapes
+    .map((s) => {
+      const p = s.properties || {};
+      return `  <Placemark>
+    <name>${escapeXml(p.name)}</name>
+    <description>${escapeXml(p.description)}</description>
+    <Style>
+      <LineStyle><color>${hexToKmlColor(p.color)}</color><width>2</width></LineStyle>
+      <PolyStyle><color>${hexToKmlColor(p.fillColor, "66")}</color></PolyStyle>
+    </Style>
+    ${geometryKml(s)}
+  </Placemark>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+  <name>${escapeXml(name)}</name>
+${styles}
+${markerPlacemarks}
+${shapePlacemarks}
+</Document>
+</kml>
+`;
+};
@@ -0,0 +1,92 @@
+import JSZip from "jszip";
+import { closestCategory, hexToKmlColor, kmlStyleId, parseKML, readKmzText, toKML } from "./kml";
+import { parseGPX, toGPX } from "./gpx";
+import { parseMapGeoJSON } from "./geojson";
+
+const CATEGORIES = [
+  { key: "General", color: "#3388ff" },
+  { key: "Restaurant", color: "#e74c3c" },
+  { key: "College", color: "#27ae60" },
+];
+
+const map = {
+  name: "Field <Survey>",
+  markers: [
+    {
+      id: 1,
+      position: [-1.29, 36.82],
+      title: "Mama's Kitchen",
+      description: "Lunch",
+      category: "Restaurant",
+      createdAt: "2024-05-01T08:00:00.000Z",
+      updatedAt: "2024-05-02T09:30:00.000Z",
+      start: "2024-06-01T18:00:00.000Z",
+      end: "2024-06-01T22:00:00.000Z",
+    },
+  ],
+  shapes: [
+    {
+      type: "Feature",
+      properties: { id: "s1", name: "Road", description: "", color: "#ff0000", fillColor: "#00ff00" },
+      geometry: { type: "LineString", coordinates: [[36.8, -1.3], [36.81, -1.31]] },
+    },
+    {
+      type: "Feature",
+      properties: { id: "s2", name: "Zone", radius: 100, color: "#ff8c00", fillColor: "#ffff00" },
+      geometry: { type: "Point", coordinates: [36.8, -1.3] },
+    },
+  ],
+};
+
+test("hexToKmlColor converts to aabbggrr", () => {
+  expect(hexToKmlColor("#e74c3c")).toBe("ff3c4ce7");
+});
+
+test("closestCategory matches style names then colours", () => {
+  expect(closestCategory({ styleUrl: "#college-pin" }, CATEGORIES)).toBe("College");
+  expect(closestCategory({ "marker-color": "#ff0000" }, CATEGORIES)).toBe("Restaurant");
+  expect(closestCategory({}, CATEGORIES)).toBe("");
+  expect(closestCategory({ category: "Clinic", styleUrl: "#shop" }, CATEGORIES)).toBe("Clinic");
+});
+
+test("KML export re-imports as markers and shapes", () => {
+  const kml = toKML(map, { categories: CATEGORIES, iconUrlFor: (k) => `http://x/${k}.png` });
+  expect(kml).toContain("<name>Field &lt;Survey&gt;</name>");
+  const { markers, shapes, errors } = parseMapGeoJSON(parseKML(kml, CATEGORIES));
+  expect(errors).toEqual([]);
+  expect(markers[0]).toMatchObject({ title: "Mama's Kitchen", category: "Restaurant", position: [-1.29, 36.82] });
+  expect(markers[0]).toMatchObject({ createdAt: map.markers[0].createdAt, updatedAt: map.markers[0].updatedAt, start: map.markers[0].start, end: map.markers[0].end });
+  expect(shapes.map((s) => s.geometry.type)).toEqual(["LineString", "Polygon"]);
+  expect(shapes[0].properties.color).toBe("#ff0000");
+});
+
+test("KML style ids are valid XML names whatever the category key", () => {
+  expect(kmlStyleId("Health Facility")).toBe("cat-health-facility");
+  expect(kmlStyleId("Café & Bar")).toBe("cat-café-bar");
+  expect(kmlStyleId("2nd hand")).toBe("cat-2nd-hand");
+  const kml = toKML({ name: "x", markers: [{ id: 1, title: "Clinic", position: [-1.29, 36.82], category: "Health Facility" }] }, { categories: [{ key: "Health Facility", color: "#27ae60" }] });
+  expect(kml).toContain('<Style id="cat-health-facility">');
+  expect(kml).toContain("<styleUrl>#cat-health-facility</styleUrl>");
+});
+
+test("KMZ archives are unpacked", async () => {
+  const zip = new JSZip();
+  zip.file("doc.kml", toKML(map, { categories: CATEGORIES }));
+  const buf = await zip.generateAsync({ type: "uint8array" });
+  const text = await readKmzText(buf);
+  expect(text).toContain("<kml");
+});
+
+test("GPX waypoints and tracks round-trip", () => {
+  const gpx = toGPX(map);
+  const { markers, shapes, errors } = parseMapGeoJSON(parseGPX(gpx));
+  expect(errors).toEqual([]);
+  expect(markers[0]).toMatchObject({ title: "Mama's Kitchen", category: "Restaurant", description: "Lunch", createdAt: map.markers[0].createdAt });
+  expect(shapes).toHaveLength(2);
+  expect(shapes[0].geometry.type).toBe("LineString");
+  expect(shapes[0].geometry.coordinates[0]).toEqual([36.8, -1.3]);
+});
+
+test("invalid XML is rejected", () => {
+  expect(() => parseKML("<kml><Placemark>", CATEGORIES)).toThrow(/not valid XML/);
+});
@@ -0,0 +1,124 @@
+/* ---------------- Geodesic measurements ----------------
+   Area / perimeter / length for drawn shapes (GeoJSON, [lng, lat]).
+   Area uses the spherical-excess approximation Leaflet.draw's
+   GeometryUtil.geodesicArea uses; lengths use haversine.
+*/
+import { haversineDistance } from "./geo";
+
+const WGS84_RADIUS = 6378137;
+const toRad = (d) => (d * Math.PI) / 180;
+
+// area of a closed ring in m²
+export const ringArea = (ring) => {
+  if (!ring || ring.length < 3) return 0;
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[(i + 1) % ring.length];
+    area += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((area * WGS84_RADIUS * WGS84_RADIUS) / 2);
+};
+
+// length of a path in metres; `closed` adds the closing segment if missing
+export const pathLength = (coords, closed = false) => {
+  if (!coords || coords.length < 2) return 0;
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) {
+    total += haversineDistance(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]);
+  }
+  if (closed) {
+    const first = coords[0];
+    const last = coords[coords.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      total += haversineDistance(last[1], last[0], first[1], first[0]);
+    }
+  }
+  return total;
+};
+
+const polygonArea = (rings) => rings.reduce((sum, ring, i) => (i === 0 ? sum + ringArea(ring) : sum - ringArea(ring)), 0);
+const polygonPerimeter = (rings) => rings.reduce((sum, ring) => sum + pathLength(ring, true), 0);
+
+// { area, perimeter, length } in m² / m; fields that don't apply are null
+export const measureShape = (shape) => {
+  const geometry = shape?.geometry;
+  const result = { area: null, perimeter: null, length: null };
+  if (!geometry) return result;
+
+  if (geometry.type === "Point" && shape.properties?.radius > 0) {
+    const r = shape.properties.radius;
+    return { ...result, area: Math.PI * r * r, perimeter: 2 * Math.PI * r };
+  }
+
+  switch (geometry.type) {
+    case "Polygon":
+      return { ...result, area: polygonArea(geometry.coordinates), perimeter: polygonPerimeter(geometry.coordinates) };
+    case "MultiPolygon":
+      return {
+        ...result,
+        area: geometry.coordinates.reduce((sum, poly) => sum + polygonArea(poly), 0),
+        perimeter: geometry.coordinates.reduce((sum, poly) => sum + polygonPerimeter(poly), 0),
+      };
+    case "LineString":
+      return { ...result, length: pathLength(geometry.coordinates) };
+    case "MultiLineString":
+      return { ...result, length: geometry.coordinates.reduce((sum, line) => sum + pathLength(line), 0) };
+    default:
+      return result;
+  }
+};
+
+const fmt = (n, digits) => n.toLocaleString(undefined, { maximumFractionDigits: digits });
+
+export const MEASURE_UNITS = [
+  { key: "metric", label: "Metric" },
+  { key: "imperial", label: "Imperial" },
+];
+
+const FEET_PER_METRE = 3.28084;
+const METRES_PER_MILE = 1609.344;
+const M2_PER_FT2 = 0.09290304;
+const M2_PER_ACRE = 4046.8564224;
+const M2_PER_MI2 = 2589988.110336;
+
+// "12,345 m² · 1.23 ha · 0.012 km²" (imperial: "ft² · ac · mi²")
+export const formatArea = (m2, units = "metric") => {
+  if (m2 === null || m2 === undefined) return "";
+  if (units === "imperial") return `${fmt(m2 / M2_PER_FT2, 0)} ft² · ${fmt(m2 / M2_PER_ACRE, 2)} ac · ${fmt(m2 / M2_PER_MI2, 3)} mi²`;
+  return `${fmt(m2, 0)} m² · ${fmt(m2 / 1e4, 2)} ha · ${fmt(m2 / 1e6, 3)} km²`;
+};
+
+// "850 m" or "1.23 km" (imperial: "2,789 ft" or "1.23 mi")
+export const formatLength = (m, units = "metric") => {
+  if (m === null || m === undefined) return "";
+  if (units === "imperial") return m < METRES_PER_MILE ? `${fmt(m * FEET_PER_METRE, 0)} ft` : `${fmt(m / METRES_PER_MILE, 2)} mi`;
+  return m < 1000 ? `${fmt(m, 1)} m` : `${fmt(m / 1000, 2)} km`;
+};
+
+/* Ad-hoc measurement of clicked [lat, lng] points (measure mode):
+   { segments: [m...], length, area } — `closed` adds the closing segment and the area. */
+export const measureSketch = (points, closed = false) => {
+  const isPolygon = closed && points.length >= 3;
+  const path = isPolygon ? [...points, points[0]] : points;
+  const segments = path.slice(1).map(([lat, lng], i) => haversineDistance(path[i][0], path[i][1], lat, lng));
+  return {
+    segments,
+    length: segments.reduce((sum, d) => sum + d, 0),
+    area: isPolygon ? ringArea(points.map(([lat, lng]) => [lng, lat])) : null,
+  };
+};
+
+// sums over a list of shapes (uses stored measurements when present)
+export const totalMeasurements = (shapes) =>
+  shapes.reduce(
+    (acc, s) => {
+      const m = s.properties?.measurements || measureShape(s);
+      return {
+        area: acc.area + (m.area || 0),
+        perimeter: acc.perimeter + (m.perimeter || 0),
+        length: acc.length + (m.length || 0),
+      };
+    },
+    { area: 0, perimeter: 0, length: 0 }
+  );
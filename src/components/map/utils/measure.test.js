@@ -0,0 +1,59 @@
+import { formatArea, formatLength, measureShape, measureSketch, pathLength, ringArea } from "./measure";
+
+// ~1.11 km x ~1.11 km square at the equator
+const square = [[0, 0], [0.01, 0], [0.01, 0.01], [0, 0.01], [0, 0]];
+
+test("ringArea approximates a small square", () => {
+  expect(ringArea(square) / 1e6).toBeCloseTo(1.236, 2);
+});
+
+test("pathLength sums haversine segments", () => {
+  expect(pathLength([[0, 0], [0, 0.01]])).toBeCloseTo(1112, 0);
+  expect(pathLength(square.slice(0, 4), true)).toBeCloseTo(pathLength(square), 6);
+});
+
+test("measureShape handles polygons, circles and lines", () => {
+  const polygon = measureShape({ geometry: { type: "Polygon", coordinates: [square] } });
+  expect(polygon.area).toBeGreaterThan(0);
+  expect(polygon.perimeter).toBeCloseTo(4448, -1);
+  expect(polygon.length).toBeNull();
+
+  const circle = measureShape({ properties: { radius: 100 }, geometry: { type: "Point", coordinates: [0, 0] } });
+  expect(circle.area).toBeCloseTo(Math.PI * 1e4);
+  expect(circle.perimeter).toBeCloseTo(200 * Math.PI);
+
+  const line = measureShape({ geometry: { type: "LineString", coordinates: [[0, 0], [0, 0.01]] } });
+  expect(line.length).toBeCloseTo(1112, 0);
+  expect(line.area).toBeNull();
+});
+
+test("formatters show the expected units", () => {
+  expect(formatArea(25000)).toContain("ha");
+  expect(formatLength(500)).toBe("500 m");
+  expect(formatLength(2500)).toBe("2.5 km");
+});
+
+const M2_ACRE = 4046.8564224;
+
+test("imperial formatting switches from feet to miles", () => {
+  expect(formatLength(100, "imperial")).toBe("328 ft");
+  expect(formatLength(3218.688, "imperial")).toBe("2 mi");
+  expect(formatArea(M2_ACRE, "imperial")).toContain("1 ac");
+});
+
+test("measureSketch gives per-segment distances, and area once closed", () => {
+  const points = square.slice(0, 4).map(([lng, lat]) => [lat, lng]);
+  const open = measureSketch(points);
+  expect(open.segments).toHaveLength(3);
+  expect(open.length).toBeCloseTo(pathLength(square.slice(0, 4)), 6);
+  expect(open.area).toBeNull();
+
+  const closed = measureSketch(points, true);
+  expect(closed.segments).toHaveLength(4);
+  expect(closed.length).toBeCloseTo(pathLength(square), 6);
+  expect(closed.area).toBeCloseTo(ringArea(square), 6);
+
+  // two points can't enclose an area
+  expect(measureSketch(points.slice(0, 2), true)).toMatchObject({ segments: [expect.any(Number)], area: null });
+  expect(measureSketch([])).toEqual({ segments: [], length: 0, area: null });
+});
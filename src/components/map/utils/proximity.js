@@ -0,0 +1,146 @@
+/* ---------------- Proximity ----------------
+   Buffers (as storable shapes) and distance queries built on haversineDistance.
+   Line and polygon buffers are the union of "capsules" around each edge, kept as a
+   MultiPolygon (no polygon clipping); buffer shapes are drawn with a nonzero fill
+   rule so the overlapping parts render as one area.
+*/
+import { circleToPolygon, haversineDistance, isCircleShape, pointInGeometry } from "./geo";
+
+const EARTH_RADIUS = 6371e3; // metres, same sphere as haversineDistance
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+// local equirectangular frame (metres) around a reference latitude; fine for city-scale distances
+const frame = (lat0) => {
+  const k = Math.cos(toRad(lat0));
+  return {
+    toXY: ([lng, lat]) => [EARTH_RADIUS * toRad(lng) * k, EARTH_RADIUS * toRad(lat)],
+    toLngLat: ([x, y]) => [toDeg(x / (EARTH_RADIUS * k)), toDeg(y / EARTH_RADIUS)],
+  };
+};
+
+/* ---------------- distances ---------------- */
+
+// metres from (lat, lng) to the segment a-b ([lng, lat] positions)
+export const pointToSegmentDistance = (lat, lng, a, b) => {
+  const { toXY } = frame(lat);
+  const [px, py] = toXY([lng, lat]);
+  const [ax, ay] = toXY(a);
+  const [bx, by] = toXY(b);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  const [cLng, cLat] = frame(lat).toLngLat([ax + t * dx, ay + t * dy]);
+  return haversineDistance(lat, lng, cLat, cLng);
+};
+
+const pathDistance = (lat, lng, coords) => {
+  if (coords.length === 1) return haversineDistance(lat, lng, coords[0][1], coords[0][0]);
+  let best = Infinity;
+  for (let i = 1; i < coords.length; i++) best = Math.min(best, pointToSegmentDistance(lat, lng, coords[i - 1], coords[i]));
+  return best;
+};
+
+// metres from a [lat, lng] position to a stored shape (0 when inside an area)
+export const distanceToShape = (position, shape) => {
+  const [lat, lng] = position;
+  const g = shape?.geometry;
+  if (!g) return Infinity;
+  if (isCircleShape(shape)) {
+    const [cLng, cLat] = g.coordinates;
+    return Math.max(0, haversineDistance(lat, lng, cLat, cLng) - shape.properties.radius);
+  }
+  switch (g.type) {
+    case "Point":
+      return haversineDistance(lat, lng, g.coordinates[1], g.coordinates[0]);
+    case "LineString":
+      return pathDistance(lat, lng, g.coordinates);
+    case "MultiLineString":
+      return Math.min(...g.coordinates.map((l) => pathDistance(lat, lng, l)));
+    case "Polygon":
+    case "MultiPolygon": {
+      if (pointInGeometry(lng, lat, g)) return 0;
+      const rings = g.type === "Polygon" ? g.coordinates : g.coordinates.flat();
+      return Math.min(...rings.map((r) => pathDistance(lat, lng, r)));
+    }
+    default:
+      return Infinity;
+  }
+};
+
+// the `n` markers closest to (lat, lng), nearest first, as [{ marker, distance }]
+export const nearestMarkers = (markers, lat, lng, n = 5) =>
+  markers
+    .map((marker) => ({ marker, distance: haversineDistance(lat, lng, marker.position[0], marker.position[1]) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, n);
+
+/* ---------------- buffers ---------------- */
+
+// closed ring around segment a-b at `distance` metres (two half-circles joined by straight sides)
+export const segmentCapsule = (a, b, distance, steps = 16) => {
+  const { toXY, toLngLat } = frame((a[1] + b[1]) / 2);
+  const [ax, ay] = toXY(a);
+  const [bx, by] = toXY(b);
+  const heading = Math.atan2(by - ay, bx - ax);
+  const arc = ([cx, cy], from) =>
+    Array.from({ length: steps + 1 }, (_, i) => {
+      const t = from + (Math.PI * i) / steps;
+      return toLngLat([cx + distance * Math.cos(t), cy + distance * Math.sin(t)]);
+    });
+  // right side around b, then back along the left side around a
+  const ring = [...arc([bx, by], heading - Math.PI / 2), ...arc([ax, ay], heading + Math.PI / 2)];
+  return [...ring, ring[0]];
+};
+
+// shoelace sign in lng/lat: > 0 is counter-clockwise, the winding every capsule uses
+const ringArea = (ring) => ring.reduce((sum, [x1, y1], i) => {
+  const [x2, y2] = ring[(i + 1) % ring.length];
+  return sum + x1 * y2 - x2 * y1;
+}, 0);
+
+// outer ring counter-clockwise, holes clockwise, so holes still cut out under the nonzero fill rule
+const orientPolygon = (polygon) =>
+  polygon.map((ring, i) => ((ringArea(ring) > 0) === (i === 0) ? ring : [...ring].reverse()));
+
+const pathCapsules = (coords, distance) => {
+  const polys = [];
+  for (let i = 1; i < coords.length; i++) polys.push([segmentCapsule(coords[i - 1], coords[i], distance)]);
+  return polys;
+};
+
+/* Buffer geometry for a stored shape:
+   circles grow their radius (returned as { radius } so the result stays a circle),
+   lines/polygons become a MultiPolygon of the original area plus edge capsules. */
+export const bufferShapeGeometry = (shape, distance) => {
+  const g = shape.geometry;
+  if (isCircleShape(shape)) return { geometry: { type: "Point", coordinates: g.coordinates }, radius: shape.properties.radius + distance };
+  switch (g.type) {
+    case "Point":
+      return { geometry: g, radius: distance };
+    case "LineString":
+      return { geometry: { type: "MultiPolygon", coordinates: pathCapsules(g.coordinates, distance) } };
+    case "MultiLineString":
+      return { geometry: { type: "MultiPolygon", coordinates: g.coordinates.flatMap((l) => pathCapsules(l, distance)) } };
+    case "Polygon":
+    case "MultiPolygon": {
+      const polygons = g.type === "Polygon" ? [g.coordinates] : g.coordinates;
+      return {
+        geometry: {
+          type: "MultiPolygon",
+          // the polygon itself (holes included) plus capsules along every ring
+          coordinates: [...polygons.map(orientPolygon), ...polygons.flatMap((p) => p.flatMap((ring) => pathCapsules(ring, distance)))],
+        },
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// one circle per marker, as a MultiPolygon (a single marker is better buffered as a circle shape)
+export const markersBufferGeometry = (markers, distance, steps = 32) => ({
+  type: "MultiPolygon",
+  coordinates: markers.map((m) => circleToPolygon(m.position[0], m.position[1], distance, steps).coordinates),
+});
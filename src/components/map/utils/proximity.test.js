@@ -0,0 +1,74 @@
+import { haversineDistance, markerInShape } from "./geo";
+import {
+  bufferShapeGeometry,
+  distanceToShape,
+  markersBufferGeometry,
+  nearestMarkers,
+  pointToSegmentDistance,
+  segmentCapsule,
+} from "./proximity";
+
+// ~1.1 km east-west road through Nairobi CBD
+const road = { type: "Feature", properties: { id: "r" }, geometry: { type: "LineString", coordinates: [[36.81, -1.29], [36.82, -1.29]] } };
+const square = {
+  type: "Feature",
+  properties: { id: "p" },
+  geometry: { type: "Polygon", coordinates: [[[36.8, -1.3], [36.81, -1.3], [36.81, -1.29], [36.8, -1.29], [36.8, -1.3]]] },
+};
+
+test("point to segment distance uses the perpendicular foot or the nearest end", () => {
+  // 0.001° of latitude is ~111 m
+  expect(pointToSegmentDistance(-1.289, 36.815, [36.81, -1.29], [36.82, -1.29])).toBeCloseTo(111.2, 0);
+  const pastEnd = pointToSegmentDistance(-1.29, 36.821, [36.81, -1.29], [36.82, -1.29]);
+  expect(pastEnd).toBeCloseTo(haversineDistance(-1.29, 36.821, -1.29, 36.82), 3);
+});
+
+test("distance to shapes", () => {
+  expect(distanceToShape([-1.295, 36.805], square)).toBe(0);
+  expect(distanceToShape([-1.289, 36.805], square)).toBeCloseTo(111.2, 0);
+  expect(distanceToShape([-1.289, 36.815], road)).toBeCloseTo(111.2, 0);
+  const circle = { type: "Feature", properties: { radius: 100 }, geometry: { type: "Point", coordinates: [36.82, -1.29] } };
+  expect(distanceToShape([-1.29, 36.82], circle)).toBe(0);
+  expect(distanceToShape([-1.288, 36.82], circle)).toBeCloseTo(122.4, 0);
+});
+
+test("nearest markers are sorted and limited", () => {
+  const markers = [0.003, 0.001, 0.002, 0.004].map((d, i) => ({ id: i, position: [-1.29 + d, 36.82] }));
+  const result = nearestMarkers(markers, -1.29, 36.82, 2);
+  expect(result.map((r) => r.marker.id)).toEqual([1, 2]);
+  expect(result[0].distance).toBeCloseTo(111.2, 0);
+});
+
+test("a segment capsule contains exactly the points within the distance", () => {
+  const ring = segmentCapsule(...road.geometry.coordinates, 200);
+  expect(ring[0]).toEqual(ring[ring.length - 1]);
+  const shape = { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [ring] } };
+  expect(markerInShape([-1.2885, 36.815], shape)).toBe(true); // ~167 m north of the middle
+  expect(markerInShape([-1.2875, 36.815], shape)).toBe(false); // ~278 m
+  expect(markerInShape([-1.29, 36.8215], shape)).toBe(true); // ~167 m past the end
+  expect(markerInShape([-1.29, 36.8225], shape)).toBe(false);
+});
+
+test("buffers keep circles as circles and turn lines/polygons into multipolygons", () => {
+  const circle = { type: "Feature", properties: { radius: 100 }, geometry: { type: "Point", coordinates: [36.82, -1.29] } };
+  expect(bufferShapeGeometry(circle, 50)).toEqual({ geometry: circle.geometry, radius: 150 });
+
+  const lineBuffer = bufferShapeGeometry(road, 200);
+  expect(lineBuffer.geometry.type).toBe("MultiPolygon");
+  expect(lineBuffer.geometry.coordinates).toHaveLength(1);
+
+  const polyBuffer = { type: "Feature", properties: {}, geometry: bufferShapeGeometry(square, 100).geometry };
+  expect(polyBuffer.geometry.coordinates).toHaveLength(5); // the square + 4 edge capsules
+  expect(markerInShape([-1.295, 36.805], polyBuffer)).toBe(true);
+  expect(markerInShape([-1.2895, 36.805], polyBuffer)).toBe(true); // ~56 m outside the top edge
+  expect(markerInShape([-1.2885, 36.805], polyBuffer)).toBe(false);
+
+  // polygons are rewound counter-clockwise to match the capsules
+  const [outer] = polyBuffer.geometry.coordinates[0];
+  expect(outer).toEqual(square.geometry.coordinates[0]);
+  const clockwise = { ...square, geometry: { type: "Polygon", coordinates: [[...square.geometry.coordinates[0]].reverse()] } };
+  expect(bufferShapeGeometry(clockwise, 100).geometry.coordinates[0][0]).toEqual(square.geometry.coordinates[0]);
+
+  const cat = markersBufferGeometry([{ position: [-1.29, 36.82] }, { position: [-1.3, 36.8] }], 100);
+  expect(cat.coordinates).toHaveLength(2);
+});
@@ -0,0 +1,51 @@
+/* ---------------- Shape metadata ----------------
+   Drawn shapes are stored as GeoJSON Features; their attributes live in
+   `properties` so they survive Leaflet's toGeoJSON() and the map storage round trip.
+*/
+import { measureShape } from "./measure";
+
+export const DEFAULT_SHAPE_STYLE = { color: "#ff8c00", fillColor: "#ffff00" };
+
+let shapeSeq = 0;
+export const newShapeId = () => `shape_${Date.now()}_${shapeSeq++}`;
+
+export const createShapeProperties = (overrides = {}) => ({
+  id: newShapeId(),
+  name: "New Shape",
+  description: "",
+  category: "General",
+  ...DEFAULT_SHAPE_STYLE,
+  ...overrides,
+});
+
+// (re)compute area/perimeter/length into properties.measurements
+export const withMeasurements = (shape) => {
+  const measurements = measureShape(shape);
+  // multi-part buffers overlap (see utils/proximity.js): summing their parts would overstate area/perimeter
+  if (shape.properties?.buffer && shape.geometry?.type === "MultiPolygon") Object.assign(measurements, { area: null, perimeter: null });
+  return { ...shape, properties: { ...shape.properties, measurements } };
+};
+
+// fill in id/name/style/measurements for shapes saved before they carried metadata
+export const normalizeShape = (shape) => {
+  const props = shape.properties || {};
+  if (props.id && props.name !== undefined && props.color && props.fillColor && props.measurements) return shape;
+  return withMeasurements({ ...shape, properties: createShapeProperties(props) });
+};
+
+export const normalizeShapes = (shapes = []) => shapes.map(normalizeShape);
+
+export const shapeTypeLabel = (shape) => {
+  if (shape.geometry?.type === "Point" && shape.properties?.radius) return "Circle";
+  return shape.geometry?.type || "Shape";
+};
+
+// Leaflet path options for a stored shape
+export const shapeStyle = (shape) => ({
+  color: shape.properties?.color || DEFAULT_SHAPE_STYLE.color,
+  weight: 2,
+  fillColor: shape.properties?.fillColor || DEFAULT_SHAPE_STYLE.fillColor,
+  fillOpacity: 0.4,
+  // buffers are overlapping polygons (see utils/proximity.js): fill their union
+  ...(shape.properties?.buffer && { fillRule: "nonzero" }),
+});
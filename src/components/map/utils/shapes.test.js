@@ -0,0 +1,30 @@
+import { createShapeProperties, normalizeShape, shapeStyle, withMeasurements } from "./shapes";
+
+test("createShapeProperties gives unique ids and default styling", () => {
+  const a = createShapeProperties();
+  const b = createShapeProperties({ name: "Plot 7" });
+  expect(a.id).not.toBe(b.id);
+  expect(b.name).toBe("Plot 7");
+  expect(a.color).toMatch(/^#/);
+});
+
+test("normalizeShape keeps existing metadata and fills in legacy shapes", () => {
+  const legacy = { type: "Feature", properties: { radius: 20 }, geometry: { type: "Point", coordinates: [36.8, -1.3] } };
+  const normalized = normalizeShape(legacy);
+  expect(normalized.properties.radius).toBe(20);
+  expect(normalized.properties.id).toBeTruthy();
+  expect(normalizeShape(normalized)).toBe(normalized);
+});
+
+test("shapeStyle uses the stored colours", () => {
+  const shape = { properties: { color: "#000000", fillColor: "#ffffff" } };
+  expect(shapeStyle(shape)).toMatchObject({ color: "#000000", fillColor: "#ffffff" });
+});
+
+test("buffer shapes fill their overlapping parts as one area and skip summed areas", () => {
+  const square = (x) => [[[x, 0], [x + 0.01, 0], [x + 0.01, 0.01], [x, 0.01], [x, 0]]];
+  const buffer = { type: "Feature", properties: { buffer: { distance: 100 } }, geometry: { type: "MultiPolygon", coordinates: [square(0), square(0.005)] } };
+  expect(shapeStyle(buffer).fillRule).toBe("nonzero");
+  expect(shapeStyle({ properties: {} }).fillRule).toBeUndefined();
+  expect(withMeasurements(buffer).properties.measurements).toMatchObject({ area: null, perimeter: null });
+});
@@ -0,0 +1,86 @@
+/* ---------------- Spatial index ----------------
+   Uniform lat/lng grid over markers for "anything within N metres?" queries.
+   Duplicate checks look at a handful of cells instead of scanning every marker,
+   which keeps large imports linear instead of quadratic.
+*/
+import { haversineDistance } from "./geo";
+
+const CELL_DEG = 0.001; // ~111 m of latitude per cell
+const METERS_PER_DEG = 111320;
+
+export const createSpatialIndex = (markers = [], cellDeg = CELL_DEG) => {
+  const cells = new Map();
+  let size = 0;
+
+  const cellKey = (i, j) => `${i}:${j}`;
+
+  const add = (m) => {
+    const key = cellKey(Math.floor(m.position[0] / cellDeg), Math.floor(m.position[1] / cellDeg));
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(m);
+    else cells.set(key, [m]);
+    size += 1;
+  };
+
+  // calls fn(marker, distanceMeters) for every marker within radiusMeters of (lat, lng)
+  const forEachWithin = (lat, lng, radiusMeters, fn) => {
+    const dLat = radiusMeters / METERS_PER_DEG;
+    const dLng = radiusMeters / (METERS_PER_DEG * Math.max(Math.cos((lat * Math.PI) / 180), 1e-6));
+    const iMin = Math.floor((lat - dLat) / cellDeg);
+    const iMax = Math.floor((lat + dLat) / cellDeg);
+    const jMin = Math.floor((lng - dLng) / cellDeg);
+    const jMax = Math.floor((lng + dLng) / cellDeg);
+
+    const visit = (bucket) => {
+      for (const m of bucket) {
+        const d = haversineDistance(lat, lng, m.position[0], m.position[1]);
+        if (d <= radiusMeters && fn(m, d) === false) return false;
+      }
+      return true;
+    };
+
+    // a huge radius covers more cells than exist: walk the buckets instead
+    if ((iMax - iMin + 1) * (jMax - jMin + 1) > cells.size) {
+      for (const bucket of cells.values()) if (!visit(bucket)) return;
+      return;
+    }
+    for (let i = iMin; i <= iMax; i++) {
+      for (let j = jMin; j <= jMax; j++) {
+        const bucket = cells.get(cellKey(i, j));
+        if (bucket && !visit(bucket)) return;
+      }
+    }
+  };
+
+  // `accept(marker)` can exclude markers (e.g. the one being moved)
+  const hasWithin = (lat, lng, radiusMeters, accept = () => true) => {
+    let found = false;
+    forEachWithin(lat, lng, radiusMeters, (m) => {
+      if (!accept(m)) return true;
+      found = true;
+      return false;
+    });
+    return found;
+  };
+
+  markers.forEach(add);
+  return { add, forEachWithin, hasWithin, size: () => size };
+};
+
+/* Duplicate check in the shape the importers expect: (lat, lng, acceptedMarkers) => boolean.
+   `existing` is an index over the map's markers; markers the importer has already
+   accepted are indexed incrementally (a new accepted array starts a new import). */
+export const createDuplicateChecker = (existing, thresholdMeters = 5) => {
+  let acceptedList = null;
+  let acceptedIndex = null;
+  let indexed = 0;
+  return (lat, lng, accepted = []) => {
+    if (accepted !== acceptedList) {
+      acceptedList = accepted;
+      acceptedIndex = createSpatialIndex();
+      indexed = 0;
+    }
+    for (; indexed < accepted.length; indexed++) acceptedIndex.add(accepted[indexed]);
+    return existing.hasWithin(lat, lng, thresholdMeters) || acceptedIndex.hasWithin(lat, lng, thresholdMeters);
+  };
+};
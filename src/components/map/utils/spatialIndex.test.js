@@ -0,0 +1,37 @@
+import { haversineDistance } from "./geo";
+import { createDuplicateChecker, createSpatialIndex } from "./spatialIndex";
+
+const marker = (id, lat, lng) => ({ id, position: [lat, lng] });
+
+test("finds markers within a radius, including across cell edges", () => {
+  // 0.001° cells: these two straddle a boundary ~2 m apart
+  const index = createSpatialIndex([marker(1, -1.29, 36.82), marker(2, -1.2900001, 36.82002)]);
+  expect(index.size()).toBe(2);
+  expect(index.hasWithin(-1.29, 36.82001, 5)).toBe(true);
+  expect(index.hasWithin(-1.2905, 36.82, 5)).toBe(false);
+  expect(index.hasWithin(-1.29, 36.82, 5, (m) => m.id !== 1)).toBe(true); // marker 2 is ~2 m away
+  expect(index.hasWithin(-1.29, 36.82, 1, (m) => m.id !== 1)).toBe(false);
+});
+
+test("forEachWithin agrees with a brute-force scan", () => {
+  const markers = Array.from({ length: 500 }, (_, i) => marker(i, -1.3 + (i % 25) * 0.0007, 36.8 + Math.floor(i / 25) * 0.0009));
+  const index = createSpatialIndex(markers);
+  const found = [];
+  index.forEachWithin(-1.29, 36.81, 400, (m) => {
+    found.push(m.id);
+  });
+  const expected = markers.filter((m) => haversineDistance(-1.29, 36.81, m.position[0], m.position[1]) <= 400).map((m) => m.id);
+  expect(found.sort((a, b) => a - b)).toEqual(expected);
+  expect(found.length).toBeGreaterThan(0);
+});
+
+test("the duplicate checker covers existing and already-accepted markers", () => {
+  const check = createDuplicateChecker(createSpatialIndex([marker(1, -1.29, 36.82)]));
+  const accepted = [];
+  expect(check(-1.29, 36.82, accepted)).toBe(true);
+  expect(check(-1.3, 36.9, accepted)).toBe(false);
+  accepted.push(marker(2, -1.3, 36.9));
+  expect(check(-1.3, 36.9, accepted)).toBe(true);
+  // a new import starts with its own accepted list
+  expect(check(-1.3, 36.9, [])).toBe(false);
+});
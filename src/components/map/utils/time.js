@@ -0,0 +1,126 @@
+/* ---------------- Marker time ----------------
+   Every marker carries `createdAt` / `updatedAt`, and optionally `start` / `end`
+   (events, temporary sites). All four are ISO 8601 strings, which is also how
+   they travel through CSV, GeoJSON, KML and GPX.
+   A marker is "active" from start (or creation) until end; without an end it
+   stays active, except a marker with only a start, which is a single moment.
+*/
+export const TIME_FIELDS = [
+  { key: "createdAt", label: "Created" },
+  { key: "updatedAt", label: "Modified" },
+  { key: "start", label: "Start" },
+  { key: "end", label: "End" },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+// ids are Date.now() at creation for markers made before timestamps existed
+const MIN_ID_TIMESTAMP = Date.UTC(2000, 0, 1);
+
+// anything Date can read (ISO string, ms number, Date) -> ISO string, else null
+export const normalizeTime = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const t = value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(String(value).trim());
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+};
+
+const ms = (iso) => (iso ? Date.parse(iso) : NaN);
+
+// new / imported markers: created and modified now unless they say otherwise
+export const stampMarker = (m, now = new Date()) => {
+  const createdAt = normalizeTime(m.createdAt) || now.toISOString();
+  return { ...m, createdAt, updatedAt: normalizeTime(m.updatedAt) || createdAt };
+};
+
+// saved markers from before timestamps: creation time recovered from the id where possible
+export const withTimestamps = (m) => {
+  if (m.createdAt) return m;
+  const createdAt = typeof m.id === "number" && m.id > MIN_ID_TIMESTAMP && m.id < Date.now() + DAY ? new Date(m.id).toISOString() : null;
+  return createdAt ? { ...m, createdAt, updatedAt: m.updatedAt || createdAt } : m;
+};
+
+export const touchMarker = (m, now = new Date()) => ({ ...m, updatedAt: now.toISOString() });
+
+// [from, to] in ms; to is Infinity for open-ended markers, null when the marker has no time at all
+export const markerInterval = (m) => {
+  const start = ms(m.start);
+  const end = ms(m.end);
+  const from = Number.isFinite(start) ? start : ms(m.createdAt);
+  if (!Number.isFinite(from)) return Number.isFinite(end) ? [-Infinity, end] : null;
+  if (Number.isFinite(end)) return [from, Math.max(from, end)];
+  return [from, Number.isFinite(start) ? start : Infinity];
+};
+
+// overlaps the window { from, to } (ms)? Markers without any time are always shown
+export const markerActiveIn = (m, { from, to }) => {
+  const interval = markerInterval(m);
+  return !interval || (interval[0] <= to && interval[1] >= from);
+};
+
+// earliest and latest moment any marker refers to, or null
+export const timeExtent = (markers) => {
+  let min = Infinity;
+  let max = -Infinity;
+  markers.forEach((m) => {
+    ["createdAt", "start", "end"].forEach((key) => {
+      const t = ms(m[key]);
+      if (!Number.isFinite(t)) return;
+      if (t < min) min = t;
+      if (t > max) max = t;
+    });
+  });
+  return min <= max ? [min, max] : null;
+};
+
+export const TIME_STEPS = [
+  { key: "hour", label: "Hour", ms: 60 * 60 * 1000 },
+  { key: "day", label: "Day", ms: DAY },
+  { key: "week", label: "Week", ms: 7 * DAY },
+  { key: "month", label: "30 days", ms: 30 * DAY },
+  { key: "year", label: "Year", ms: 365 * DAY },
+];
+
+// the step giving roughly `target` buckets over the extent
+export const pickTimeStep = ([min, max], target = 30) => TIME_STEPS.find((s) => (max - min) / s.ms <= target) || TIME_STEPS[TIME_STEPS.length - 1];
+
+const startOfDay = (t) => {
+  const d = new Date(t);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+/* Markers added per time bucket (by createdAt) plus the running total, for charts:
+   [{ t, added, total }] with t the bucket start in ms. */
+export const markersOverTime = (markers, step) => {
+  const times = markers.map((m) => ms(m.createdAt)).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!times.length) return [];
+  const origin = step.ms >= DAY ? startOfDay(times[0]) : times[0] - (times[0] % step.ms);
+  const buckets = [];
+  let i = 0;
+  for (let t = origin; i < times.length; t += step.ms) {
+    let added = 0;
+    while (i < times.length && times[i] < t + step.ms) {
+      added += 1;
+      i += 1;
+    }
+    buckets.push({ t, added, total: i });
+  }
+  return buckets;
+};
+
+export const formatTime = (value, withTime = true) => {
+  const t = typeof value === "number" ? value : ms(value);
+  if (!Number.isFinite(t)) return "";
+  const d = new Date(t);
+  return withTime ? d.toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : d.toLocaleDateString([], { dateStyle: "medium" });
+};
+
+// ISO <-> the local "YYYY-MM-DDTHH:mm" of <input type="datetime-local">
+export const toLocalInputValue = (iso) => {
+  const t = ms(iso);
+  if (!Number.isFinite(t)) return "";
+  const d = new Date(t);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const fromLocalInputValue = (value) => (value ? normalizeTime(new Date(value)) : null);
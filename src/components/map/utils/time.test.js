@@ -0,0 +1,72 @@
+import {
+  fromLocalInputValue,
+  markerActiveIn,
+  markerInterval,
+  markersOverTime,
+  normalizeTime,
+  pickTimeStep,
+  stampMarker,
+  timeExtent,
+  toLocalInputValue,
+  withTimestamps,
+} from "./time";
+
+const at = (iso) => Date.parse(iso);
+
+test("normalizeTime accepts ISO strings, dates and epoch ms", () => {
+  expect(normalizeTime("2024-03-01T10:00:00Z")).toBe("2024-03-01T10:00:00.000Z");
+  expect(normalizeTime(at("2024-03-01T10:00:00Z"))).toBe("2024-03-01T10:00:00.000Z");
+  expect(normalizeTime("not a date")).toBeNull();
+  expect(normalizeTime("")).toBeNull();
+});
+
+test("new markers are stamped, old ones recover creation from their id", () => {
+  const now = new Date("2024-05-01T08:00:00Z");
+  expect(stampMarker({ id: 1 }, now)).toEqual({ id: 1, createdAt: now.toISOString(), updatedAt: now.toISOString() });
+  expect(stampMarker({ id: 1, createdAt: "2023-01-01T00:00:00Z" }, now).updatedAt).toBe("2023-01-01T00:00:00.000Z");
+
+  const id = at("2024-02-02T12:00:00Z");
+  expect(withTimestamps({ id })).toMatchObject({ createdAt: "2024-02-02T12:00:00.000Z", updatedAt: "2024-02-02T12:00:00.000Z" });
+  expect(withTimestamps({ id: 7 })).toEqual({ id: 7 });
+});
+
+test("intervals: open-ended from creation, events at their start, spans to their end", () => {
+  expect(markerInterval({ createdAt: "2024-01-01T00:00:00Z" })).toEqual([at("2024-01-01T00:00:00Z"), Infinity]);
+  expect(markerInterval({ createdAt: "2024-01-01T00:00:00Z", start: "2024-06-01T18:00:00Z" })).toEqual([at("2024-06-01T18:00:00Z"), at("2024-06-01T18:00:00Z")]);
+  expect(markerInterval({ start: "2024-06-01T00:00:00Z", end: "2024-06-03T00:00:00Z" })).toEqual([at("2024-06-01T00:00:00Z"), at("2024-06-03T00:00:00Z")]);
+  expect(markerInterval({})).toBeNull();
+});
+
+test("markers are active when their interval overlaps the window", () => {
+  const june = { from: at("2024-06-01T00:00:00Z"), to: at("2024-06-30T23:59:59Z") };
+  expect(markerActiveIn({ start: "2024-05-20T00:00:00Z", end: "2024-06-02T00:00:00Z" }, june)).toBe(true);
+  expect(markerActiveIn({ start: "2024-07-01T00:00:00Z" }, june)).toBe(false);
+  expect(markerActiveIn({ createdAt: "2024-01-01T00:00:00Z" }, june)).toBe(true);
+  expect(markerActiveIn({ createdAt: "2024-07-01T00:00:00Z" }, june)).toBe(false);
+  expect(markerActiveIn({ title: "timeless" }, june)).toBe(true);
+});
+
+test("time extent and markers-over-time buckets", () => {
+  const markers = [
+    { createdAt: "2024-01-01T10:00:00Z" },
+    { createdAt: "2024-01-01T11:00:00Z" },
+    { createdAt: "2024-01-03T09:00:00Z", end: "2024-02-01T00:00:00Z" },
+    { title: "no time" },
+  ];
+  expect(timeExtent(markers)).toEqual([at("2024-01-01T10:00:00Z"), at("2024-02-01T00:00:00Z")]);
+  expect(timeExtent([{}])).toBeNull();
+  expect(pickTimeStep(timeExtent(markers)).key).toBe("week");
+
+  const buckets = markersOverTime(markers, { ms: 12 * 60 * 60 * 1000 }); // sub-day steps are aligned to UTC
+  expect(buckets.map((b) => b.added)).toEqual([2, 0, 0, 0, 1]);
+  expect(buckets[0].t).toBe(at("2024-01-01T00:00:00Z"));
+  expect(buckets.map((b) => b.total)).toEqual([2, 2, 2, 2, 3]);
+  expect(buckets.reduce((sum, b) => sum + b.added, 0)).toBe(3);
+});
+
+test("datetime-local values round-trip", () => {
+  const iso = fromLocalInputValue("2024-06-01T18:30");
+  expect(toLocalInputValue(iso)).toBe("2024-06-01T18:30");
+  expect(fromLocalInputValue("")).toBeNull();
+  expect(toLocalInputValue(null)).toBe("");
+});
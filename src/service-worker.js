@@ -0,0 +1,49 @@
+/* eslint-disable no-restricted-globals */
+
+/* ---------------- Service worker ----------------
+   Built by react-scripts (workbox InjectManifest): precaches the app shell so the
+   app starts without a network. The sublocations GeoJSON is cached on install (the
+   first visit fetches it before the worker controls the page); it, the favicon,
+   app logos and manifest are then kept fresh in a runtime cache. Map tiles are not
+   handled here; downloaded areas live in IndexedDB (components/map/offline/tileStore.js).
+*/
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+// JS/CSS bundles (small images such as the marker shadow are inlined into them), index.html and media
+precacheAndRoute(self.__WB_MANIFEST);
+
+// navigations get the cached index.html, except for URLs that look like files
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+const STATIC_CACHE = "static-data";
+const SUBLOCATIONS_URL = `${process.env.PUBLIC_URL}/data/nairobi_sublogs.geojson`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(STATIC_CACHE).then((cache) => cache.add(SUBLOCATIONS_URL)));
+});
+
+// files from public/: data, favicon, app logos and the manifest
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\/(data\/.+\.geojson|favicon\.ico|logo\d+\.png|manifest\.json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: STATIC_CACHE,
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// lets the page activate an updated worker right away
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
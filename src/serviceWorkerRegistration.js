@@ -0,0 +1,59 @@
+/* ---------------- Service worker registration ----------------
+   Registers the workbox service worker (src/service-worker.js) in production
+   builds so the app shell and data load offline. The dev server has no worker;
+   on localhost the worker is checked first so a stale one can't get stuck.
+*/
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" || window.location.hostname === "[::1]" || window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const registerValidSW = (swUrl, config) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== "installed") return;
+          // an existing controller means this is an update, otherwise the first install
+          if (navigator.serviceWorker.controller) config?.onUpdate?.(registration);
+          else config?.onSuccess?.(registration);
+        };
+      };
+    })
+    .catch((err) => console.error("Service worker registration failed", err));
+};
+
+// on localhost make sure a worker is really served before registering it
+const checkValidServiceWorker = (swUrl, config) => {
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((res) => {
+      const contentType = res.headers.get("content-type");
+      if (res.status === 404 || (contentType && !contentType.includes("javascript"))) {
+        navigator.serviceWorker.ready.then((registration) => registration.unregister().then(() => window.location.reload()));
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    // offline: the worker installed on an earlier visit keeps serving the app
+    .catch(() => {});
+};
+
+export const register = (config) => {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // a CDN-hosted PUBLIC_URL can't serve the worker for this origin
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) checkValidServiceWorker(swUrl, config);
+    else registerValidSW(swUrl, config);
+  });
+};
+
+export const unregister = () => {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch((err) => console.error(err.message));
+};